@@ -0,0 +1,21 @@
+// Service worker de la Agenda: solo muestra notificaciones de recordatorio
+// (las programa src/reminders.js) y, al pulsarlas, enfoca o abre la app.
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const appWindow = windows.find(client => new URL(client.url).origin === self.location.origin);
+        if (appWindow) return appWindow.focus();
+        return self.clients.openWindow(self.registration.scope);
+    })());
+});
@@ -0,0 +1,138 @@
+// Servidor de adjuntos de pruebas, para cuando el backend no los admite:
+// guarda en memoria los archivos de /api/tasks/:id/attachments con los
+// mismos límites que la app (src/attachments.js). Pide un token pero no lo
+// verifica ni comprueba quién puede ver cada tarea, y no se entera de las
+// tareas borradas. Los datos se pierden al pararlo.
+//
+//   npm run attachments:server           (puerto 3002)
+//   VITE_ATTACHMENTS_URL=http://localhost:3002 npm run dev
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { getAttachmentType, MAX_ATTACHMENT_SIZE, MAX_ATTACHMENTS_PER_TASK, validateAttachment } from '../src/attachments.js';
+
+const PORT = Number(process.argv[2]) || 3002;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-File-Name',
+    'Access-Control-Expose-Headers': 'Content-Disposition',
+};
+
+const LIST_ROUTE = /^\/api\/tasks\/([^/]+)\/attachments$/;
+const ITEM_ROUTE = /^\/api\/tasks\/([^/]+)\/attachments\/([^/]+)$/;
+
+// _id de la tarea -> [{ _id, name, type, size, uploadedBy, createdAt, data }]
+const attachmentsByTask = new Map();
+
+// Lo que ve el cliente: todo menos el contenido (`data`).
+const toAttachment = ({ _id, name, type, size, uploadedBy, createdAt }) => ({ _id, name, type, size, uploadedBy, createdAt });
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+});
+
+// El `sub` del JWT, sin comprobar la firma: solo sirve para `uploadedBy`.
+const userFromToken = (authorization = '') => {
+    try {
+        const payload = authorization.replace(/^Bearer /, '').split('.')[1];
+        const { sub, id, _id } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return sub ?? id ?? _id ?? null;
+    } catch {
+        return null;
+    }
+};
+
+const upload = async (req, res, taskId) => {
+    const data = await readBody(req);
+    let name = '';
+    try {
+        name = decodeURIComponent(req.headers['x-file-name'] || '').trim();
+    } catch {
+        // Nombre mal codificado: se usa el genérico.
+    }
+    const file = { name: name || 'archivo', type: getAttachmentType({ name, type: req.headers['content-type'] || '' }), size: data.length };
+    const attachments = attachmentsByTask.get(taskId) || [];
+    switch (validateAttachment(file, { count: attachments.length })) {
+        case 'empty':
+            return sendJson(res, 400, { message: 'El archivo está vacío.' });
+        case 'size':
+            return sendJson(res, 413, { message: `El archivo no puede pasar de ${MAX_ATTACHMENT_SIZE / 1024 / 1024} MB.` });
+        case 'type':
+            return sendJson(res, 415, { message: 'Tipo de archivo no permitido.' });
+        case 'count':
+            return sendJson(res, 400, { message: `Una tarea no puede tener más de ${MAX_ATTACHMENTS_PER_TASK} adjuntos.` });
+        default:
+            break;
+    }
+    const attachment = {
+        _id: randomUUID(),
+        ...file,
+        uploadedBy: userFromToken(req.headers.authorization),
+        createdAt: new Date().toISOString(),
+        data,
+    };
+    attachmentsByTask.set(taskId, [...attachments, attachment]);
+    return sendJson(res, 201, { attachment: toAttachment(attachment) });
+};
+
+const handle = async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const list = LIST_ROUTE.exec(pathname);
+    const item = ITEM_ROUTE.exec(pathname);
+    if (!list && !item) return sendJson(res, 404, { message: `Ruta no encontrada: ${req.method} ${pathname}` });
+    if (!req.headers.authorization?.startsWith('Bearer ')) return sendJson(res, 401, { message: 'Falta el token.' });
+
+    if (list) {
+        const [, taskId] = list;
+        if (req.method === 'GET') return sendJson(res, 200, { attachments: (attachmentsByTask.get(taskId) || []).map(toAttachment) });
+        if (req.method === 'POST') return upload(req, res, taskId);
+        return sendJson(res, 405, { message: 'Método no permitido.' });
+    }
+
+    const [, taskId, attachmentId] = item;
+    const attachments = attachmentsByTask.get(taskId) || [];
+    const attachment = attachments.find(a => a._id === attachmentId);
+    if (!attachment) return sendJson(res, 404, { message: 'Adjunto no encontrado.' });
+    if (req.method === 'GET') {
+        res.writeHead(200, {
+            ...CORS_HEADERS,
+            'Content-Type': attachment.type,
+            'Content-Length': attachment.size,
+            'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+        });
+        return res.end(attachment.data);
+    }
+    if (req.method === 'DELETE') {
+        attachmentsByTask.set(taskId, attachments.filter(a => a !== attachment));
+        return sendJson(res, 200, { message: 'Adjunto eliminado.' });
+    }
+    return sendJson(res, 405, { message: 'Método no permitido.' });
+};
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS);
+        res.end();
+        return;
+    }
+    try {
+        await handle(req, res);
+    } catch (err) {
+        console.error(err);
+        if (!res.headersSent) sendJson(res, 500, { message: 'Error interno del servidor de adjuntos.' });
+        else res.end();
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Servidor de adjuntos en http://localhost:${PORT}`);
+});
@@ -0,0 +1,105 @@
+// Benchmark de la lista con una cuenta grande (10.000 tareas generadas con
+// src/sampleTasks.js). Compara filtrar y ordenar todo en el navegador
+// (applyFilters, lo que se hace si el backend no pagina) con pedir la
+// primera página ya filtrada al backend en memoria, y mide la carga completa
+// por páginas. Los módulos de src se cargan con Vite para resolver los
+// imports sin extensión.
+//
+//   npm run bench:tasks            (10.000 tareas)
+//   npm run bench:tasks -- 50000
+import { performance } from 'node:perf_hooks';
+import { fileURLToPath } from 'node:url';
+import { createServer } from 'vite';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const COUNT = Number(process.argv[2]) || 10000;
+const RUNS = 15;
+const PAGE_SIZE = 50;
+const FULL_PAGE_SIZE = 200;
+
+const SCENARIOS = [
+    { name: 'pendientes por fecha', filters: {} },
+    { name: 'texto «factura»', filters: { q: 'factura' } },
+    { name: 'alta prioridad, título desc', filters: { priority: 'High', sort: 'title', dir: 'desc', showCompleted: true } },
+    { name: 'vencidas de una categoría', filters: { due: 'overdue', category: 'cat1' } },
+];
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+};
+
+const measure = async (run) => {
+    await run(); // calentamiento
+    const times = [];
+    for (let i = 0; i < RUNS; i++) {
+        const start = performance.now();
+        await run();
+        times.push(performance.now() - start);
+    }
+    return median(times);
+};
+
+const server = await createServer({ root: ROOT, logLevel: 'error', server: { middlewareMode: true }, appType: 'custom' });
+
+try {
+    const { generateTasks } = await server.ssrLoadModule('/src/sampleTasks.js');
+    const { applyFilters, DEFAULT_FILTERS, toApiQuery } = await server.ssrLoadModule('/src/taskFilters.js');
+    const { createMemoryBackend } = await server.ssrLoadModule('/src/memoryBackend.js');
+
+    const categories = Array.from({ length: 8 }, (_, i) => ({ _id: `cat${i}`, name: `Categoría ${i}`, user: 'bench' }));
+    const tasks = generateTasks(COUNT, { user: 'bench', categories });
+    const { transport } = createMemoryBackend({
+        users: [{ _id: 'bench', email: 'bench@agenda.local', password: 'bench' }],
+        tasks,
+        categories,
+    });
+
+    const login = await transport('/api/auth/login', {
+        method: 'POST',
+        body: JSON.stringify({ email: 'bench@agenda.local', password: 'bench' }),
+    });
+    const { token } = await login.json();
+    const getTasks = async (query) => {
+        const response = await transport(`/api/tasks?${new URLSearchParams(query)}`, { headers: { Authorization: `Bearer ${token}` } });
+        return response.json();
+    };
+
+    console.log(`${COUNT} tareas, mediana de ${RUNS} ejecuciones (ms)\n`);
+
+    const rows = [];
+    for (const { name, filters: overrides } of SCENARIOS) {
+        const filters = { ...DEFAULT_FILTERS, ...overrides };
+        let matching = 0;
+        let received = 0;
+        const client = await measure(() => {
+            matching = applyFilters(tasks, filters).length;
+        });
+        const firstPage = await measure(async () => {
+            received = (await getTasks({ ...toApiQuery(filters), limit: PAGE_SIZE })).tasks.length;
+        });
+        rows.push({
+            escenario: name,
+            coinciden: matching,
+            'applyFilters (cliente)': client.toFixed(1),
+            [`primera página de ${PAGE_SIZE} (servidor)`]: firstPage.toFixed(1),
+            'tareas recibidas': received,
+        });
+    }
+    console.table(rows);
+
+    let requests = 0;
+    const fullLoad = await measure(async () => {
+        requests = 0;
+        let cursor = null;
+        do {
+            const page = await getTasks({ limit: FULL_PAGE_SIZE, ...(cursor && { cursor }) });
+            requests++;
+            cursor = page.nextCursor;
+        } while (cursor);
+    });
+    console.log(`\nCarga completa en páginas de ${FULL_PAGE_SIZE}: ${requests} peticiones, ${fullLoad.toFixed(1)} ms`);
+    console.log('(sin contar la red: el backend en memoria no tiene latencia)');
+} finally {
+    await server.close();
+}
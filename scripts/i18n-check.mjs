@@ -0,0 +1,60 @@
+// Comprueba los catálogos de src/locales: todos deben tener las mismas claves
+// que es.json (el de referencia), con la misma forma (texto o plural), y
+// cada t('clave') literal del código debe existir. Las claves que se arman
+// con plantillas (t(`view.${view}`)) no se pueden comprobar aquí.
+import { readdirSync, readFileSync } from 'node:fs';
+import { extname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const LOCALES_DIR = join(ROOT, 'src', 'locales');
+const SOURCE_DIR = join(ROOT, 'src');
+const REFERENCE = 'es';
+
+const readCatalog = (file) => JSON.parse(readFileSync(join(LOCALES_DIR, file), 'utf8'));
+
+const shapeOf = (message) => (typeof message === 'string' ? 'texto' : 'plural');
+
+const listSourceFiles = (dir) => readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) return entry.name === 'locales' ? [] : listSourceFiles(path);
+    return ['.js', '.jsx'].includes(extname(entry.name)) ? [path] : [];
+});
+
+const problems = [];
+const catalogs = Object.fromEntries(
+    readdirSync(LOCALES_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => [file.replace(/\.json$/, ''), readCatalog(file)])
+);
+const reference = catalogs[REFERENCE];
+
+Object.entries(catalogs).forEach(([language, messages]) => {
+    if (language === REFERENCE) return;
+    Object.keys(reference).forEach(key => {
+        if (!(key in messages)) problems.push(`${language}: falta «${key}»`);
+        else if (shapeOf(messages[key]) !== shapeOf(reference[key])) {
+            problems.push(`${language}: «${key}» es ${shapeOf(messages[key])} y en ${REFERENCE} es ${shapeOf(reference[key])}`);
+        }
+    });
+    Object.keys(messages).forEach(key => {
+        if (!(key in reference)) problems.push(`${language}: «${key}» no existe en ${REFERENCE}`);
+    });
+});
+
+const KEY_PATTERN = /\bt\(\s*'([\w.-]+)'/g;
+listSourceFiles(SOURCE_DIR).forEach(file => {
+    const source = readFileSync(file, 'utf8');
+    for (const match of source.matchAll(KEY_PATTERN)) {
+        if (!(match[1] in reference)) {
+            problems.push(`${file.slice(ROOT.length)}: «${match[1]}» no está en ${REFERENCE}.json`);
+        }
+    }
+});
+
+if (problems.length > 0) {
+    console.error(problems.join('\n'));
+    console.error(`\n${problems.length} problema(s) en las traducciones.`);
+    process.exit(1);
+}
+console.log(`Traducciones correctas (${Object.keys(catalogs).join(', ')}; ${Object.keys(reference).length} claves).`);
@@ -0,0 +1,93 @@
+// Servidor HTTP local con el backend en memoria (src/memoryBackend.js), para
+// probar las actualizaciones en directo, las listas compartidas y los
+// adjuntos con varios navegadores o pestañas a la vez. Los datos se pierden
+// al pararlo.
+//
+//   npm run mock:server                  (puerto 3001)
+//   npm run mock:server -- 4000 500      (puerto 4000, 500 tareas de ejemplo)
+//   VITE_API_URL=http://localhost:3001 npm run dev
+//
+// Usuarios: demo@agenda.local / demo y equipo@agenda.local / equipo.
+import http from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { createServer } from 'vite';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const PORT = Number(process.argv[2]) || 3001;
+const SAMPLE_TASKS = Number(process.argv[3]) || 0;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, Accept, X-File-Name',
+    'Access-Control-Expose-Headers': 'Content-Disposition',
+};
+
+// JSON como texto; los adjuntos (cualquier otro Content-Type) como bytes.
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        if (!chunks.length) return resolve(undefined);
+        const body = Buffer.concat(chunks);
+        const type = req.headers['content-type'] || 'application/json';
+        return resolve(type.startsWith('application/json') ? body.toString('utf8') : body);
+    });
+    req.on('error', reject);
+});
+
+const vite = await createServer({ root: ROOT, logLevel: 'error', server: { middlewareMode: true }, appType: 'custom' });
+const { createMemoryBackend } = await vite.ssrLoadModule('/src/memoryBackend.js');
+const { generateTasks } = await vite.ssrLoadModule('/src/sampleTasks.js');
+await vite.close();
+
+const { transport } = createMemoryBackend({
+    users: [
+        { _id: 'demo', name: 'Demo', email: 'demo@agenda.local', password: 'demo' },
+        { _id: 'equipo', name: 'Equipo', email: 'equipo@agenda.local', password: 'equipo' },
+    ],
+    tasks: generateTasks(SAMPLE_TASKS, { user: 'demo' }),
+});
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS);
+        res.end();
+        return;
+    }
+    try {
+        const headers = {};
+        if (req.headers.authorization) headers['Authorization'] = req.headers.authorization;
+        if (req.headers['content-type']) headers['Content-Type'] = req.headers['content-type'];
+        if (req.headers['x-file-name']) headers['X-File-Name'] = req.headers['x-file-name'];
+        const response = await transport(req.url, { method: req.method, headers, body: await readBody(req) });
+        res.writeHead(response.status, { ...CORS_HEADERS, ...Object.fromEntries(response.headers) });
+        if (!response.body) {
+            res.end();
+            return;
+        }
+        // Los flujos (text/event-stream) se van escribiendo según llegan y se
+        // cancelan cuando el cliente cierra la conexión.
+        const reader = response.body.getReader();
+        res.on('close', () => reader.cancel().catch(() => {}));
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            res.write(value);
+        }
+        res.end();
+    } catch (err) {
+        console.error(err);
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        res.writeHead(500, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'Error interno del servidor de pruebas.' }));
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Backend de pruebas en http://localhost:${PORT}`);
+    console.log('Usuarios: demo@agenda.local / demo, equipo@agenda.local / equipo');
+});
@@ -1,106 +1,81 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { createElement, useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import './index.css'
-
-const API_BASE_URL = 'https://agenda-backend-n0wt.onrender.com';
+import { parseISO } from 'date-fns';
+import { useApi, useUnmountSignal } from './useApi';
+import { AuthError, ForbiddenError, getErrorMessage, getFieldErrors, isCancelled } from './apiErrors';
+import { useOfflineApi, useOnlineStatus, clearOfflineData } from './useOfflineApi';
+import CalendarView from './CalendarView';
+import BoardView from './BoardView';
+import StatsView from './StatsView';
+import CommandPalette, { ShortcutCheatSheet } from './CommandPalette';
+import QuickAddForm from './QuickAddForm';
+import { useKeyBindings } from './shortcuts';
+import { LANGUAGES, useI18n } from './i18n';
+import { ACCENTS, getNextThemeMode, THEME_MODES, useThemeSettings } from './theme';
+import ImportExportPanel from './ImportExport';
+import { buildNextOccurrence, createDefaultRule, describeRecurrence, formatWeekday, FREQUENCIES, WEEKDAYS } from './recurrence';
+import { REMINDER_OPTIONS, getDueDateTime, getReminderQuery, useReminderScheduler, useReminderSettings } from './reminders';
+import { areAllSubtasksDone, createSubtask, getSubtaskKey, getSubtaskProgress, moveSubtask, toggleSubtask } from './subtasks';
+import { DEFAULT_FILTERS, getDueStatus, hasActiveFilters, SORT_OPTIONS, toApiQuery, toRangeQuery, useUrlFilters, VIEWS } from './taskFilters';
+import { useTaskCollection, useTaskQuery } from './useTaskQuery';
+import { appendCategories, applyCategoryEvent, applyTaskEvent, prependTasks } from './liveEvents';
+import { useLiveUpdates } from './useLiveUpdates';
+import VirtualList from './VirtualList';
+import { useUndoHistory } from './useUndoHistory';
+import { useFocusTrap } from './useFocusTrap';
+import BatchBar from './BatchBar';
+import { BATCH_CONCURRENCY, getRangeIds, runWithConcurrency, shiftDueDate } from './batch';
+import { CATEGORY_COLORS, CATEGORY_ICONS, getCategoryColor, getCategoryIcon, pickNextColor } from './categoryStyles';
+import { canEditInCategory, canEditTask, canManageCategory, findAssignee, getAssignableUsers, getCategoryRole, getDisplayName, isSharedCategory } from './sharing';
+import Avatar from './Avatar';
+import ShareDialog from './ShareDialog';
+import TaskDetailDrawer from './TaskDetailDrawer';
+import MarkdownEditor from './MarkdownEditor';
+import AttachmentPanel from './AttachmentPanel';
+import { useAttachments } from './useAttachments';
+import { markdownToText } from './markdown';
+import { Monitor, Moon, Pencil, Sun, Trash2, Users } from 'lucide-react';
+import { completeReauth, decodeToken, EXPIRY_WARNING_MS, getTokenUserId, renewSession, session, useSession, useTimeLeft } from './session';
 
 // ----------------------------------------------------------------------
-// 1. Hook Personalizado para la API
+// 1. Componentes de UI
 // ----------------------------------------------------------------------
 
-const useApi = () => {
-    const getToken = () => localStorage.getItem('token');
-
-    const request = useCallback(async (endpoint, method = 'GET', data = null, isAuth = true) => {
-        const url = `${API_BASE_URL}${endpoint}`;
-        const headers = {
-            'Content-Type': 'application/json',
-        };
-
-        if (isAuth) {
-            const token = getToken();
-            if (!token) throw new Error('No autorizado: Token JWT no encontrado.');
-            headers['Authorization'] = `Bearer ${token}`;
-        }
-
-        const config = {
-            method,
-            headers,
-        };
-
-        if (data) {
-            config.body = JSON.stringify(data);
-        }
-
-        try {
-            const response = await fetch(url, config);
-
-            if (response.status === 401) {
-                localStorage.removeItem('token');
-                window.location.reload();
-                throw new Error('Sesión expirada o no autorizada. Por favor, inicia sesión de nuevo.');
-            }
-
-            if (response.status === 204) {
-                return {}; 
-            }
-
-            if (!response.ok) {
-                let errorMessage = `Error HTTP ${response.status}`;
-                try {
-                    const errorResult = await response.json();
-                    if (errorResult.message) {
-                        errorMessage = errorResult.message;
-                    } else if (errorResult.error) {
-                         errorMessage = errorResult.error;
-                    }
-                } catch (e) {
-                }
-                throw new Error(errorMessage);
-            }
-
-            const result = await response.json();
-            return result;
-
-        } catch (error) {
-            console.error("API Request Error:", error);
-            throw error;
-        }
-    }, []);
-
-    const auth = useMemo(() => ({
-        login: (credentials) => request('/api/auth/login', 'POST', credentials, false),
-        register: (data) => request('/api/auth/register', 'POST', data, false),
-    }), [request]);
-
-    const tasks = useMemo(() => ({
-        getAll: () => request('/api/tasks'), 
-        create: (taskData) => request('/api/tasks', 'POST', taskData),
-        update: (id, taskData) => request(`/api/tasks/${id}`, 'PUT', taskData), 
-        delete: (id) => request(`/api/tasks/${id}`, 'DELETE'), 
-    }), [request]);
-
-    const categories = useMemo(() => ({
-        getAll: () => request('/api/categories'),
-        create: (categoryData) => request('/api/categories', 'POST', categoryData),
-        delete: (id) => request(`/api/categories/${id}`, 'DELETE'),
-    }), [request]);
-
-    return { auth, tasks, categories };
+// Mensaje de validación bajo un campo; `id` se enlaza con aria-describedby
+// y role="alert" hace que el lector de pantalla lo lea al aparecer.
+const FieldError = ({ id, message }) => (
+    message ? <p id={id} className="field-error" role="alert">{message}</p> : null
+);
+
+// Props de accesibilidad para un campo con posible error de validación.
+const fieldErrorProps = (id, message) => (
+    message ? { 'aria-invalid': true, 'aria-describedby': id } : {}
+);
+
+// Reparte un error de la API: los mensajes de campos conocidos van junto a
+// su campo y el resto se muestra como error general.
+const splitApiError = (err, fields, t, fallback) => {
+    const fieldErrors = getFieldErrors(err);
+    const known = Object.fromEntries(Object.entries(fieldErrors).filter(([field]) => fields.includes(field)));
+    const hasKnown = Object.keys(known).length > 0;
+    return { fieldErrors: known, message: hasKnown ? '' : getErrorMessage(err, t, fallback) };
 };
 
-// ----------------------------------------------------------------------
-// 2. Componentes de UI
-// ----------------------------------------------------------------------
+const AUTH_FIELDS = ['name', 'email', 'password'];
 
 const AuthForm = ({ onAuthSuccess }) => {
+    const { t } = useI18n();
     const { auth } = useApi();
+    const getSignal = useUnmountSignal();
     const [isLogin, setIsLogin] = useState(true);
     const [formData, setFormData] = useState({ name: '', email: '', password: '' });
     const [error, setError] = useState('');
+    const [fieldErrors, setFieldErrors] = useState({});
     const [isLoading, setIsLoading] = useState(false);
 
     const handleChange = (e) => {
         setFormData({ ...formData, [e.target.name]: e.target.value });
+        setFieldErrors({ ...fieldErrors, [e.target.name]: undefined });
         setError('');
     };
 
@@ -108,6 +83,7 @@ const AuthForm = ({ onAuthSuccess }) => {
         e.preventDefault();
         setIsLoading(true);
         setError('');
+        setFieldErrors({});
 
         try {
             const apiCall = isLogin ? auth.login : auth.register;
@@ -115,16 +91,19 @@ const AuthForm = ({ onAuthSuccess }) => {
                 ? { email: formData.email, password: formData.password }
                 : formData;
 
-            const result = await apiCall(data);
+            const result = await apiCall(data, { signal: getSignal() });
 
             if (result.token) {
-                localStorage.setItem('token', result.token);
+                session.setTokens(result);
                 onAuthSuccess();
             } else {
-                setError(result.message || 'Respuesta de autenticación inesperada.');
+                setError(result.message || t('auth.unexpected'));
             }
         } catch (err) {
-            setError(err.message || 'Ocurrió un error de red o del servidor.');
+            if (isCancelled(err)) return;
+            const split = splitApiError(err, AUTH_FIELDS, t, t('auth.networkError'));
+            setFieldErrors(split.fieldErrors);
+            setError(split.message);
         } finally {
             setIsLoading(false);
         }
@@ -132,106 +111,459 @@ const AuthForm = ({ onAuthSuccess }) => {
 
     return (
         <div className="auth-container">
-            <h2 className="text-2xl font-semibold mb-6 text-gray-800">{isLogin ? 'Iniciar Sesión' : 'Registrarse'}</h2>
-            <form onSubmit={handleSubmit} className="space-y-4">
+            <h2 id="auth-title" className="text-2xl font-semibold mb-6 text-gray-800">{isLogin ? t('auth.login') : t('auth.register')}</h2>
+            <form onSubmit={handleSubmit} className="space-y-4" aria-labelledby="auth-title" aria-busy={isLoading}>
                 {!isLogin && (
                     <input
                         type="text"
                         name="name"
-                        placeholder="Nombre"
+                        placeholder={t('auth.name')}
+                        aria-label={t('auth.name')}
+                        autoComplete="name"
                         value={formData.name}
                         onChange={handleChange}
                         required
                         className="input-field"
+                        {...fieldErrorProps('auth-name-error', fieldErrors.name)}
                     />
                 )}
+                {!isLogin && <FieldError id="auth-name-error" message={fieldErrors.name} />}
                 <input
                     type="email"
                     name="email"
-                    placeholder="Correo Electrónico"
+                    placeholder={t('auth.email')}
+                    aria-label={t('auth.email')}
+                    autoComplete="email"
                     value={formData.email}
                     onChange={handleChange}
                     required
                     className="input-field"
+                    {...fieldErrorProps('auth-email-error', fieldErrors.email)}
                 />
+                <FieldError id="auth-email-error" message={fieldErrors.email} />
                 <input
                     type="password"
                     name="password"
-                    placeholder="Contraseña"
+                    placeholder={t('auth.password')}
+                    aria-label={t('auth.password')}
+                    autoComplete={isLogin ? 'current-password' : 'new-password'}
                     value={formData.password}
                     onChange={handleChange}
                     required
                     className="input-field"
+                    {...fieldErrorProps('auth-password-error', fieldErrors.password)}
                 />
+                <FieldError id="auth-password-error" message={fieldErrors.password} />
 
-                {error && <p className="text-red-600 text-sm mt-2 font-medium">{error}</p>}
+                {error && <p className="text-red-600 text-sm mt-2 font-medium" role="alert">{error}</p>}
 
                 <button
                     type="submit"
                     className="btn-primary w-full"
                     disabled={isLoading}
                 >
-                    {isLoading ? 'Cargando...' : isLogin ? 'Entrar' : 'Crear Cuenta'}
+                    {isLoading ? t('auth.loading') : isLogin ? t('auth.submitLogin') : t('auth.submitRegister')}
                 </button>
             </form>
             <div className="mt-4 text-center">
                 <button
+                    type="button"
                     onClick={() => setIsLogin(!isLogin)}
                     className="text-sm text-primary-light hover:text-primary-dark"
                     disabled={isLoading}
                 >
-                    {isLogin ? '¿No tienes cuenta? Regístrate' : '¿Ya tienes cuenta? Inicia Sesión'}
+                    {isLogin ? t('auth.toRegister') : t('auth.toLogin')}
                 </button>
             </div>
         </div>
     );
 };
 
-const TaskForm = ({ taskToEdit, categories, onSave, onCancel }) => {
+// Se abre cuando una petición recibe 401 sin poder renovar el token. Al
+// entrar, las peticiones pendientes se reintentan; lo que hubiera en los
+// formularios sigue ahí porque no se recarga la página.
+const SessionModal = ({ token, onLogout }) => {
+    const { t } = useI18n();
+    const { auth } = useApi();
+    const [email, setEmail] = useState(() => decodeToken(token)?.email || '');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsLoading(true);
+        setError('');
+        try {
+            const result = await auth.login({ email, password });
+            if (!result.token) throw new Error(result.message || t('auth.unexpected'));
+            completeReauth(result);
+        } catch (err) {
+            setError(getErrorMessage(err, t, t('auth.networkError')));
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    // Sin Escape: para seguir hay que volver a entrar o cerrar sesión.
+    const dialogRef = useRef(null);
+    useFocusTrap(dialogRef);
+
+    return (
+        <div className="modal-overlay modal-overlay-top">
+            <div ref={dialogRef} className="modal-panel" role="dialog" aria-modal="true" aria-labelledby="session-title" aria-describedby="session-hint" tabIndex={-1}>
+                <h3 id="session-title" className="text-lg font-semibold mb-2 text-gray-700">{t('session.expiredTitle')}</h3>
+                <p id="session-hint" className="text-sm text-gray-500 mb-4">{t('session.expiredHint')}</p>
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <input
+                        type="email"
+                        placeholder={t('auth.email')}
+                        aria-label={t('auth.email')}
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        required
+                        className="input-field"
+                        autoComplete="username"
+                    />
+                    <input
+                        type="password"
+                        placeholder={t('auth.password')}
+                        aria-label={t('auth.password')}
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        required
+                        className="input-field"
+                        autoComplete="current-password"
+                        autoFocus
+                    />
+                    {error && <p className="text-red-600 text-sm mt-2 font-medium" role="alert">{error}</p>}
+                    <div className="flex justify-center space-x-2">
+                        <button type="button" onClick={onLogout} className="btn-secondary" disabled={isLoading}>{t('app.logout')}</button>
+                        <button type="submit" className="btn-primary" disabled={isLoading}>
+                            {isLoading ? t('auth.loading') : t('auth.submitLogin')}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+// Aviso en los últimos minutos del token (y cuando ya caducó).
+const SessionExpiryBanner = ({ expiresAt }) => {
+    const { t } = useI18n();
+    const { auth } = useApi();
+    const timeLeft = useTimeLeft(expiresAt);
+    const [isRenewing, setIsRenewing] = useState(false);
+
+    if (timeLeft === null || timeLeft > EXPIRY_WARNING_MS) return null;
+
+    const handleRenew = async () => {
+        setIsRenewing(true);
+        try {
+            await renewSession(auth.refresh);
+        } catch (err) {
+            console.error('Error al renovar la sesión:', err);
+        } finally {
+            setIsRenewing(false);
+        }
+    };
+
+    const minutes = Math.max(1, Math.ceil(timeLeft / 60000));
+
+    return (
+        <div className="session-banner" role="status">
+            <span>
+                {timeLeft > 0 ? t('session.expiresIn', { count: minutes }) : t('session.expired')}
+            </span>
+            <button type="button" onClick={handleRenew} className="link-button" disabled={isRenewing}>
+                {timeLeft > 0 ? t('session.keep') : t('session.login')}
+            </button>
+        </div>
+    );
+};
+
+const RecurrenceFields = ({ value, onChange, dueDate, disabled }) => {
+    const { t, language } = useI18n();
+    const [endMode, setEndMode] = useState(value?.until ? 'until' : value?.count ? 'count' : 'never');
+
+    const update = (changes) => onChange({ ...value, ...changes });
+
+    const handleFrequencyChange = (e) => {
+        if (!e.target.value) {
+            onChange(null);
+            return;
+        }
+        if (!value) setEndMode('never');
+        const base = value || createDefaultRule(dueDate ? new Date(`${dueDate}T00:00:00`) : new Date());
+        onChange({ ...base, frequency: e.target.value });
+    };
+
+    const handleEndModeChange = (e) => {
+        const mode = e.target.value;
+        setEndMode(mode);
+        update({
+            until: mode === 'until' ? value.until || dueDate || '' : undefined,
+            count: mode === 'count' ? value.count || 5 : undefined,
+        });
+    };
+
+    const toggleWeekday = (day) => {
+        const weekdays = value.weekdays || [];
+        update({ weekdays: weekdays.includes(day) ? weekdays.filter(d => d !== day) : [...weekdays, day] });
+    };
+
+    return (
+        <fieldset className="recurrence-fields" disabled={disabled}>
+            <legend className="recurrence-legend">{t('recurrence.legend')}</legend>
+            <div className="recurrence-row">
+                <select value={value?.frequency || ''} onChange={handleFrequencyChange} className="input-field" aria-label={t('recurrence.frequencyLabel')}>
+                    <option value="">{t('recurrence.none')}</option>
+                    {FREQUENCIES.map(frequency => (
+                        <option key={frequency} value={frequency}>{t(`recurrence.frequency.${frequency}`)}</option>
+                    ))}
+                </select>
+                {value && (
+                    <label className="recurrence-inline">
+                        {t('recurrence.every')}
+                        <input
+                            type="number"
+                            min="1"
+                            max="99"
+                            value={value.interval}
+                            onChange={(e) => update({ interval: Math.max(1, Number(e.target.value) || 1) })}
+                            className="input-field recurrence-number"
+                        />
+                        {t(`recurrence.unit.${value.frequency}`, { count: value.interval })}
+                    </label>
+                )}
+            </div>
+
+            {value?.frequency === 'weekly' && (
+                <div className="recurrence-weekdays" role="group" aria-label={t('recurrence.weekdays')}>
+                    {WEEKDAYS.map(day => (
+                        <button
+                            key={day}
+                            type="button"
+                            onClick={() => toggleWeekday(day)}
+                            className={`weekday-toggle ${value.weekdays?.includes(day) ? 'weekday-toggle-active' : ''}`}
+                            aria-pressed={!!value.weekdays?.includes(day)}
+                            title={formatWeekday(day, 'EEEE', language)}
+                        >
+                            {formatWeekday(day, 'EEEEE', language)}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {value?.frequency === 'monthly' && (
+                <label className="recurrence-inline">
+                    {t('recurrence.monthDayBefore')}
+                    <input
+                        type="number"
+                        min="1"
+                        max="31"
+                        value={value.monthDay || ''}
+                        onChange={(e) => update({ monthDay: Math.min(31, Math.max(1, Number(e.target.value) || 1)) })}
+                        className="input-field recurrence-number"
+                    />
+                    {t('recurrence.monthDayAfter')}
+                </label>
+            )}
+
+            {value && (
+                <div className="recurrence-row">
+                    <select value={endMode} onChange={handleEndModeChange} className="input-field" aria-label={t('recurrence.endLabel')}>
+                        <option value="never">{t('recurrence.end.never')}</option>
+                        <option value="until">{t('recurrence.end.until')}</option>
+                        <option value="count">{t('recurrence.end.count')}</option>
+                    </select>
+                    {endMode === 'until' && (
+                        <input
+                            type="date"
+                            value={value.until || ''}
+                            onChange={(e) => update({ until: e.target.value })}
+                            className="input-field"
+                            title={t('recurrence.untilHint')}
+                            aria-label={t('recurrence.untilHint')}
+                        />
+                    )}
+                    {endMode === 'count' && (
+                        <label className="recurrence-inline">
+                            <input
+                                type="number"
+                                min="1"
+                                value={value.count || ''}
+                                onChange={(e) => update({ count: Math.max(1, Number(e.target.value) || 1) })}
+                                className="input-field recurrence-number"
+                            />
+                            {t('recurrence.times')}
+                        </label>
+                    )}
+                </div>
+            )}
+        </fieldset>
+    );
+};
+
+const SubtaskEditor = ({ subtasks, onChange, completeWithSubtasks, onCompleteWithSubtasksChange, disabled }) => {
+    const { t } = useI18n();
+    const [newTitle, setNewTitle] = useState('');
+
+    const addSubtask = () => {
+        if (!newTitle.trim()) return;
+        onChange([...subtasks, createSubtask(newTitle)]);
+        setNewTitle('');
+    };
+
+    const updateTitle = (index, title) => onChange(subtasks.map((subtask, i) => (i === index ? { ...subtask, title } : subtask)));
+
+    return (
+        <fieldset className="subtask-editor" disabled={disabled}>
+            <legend className="recurrence-legend">{t('subtasks.legend')}</legend>
+            {subtasks.map((subtask, index) => (
+                <div key={getSubtaskKey(subtask)} className="subtask-editor-row">
+                    <input
+                        type="text"
+                        value={subtask.title}
+                        onChange={(e) => updateTitle(index, e.target.value)}
+                        className="input-field"
+                        aria-label={t('subtasks.item', { index: index + 1 })}
+                    />
+                    <button type="button" onClick={() => onChange(moveSubtask(subtasks, index, -1))} className="subtask-icon-button" title={t('subtasks.up')} disabled={index === 0}>↑</button>
+                    <button type="button" onClick={() => onChange(moveSubtask(subtasks, index, 1))} className="subtask-icon-button" title={t('subtasks.down')} disabled={index === subtasks.length - 1}>↓</button>
+                    <button type="button" onClick={() => onChange(subtasks.filter((_, i) => i !== index))} className="subtask-icon-button text-red-600" title={t('subtasks.remove')}>&times;</button>
+                </div>
+            ))}
+            <div className="subtask-editor-row">
+                <input
+                    type="text"
+                    placeholder={t('subtasks.new')}
+                    value={newTitle}
+                    onChange={(e) => setNewTitle(e.target.value)}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter') {
+                            e.preventDefault();
+                            addSubtask();
+                        }
+                    }}
+                    className="input-field"
+                />
+                <button type="button" onClick={addSubtask} className="btn-secondary text-sm">{t('subtasks.add')}</button>
+            </div>
+            {subtasks.length > 0 && (
+                <label className="recurrence-inline">
+                    <input
+                        type="checkbox"
+                        checked={completeWithSubtasks}
+                        onChange={(e) => onCompleteWithSubtasksChange(e.target.checked)}
+                    />
+                    {t('subtasks.completeWithAll')}
+                </label>
+            )}
+        </fieldset>
+    );
+};
+
+// Campos de la tarea que tienen mensaje de validación propio en el formulario.
+const TASK_FIELDS = ['title', 'description', 'dueDate', 'dueTime', 'reminderOffset', 'priority', 'category', 'assignee', 'subtasks', 'recurrence'];
+
+const TaskForm = ({ taskToEdit, categories, currentUser, onSave, onCancel }) => {
+    const { t } = useI18n();
     const [title, setTitle] = useState(taskToEdit?.title || '');
     const [description, setDescription] = useState(taskToEdit?.description || '');
     const [dueDate, setDueDate] = useState(taskToEdit?.dueDate?.split('T')[0] || ''); // Formato yyyy-mm-dd
+    const [dueTime, setDueTime] = useState(taskToEdit?.dueTime || ''); // Formato HH:mm
+    const [reminderOffset, setReminderOffset] = useState(taskToEdit?.reminderOffset ?? '');
     const [priority, setPriority] = useState(taskToEdit?.priority || 'Medium');
     const [category, setCategory] = useState(taskToEdit?.category || '');
+    const [assignee, setAssignee] = useState(taskToEdit?.assignee || '');
+    const [recurrence, setRecurrence] = useState(taskToEdit?.recurrence || null);
+    const [subtasks, setSubtasks] = useState(taskToEdit?.subtasks || []);
+    const [completeWithSubtasks, setCompleteWithSubtasks] = useState(!!taskToEdit?.completeWithSubtasks);
     const [error, setError] = useState('');
+    const [fieldErrors, setFieldErrors] = useState({});
     const [isLoading, setIsLoading] = useState(false);
 
-    const { tasks } = useApi();
+    const { tasks } = useOfflineApi();
+    const getSignal = useUnmountSignal();
+    // Al crear, los adjuntos se preparan y se suben cuando la tarea ya
+    // existe; al editar los gestiona el panel de detalle.
+    const attachmentState = useAttachments(null);
+    // Prefijo de ids: el formulario aparece dos veces (crear y editar).
+    const idPrefix = taskToEdit ? 'edit-task' : 'new-task';
+    const errorId = (field) => `${idPrefix}-${field}-error`;
+
+    // En las listas donde el usuario solo es lector no puede crear tareas.
+    const writableCategories = categories.filter(cat => canEditInCategory(cat) || cat._id === category);
+    const selectedCategory = categories.find(cat => cat._id === category);
+    const assignableUsers = getAssignableUsers(selectedCategory, currentUser);
+
+    // Al cambiar de lista, el asignado se quita si no es miembro de la nueva.
+    const handleCategoryChange = (value) => {
+        setCategory(value);
+        const nextUsers = getAssignableUsers(categories.find(cat => cat._id === value), currentUser);
+        if (assignee && !nextUsers.some(user => user._id === assignee)) setAssignee('');
+    };
 
     const handleSubmit = async (e) => {
         e.preventDefault();
+        setError('');
         if (!title.trim()) {
-            setError('El título es obligatorio.');
+            setFieldErrors({ title: t('task.form.titleRequired') });
+            return;
+        }
+        if (recurrence?.frequency === 'weekly' && !recurrence.weekdays?.length) {
+            setFieldErrors({ recurrence: t('task.form.weekdaysRequired') });
             return;
         }
 
         setIsLoading(true);
-        setError('');
+        setFieldErrors({});
 
         const taskData = {
             title,
             description,
             dueDate: dueDate || undefined,
+            dueTime: dueDate && dueTime ? dueTime : (taskToEdit?.dueTime ? null : undefined),
+            reminderOffset: dueDate && reminderOffset !== '' ? Number(reminderOffset) : (taskToEdit?.reminderOffset != null ? null : undefined),
             priority,
             category: category || undefined,
+            assignee: assignee || (taskToEdit?.assignee ? null : undefined),
+            // null borra la regla de una tarea que antes se repetía.
+            recurrence: recurrence || (taskToEdit?.recurrence ? null : undefined),
+            subtasks: subtasks
+                .filter(subtask => subtask.title.trim())
+                .map(subtask => ({ ...subtask, title: subtask.title.trim() })),
+            completeWithSubtasks,
         };
 
         try {
             let result;
             if (taskToEdit) {
-                result = await tasks.update(taskToEdit._id, taskData);
+                result = await tasks.update(taskToEdit._id, taskData, { signal: getSignal() });
                 onSave(result.task, 'updated');
             } else {
-                result = await tasks.create(taskData);
+                result = await tasks.create(taskData, { signal: getSignal() });
                 onSave(result.task, 'created');
+                attachmentState.uploadStaged(result.task._id);
                 setTitle('');
                 setDescription('');
                 setDueDate('');
+                setDueTime('');
+                setReminderOffset('');
                 setPriority('Medium');
                 setCategory('');
+                setAssignee('');
+                setRecurrence(null);
+                setSubtasks([]);
+                setCompleteWithSubtasks(false);
             }
         } catch (err) {
-            setError(err.message || 'Error al guardar la tarea.');
+            if (isCancelled(err)) return;
+            const split = splitApiError(err, TASK_FIELDS, t, t('task.form.saveError'));
+            setFieldErrors(split.fieldErrors);
+            setError(split.message);
         } finally {
             setIsLoading(false);
         }
@@ -239,58 +571,138 @@ const TaskForm = ({ taskToEdit, categories, onSave, onCancel }) => {
 
     return (
         <div className="form-card">
-            <h3 className="text-lg font-semibold mb-4 text-gray-700">{taskToEdit ? 'Editar Tarea' : 'Crear Nueva Tarea'}</h3>
-            <form onSubmit={handleSubmit} className="space-y-3">
+            <h3 id={`${idPrefix}-heading`} className="text-lg font-semibold mb-4 text-gray-700">{taskToEdit ? t('task.form.editTitle') : t('task.form.createTitle')}</h3>
+            <form onSubmit={handleSubmit} className="space-y-3" aria-labelledby={`${idPrefix}-heading`} aria-busy={isLoading}>
                 <input
+                    id={`${idPrefix}-title`}
                     type="text"
-                    placeholder="Título de la tarea (obligatorio)"
+                    placeholder={t('task.form.title')}
+                    aria-label={t('task.form.title')}
                     value={title}
                     onChange={(e) => setTitle(e.target.value)}
                     className="input-field mb-4"
                     required
                     disabled={isLoading}
+                    {...fieldErrorProps(errorId('title'), fieldErrors.title)}
                 />
-                <textarea
-                    placeholder="Descripción (opcional)"
+                <FieldError id={errorId('title')} message={fieldErrors.title} />
+                <MarkdownEditor
+                    id={`${idPrefix}-description`}
+                    placeholder={t('task.form.description')}
+                    aria-label={t('task.form.description')}
                     value={description}
-                    onChange={(e) => setDescription(e.target.value)}
-                    className="input-field min-h-[60px] mb-4"
+                    onChange={setDescription}
+                    className="mb-4"
                     disabled={isLoading}
+                    {...fieldErrorProps(errorId('description'), fieldErrors.description)}
                 />
+                <FieldError id={errorId('description')} message={fieldErrors.description} />
                 <div className="grid grid-cols-2 gap-3 mb-4">
                     <input
                         type="date"
                         value={dueDate}
                         onChange={(e) => setDueDate(e.target.value)}
                         className="input-field"
-                        title="Fecha de Vencimiento"
+                        title={t('task.form.dueDate')}
+                        aria-label={t('task.form.dueDate')}
                         disabled={isLoading}
+                        {...fieldErrorProps(errorId('dueDate'), fieldErrors.dueDate)}
                     />
                     <select
                         value={priority}
                         onChange={(e) => setPriority(e.target.value)}
                         className="input-field"
+                        aria-label={t('task.form.priority')}
                         disabled={isLoading}
+                        {...fieldErrorProps(errorId('priority'), fieldErrors.priority)}
                     >
-                        <option value="Low">Prioridad Baja</option>
-                        <option value="Medium">Prioridad Media</option>
-                        <option value="High">Prioridad Alta</option>
+                        <option value="Low">{t('priority.option.Low')}</option>
+                        <option value="Medium">{t('priority.option.Medium')}</option>
+                        <option value="High">{t('priority.option.High')}</option>
                     </select>
                 </div>
-                {categories.length > 0 && (
+                <FieldError id={errorId('dueDate')} message={fieldErrors.dueDate} />
+                <FieldError id={errorId('priority')} message={fieldErrors.priority} />
+                {dueDate && (
+                    <div className="grid grid-cols-2 gap-3 mb-4">
+                        <input
+                            type="time"
+                            value={dueTime}
+                            onChange={(e) => setDueTime(e.target.value)}
+                            className="input-field"
+                            title={t('task.form.dueTime')}
+                            aria-label={t('task.form.dueTime')}
+                            disabled={isLoading}
+                            {...fieldErrorProps(errorId('dueTime'), fieldErrors.dueTime)}
+                        />
+                        <select
+                            value={reminderOffset}
+                            onChange={(e) => setReminderOffset(e.target.value)}
+                            className="input-field"
+                            title={t('task.form.reminder')}
+                            aria-label={t('task.form.reminder')}
+                            disabled={isLoading}
+                            {...fieldErrorProps(errorId('reminderOffset'), fieldErrors.reminderOffset)}
+                        >
+                            {REMINDER_OPTIONS.map(offset => (
+                                <option key={offset} value={offset}>{t(`reminder.offset.${offset === '' ? 'none' : offset}`)}</option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+                {dueDate && <FieldError id={errorId('dueTime')} message={fieldErrors.dueTime} />}
+                {dueDate && <FieldError id={errorId('reminderOffset')} message={fieldErrors.reminderOffset} />}
+                {writableCategories.length > 0 && (
                     <select
                         value={category}
-                        onChange={(e) => setCategory(e.target.value)}
+                        onChange={(e) => handleCategoryChange(e.target.value)}
                         className="input-field mb-4"
+                        aria-label={t('task.form.category')}
                         disabled={isLoading}
+                        {...fieldErrorProps(errorId('category'), fieldErrors.category)}
                     >
-                        <option value="">-- Seleccionar Categoría --</option>
-                        {categories.map(cat => (
+                        <option value="">{t('task.form.noCategory')}</option>
+                        {writableCategories.map(cat => (
                             <option key={cat._id} value={cat._id}>{cat.name}</option>
                         ))}
                     </select>
                 )}
-                {error && <p className="text-red-600 text-sm mt-2 font-medium">{error}</p>}
+                <FieldError id={errorId('category')} message={fieldErrors.category} />
+                {assignableUsers.length > 0 && (
+                    <select
+                        value={assignee}
+                        onChange={(e) => setAssignee(e.target.value)}
+                        className="input-field mb-4"
+                        aria-label={t('task.form.assignee')}
+                        disabled={isLoading}
+                        {...fieldErrorProps(errorId('assignee'), fieldErrors.assignee)}
+                    >
+                        <option value="">{t('task.form.unassigned')}</option>
+                        {assignableUsers.map(user => (
+                            <option key={user._id} value={user._id}>
+                                {user._id === currentUser?._id ? t('task.form.assignToMe') : getDisplayName(user)}
+                            </option>
+                        ))}
+                    </select>
+                )}
+                <FieldError id={errorId('assignee')} message={fieldErrors.assignee} />
+                <SubtaskEditor
+                    subtasks={subtasks}
+                    onChange={setSubtasks}
+                    completeWithSubtasks={completeWithSubtasks}
+                    onCompleteWithSubtasksChange={setCompleteWithSubtasks}
+                    disabled={isLoading}
+                />
+                <FieldError id={errorId('subtasks')} message={fieldErrors.subtasks} />
+                <RecurrenceFields
+                    value={recurrence}
+                    onChange={setRecurrence}
+                    dueDate={dueDate}
+                    disabled={isLoading}
+                />
+                <FieldError id={errorId('recurrence')} message={fieldErrors.recurrence} />
+                {!taskToEdit && <AttachmentPanel state={attachmentState} disabled={isLoading} idPrefix={`${idPrefix}-attachments`} />}
+                {error && <p className="text-red-600 text-sm mt-2 font-medium" role="alert">{error}</p>}
                 
                 <div className="flex justify-center space-x-2 pt-2">
                     {taskToEdit && (
@@ -300,7 +712,7 @@ const TaskForm = ({ taskToEdit, categories, onSave, onCancel }) => {
                             className="btn-secondary"
                             disabled={isLoading}
                         >
-                            Cancelar
+                            {t('task.form.cancel')}
                         </button>
                     )}
                     <button
@@ -308,7 +720,7 @@ const TaskForm = ({ taskToEdit, categories, onSave, onCancel }) => {
                         className="btn-primary"
                         disabled={isLoading}
                     >
-                        {isLoading ? 'Guardando...' : taskToEdit ? 'Guardar Cambios' : 'Crear Tarea'}
+                        {isLoading ? t('task.form.saving') : taskToEdit ? t('task.form.save') : t('task.form.create')}
                     </button>
                 </div>
             </form>
@@ -316,11 +728,103 @@ const TaskForm = ({ taskToEdit, categories, onSave, onCancel }) => {
     );
 };
 
-const CategoryManager = ({ categories, onCategorySave, onCategoryDelete, onCategoriesUpdated }) => {
-    const { categories: apiCategories } = useApi();
+const CategoryTag = ({ category }) => {
+    const { t } = useI18n();
+    const color = getCategoryColor(category);
+    return (
+        <span className="category-tag" style={{ backgroundColor: color.background, color: color.text }}>
+            {/* Componente de lucide-react fijo por icono: no se crea en el render. */}
+            {createElement(getCategoryIcon(category), { size: 14, 'aria-hidden': 'true', className: 'category-icon' })}
+            {category?.name || t('category.none')}
+        </span>
+    );
+};
+
+// Nombre, color e icono de una categoría (edición en línea).
+const CategoryEditForm = ({ category, onSave, onCancel, disabled }) => {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState({
+        name: category.name,
+        color: getCategoryColor(category).value,
+        icon: category.icon || CATEGORY_ICONS[0].value,
+    });
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!draft.name.trim()) return;
+        onSave({ ...draft, name: draft.name.trim() });
+    };
+
+    return (
+        <form
+            onSubmit={handleSubmit}
+            onKeyDown={(e) => e.key === 'Escape' && onCancel()}
+            className="category-edit-form"
+        >
+            <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                className="input-field"
+                aria-label={t('category.name')}
+                disabled={disabled}
+                autoFocus
+            />
+            <fieldset className="category-swatches" disabled={disabled}>
+                <legend className="sr-only">{t('category.color')}</legend>
+                {CATEGORY_COLORS.map(color => (
+                    <label key={color.value} className="category-swatch" title={t(`category.color.${color.value}`)}>
+                        <input
+                            type="radio"
+                            name={`color-${category._id}`}
+                            value={color.value}
+                            checked={draft.color === color.value}
+                            onChange={() => setDraft({ ...draft, color: color.value })}
+                            className="sr-only"
+                        />
+                        <span style={{ backgroundColor: color.background, borderColor: color.text }} aria-hidden="true" />
+                        <span className="sr-only">{t(`category.color.${color.value}`)}</span>
+                    </label>
+                ))}
+            </fieldset>
+            <fieldset className="category-icons" disabled={disabled}>
+                <legend className="sr-only">{t('category.icon')}</legend>
+                {CATEGORY_ICONS.map(({ value, Icon }) => (
+                    <label key={value} className="category-icon-option" title={t(`category.icon.${value}`)}>
+                        <input
+                            type="radio"
+                            name={`icon-${category._id}`}
+                            value={value}
+                            checked={draft.icon === value}
+                            onChange={() => setDraft({ ...draft, icon: value })}
+                            className="sr-only"
+                        />
+                        {createElement(Icon, { size: 16, 'aria-hidden': 'true' })}
+                        <span className="sr-only">{t(`category.icon.${value}`)}</span>
+                    </label>
+                ))}
+            </fieldset>
+            <div className="flex justify-end space-x-2">
+                <button type="button" onClick={onCancel} className="btn-secondary text-sm" disabled={disabled}>{t('category.cancel')}</button>
+                <button type="submit" className="btn-primary text-sm" disabled={disabled || !draft.name.trim()}>{t('category.save')}</button>
+            </div>
+        </form>
+    );
+};
+
+// `taskCount` de cada categoría lo da GET /api/categories; si el backend no lo
+// manda, `onCountTasks(category)` lo pide antes de borrarla.
+const CategoryManager = ({ categories, currentUser, onCountTasks, onCategorySave, onCategoryUpdate, onCategoryDelete, onCategoryShared }) => {
+    const { t } = useI18n();
+    const { categories: apiCategories } = useOfflineApi();
     const [newCategoryName, setNewCategoryName] = useState('');
     const [error, setError] = useState('');
     const [isLoading, setIsLoading] = useState(false);
+    const [editingId, setEditingId] = useState(null);
+    // Borrado pendiente de una categoría con tareas: { category, moveTo, count }.
+    const [pendingDelete, setPendingDelete] = useState(null);
+    const [sharingId, setSharingId] = useState(null);
+    const sharingCategory = categories.find(cat => cat._id === sharingId);
 
     const handleCreateCategory = async (e) => {
         e.preventDefault();
@@ -329,85 +833,252 @@ const CategoryManager = ({ categories, onCategorySave, onCategoryDelete, onCateg
         setIsLoading(true);
         setError('');
         try {
-            const result = await apiCategories.create({ name: newCategoryName });
+            const result = await apiCategories.create({
+                name: newCategoryName,
+                color: pickNextColor(categories),
+                icon: CATEGORY_ICONS[0].value,
+            });
             onCategorySave(result.category);
             setNewCategoryName('');
         } catch (err) {
-            setError(err.message || 'Error al crear la categoría.');
+            setError(getErrorMessage(err, t, t('category.createError')));
         } finally {
             setIsLoading(false);
         }
     };
-    
-    const handleDeleteCategory = async (categoryId) => {
-        if (!window.confirm('ADVERTENCIA: ¿Estás seguro de que quieres eliminar esta categoría? Si hay tareas asociadas, podrían quedar sin categoría.')) {
-            return;
-        }
 
+    const handleUpdateCategory = async (category, changes) => {
         setIsLoading(true);
         setError('');
         try {
-            await apiCategories.delete(categoryId);
-            onCategoryDelete(categoryId);
+            const result = await apiCategories.update(category._id, changes);
+            onCategoryUpdate(category, result.category);
+            setEditingId(null);
         } catch (err) {
-            setError(err.message || 'Error al eliminar la categoría. Asegúrate de que no haya tareas dependientes.');
+            setError(getErrorMessage(err, t, t('category.saveError')));
         } finally {
             setIsLoading(false);
         }
     };
+    
+    // `moveTo`: id de la categoría que recibe las tareas, o null para
+    // dejarlas sin categoría.
+    const handleDeleteCategory = async (category, moveTo = null) => {
+        setIsLoading(true);
+        setError('');
+        try {
+            await onCategoryDelete(category, moveTo);
+            setPendingDelete(null);
+        } catch (err) {
+            setError(getErrorMessage(err, t, t('category.deleteError')));
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const requestDelete = async (category) => {
+        setEditingId(null);
+        setError('');
+        let count = category.taskCount;
+        if (count === undefined) {
+            try {
+                count = await onCountTasks(category);
+            } catch (err) {
+                setError(getErrorMessage(err, t, t('category.deleteError')));
+                return;
+            }
+        }
+        if (count > 0) {
+            setPendingDelete({ category, moveTo: '', count });
+        } else {
+            handleDeleteCategory(category);
+        }
+    };
 
     return (
         <div className="form-card p-4">
-            <h3 className="text-lg font-semibold mb-3 text-gray-700">Categorías</h3>
+            <h3 className="text-lg font-semibold mb-3 text-gray-700">{t('category.title')}</h3>
             <form onSubmit={handleCreateCategory} className="flex space-x-2 mb-4">
                 <input
                     type="text"
-                    placeholder="Nombre de nueva categoría"
+                    placeholder={t('category.newName')}
+                    aria-label={t('category.newName')}
                     value={newCategoryName}
                     onChange={(e) => setNewCategoryName(e.target.value)}
                     className="input-field flex-1"
                     disabled={isLoading}
                 />
                 <button type="submit" className="btn-primary text-sm" disabled={isLoading}>
-                    {isLoading ? '...' : 'Añadir'}
+                    {isLoading ? '...' : t('category.add')}
                 </button>
             </form>
-            {error && <p className="text-red-600 text-sm mb-3 font-medium">{error}</p>}
+            {error && <p className="text-red-600 text-sm mb-3 font-medium" role="alert">{error}</p>}
             
-            <div className="flex flex-wrap gap-2 max-h-40 overflow-y-auto pr-1">
-                {categories.map(cat => (
-                    <div key={cat._id} className="category-tag text-sm flex items-center space-x-1">
-                        <span>{cat.name}</span>
-                        <button
-                            type="button"
-                            onClick={() => handleDeleteCategory(cat._id)}
-                            className="text-red-600 hover:text-red-800 ml-1 leading-none"
-                            title={`Eliminar categoría ${cat.name}`}
-                            disabled={isLoading}
-                        >
-                            &times;
-                        </button>
-                    </div>
-                ))}
-                {categories.length === 0 && <p className="text-gray-500 text-sm">No hay categorías. ¡Crea una!</p>}
-            </div>
+            <ul className="category-list max-h-64 overflow-y-auto pr-1">
+                {categories.map(cat => {
+                    const count = cat.taskCount;
+                    return (
+                        <li key={cat._id} className="category-row">
+                            {editingId === cat._id ? (
+                                <CategoryEditForm
+                                    category={cat}
+                                    onSave={(changes) => handleUpdateCategory(cat, changes)}
+                                    onCancel={() => setEditingId(null)}
+                                    disabled={isLoading}
+                                />
+                            ) : (
+                                <div className="category-row-main">
+                                    <CategoryTag category={cat} />
+                                    {getCategoryRole(cat) !== 'owner' && (
+                                        <span className="category-role">{t(`share.role.${getCategoryRole(cat)}`)}</span>
+                                    )}
+                                    {count !== undefined && (
+                                        <span className="category-count" title={t('category.taskCount', { count })}>{count}</span>
+                                    )}
+                                    {!cat.pendingSync && (
+                                        <button
+                                            type="button"
+                                            onClick={() => setSharingId(cat._id)}
+                                            className={`icon-button ${isSharedCategory(cat) ? 'icon-button-active' : ''}`}
+                                            aria-label={t('share.openNamed', { name: cat.name })}
+                                            title={t('share.open')}
+                                            disabled={isLoading}
+                                        >
+                                            <Users size={14} aria-hidden="true" />
+                                        </button>
+                                    )}
+                                    {canManageCategory(cat) && (
+                                        <>
+                                            <button
+                                                type="button"
+                                                onClick={() => setEditingId(cat._id)}
+                                                className="icon-button"
+                                                aria-label={t('category.editNamed', { name: cat.name })}
+                                                title={t('category.edit')}
+                                                disabled={isLoading}
+                                            >
+                                                <Pencil size={14} aria-hidden="true" />
+                                            </button>
+                                            <button
+                                                type="button"
+                                                onClick={() => requestDelete(cat)}
+                                                className="icon-button icon-button-danger"
+                                                aria-label={t('category.deleteNamed', { name: cat.name })}
+                                                title={t('category.delete')}
+                                                disabled={isLoading}
+                                            >
+                                                <Trash2 size={14} aria-hidden="true" />
+                                            </button>
+                                        </>
+                                    )}
+                                </div>
+                            )}
+
+                            {pendingDelete?.category._id === cat._id && (
+                                <div className="category-delete-panel" role="group" aria-label={t('category.deletePanel', { name: cat.name })}>
+                                    <p className="text-sm mb-2">
+                                        {t('category.deleteQuestion', { name: cat.name, count: pendingDelete.count })}
+                                    </p>
+                                    <select
+                                        value={pendingDelete.moveTo}
+                                        onChange={(e) => setPendingDelete({ ...pendingDelete, moveTo: e.target.value })}
+                                        className="input-field mb-2"
+                                        aria-label={t('category.moveTarget')}
+                                        disabled={isLoading}
+                                    >
+                                        <option value="">{t('category.leaveUncategorized')}</option>
+                                        {categories.filter(other => other._id !== cat._id && canEditInCategory(other)).map(other => (
+                                            <option key={other._id} value={other._id}>{t('category.moveTo', { name: other.name })}</option>
+                                        ))}
+                                    </select>
+                                    <div className="flex justify-end space-x-2">
+                                        <button type="button" onClick={() => setPendingDelete(null)} className="btn-secondary text-sm" disabled={isLoading}>
+                                            {t('category.cancel')}
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={() => handleDeleteCategory(cat, pendingDelete.moveTo || null)}
+                                            className="btn-danger text-sm"
+                                            disabled={isLoading}
+                                        >
+                                            {t('category.confirmDelete')}
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+                        </li>
+                    );
+                })}
+                {categories.length === 0 && <li className="text-gray-500 text-sm">{t('category.empty')}</li>}
+            </ul>
+
+            {sharingCategory && (
+                <ShareDialog
+                    category={sharingCategory}
+                    currentUser={currentUser}
+                    onChange={(updated) => onCategoryShared(sharingCategory, updated)}
+                    onClose={() => setSharingId(null)}
+                />
+            )}
         </div>
     );
 };
 
 
-const TaskItem = ({ task, categoriesMap, onToggleComplete, onEdit, onDelete }) => {
+const SubtaskChecklist = ({ task, onToggleSubtask, disabled }) => {
+    const [isExpanded, setIsExpanded] = useState(false);
+    const { done, total } = getSubtaskProgress(task.subtasks);
+    const listId = `subtasks-${task._id}`;
+
+    return (
+        <div className="subtask-checklist">
+            <button
+                type="button"
+                onClick={() => setIsExpanded(prev => !prev)}
+                className="subtask-toggle"
+                aria-expanded={isExpanded}
+                aria-controls={listId}
+            >
+                <span className="subtask-progress-bar" aria-hidden="true">
+                    <span style={{ width: `${(done / total) * 100}%` }} />
+                </span>
+                {done}/{total} {isExpanded ? '▾' : '▸'}
+            </button>
+            {isExpanded && (
+                <ul id={listId} className="subtask-list">
+                    {task.subtasks.map(subtask => (
+                        <li key={getSubtaskKey(subtask)}>
+                            <label className={subtask.isCompleted ? 'subtask-done' : ''}>
+                                <input
+                                    type="checkbox"
+                                    checked={subtask.isCompleted}
+                                    onChange={() => onToggleSubtask(task, getSubtaskKey(subtask))}
+                                    disabled={disabled || task.isUpdating}
+                                />
+                                {subtask.title}
+                            </label>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+const TaskItem = ({ task, categoriesMap, currentUser, onToggleComplete, onToggleSubtask, onOpen, onDelete, isSelecting, isSelected, onSelect, isFocused }) => {
+    const { t, language, formatDate } = useI18n();
+    const itemRef = useRef(null);
     const isCompleted = task.isCompleted;
-    const categoryName = categoriesMap[task.category]?.name || 'Sin Categoría';
+    const category = categoriesMap[task.category];
     const hasDueDate = !!task.dueDate;
+    // Tareas de una lista compartida en la que el usuario solo es lector.
+    const isReadOnly = !canEditTask(task, categoriesMap);
+    const assignee = findAssignee(task, categoriesMap, currentUser);
+    const descriptionText = useMemo(() => markdownToText(task.description || ''), [task.description]);
 
-    const now = new Date();
-    now.setHours(0, 0, 0, 0);
-    const dueDate = task.dueDate ? new Date(task.dueDate) : null;
-    dueDate?.setHours(0, 0, 0, 0);
-
-    const isOverdue = dueDate && dueDate < now && !isCompleted;
-    const isToday = dueDate && dueDate.getTime() === now.getTime() && !isCompleted;
+    const dueStatus = getDueStatus(task);
+    const isOverdue = dueStatus === 'overdue';
+    const isToday = dueStatus === 'today';
 
     const priorityClass = {
         Low: 'priority-low',
@@ -415,74 +1086,512 @@ const TaskItem = ({ task, categoriesMap, onToggleComplete, onEdit, onDelete }) =
         High: 'priority-high',
     }[task.priority] || '';
 
+    // Al marcarla con j/k se desplaza la lista hasta ella.
+    useEffect(() => {
+        if (isFocused) itemRef.current?.scrollIntoView({ block: 'nearest' });
+    }, [isFocused]);
 
     return (
-        <div className={`task-item ${isCompleted ? 'task-item-completed' : ''} ${isOverdue ? 'border-red-400' : 'border-gray-200'}`}>
+        <li
+            ref={itemRef}
+            className={`task-item ${isCompleted ? 'task-item-completed' : ''} ${isOverdue ? 'border-red-400' : 'border-gray-200'} ${isSelected ? 'task-item-selected' : ''} ${isFocused ? 'task-item-focused' : ''}`}
+            aria-current={isFocused ? 'true' : undefined}
+        >
             <div className="flex items-center space-x-3 flex-grow min-w-0">
+                {isSelecting && (
+                    // onClick en lugar de onChange para leer shiftKey (selección por rango).
+                    <input
+                        type="checkbox"
+                        checked={isSelected}
+                        onClick={(e) => onSelect(task, e)}
+                        onChange={() => {}}
+                        className="task-select-checkbox"
+                        aria-label={t('task.item.select', { title: task.title })}
+                    />
+                )}
                 <input
                     type="checkbox"
                     checked={isCompleted}
                     onChange={() => onToggleComplete(task)} 
                     className="task-checkbox"
+                    aria-label={t('task.item.complete', { title: task.title })}
+                    disabled={isReadOnly}
                 />
                 
                 <div className="flex-1 min-w-0">
-                    <p 
-                        className={`task-title truncate cursor-pointer ${priorityClass}`}
-                        onClick={() => onEdit(task)} 
+                    {/* Abre el detalle (comentarios y actividad), también en solo lectura. */}
+                    <button
+                        type="button"
+                        className={`task-title task-title-button truncate ${priorityClass}`}
+                        onClick={() => onOpen(task)}
                         title={task.title}
+                        aria-label={t('task.item.open', { title: task.title })}
                     >
                         {task.title}
-                    </p>
+                    </button>
                     {task.description && (
-                         <p className="task-description truncate" title={task.description}>
-                            {task.description}
+                         <p className="task-description" title={descriptionText}>
+                            {descriptionText}
                         </p>
                     )}
                     
                     <div className="flex space-x-2 mt-1">
-                        <span className="category-tag">{categoryName}</span>
+                        <CategoryTag category={category} />
+
+                        {task.recurrence && (
+                            <span className="recurrence-tag" title={describeRecurrence(task.recurrence, language)}>
+                                ↻ {describeRecurrence(task.recurrence, language)}
+                            </span>
+                        )}
+
+                        {isReadOnly && (
+                            <span className="readonly-tag" title={t('task.item.readOnlyHint')}>
+                                {t('task.item.readOnly')}
+                            </span>
+                        )}
+
+                        {task.pendingSync && (
+                            <span className="sync-tag" title={t('task.item.pendingSyncHint')}>
+                                {t('task.item.pendingSync')}
+                            </span>
+                        )}
 
                         {hasDueDate && (
                              <span className={`due-date-tag ${isOverdue ? 'bg-red-200 text-red-800 font-bold' : isToday ? 'bg-yellow-200 text-yellow-800' : ''}`}>
-                                {isOverdue ? '¡Vencida!' : isToday ? '¡Hoy!' : new Date(task.dueDate).toLocaleDateString()}
+                                {isOverdue ? t('task.item.overdue') : isToday ? t('task.item.today') : formatDate(parseISO(task.dueDate.split('T')[0]), 'P')}
+                                {task.dueTime && ` · ${formatDate(getDueDateTime(task), 'p')}`}
+                                {task.reminderOffset !== undefined && task.reminderOffset !== null && (
+                                    <span className="ml-1" role="img" title={t('task.item.hasReminder')} aria-label={t('task.item.hasReminder')}> 🔔</span>
+                                )}
                             </span>
                         )}
                        
                     </div>
+
+                    {task.subtasks?.length > 0 && (
+                        <SubtaskChecklist task={task} onToggleSubtask={onToggleSubtask} disabled={isReadOnly} />
+                    )}
                 </div>
             </div>
 
             <div className="flex items-center space-x-2 ml-4">
+                {assignee && (
+                    <Avatar
+                        user={assignee}
+                        label={assignee._id === currentUser?._id
+                            ? t('task.item.assignedToMe')
+                            : t('task.item.assignedTo', { name: getDisplayName(assignee) || t('task.item.formerMember') })}
+                    />
+                )}
+                {!isReadOnly && (
+                    <button
+                        type="button"
+                        onClick={() => onDelete(task._id)}
+                        className="delete-button"
+                        title={t('task.item.delete')}
+                        aria-label={t('task.item.deleteNamed', { title: task.title })}
+                    >
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor" style={{ height: '1.25rem', width: '1.25rem' }} aria-hidden="true" focusable="false">
+                            <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
+                        </svg>
+                    </button>
+                )}
+            </div>
+        </li>
+    );
+};
+
+// Pie de cada vista: el botón para pedir la siguiente página (el scroll
+// infinito la pide solo, pero con teclado o si la página no llena la
+// pantalla hace falta el botón) y el error de la última consulta.
+const ListFooter = ({ query }) => {
+    const { t } = useI18n();
+    if (!query.hasMore && !query.error) return null;
+
+    return (
+        <div className="list-footer" role="status">
+            {query.hasMore && query.isLoading && (
+                <p className="flex items-center gap-2">
+                    <span className="spinner spinner-small" aria-hidden="true"></span>
+                    {t('app.loadingMore')}
+                </p>
+            )}
+            {query.error && !query.isLoading && (
+                <p className="list-footer-error">
+                    {getErrorMessage(query.error, t, t('errors.load'))}{' '}
+                    <button type="button" onClick={query.hasMore ? query.loadMore : query.reload} className="btn-secondary text-sm">
+                        {t('app.retry')}
+                    </button>
+                </p>
+            )}
+            {query.hasMore && !query.isLoading && !query.error && (
+                <button type="button" onClick={query.loadMore} className="btn-secondary text-sm">
+                    {t('app.loadMore', { loaded: query.items.length, total: query.total })}
+                </button>
+            )}
+        </div>
+    );
+};
+
+const FilterBar = ({ filters, categories, onChange }) => {
+    const { t } = useI18n();
+    const update = (key) => (e) => onChange(prev => ({ ...prev, [key]: e.target.value }));
+
+    return (
+        <div className="filter-bar">
+            <input
+                type="search"
+                placeholder={t('filters.search')}
+                aria-label={t('filters.searchLabel')}
+                value={filters.q}
+                onChange={update('q')}
+                className="input-field filter-search"
+            />
+            <div className="filter-row">
+                <select value={filters.category} onChange={update('category')} className="input-field" title={t('filters.category')} aria-label={t('filters.category')}>
+                    <option value="">{t('filters.allCategories')}</option>
+                    <option value="none">{t('category.none')}</option>
+                    {categories.map(cat => (
+                        <option key={cat._id} value={cat._id}>{cat.name}</option>
+                    ))}
+                </select>
+                <select value={filters.priority} onChange={update('priority')} className="input-field" title={t('filters.priority')} aria-label={t('filters.priority')}>
+                    <option value="">{t('filters.allPriorities')}</option>
+                    <option value="High">{t('priority.option.High')}</option>
+                    <option value="Medium">{t('priority.option.Medium')}</option>
+                    <option value="Low">{t('priority.option.Low')}</option>
+                </select>
+                <select value={filters.due} onChange={update('due')} className="input-field" title={t('filters.due')} aria-label={t('filters.due')}>
+                    <option value="">{t('filters.due.any')}</option>
+                    <option value="overdue">{t('filters.due.overdue')}</option>
+                    <option value="today">{t('filters.due.today')}</option>
+                    <option value="upcoming">{t('filters.due.upcoming')}</option>
+                    <option value="none">{t('filters.due.none')}</option>
+                </select>
+            </div>
+            <div className="filter-row">
+                <label className="filter-label">
+                    {t('filters.from')}
+                    <input type="date" value={filters.from} onChange={update('from')} className="input-field" />
+                </label>
+                <label className="filter-label">
+                    {t('filters.to')}
+                    <input type="date" value={filters.to} onChange={update('to')} className="input-field" />
+                </label>
+                <label className="filter-check">
+                    <input
+                        type="checkbox"
+                        checked={filters.assignee === 'me'}
+                        onChange={(e) => onChange(prev => ({ ...prev, assignee: e.target.checked ? 'me' : '' }))}
+                    />
+                    {t('filters.assignedToMe')}
+                </label>
+                <label className="filter-label">
+                    {t('filters.sortBy')}
+                    <select value={filters.sort} onChange={update('sort')} className="input-field">
+                        {SORT_OPTIONS.map(sort => (
+                            <option key={sort} value={sort}>{t(`filters.sort.${sort}`)}</option>
+                        ))}
+                    </select>
+                </label>
                 <button
-                    onClick={() => onDelete(task._id)}
-                    className="delete-button"
-                    title="Eliminar Tarea"
+                    type="button"
+                    onClick={() => onChange(prev => ({ ...prev, dir: prev.dir === 'asc' ? 'desc' : 'asc' }))}
+                    className="btn-secondary text-sm"
+                    title={filters.dir === 'asc' ? t('filters.asc') : t('filters.desc')}
                 >
-                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor" style={{ height: '1.25rem', width: '1.25rem' }}>
-                        <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
-                    </svg>
+                    {filters.dir === 'asc' ? t('filters.ascShort') : t('filters.descShort')}
                 </button>
+                {hasActiveFilters(filters) && (
+                    <button
+                        type="button"
+                        onClick={() => onChange(prev => ({ ...DEFAULT_FILTERS, sort: prev.sort, dir: prev.dir, showCompleted: prev.showCompleted, view: prev.view }))}
+                        className="btn-secondary text-sm"
+                    >
+                        {t('filters.clear')}
+                    </button>
+                )}
             </div>
         </div>
     );
 };
 
+const ReminderSettings = ({ settings, onChange, permission, onRequestPermission }) => {
+    const { t } = useI18n();
+
+    const handleEnabledChange = async (e) => {
+        const enabled = e.target.checked;
+        if (enabled && permission !== 'granted') {
+            const result = await onRequestPermission();
+            if (result !== 'granted') return;
+        }
+        onChange(prev => ({ ...prev, enabled }));
+    };
+
+    return (
+        <div className="form-card p-4 reminder-settings">
+            <h3 className="text-lg font-semibold mb-3 text-gray-700">{t('reminders.title')}</h3>
+            <label className="reminder-option">
+                <input
+                    type="checkbox"
+                    checked={settings.enabled && permission === 'granted'}
+                    onChange={handleEnabledChange}
+                    disabled={permission === 'denied' || permission === 'unsupported'}
+                />
+                {t('reminders.enable')}
+            </label>
+            <label className="reminder-option">
+                <input
+                    type="checkbox"
+                    checked={settings.overdueAlerts}
+                    onChange={(e) => onChange(prev => ({ ...prev, overdueAlerts: e.target.checked }))}
+                    disabled={!settings.enabled}
+                />
+                {t('reminders.overdue')}
+            </label>
+            <p className="text-sm text-gray-500 mt-2">
+                {t('reminders.permission', { status: t(`reminders.permission.${permission}`) })}
+                {permission === 'default' && (
+                    <button type="button" onClick={onRequestPermission} className="link-button">{t('reminders.requestPermission')}</button>
+                )}
+            </p>
+            {permission === 'denied' && (
+                <p className="text-sm text-gray-500">{t('reminders.deniedHint')}</p>
+            )}
+            <p className="text-sm text-gray-500">{t('reminders.hint')}</p>
+        </div>
+    );
+};
+
+const THEME_ICONS = { light: Sun, dark: Moon, system: Monitor };
+
+// Botón de la cabecera: pasa de claro a oscuro y a «sistema».
+const ThemeToggle = ({ mode, onChange }) => {
+    const { t } = useI18n();
+    const Icon = THEME_ICONS[mode];
+    return (
+        <button
+            type="button"
+            onClick={() => onChange(getNextThemeMode(mode))}
+            className="theme-toggle"
+            aria-label={t('theme.toggle', { mode: t(`theme.mode.${mode}`) })}
+            title={t('theme.toggle', { mode: t(`theme.mode.${mode}`) })}
+        >
+            <Icon size={16} aria-hidden="true" />
+            {t(`theme.mode.${mode}`)}
+        </button>
+    );
+};
+
+const ThemeSettings = ({ settings, onChange }) => {
+    const { t } = useI18n();
+    return (
+        <div className="form-card p-4 theme-settings">
+            <h3 className="text-lg font-semibold text-gray-700">{t('theme.title')}</h3>
+            <fieldset>
+                <legend>{t('theme.mode')}</legend>
+                <div className="segmented">
+                    {THEME_MODES.map(mode => (
+                        <button
+                            key={mode}
+                            type="button"
+                            onClick={() => onChange(prev => ({ ...prev, mode }))}
+                            className={settings.mode === mode ? 'segmented-active' : ''}
+                            aria-pressed={settings.mode === mode}
+                        >
+                            {t(`theme.mode.${mode}`)}
+                        </button>
+                    ))}
+                </div>
+            </fieldset>
+            <fieldset className="accent-swatches">
+                <legend>{t('theme.accent')}</legend>
+                {ACCENTS.map(accent => (
+                    <label key={accent} className="accent-swatch" title={t(`theme.accent.${accent}`)}>
+                        <input
+                            type="radio"
+                            name="accent"
+                            value={accent}
+                            checked={settings.accent === accent}
+                            onChange={() => onChange(prev => ({ ...prev, accent }))}
+                            className="sr-only"
+                        />
+                        <span data-accent={accent} aria-hidden="true" />
+                        <span className="sr-only">{t(`theme.accent.${accent}`)}</span>
+                    </label>
+                ))}
+            </fieldset>
+            <p className="text-sm text-gray-500">{t('theme.hint')}</p>
+        </div>
+    );
+};
+
+// Texto del aviso de useUndoHistory en el idioma actual.
+const getToastText = ({ message, key, params, error }, t) => (
+    key ? t(key, { ...params, ...(error && { message: getErrorMessage(error, t) }) }) : message
+);
+
+const UndoToast = ({ toast, onUndo, onRedo, onDismiss }) => {
+    const { t } = useI18n();
+    return (
+    <div className="toast-region" role="status" aria-live="polite">
+        {toast && (
+            <div className={`toast ${toast.isError ? 'toast-error' : ''}`}>
+                <span>{getToastText(toast.content, t)}</span>
+                {toast.action === 'undo' && (
+                    <button type="button" onClick={onUndo} className="toast-action">{t('toast.undo')}</button>
+                )}
+                {toast.action === 'redo' && (
+                    <button type="button" onClick={onRedo} className="toast-action">{t('toast.redo')}</button>
+                )}
+                <button type="button" onClick={onDismiss} className="toast-close" aria-label={t('toast.close')}>×</button>
+            </div>
+        )}
+    </div>
+    );
+};
+
 // ----------------------------------------------------------------------
-// 3. Componente Raíz (App)
+// 2. Componente Raíz (App)
 // ----------------------------------------------------------------------
 
+// Payload completo para tasks.update: el backend espera todos los campos, no
+// solo los modificados. `category: null` en `changes` quita la categoría.
+const toUpdatePayload = (task, changes = {}) => {
+    const next = { ...task, ...changes };
+    // Fecha de completado para las estadísticas: se fija al pasar a
+    // completada y se borra al reabrir.
+    const completedAt = !next.isCompleted
+        ? null
+        : (changes.isCompleted && !task.isCompleted ? new Date().toISOString() : next.completedAt || null);
+    return {
+        title: next.title,
+        priority: next.priority,
+        isCompleted: next.isCompleted,
+        ...(next.description ? { description: next.description } : {}),
+        ...(next.dueDate ? { dueDate: next.dueDate.split('T')[0] } : {}),
+        ...(next.dueTime ? { dueTime: next.dueTime } : {}),
+        ...(next.reminderOffset !== undefined && next.reminderOffset !== null ? { reminderOffset: next.reminderOffset } : {}),
+        ...(next.category ? { category: next.category } : changes.category === null ? { category: null } : {}),
+        ...(next.assignee ? { assignee: next.assignee } : changes.assignee === null ? { assignee: null } : {}),
+        ...(next.recurrence ? { recurrence: next.recurrence } : {}),
+        ...(next.subtasks ? { subtasks: next.subtasks } : {}),
+        ...(next.completeWithSubtasks !== undefined ? { completeWithSubtasks: next.completeWithSubtasks } : {}),
+        completedAt,
+    };
+};
+
+// Versión completa de una tarea para restaurarla al deshacer: los campos que
+// no tenía se envían como null para que el servidor los borre.
+const toRestorePayload = (task) => ({
+    description: null,
+    dueDate: null,
+    dueTime: null,
+    reminderOffset: null,
+    category: null,
+    assignee: null,
+    recurrence: null,
+    ...toUpdatePayload(task),
+});
+
+// Traduce el _id de la tarea y el de su categoría con `resolveId` del historial.
+const withResolvedIds = (task, resolveId) => ({
+    ...task,
+    _id: resolveId(task._id),
+    ...(task.category ? { category: resolveId(task.category) } : {}),
+});
+
+// Acciones en lote: a qué tareas seleccionadas se aplican. Las que no
+// aplican (p. ej. completar una ya completada) se omiten y el informe lo
+// explica con `batch.skipped.<tipo>`; los nombres son `batch.action.<tipo>`.
+const BATCH_ACTIONS = {
+    complete: t => !t.isCompleted,
+    reopen: t => t.isCompleted,
+    priority: () => true,
+    category: () => true,
+    shift: t => !!t.dueDate,
+    delete: () => true,
+};
+
+const getBatchChanges = (task, action) => {
+    switch (action.type) {
+        case 'complete': {
+            const nextTaskData = buildNextOccurrence(task);
+            return {
+                changes: { isCompleted: true, ...(nextTaskData ? { recurrence: { ...task.recurrence, hasNext: true } } : {}) },
+                nextTaskData,
+            };
+        }
+        case 'reopen':
+            return { changes: { isCompleted: false } };
+        case 'priority':
+            return { changes: { priority: action.priority } };
+        case 'category':
+            return { changes: { category: action.category } };
+        case 'shift':
+            return { changes: { dueDate: shiftDueDate(task, action.days) } };
+        default:
+            return { changes: {} };
+    }
+};
+
+const describeSyncResult = ({ conflicts, failed }, t) => {
+    const messages = [];
+    if (conflicts.length > 0) {
+        messages.push(t('sync.conflicts', { count: conflicts.length }));
+    }
+    if (failed.length > 0) {
+        messages.push(t('sync.failed', { count: failed.length, message: getErrorMessage(failed[0].error, t) }));
+    }
+    return messages.join(' ') || null;
+};
+
+const getTaskKey = (task) => task._id;
+
+// Los contadores (tareas por categoría, sin fecha en el calendario) los da
+// el servidor: tras cambiar tareas se vuelven a pedir, una vez por ráfaga.
+const COUNTS_REFRESH_DELAY = 1000;
+
 const App = () => {
-    const [isAuthenticated, setIsAuthenticated] = useState(!!localStorage.getItem('token'));
+    const { t, language, setLanguage } = useI18n();
+    const [isAuthenticated, setIsAuthenticated] = useState(session.isActive);
+    const sessionState = useSession();
     
-    const [tasks, setTasks] = useState([]);
     const [categories, setCategories] = useState([]);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
-    const [taskToEdit, setTaskToEdit] = useState(null);
-    const [showCompleted, setShowCompleted] = useState(false); 
-
-    const { tasks: apiTasks, categories: apiCategories } = useApi();
+    // Tarea abierta en el panel de detalle: { task, isEditing }.
+    const [taskDetail, setTaskDetail] = useState(null);
+    const [filters, setFilters] = useUrlFilters();
+    const [isSelecting, setIsSelecting] = useState(false);
+    const [selectedIds, setSelectedIds] = useState(() => new Set());
+    const [batchProgress, setBatchProgress] = useState(null); // { type, done, total }
+    const [batchReport, setBatchReport] = useState(null);
+    const [isSelectingAll, setIsSelectingAll] = useState(false);
+    const selectionAnchorRef = useRef(null);
+    // Tareas seleccionadas con «Seleccionar las N filtradas» que aún no se han
+    // cargado en la lista (id → tarea).
+    const selectionPoolRef = useRef(new Map());
+    const [isPaletteOpen, setIsPaletteOpen] = useState(false);
+    const [isCheatSheetOpen, setIsCheatSheetOpen] = useState(false);
+    const [focusedTaskId, setFocusedTaskId] = useState(null);
+    // Sube con cada carga (al entrar, al reconectar, tras perder eventos)
+    // para que las vistas vuelvan a pedir sus tareas; 0 mientras no se haya
+    // enviado la cola pendiente.
+    const [dataVersion, setDataVersion] = useState(0);
+    // Días visibles en el calendario: { from, to }.
+    const [calendarRange, setCalendarRange] = useState(null);
+    const { showCompleted } = filters;
+
+    const { tasks: apiTasks, categories: apiCategories, sync } = useOfflineApi();
+    const { auth: apiAuth } = useApi();
+    const [currentUser, setCurrentUser] = useState(null);
+    const currentUserId = currentUser?._id ?? null;
+    const isOnline = useOnlineStatus();
+    const { settings: reminderSettings, setSettings: setReminderSettings, permission, requestPermission } = useReminderSettings();
+    const { settings: themeSettings, setSettings: setThemeSettings } = useThemeSettings();
+    const undoHistory = useUndoHistory();
+    const { record: recordHistory, clear: clearHistory } = undoHistory;
 
     const categoriesMap = useMemo(() => {
         return categories.reduce((map, cat) => {
@@ -491,133 +1600,730 @@ const App = () => {
         }, {});
     }, [categories]);
 
-    const handleLogout = () => {
-        localStorage.removeItem('token');
+    const handleLogout = useCallback(() => {
+        session.clear();
+        clearOfflineData();
+        clearHistory();
+        setIsSelecting(false);
+        setSelectedIds(new Set());
+        selectionPoolRef.current = new Map();
         setIsAuthenticated(false);
-        setTasks([]);
         setCategories([]);
-    };
+        setDataVersion(0);
+        setCurrentUser(null);
+    }, [clearHistory]);
+
+    // Si la sesión se cierra en otra pestaña, también se cierra aquí.
+    useEffect(() => {
+        if (isAuthenticated && !sessionState.token) handleLogout();
+    }, [isAuthenticated, sessionState.token, handleLogout]);
+
+    // Usuario de la sesión, para su avatar, las asignaciones y el filtro
+    // «asignadas a mí». Si el backend no tiene /api/auth/me o no hay red, se
+    // saca lo que se pueda del token.
+    useEffect(() => {
+        if (!isAuthenticated) return undefined;
+        const controller = new AbortController();
+        const token = session.getToken();
+        const payload = decodeToken(token);
+        const fromToken = payload
+            ? { _id: getTokenUserId(token), name: payload.name || '', email: payload.email || '' }
+            : null;
+        apiAuth.me({ signal: controller.signal })
+            .then(result => setCurrentUser(result.user || fromToken))
+            .catch(err => {
+                if (!isCancelled(err)) setCurrentUser(fromToken);
+            });
+        return () => controller.abort();
+    }, [isAuthenticated, apiAuth]);
 
     // --------------------------------------------------
     // Fetch de Datos
     // --------------------------------------------------
+    // Cada carga cancela la anterior (p. ej. si vuelve la conexión mientras
+    // se cargaba), así una respuesta vieja no pisa a la nueva. Aquí solo se
+    // envía la cola pendiente y se piden las categorías: las tareas las pide
+    // cada vista al subir `dataVersion` (ver «Tareas de cada vista»).
+    const loadControllerRef = useRef(null);
+
     const fetchTasksAndCategories = useCallback(async () => {
         if (!isAuthenticated) return;
 
+        loadControllerRef.current?.abort();
+        const controller = new AbortController();
+        loadControllerRef.current = controller;
+        const { signal } = controller;
+
         setLoading(true);
         setError(null);
 
         try {
-            const tasksResult = await apiTasks.getAll();
-            setTasks(tasksResult.tasks || []); 
+            if (navigator.onLine) {
+                const syncMessage = await sync().then(result => describeSyncResult(result, t), () => null);
+                if (signal.aborted) return;
+                if (syncMessage) setError(syncMessage);
+            }
 
-            const categoriesResult = await apiCategories.getAll();
-            setCategories(categoriesResult.categories || []);
+            const result = await apiCategories.getAll({ signal });
+            if (!signal.aborted) setCategories(result.categories || []);
 
         } catch (err) {
+            if (isCancelled(err) || signal.aborted) return;
             console.error("Error al cargar datos:", err);
-            setError(err.message || 'Error al cargar tareas y categorías.');
-            if (err.message.includes('token no encontrado')) {
+            setError(getErrorMessage(err, t, t('errors.load')));
+            if (err instanceof AuthError && err.status === 401) {
                  handleLogout(); 
             }
         } finally {
-            setLoading(false);
+            if (loadControllerRef.current === controller) {
+                loadControllerRef.current = null;
+                setLoading(false);
+                setDataVersion(version => version + 1);
+            }
         }
-    }, [isAuthenticated, apiTasks, apiCategories]);
+    }, [isAuthenticated, apiCategories, sync, handleLogout, t]);
 
     useEffect(() => {
         fetchTasksAndCategories();
     }, [fetchTasksAndCategories]);
 
+    useEffect(() => () => loadControllerRef.current?.abort(), []);
+
+    // Al recuperar la conexión se reenvía la cola pendiente y se recarga.
+    useEffect(() => {
+        window.addEventListener('online', fetchTasksAndCategories);
+        return () => window.removeEventListener('online', fetchTasksAndCategories);
+    }, [fetchTasksAndCategories]);
+
+    // --------------------------------------------------
+    // Tareas de cada vista
+    // --------------------------------------------------
+    // Ninguna vista carga la cuenta entera (ver useTaskQuery.js): la lista y
+    // el tablero piden páginas con los filtros; el calendario, las tareas de
+    // los días visibles, y las estadísticas (todas) y los recordatorios (las
+    // que vencen estos días), solo mientras se usan.
+    const dataReady = isAuthenticated && dataVersion > 0;
+    const queryOptions = { userId: currentUserId, version: dataVersion };
+    const isCalendar = filters.view === 'calendar';
+    const hasDateFilter = !!(filters.due || filters.from || filters.to);
+    const undatedFilters = useMemo(() => ({ ...filters, due: 'none' }), [filters]);
+
+    const listQuery = useTaskQuery(filters, {
+        ...queryOptions,
+        enabled: dataReady && (filters.view === 'list' || filters.view === 'board'),
+    });
+    const calendarQuery = useTaskCollection(calendarRange ? toRangeQuery(filters, calendarRange) : {}, {
+        ...queryOptions,
+        enabled: dataReady && isCalendar && !!calendarRange,
+    });
+    // Las tareas sin fecha no salen en el calendario: basta con su total.
+    const undatedQuery = useTaskQuery(undatedFilters, {
+        ...queryOptions,
+        pageSize: 1,
+        enabled: dataReady && isCalendar && !hasDateFilter,
+    });
+    const statsQuery = useTaskCollection({}, { ...queryOptions, enabled: dataReady && filters.view === 'stats' });
+    const reminderQuery = useTaskCollection(getReminderQuery(), {
+        ...queryOptions,
+        enabled: dataReady && reminderSettings.enabled && permission === 'granted',
+    });
+    const viewQuery = { list: listQuery, board: listQuery, calendar: calendarQuery, stats: statsQuery }[filters.view];
+    const listTasks = listQuery.items;
+
+    // Todas las tareas cargadas ahora, sin repetir, para buscar una por id.
+    const loadedTasks = useMemo(() => {
+        const byId = new Map();
+        [listQuery.items, calendarQuery.items, statsQuery.items, reminderQuery.items]
+            .forEach(items => items.forEach(task => byId.set(task._id, task)));
+        return [...byId.values()];
+    }, [listQuery.items, calendarQuery.items, statsQuery.items, reminderQuery.items]);
+
+    const { reload: reloadUndated } = undatedQuery;
+    const countsTimerRef = useRef(null);
+    const scheduleCountsRefresh = useCallback(() => {
+        clearTimeout(countsTimerRef.current);
+        countsTimerRef.current = setTimeout(() => {
+            apiCategories.getAll()
+                .then(result => setCategories(result.categories || []))
+                .catch(() => {});
+            reloadUndated();
+        }, COUNTS_REFRESH_DELAY);
+    }, [apiCategories, reloadUndated]);
+
+    useEffect(() => () => clearTimeout(countsTimerRef.current), []);
+
+    // Aplica un cambio local a las tareas de todas las vistas (cada una se
+    // queda con las que cumplen su consulta) y a la abierta en el detalle.
+    const { setItems: setListItems } = listQuery;
+    const { setItems: setCalendarItems } = calendarQuery;
+    const { setItems: setStatsItems } = statsQuery;
+    const { setItems: setReminderItems } = reminderQuery;
+    const updateTasks = useCallback((updater) => {
+        [setListItems, setCalendarItems, setStatsItems, setReminderItems].forEach(setItems => setItems(updater));
+        setTaskDetail(current => {
+            if (!current) return current;
+            const task = updater([current.task]).find(t => t._id === current.task._id);
+            return task && task !== current.task ? { ...current, task } : current;
+        });
+        scheduleCountsRefresh();
+    }, [setListItems, setCalendarItems, setStatsItems, setReminderItems, scheduleCountsRefresh]);
+
+    // --------------------------------------------------
+    // Detalle de una tarea
+    // --------------------------------------------------
+    // El panel muestra la tarea guardada al abrirlo, que updateTasks mantiene
+    // al día con las ediciones y los eventos en directo.
+    const detailTask = taskDetail?.task;
+
+    const findLoadedTask = (id) => loadedTasks.find(t => t._id === id) || (detailTask?._id === id ? detailTask : undefined);
+
+    const openTaskDetail = useCallback((task, { isEditing = false } = {}) => {
+        setTaskDetail({ task, isEditing });
+    }, []);
+
+    // Cierra el panel si muestra la tarea `taskId` (borrada aquí o por otro).
+    const closeTaskDetail = useCallback((taskId) => {
+        setTaskDetail(current => (current?.task._id === taskId ? null : current));
+    }, []);
+
+    // --------------------------------------------------
+    // Actualizaciones en directo
+    // --------------------------------------------------
+    // Los cambios hechos en otra pestaña o por otro miembro de una lista
+    // compartida se mezclan con lo cargado (también llegan los propios, que
+    // no cambian nada). Si se perdieron eventos se recarga todo.
+    const handleLiveEvent = useCallback((event) => {
+        updateTasks(prev => applyTaskEvent(prev, event, { userId: currentUserId }));
+        setCategories(prev => applyCategoryEvent(prev, event));
+        if (event.type === 'task.deleted') closeTaskDetail(event.id);
+    }, [currentUserId, updateTasks, closeTaskDetail]);
+
+    const { status: liveStatus } = useLiveUpdates({
+        enabled: isAuthenticated,
+        onEvent: handleLiveEvent,
+        onResync: fetchTasksAndCategories,
+    });
+
 
     // --------------------------------------------------
     // Manejo de Eventos CRUD
     // --------------------------------------------------
 
+    // --- Operaciones reversibles (usadas por el historial de deshacer) ---
+    // Reciben la versión guardada de la tarea; su _id y el de su categoría
+    // pueden haber cambiado si se recrearon al deshacer.
+
+    const putTaskVersion = useCallback(async (version, { resolveId }) => {
+        const { _id: id, ...resolved } = withResolvedIds(version, resolveId);
+        const result = await apiTasks.update(id, toRestorePayload(resolved));
+        updateTasks(prev => prependTasks(prev, [result.task]));
+        return result.task;
+    }, [apiTasks, updateTasks]);
+
+    const recreateTask = useCallback(async (task, { resolveId, remapId }) => {
+        const result = await apiTasks.create(toUpdatePayload(withResolvedIds(task, resolveId)));
+        remapId(resolveId(task._id), result.task._id);
+        updateTasks(prev => prependTasks(prev, [result.task]));
+        return result.task;
+    }, [apiTasks, updateTasks]);
+
+    const removeTask = useCallback(async (task, { resolveId }) => {
+        const id = resolveId(task._id);
+        await apiTasks.delete(id);
+        updateTasks(prev => prev.filter(t => t._id !== id));
+    }, [apiTasks, updateTasks]);
+
+    const recordTaskChange = useCallback((label, before, after) => {
+        recordHistory({
+            label,
+            undo: (ctx) => putTaskVersion(before, ctx),
+            redo: (ctx) => putTaskVersion(after, ctx),
+        });
+    }, [recordHistory, putTaskVersion]);
+
     const handleTaskSave = (newTask, action) => {
-        setTaskToEdit(null); 
+        if (action === 'updated') setTaskDetail(current => (current ? { ...current, isEditing: false } : current));
         
         if (action === 'created') {
-            setTasks(prev => [newTask, ...prev]);
+            updateTasks(prev => prependTasks(prev, [newTask]));
+            recordHistory({
+                label: t('history.taskCreated', { title: newTask.title }),
+                undo: (ctx) => removeTask(newTask, ctx),
+                redo: (ctx) => recreateTask(newTask, ctx),
+            });
         } else if (action === 'updated') {
-            setTasks(prev => prev.map(t => (t._id === newTask._id ? newTask : t)));
+            const previous = findLoadedTask(newTask._id);
+            updateTasks(prev => prependTasks(prev, [newTask]));
+            if (previous) recordTaskChange(t('history.taskEdited', { title: newTask.title }), previous, newTask);
         }
     };
     
     const handleCategorySave = (newCategory) => {
-        setCategories(prev => [...prev, newCategory]);
+        setCategories(prev => appendCategories(prev, [newCategory]));
     };
     
-    const handleCategoryDelete = (categoryId) => {
-        setCategories(prev => prev.filter(cat => cat._id !== categoryId));
+    const handleImported = ({ tasks: importedTasks, categories: importedCategories }) => {
+        setCategories(prev => appendCategories(prev, importedCategories));
+        updateTasks(prev => prependTasks(prev, importedTasks));
+    };
+
+    const handleCategoryUpdate = (previous, updated) => {
+        setCategories(prev => prev.map(cat => (cat._id === updated._id ? updated : cat)));
+
+        const putCategoryVersion = async (version, { resolveId }) => {
+            const id = resolveId(version._id);
+            const { name, color, icon } = version;
+            const result = await apiCategories.update(id, { name, color, icon });
+            setCategories(prev => prev.map(cat => (cat._id === id ? result.category : cat)));
+        };
+
+        recordHistory({
+            label: t('history.categoryEdited', { name: updated.name }),
+            undo: (ctx) => putCategoryVersion(previous, ctx),
+            redo: (ctx) => putCategoryVersion(updated, ctx),
+        });
+    };
+
+    // Antes de borrar la categoría, sus tareas pasan a `moveTo` (o quedan sin
+    // categoría). Deshacer vuelve a crearla (con otro _id) y devuelve cada
+    // tarea a su versión anterior.
+    const handleCategoryDelete = async (category, moveTo = null) => {
+        const { tasks: affectedTasks } = await apiTasks.getAll({ query: { category: category._id, status: 'all' } });
+
+        const moveAndDelete = async (ctx) => {
+            for (const task of affectedTasks) {
+                await putTaskVersion({ ...task, category: moveTo }, ctx);
+            }
+            const id = ctx.resolveId(category._id);
+            await apiCategories.delete(id);
+            setCategories(prev => prev.filter(cat => cat._id !== id));
+        };
+
+        await moveAndDelete({ resolveId: (id) => id });
+
+        recordHistory({
+            label: t('history.categoryDeleted', { name: category.name }),
+            undo: async (ctx) => {
+                const { name, color, icon } = category;
+                const result = await apiCategories.create({ name, color, icon });
+                ctx.remapId(ctx.resolveId(category._id), result.category._id);
+                setCategories(prev => appendCategories(prev, [result.category]));
+                for (const task of affectedTasks) {
+                    await putTaskVersion(task, ctx);
+                }
+            },
+            redo: moveAndDelete,
+        });
+    };
+
+    // Un 403 suele indicar que cambió el rol del usuario en una lista
+    // compartida: se recargan las categorías para que la interfaz deje de
+    // ofrecer lo que ya no puede hacer.
+    const refreshPermissions = useCallback((err) => {
+        if (!(err instanceof ForbiddenError)) return;
+        apiCategories.getAll()
+            .then(result => setCategories(result.categories || []))
+            .catch(() => {});
+    }, [apiCategories]);
+
+    // Al compartir o cambiar roles llega la categoría actualizada; null si el
+    // usuario salió de la lista, que desaparece con las tareas que no creó él.
+    const handleCategoryShared = (category, updated) => {
+        if (updated) {
+            setCategories(prev => prev.map(cat => (cat._id === updated._id ? updated : cat)));
+            return;
+        }
+        setCategories(prev => prev.filter(cat => cat._id !== category._id));
+        updateTasks(prev => prev.filter(task => task.category !== category._id || task.user === currentUserId));
     };
 
-    const handleToggleComplete = useCallback(async (task) => {
+    // Actualización optimista: se aplica el cambio en pantalla y se revierte
+    // si el servidor lo rechaza. Con `historyLabel` el cambio se puede deshacer.
+    const handleUpdateTask = useCallback(async (task, changes, errorMessage, historyLabel) => {
         const id = task._id;
-        const newIsCompleted = !task.isCompleted;
         setError(null);
-        setTasks(prevTasks => prevTasks.map(t => 
-            t._id === id ? { ...t, isCompleted: newIsCompleted, isUpdating: true } : t
-        ));
+        updateTasks(prev => prev.map(t => (t._id === id ? { ...t, ...changes, isUpdating: true } : t)));
 
         try {
-            const updatePayload = {
-                title: task.title, 
-                priority: task.priority,
-                isCompleted: newIsCompleted, 
-                ...(task.description ? { description: task.description } : {}),
-                ...(task.dueDate ? { dueDate: task.dueDate.split('T')[0] } : {}), 
-                ...(task.category ? { category: task.category } : {}),
-            };
+            const result = await apiTasks.update(id, toUpdatePayload(task, changes));
+
+            updateTasks(prev => prependTasks(prev, [{ ...result.task, isUpdating: false }]));
+            if (historyLabel) recordTaskChange(historyLabel, task, result.task);
+            return result.task;
+        } catch (err) {
+            setError(getErrorMessage(err, t, errorMessage));
+            updateTasks(prev => prependTasks(prev, [{ ...task, isUpdating: false }]));
+            refreshPermissions(err);
+            return null;
+        }
+    }, [apiTasks, updateTasks, recordTaskChange, refreshPermissions, t]);
+
+    // Al completar una tarea recurrente se crea la siguiente de la serie; la
+    // regla de la completada queda marcada con `hasNext` para no duplicarla si
+    // se reabre y se vuelve a completar.
+    const handleToggleComplete = useCallback(async (task, extraChanges = {}) => {
+        const isCompleting = !task.isCompleted;
+        const nextTaskData = isCompleting ? buildNextOccurrence(task) : null;
+        const changes = {
+            ...extraChanges,
+            isCompleted: isCompleting,
+            ...(nextTaskData ? { recurrence: { ...task.recurrence, hasNext: true } } : {}),
+        };
 
-            const result = await apiTasks.update(id, updatePayload);
+        const label = t(isCompleting ? 'history.taskCompleted' : 'history.taskReopened', { title: task.title });
+        const updated = await handleUpdateTask(task, changes, t('errors.toggle'), nextTaskData ? null : label);
+        if (!updated || !nextTaskData) return;
 
-            setTasks(prevTasks => prevTasks.map(t => 
-                t._id === id ? { ...result.task, isUpdating: false } : t
-            ));
+        let nextTask = null;
+        try {
+            const result = await apiTasks.create(nextTaskData);
+            nextTask = result.task;
+            updateTasks(prev => prependTasks(prev, [nextTask]));
         } catch (err) {
-            setError(err.message || 'Error al actualizar el estado de la tarea.');
-            setTasks(prevTasks => prevTasks.map(t => 
-                t._id === id ? { ...t, isCompleted: !newIsCompleted, isUpdating: false } : t
-            ));
+            setError(getErrorMessage(err, t, t('errors.nextOccurrence')));
+        }
+
+        // Deshacer también borra la repetición creada.
+        recordHistory({
+            label,
+            undo: async (ctx) => {
+                if (nextTask) await removeTask(nextTask, ctx);
+                await putTaskVersion(task, ctx);
+            },
+            redo: async (ctx) => {
+                await putTaskVersion(updated, ctx);
+                if (nextTask) await recreateTask(nextTask, ctx);
+            },
+        });
+    }, [handleUpdateTask, apiTasks, updateTasks, recordHistory, removeTask, putTaskVersion, recreateTask, t]);
+
+    // Si la tarea lo pide, marcar la última subtarea la completa (pasando por
+    // handleToggleComplete para respetar la recurrencia).
+    const handleToggleSubtask = useCallback((task, subtaskKey) => {
+        const subtasks = toggleSubtask(task.subtasks, subtaskKey);
+        if (task.completeWithSubtasks && !task.isCompleted && areAllSubtasksDone(subtasks)) {
+            return handleToggleComplete(task, { subtasks });
         }
-    }, [apiTasks]); 
+        return handleUpdateTask(task, { subtasks }, t('errors.subtask'), t('history.subtaskUpdated', { title: task.title }));
+    }, [handleUpdateTask, handleToggleComplete, t]);
 
+    // Las vistas ya no dejan arrastrar tareas de solo lectura; si llega una,
+    // no se manda la petición que el servidor rechazaría.
+    const handleRescheduleTask = useCallback((task, dueDate) => {
+        if (!canEditTask(task, categoriesMap)) return undefined;
+        return handleUpdateTask(task, { dueDate }, t('errors.reschedule'), t('history.dateChanged', { title: task.title }));
+    }, [handleUpdateTask, categoriesMap, t]);
 
-    const handleDeleteTask = useCallback(async (taskId) => {
+    const handleMoveTask = useCallback((task, changes) => {
+        if (!canEditTask(task, categoriesMap)) return undefined;
+        return handleUpdateTask(task, changes, t('errors.move'), t('history.taskMoved', { title: task.title }));
+    }, [handleUpdateTask, categoriesMap, t]);
+
+
+    // Sin confirmación: el borrado se puede deshacer desde el aviso o con Ctrl+Z.
+    const handleDeleteTask = async (taskId) => {
         setError(null);
-        if (!window.confirm('¿Estás seguro de que quieres eliminar esta tarea?')) {
-            return;
-        }
+        const task = findLoadedTask(taskId);
+        if (!task) return;
 
+        updateTasks(prev => prev.filter(t => t._id !== taskId));
+        closeTaskDetail(taskId);
         try {
             await apiTasks.delete(taskId); 
-            
-            setTasks(prevTasks => prevTasks.filter(t => t._id !== taskId));
-            
+            recordHistory({
+                label: t('history.taskDeleted', { title: task.title }),
+                undo: (ctx) => recreateTask(task, ctx),
+                redo: (ctx) => removeTask(task, ctx),
+            });
         } catch (err) {
-            setError(err.message || 'Error al eliminar la tarea.'); 
+            setError(getErrorMessage(err, t, t('errors.delete'))); 
+            updateTasks(prev => prependTasks(prev, [task]));
+            refreshPermissions(err);
         }
-    }, [apiTasks]);
+    };
 
    
 
+    // Sin backend que cuente las tareas de cada categoría, se pide una
+    // página de una para saber el total.
+    const countCategoryTasks = async (category) => {
+        const page = await apiTasks.getPage({ category: category._id, status: 'all', limit: 1 });
+        return page.total;
+    };
+
+    // Exportar pide las tareas en ese momento: todas o las de los filtros.
+    const loadTasksForExport = async (scope) => {
+        const { tasks } = await apiTasks.getAll({ query: scope === 'filtered' ? toApiQuery(filters) : {} });
+        return tasks;
+    };
+
+    // Hasta que llega la primera respuesta de la vista no hay nada que
+    // enseñar; al cambiar de filtros se sigue viendo lo anterior.
+    const isViewLoading = loading || (!viewQuery.isLoaded && !viewQuery.error && viewQuery.items.length === 0);
+
     // --------------------------------------------------
-    // Datos Filtrados y Vista
+    // Selección múltiple y acciones en lote
     // --------------------------------------------------
-    
-    const filteredTasks = useMemo(() => {
-        return tasks
-            .filter(task => showCompleted ? true : !task.isCompleted)
-            .sort((a, b) => {
-                if (a.isCompleted !== b.isCompleted) {
-                    return a.isCompleted ? 1 : -1;
+
+    const handleSelectTask = (task, e) => {
+        const anchor = selectionAnchorRef.current;
+        const next = new Set(selectedIds);
+        if (e.shiftKey && anchor) {
+            const rangeIds = getRangeIds(listTasks.map(t => t._id), anchor, task._id);
+            rangeIds.forEach(id => next.add(id));
+        } else if (next.has(task._id)) {
+            next.delete(task._id);
+        } else {
+            next.add(task._id);
+        }
+        selectionAnchorRef.current = task._id;
+        setSelectedIds(next);
+    };
+
+    const clearSelection = () => {
+        setSelectedIds(new Set());
+        selectionPoolRef.current = new Map();
+    };
+
+    const exitSelection = () => {
+        setIsSelecting(false);
+        clearSelection();
+        setBatchReport(null);
+        selectionAnchorRef.current = null;
+    };
+
+    // La lista va por páginas: si quedan sin cargar, se piden todas las que
+    // cumplen los filtros para que el lote las incluya.
+    const selectAllFiltered = async () => {
+        if (!listQuery.hasMore) {
+            setSelectedIds(new Set(listTasks.map(task => task._id)));
+            return;
+        }
+        setIsSelectingAll(true);
+        try {
+            const { tasks } = await apiTasks.getAll({ query: toApiQuery(filters) });
+            selectionPoolRef.current = new Map(tasks.map(task => [task._id, task]));
+            setSelectedIds(new Set(tasks.map(task => task._id)));
+        } catch (err) {
+            if (!isCancelled(err)) setError(getErrorMessage(err, t, t('errors.load')));
+        } finally {
+            setIsSelectingAll(false);
+        }
+    };
+
+    const handleBatchAction = async (action) => {
+        // Lo cargado en la lista es más reciente que lo que se pidió al seleccionar.
+        const known = new Map([...selectionPoolRef.current, ...listTasks.map(task => [task._id, task])]);
+        const selected = [...selectedIds].map(id => known.get(id)).filter(Boolean);
+        // Las de listas en las que el usuario es lector ni se intentan.
+        const editable = selected.filter(task => canEditTask(task, categoriesMap));
+        const targets = editable.filter(BATCH_ACTIONS[action.type]);
+        const label = t('batch.history', { action: t(`batch.action.${action.type}`), count: targets.length });
+
+        setBatchReport(null);
+        setBatchProgress({ type: action.type, done: 0, total: targets.length });
+
+        const worker = action.type === 'delete'
+            ? async (task) => {
+                await apiTasks.delete(task._id);
+                updateTasks(prev => prev.filter(t => t._id !== task._id));
+                return { before: task };
+            }
+            : async (task) => {
+                const { changes, nextTaskData } = getBatchChanges(task, action);
+                const result = await apiTasks.update(task._id, toUpdatePayload(task, changes));
+                updateTasks(prev => prependTasks(prev, [result.task]));
+                let spawned = null;
+                if (nextTaskData) {
+                    spawned = (await apiTasks.create(nextTaskData)).task;
+                    updateTasks(prev => prependTasks(prev, [spawned]));
                 }
-                const dateA = a.dueDate ? new Date(a.dueDate).getTime() : Infinity;
-                const dateB = b.dueDate ? new Date(b.dueDate).getTime() : Infinity;
-                return dateA - dateB;
+                return { before: task, after: result.task, spawned };
+            };
+
+        const results = await runWithConcurrency(targets, worker, {
+            limit: BATCH_CONCURRENCY,
+            onProgress: (done) => setBatchProgress(prev => prev && { ...prev, done }),
+        });
+
+        const succeeded = results.filter(r => r.ok).map(r => r.value);
+        const failures = results.filter(r => !r.ok).map(({ item, error }) => ({
+            id: item._id,
+            title: item.title,
+            message: getErrorMessage(error, t, t('batch.unknownError')),
+        }));
+
+        setBatchProgress(null);
+        setBatchReport({
+            type: action.type,
+            succeeded: succeeded.length,
+            skipped: editable.length - targets.length,
+            readOnly: selected.length - editable.length,
+            failures,
+        });
+        // Se procesan de BATCH_CONCURRENCY en BATCH_CONCURRENCY; quedan
+        // seleccionadas las que fallaron, para reintentar.
+        const failedIds = new Set(failures.map(f => f.id));
+        setSelectedIds(failedIds);
+        selectionPoolRef.current = new Map([...selectionPoolRef.current].filter(([id]) => failedIds.has(id)));
+
+        if (succeeded.length > 0) recordBatchHistory(label, action.type, succeeded);
+    };
+
+    // Un único paso de deshacer para todo el lote.
+    const recordBatchHistory = (label, type, succeeded) => {
+        const runAll = async (worker) => {
+            const results = await runWithConcurrency(succeeded, worker);
+            const failed = results.filter(r => !r.ok);
+            if (failed.length > 0) throw new Error(t('batch.undoFailed', { count: failed.length, message: getErrorMessage(failed[0].error, t) }));
+        };
+
+        if (type === 'delete') {
+            recordHistory({
+                label,
+                undo: (ctx) => runAll(({ before }) => recreateTask(before, ctx)),
+                redo: (ctx) => runAll(({ before }) => removeTask(before, ctx)),
             });
-    }, [tasks, showCompleted]);
+            return;
+        }
+
+        recordHistory({
+            label,
+            undo: (ctx) => runAll(async ({ before, spawned }) => {
+                if (spawned) await removeTask(spawned, ctx);
+                await putTaskVersion(before, ctx);
+            }),
+            redo: (ctx) => runAll(async ({ after, spawned }) => {
+                await putTaskVersion(after, ctx);
+                if (spawned) await recreateTask(spawned, ctx);
+            }),
+        });
+    };
+
+    // --------------------------------------------------
+    // Teclado y paleta de comandos
+    // --------------------------------------------------
+    // j/k mueven la tarea marcada (focusedTaskId) por la lista filtrada; x y e
+    // actúan sobre ella. Se desactivan con cualquier modal abierto.
+
+    const isModalOpen = !!taskDetail || isPaletteOpen || isCheatSheetOpen || sessionState.isReauthPending;
+
+    const focusInput = (id) => {
+        const input = document.getElementById(id);
+        input?.scrollIntoView({ block: 'center' });
+        input?.focus();
+    };
+    const focusNewTaskForm = () => focusInput('new-task-title');
+
+    const moveTaskFocus = (step) => {
+        if (filters.view !== 'list' || listTasks.length === 0) return;
+        const index = listTasks.findIndex(t => t._id === focusedTaskId);
+        const nextIndex = index === -1
+            ? (step > 0 ? 0 : listTasks.length - 1)
+            : Math.min(Math.max(index + step, 0), listTasks.length - 1);
+        setFocusedTaskId(listTasks[nextIndex]._id);
+    };
+
+    const focusedTask = filters.view === 'list' ? listTasks.find(t => t._id === focusedTaskId) : null;
+
+    // Si la tarea ya es visible en la lista se marca; si no (p. ej. está
+    // completada y oculta), se abre su detalle.
+    const goToTask = (task) => {
+        if (listTasks.some(t => t._id === task._id)) {
+            setFilters(prev => ({ ...prev, view: 'list' }));
+            setFocusedTaskId(task._id);
+        } else {
+            openTaskDetail(task);
+        }
+    };
+
+    useKeyBindings({
+        '?': () => setIsCheatSheetOpen(true),
+        n: focusNewTaskForm,
+        j: () => moveTaskFocus(1),
+        k: () => moveTaskFocus(-1),
+        x: () => focusedTask && canEditTask(focusedTask, categoriesMap) && handleToggleComplete(focusedTask),
+        e: () => focusedTask && canEditTask(focusedTask, categoriesMap) && openTaskDetail(focusedTask, { isEditing: true }),
+    }, isAuthenticated && !isModalOpen);
+
+    // Ctrl+K abre y cierra la paleta desde cualquier sitio, incluso con el
+    // foco en un campo de texto.
+    useEffect(() => {
+        if (!isAuthenticated) return undefined;
+        const handleKeyDown = (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                setIsPaletteOpen(open => !open);
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [isAuthenticated]);
+
+    const getPaletteCommands = () => {
+        const action = t('palette.group.action');
+        return [
+            { id: 'new-task', group: action, label: t('palette.newTask'), run: focusNewTaskForm },
+            { id: 'quick-add', group: action, label: t('palette.quickAdd'), run: () => focusInput('quick-add-input') },
+            {
+                id: 'toggle-completed',
+                group: action,
+                label: showCompleted ? t('app.hideCompleted') : t('app.showCompleted'),
+                run: () => setFilters(prev => ({ ...prev, showCompleted: !prev.showCompleted })),
+            },
+            ...(hasActiveFilters(filters)
+                ? [{ id: 'clear-filters', group: action, label: t('palette.clearFilters'), run: () => setFilters(prev => ({ ...DEFAULT_FILTERS, sort: prev.sort, dir: prev.dir, showCompleted: prev.showCompleted, view: prev.view })) }]
+                : []),
+            {
+                id: 'select',
+                group: action,
+                label: t('palette.select'),
+                run: () => {
+                    setFilters(prev => ({ ...prev, view: 'list' }));
+                    setIsSelecting(true);
+                },
+            },
+            ...(undoHistory.canUndo ? [{ id: 'undo', group: action, label: t('toast.undo'), run: undoHistory.undo }] : []),
+            ...(undoHistory.canRedo ? [{ id: 'redo', group: action, label: t('toast.redo'), run: undoHistory.redo }] : []),
+            { id: 'shortcuts', group: action, label: t('palette.shortcuts'), run: () => setIsCheatSheetOpen(true) },
+            ...LANGUAGES.filter(option => option.value !== language).map(option => ({
+                id: `language-${option.value}`,
+                group: action,
+                label: t('palette.language', { language: option.label }),
+                run: () => setLanguage(option.value),
+            })),
+            ...THEME_MODES.filter(mode => mode !== themeSettings.mode).map(mode => ({
+                id: `theme-${mode}`,
+                group: action,
+                label: t('palette.theme', { mode: t(`theme.mode.${mode}`) }),
+                run: () => setThemeSettings(prev => ({ ...prev, mode })),
+            })),
+            { id: 'logout', group: action, label: t('app.logout'), run: handleLogout },
+            ...VIEWS.map(view => ({
+                id: `view-${view}`,
+                group: t('palette.group.view'),
+                label: t(`view.${view}`),
+                run: () => setFilters(prev => ({ ...prev, view })),
+            })),
+            ...(filters.assignee !== 'me' && currentUser
+                ? [{ id: 'assigned-to-me', group: action, label: t('filters.assignedToMe'), run: () => setFilters(prev => ({ ...prev, assignee: 'me' })) }]
+                : []),
+            ...[{ _id: 'none', name: t('category.none') }, ...categories].map(cat => ({
+                id: `category-${cat._id}`,
+                group: t('palette.group.category'),
+                label: cat.name,
+                run: () => setFilters(prev => ({ ...prev, category: cat._id })),
+            })),
+            ...loadedTasks.map(task => ({
+                id: `task-${task._id}`,
+                group: t('palette.group.task'),
+                label: task.title,
+                run: () => goToTask(task),
+            })),
+        ];
+    };
+
+    useReminderScheduler(reminderQuery.items, reminderSettings, permission);
 
 
     if (!isAuthenticated) {
@@ -633,99 +2339,279 @@ const App = () => {
             <header className="main-header bg-white shadow-md sticky top-0 z-10">
                 <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex justify-between items-center">                    
                     <h1 className="text-2xl font-bold text-gray-800 tracking-tight">
-                        Agenda <span className="text-primary-light">de Tareas</span>
+                        {t('app.title')} <span className="text-primary-light">{t('app.titleHighlight')}</span>
                     </h1>
-                    <button onClick={handleLogout} className="logout-button">
-                        Cerrar Sesión
-                    </button>
+                    <div className="flex items-center space-x-3">
+                        {!isOnline && (
+                            <span className="offline-badge" title={t('app.offlineHint')}>
+                                {t('app.offline')}
+                            </span>
+                        )}
+                        {isOnline && liveStatus === 'reconnecting' && (
+                            <span className="offline-badge" role="status" title={t('live.reconnectingHint')}>
+                                {t('live.reconnecting')}
+                            </span>
+                        )}
+                        {liveStatus === 'live' && (
+                            <span className="live-dot" role="img" aria-label={t('live.connected')} title={t('live.connected')} />
+                        )}
+                        <select
+                            value={language}
+                            onChange={(e) => setLanguage(e.target.value)}
+                            className="input-field language-select"
+                            aria-label={t('app.language')}
+                        >
+                            {LANGUAGES.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                        <ThemeToggle
+                            mode={themeSettings.mode}
+                            onChange={(mode) => setThemeSettings(prev => ({ ...prev, mode }))}
+                        />
+                        <button
+                            type="button"
+                            onClick={() => setIsPaletteOpen(true)}
+                            className="palette-trigger"
+                            title={t('app.commandsHint')}
+                        >
+                            {t('app.commands')} <kbd>Ctrl K</kbd>
+                        </button>
+                        {currentUser && (
+                            <span className="user-chip">
+                                <Avatar user={currentUser} />
+                                <span className="user-chip-name">{getDisplayName(currentUser)}</span>
+                            </span>
+                        )}
+                        <button onClick={handleLogout} className="logout-button">
+                            {t('app.logout')}
+                        </button>
+                    </div>
                 </div>
+                <SessionExpiryBanner expiresAt={sessionState.expiresAt} />
             </header>
+
+            {isPaletteOpen && (
+                <CommandPalette commands={getPaletteCommands()} onClose={() => setIsPaletteOpen(false)} />
+            )}
+            {isCheatSheetOpen && (
+                <ShortcutCheatSheet onClose={() => setIsCheatSheetOpen(false)} />
+            )}
+
+            {sessionState.isReauthPending && (
+                <SessionModal token={sessionState.token} onLogout={handleLogout} />
+            )}
             <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-                {taskToEdit && (
-                    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-20 p-4">
-                        <div className="form-card max-w-lg w-full">
-                            <TaskForm 
-                                taskToEdit={taskToEdit}
+                {detailTask && (
+                    <TaskDetailDrawer
+                        key={detailTask._id}
+                        task={detailTask}
+                        categoriesMap={categoriesMap}
+                        currentUser={currentUser}
+                        isEditing={taskDetail.isEditing}
+                        onEdit={() => setTaskDetail(current => ({ ...current, isEditing: true }))}
+                        onClose={() => setTaskDetail(null)}
+                        editForm={
+                            <TaskForm
+                                taskToEdit={detailTask}
                                 categories={categories}
+                                currentUser={currentUser}
                                 onSave={handleTaskSave}
-                                onCancel={() => setTaskToEdit(null)}
+                                onCancel={() => setTaskDetail(current => ({ ...current, isEditing: false }))}
                             />
-                        </div>
-                    </div>
+                        }
+                    />
                 )}
 
 
-                {error && (
-                    <div className="error-box" onClick={() => setError(null)} title="Click para cerrar">
-                        {error}
-                    </div>
-                )}
+                {/* La región existe siempre para que el lector de pantalla anuncie cada error nuevo. */}
+                <div role="alert" aria-live="assertive">
+                    {error && (
+                        <div className="error-box" onClick={() => setError(null)} title={t('app.closeError')}>
+                            <span>{error}</span>
+                            <button
+                                type="button"
+                                onClick={() => setError(null)}
+                                className="error-box-close"
+                                aria-label={t('app.dismissError')}
+                            >
+                                ×
+                            </button>
+                        </div>
+                    )}
+                </div>
                 
                 <div className="dashboard-grid grid grid-cols-1 lg:grid-cols-3 gap-6">
                     
                     <div className="lg:col-span-1 space-y-6">
+                        <QuickAddForm categories={categories} onSave={handleTaskSave} />
                         <TaskForm 
                             taskToEdit={null}
                             categories={categories}
+                            currentUser={currentUser}
                             onSave={handleTaskSave}
                             onCancel={() => {}} 
                         />
                         <CategoryManager 
                             categories={categories} 
+                            currentUser={currentUser}
+                            onCountTasks={countCategoryTasks}
                             onCategorySave={handleCategorySave} 
+                            onCategoryUpdate={handleCategoryUpdate}
                             onCategoryDelete={handleCategoryDelete} 
-                            onCategoriesUpdated={fetchTasksAndCategories}
+                            onCategoryShared={handleCategoryShared}
+                        />
+                        <ImportExportPanel
+                            filteredCount={listQuery.isLoaded ? listQuery.total : undefined}
+                            loadTasks={loadTasksForExport}
+                            categories={categories}
+                            categoriesMap={categoriesMap}
+                            onImported={handleImported}
+                        />
+                        <ReminderSettings
+                            settings={reminderSettings}
+                            onChange={setReminderSettings}
+                            permission={permission}
+                            onRequestPermission={requestPermission}
                         />
+                        <ThemeSettings settings={themeSettings} onChange={setThemeSettings} />
                     </div>
 
                     <div className="lg:col-span-2">
                         <div className="p-6 bg-white rounded-xl shadow-lg h-full">
                             <div className="flex justify-between items-center mb-5">
                                 <h2 className="tasks-header text-xl font-bold text-gray-700">
-                                    {showCompleted ? 'Todas las Tareas' : 'Tareas Pendientes'} ({filteredTasks.length})
+                                    {filters.view === 'stats'
+                                        ? t('view.stats')
+                                        : t(showCompleted ? 'app.allTasks' : 'app.pendingTasks', { count: viewQuery.total })}
                                 </h2>
                                 
-                                <button
-                                    onClick={() => setShowCompleted(prev => !prev)}
-                                    className="btn-secondary text-sm flex items-center space-x-2"
-                                >
-                                    {showCompleted ? 'Ocultar Completadas' : 'Mostrar Completadas'}
-                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-                                        <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
-                                    </svg>
-                                </button>
+                                <div className="segmented">
+                                    {VIEWS.map(view => (
+                                        <button key={view} type="button" onClick={() => setFilters(prev => ({ ...prev, view }))} className={filters.view === view ? 'segmented-active' : ''}>
+                                            {t(`view.${view}`)}
+                                        </button>
+                                    ))}
+                                </div>
+
+                                {filters.view === 'list' && !isSelecting && (
+                                    <button type="button" onClick={() => setIsSelecting(true)} className="btn-secondary text-sm">
+                                        {t('app.select')}
+                                    </button>
+                                )}
+
+                                {filters.view !== 'stats' && (
+                                    <button
+                                        onClick={() => setFilters(prev => ({ ...prev, showCompleted: !prev.showCompleted }))}
+                                        className="btn-secondary text-sm flex items-center space-x-2"
+                                    >
+                                        {showCompleted ? t('app.hideCompleted') : t('app.showCompleted')}
+                                        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                                            <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
+                                        </svg>
+                                    </button>
+                                )}
                             </div>
+
+                            {filters.view !== 'stats' && (
+                                <FilterBar filters={filters} categories={categories} onChange={setFilters} />
+                            )}
+
+                            {isSelecting && filters.view === 'list' && (
+                                <BatchBar
+                                    selectedCount={selectedIds.size}
+                                    filteredCount={listQuery.total}
+                                    categories={categories}
+                                    progress={batchProgress}
+                                    report={batchReport}
+                                    isSelectingAll={isSelectingAll}
+                                    onSelectAll={selectAllFiltered}
+                                    onClearSelection={clearSelection}
+                                    onExit={exitSelection}
+                                    onAction={handleBatchAction}
+                                    onDismissReport={() => setBatchReport(null)}
+                                />
+                            )}
                             
                             <div className="space-y-3">
-                                {loading && (
-                                    <div className="flex justify-center items-center py-8">
-                                        <div className="spinner"></div>
-                                        <p className="ml-3 text-gray-500">Cargando tareas...</p>
+                                {isViewLoading && (
+                                    <div className="flex justify-center items-center py-8" role="status">
+                                        <div className="spinner" aria-hidden="true"></div>
+                                        <p className="ml-3 text-gray-500">
+                                            {viewQuery.progress ? t('app.loadProgress', viewQuery.progress) : t('app.loading')}
+                                        </p>
                                     </div>
                                 )}
-                                
-                                {!loading && filteredTasks.length === 0 && (
+
+                                {/* El calendario sigue montado mientras carga: es quien dice qué días pedir. */}
+                                {!loading && filters.view === 'calendar' && (
+                                    <CalendarView
+                                        tasks={calendarQuery.items}
+                                        categoriesMap={categoriesMap}
+                                        undatedCount={hasDateFilter ? 0 : undatedQuery.total}
+                                        onRangeChange={setCalendarRange}
+                                        onReschedule={handleRescheduleTask}
+                                        onOpen={openTaskDetail}
+                                    />
+                                )}
+
+                                {!isViewLoading && filters.view === 'board' && (
+                                    <BoardView
+                                        tasks={listTasks}
+                                        categories={categories}
+                                        categoriesMap={categoriesMap}
+                                        onMove={handleMoveTask}
+                                        onOpen={openTaskDetail}
+                                    />
+                                )}
+
+                                {/* Las estadísticas usan todas las tareas, no solo las filtradas. */}
+                                {!isViewLoading && filters.view === 'stats' && (
+                                    <StatsView tasks={statsQuery.items} categoriesMap={categoriesMap} />
+                                )}
+
+                                {!isViewLoading && filters.view === 'list' && listTasks.length === 0 && listQuery.isLoaded && (
                                     <div className="text-center py-10 text-gray-500 bg-gray-50 rounded-lg">
-                                        <p className="font-semibold mb-1">¡No hay tareas!</p>
+                                        <p className="font-semibold mb-1">{t('app.empty.title')}</p>
                                         <p className="text-sm">
-                                            {showCompleted 
-                                                ? 'No se encontraron tareas en tu lista. ¡Crea una!'
-                                                : '¡Estás al día! ¿Por qué no añades una nueva tarea?'
+                                            {hasActiveFilters(filters)
+                                                ? t('app.empty.filtered')
+                                                : showCompleted 
+                                                ? t('app.empty.none')
+                                                : t('app.empty.upToDate')
                                             }
                                         </p>
                                     </div>
                                 )}
 
-                                {!loading && filteredTasks.map(task => (
-                                    <TaskItem
-                                        key={task._id}
-                                        task={task}
-                                        categoriesMap={categoriesMap}
-                                        onToggleComplete={handleToggleComplete}
-                                        onEdit={setTaskToEdit}
-                                        onDelete={handleDeleteTask}
+                                {!isViewLoading && filters.view === 'list' && listTasks.length > 0 && (
+                                    <VirtualList
+                                        className="task-list"
+                                        aria-label={t(showCompleted ? 'app.allTasks' : 'app.pendingTasks', { count: listQuery.total })}
+                                        items={listTasks}
+                                        getKey={getTaskKey}
+                                        scrollToKey={focusedTaskId}
+                                        onEndReached={listQuery.hasMore ? listQuery.loadMore : undefined}
+                                        renderItem={task => (
+                                            <TaskItem
+                                                key={task._id}
+                                                task={task}
+                                                categoriesMap={categoriesMap}
+                                                currentUser={currentUser}
+                                                onToggleComplete={handleToggleComplete}
+                                                onToggleSubtask={handleToggleSubtask}
+                                                onOpen={openTaskDetail}
+                                                onDelete={handleDeleteTask}
+                                                isSelecting={isSelecting}
+                                                isSelected={selectedIds.has(task._id)}
+                                                onSelect={handleSelectTask}
+                                                isFocused={task._id === focusedTaskId}
+                                            />
+                                        )}
                                     />
-                                ))}
+                                )}
+
+                                {!loading && <ListFooter query={viewQuery} />}
                             </div>
                         </div>
                     </div>
@@ -733,8 +2619,17 @@ const App = () => {
 
             </main>
 
+            <UndoToast
+                toast={undoHistory.toast}
+                onUndo={undoHistory.undo}
+                onRedo={undoHistory.redo}
+                onDismiss={undoHistory.dismissToast}
+            />
         </div>
     );
 };
 
+// Con nombre, para las pruebas de accesibilidad (a11y.test.jsx).
+export { AuthForm, CategoryManager, TaskForm, TaskItem };
+
 export default App;
\ No newline at end of file
@@ -0,0 +1,183 @@
+import React, { useRef, useState } from 'react';
+import { Download, FileText, Paperclip, RotateCw, Trash2, X } from 'lucide-react';
+import { useI18n } from './i18n';
+import { ATTACHMENT_ACCEPT, formatFileSize, MAX_ATTACHMENT_SIZE } from './attachments';
+
+// ----------------------------------------------------------------------
+// Adjuntos
+// ----------------------------------------------------------------------
+// Lista de adjuntos con miniaturas y zona para soltar archivos (o elegirlos
+// con el botón, que también sirve con teclado). `state` es lo que devuelve
+// useAttachments; sin `canEdit` solo se ven y descargan.
+
+const Thumbnail = ({ url }) => (
+    <span className="attachment-thumb" aria-hidden="true">
+        {url ? <img src={url} alt="" /> : <FileText size={22} />}
+    </span>
+);
+
+const AttachmentPanel = ({ state, canEdit = true, disabled = false, idPrefix = 'attachments' }) => {
+    const { t, language } = useI18n();
+    const { attachments, uploads, thumbnails, error, addFiles, retryUpload, dismissUpload, removeAttachment, downloadAttachment } = state;
+    const [isDragging, setIsDragging] = useState(false);
+    const inputRef = useRef(null);
+    // dragenter/dragleave también saltan al pasar por los hijos.
+    const dragDepthRef = useRef(0);
+
+    const canAdd = canEdit && !disabled;
+    const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+    const handleDragEnter = (e) => {
+        if (!canAdd || !hasFiles(e)) return;
+        e.preventDefault();
+        dragDepthRef.current += 1;
+        setIsDragging(true);
+    };
+
+    const handleDragOver = (e) => {
+        if (!canAdd || !hasFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    };
+
+    const handleDragLeave = () => {
+        dragDepthRef.current = Math.max(dragDepthRef.current - 1, 0);
+        if (dragDepthRef.current === 0) setIsDragging(false);
+    };
+
+    const handleDrop = (e) => {
+        if (!canAdd || !hasFiles(e)) return;
+        e.preventDefault();
+        dragDepthRef.current = 0;
+        setIsDragging(false);
+        addFiles(e.dataTransfer.files);
+    };
+
+    const handleFileChange = (e) => {
+        if (e.target.files.length) addFiles(e.target.files);
+        e.target.value = '';
+    };
+
+    const count = (attachments?.length || 0) + uploads.filter(upload => upload.status !== 'error').length;
+
+    return (
+        <section
+            className={`attachments ${isDragging ? 'attachments-dragging' : ''}`}
+            aria-labelledby={`${idPrefix}-title`}
+            onDragEnter={handleDragEnter}
+            onDragOver={handleDragOver}
+            onDragLeave={handleDragLeave}
+            onDrop={handleDrop}
+        >
+            <h4 id={`${idPrefix}-title`} className="attachments-title">
+                <Paperclip size={16} aria-hidden="true" />
+                {t('attachments.title', { count })}
+            </h4>
+
+            {attachments === null && <p className="text-sm text-gray-500">{t('attachments.loading')}</p>}
+            {attachments?.length === 0 && uploads.length === 0 && !canAdd && (
+                <p className="text-sm text-gray-500">{t('attachments.empty')}</p>
+            )}
+
+            {(attachments?.length > 0 || uploads.length > 0) && (
+                <ul className="attachment-list">
+                    {attachments?.map(attachment => (
+                        <li key={attachment._id} className="attachment">
+                            <Thumbnail url={thumbnails[attachment._id]} />
+                            <span className="attachment-info">
+                                <span className="attachment-name" title={attachment.name}>{attachment.name}</span>
+                                <span className="attachment-size">{formatFileSize(attachment.size, language)}</span>
+                            </span>
+                            <button
+                                type="button"
+                                onClick={() => downloadAttachment(attachment)}
+                                className="icon-button"
+                                title={t('attachments.download')}
+                                aria-label={t('attachments.downloadNamed', { name: attachment.name })}
+                            >
+                                <Download size={16} aria-hidden="true" />
+                            </button>
+                            {canEdit && (
+                                <button
+                                    type="button"
+                                    onClick={() => removeAttachment(attachment)}
+                                    className="icon-button icon-button-danger"
+                                    title={t('attachments.delete')}
+                                    aria-label={t('attachments.deleteNamed', { name: attachment.name })}
+                                    disabled={disabled}
+                                >
+                                    <Trash2 size={16} aria-hidden="true" />
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                    {uploads.map(upload => (
+                        <li key={upload.key} className={`attachment ${upload.status === 'error' ? 'attachment-error' : ''}`}>
+                            <Thumbnail url={upload.previewUrl} />
+                            <span className="attachment-info">
+                                <span className="attachment-name" title={upload.name}>{upload.name}</span>
+                                {upload.status === 'uploading' && (
+                                    <span className="attachment-progress">
+                                        <progress value={upload.progress} max={1} aria-label={t('attachments.progress', { name: upload.name })} />
+                                        <span>{Math.round(upload.progress * 100)} %</span>
+                                    </span>
+                                )}
+                                {upload.status === 'staged' && (
+                                    <span className="attachment-size">
+                                        {formatFileSize(upload.size, language)} · {t('attachments.staged')}
+                                    </span>
+                                )}
+                                {upload.status === 'error' && <span className="attachment-error-text" role="alert">{upload.error}</span>}
+                            </span>
+                            {upload.status === 'error' && upload.canRetry && (
+                                <button
+                                    type="button"
+                                    onClick={() => retryUpload(upload)}
+                                    className="icon-button"
+                                    title={t('attachments.retry')}
+                                    aria-label={t('attachments.retryNamed', { name: upload.name })}
+                                >
+                                    <RotateCw size={16} aria-hidden="true" />
+                                </button>
+                            )}
+                            {upload.status !== 'uploading' && (
+                                <button
+                                    type="button"
+                                    onClick={() => dismissUpload(upload)}
+                                    className="icon-button"
+                                    title={t('attachments.dismiss')}
+                                    aria-label={t('attachments.dismissNamed', { name: upload.name })}
+                                >
+                                    <X size={16} aria-hidden="true" />
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {canEdit && (
+                <div className="attachment-dropzone">
+                    <span>{t('attachments.drop')}</span>
+                    <button type="button" onClick={() => inputRef.current?.click()} className="btn-secondary text-sm" disabled={disabled}>
+                        {t('attachments.choose')}
+                    </button>
+                    <input
+                        ref={inputRef}
+                        type="file"
+                        multiple
+                        accept={ATTACHMENT_ACCEPT}
+                        onChange={handleFileChange}
+                        className="sr-only"
+                        tabIndex={-1}
+                        aria-hidden="true"
+                    />
+                    <span className="attachment-hint">{t('attachments.hint', { size: formatFileSize(MAX_ATTACHMENT_SIZE, language) })}</span>
+                </div>
+            )}
+            {error && <p className="text-red-600 text-sm mt-2 font-medium" role="alert">{error}</p>}
+        </section>
+    );
+};
+
+export default AttachmentPanel;
@@ -0,0 +1,25 @@
+import React from 'react';
+import { getAvatarColor, getDisplayName, getInitials } from './sharing';
+
+// ----------------------------------------------------------------------
+// Avatar de usuario
+// ----------------------------------------------------------------------
+// Círculo con las iniciales y un color fijo por usuario. Con `label` se
+// anuncia a los lectores de pantalla; sin él es decorativo (el nombre ya
+// está escrito al lado).
+
+const Avatar = ({ user, label, size = 'md' }) => {
+    const color = getAvatarColor(user?._id);
+    return (
+        <span
+            className={`avatar avatar-${size}`}
+            style={{ backgroundColor: color.background, color: color.text }}
+            title={label || getDisplayName(user)}
+            {...(label ? { role: 'img', 'aria-label': label } : { 'aria-hidden': true })}
+        >
+            {getInitials(user)}
+        </span>
+    );
+};
+
+export default Avatar;
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { useI18n } from './i18n';
+
+// ----------------------------------------------------------------------
+// Barra de acciones en lote
+// ----------------------------------------------------------------------
+// Solo dispara acciones; App las ejecuta y le pasa el progreso (`progress`)
+// y el informe final (`report`) con los fallos por tarea.
+
+const PRIORITIES = ['Low', 'Medium', 'High'];
+
+const BatchBar = ({
+    selectedCount,
+    filteredCount,
+    categories,
+    progress,
+    report,
+    isSelectingAll,
+    onSelectAll,
+    onClearSelection,
+    onExit,
+    onAction,
+    onDismissReport,
+}) => {
+    const { t } = useI18n();
+    const [days, setDays] = useState(1);
+    const isRunning = !!progress;
+    const disabled = isRunning || selectedCount === 0;
+
+    const handleSelectChange = (type) => (e) => {
+        const { value } = e.target;
+        e.target.value = '';
+        if (value === '') return;
+        onAction(type === 'category'
+            ? { type, category: value === 'none' ? null : value }
+            : { type, priority: value });
+    };
+
+    // «Completar: 3 correctas, 1 omitida (ya completada), 1 con error:»
+    const reportSummary = report && [
+        t('batch.succeeded', { count: report.succeeded }),
+        report.skipped > 0 && t(`batch.skipped.${report.type}`, { count: report.skipped }),
+        report.readOnly > 0 && t('batch.skipped.readOnly', { count: report.readOnly }),
+        report.failures.length > 0 && t('batch.failed', { count: report.failures.length }),
+    ].filter(Boolean).join(', ');
+
+    return (
+        <div className="batch-bar" role="region" aria-label={t('batch.label')}>
+            <div className="batch-bar-row">
+                <span className="batch-count" aria-live="polite">
+                    {t('batch.selected', { count: selectedCount })}
+                </span>
+                <button type="button" onClick={onSelectAll} className="link-button" disabled={isRunning || isSelectingAll}>
+                    {isSelectingAll ? t('batch.selectingAll') : t('batch.selectAll', { count: filteredCount })}
+                </button>
+                {selectedCount > 0 && (
+                    <button type="button" onClick={onClearSelection} className="link-button" disabled={isRunning}>
+                        {t('batch.clear')}
+                    </button>
+                )}
+                <button type="button" onClick={onExit} className="btn-secondary text-sm batch-exit" disabled={isRunning}>
+                    {t('batch.exit')}
+                </button>
+            </div>
+
+            <div className="batch-bar-row">
+                <button type="button" onClick={() => onAction({ type: 'complete' })} className="btn-secondary text-sm" disabled={disabled}>
+                    {t('batch.action.complete')}
+                </button>
+                <button type="button" onClick={() => onAction({ type: 'reopen' })} className="btn-secondary text-sm" disabled={disabled}>
+                    {t('batch.action.reopen')}
+                </button>
+                <select defaultValue="" onChange={handleSelectChange('priority')} className="input-field batch-select" disabled={disabled} aria-label={t('batch.action.priority')}>
+                    <option value="">{t('batch.priorityPlaceholder')}</option>
+                    {PRIORITIES.map(priority => (
+                        <option key={priority} value={priority}>{t(`priority.label.${priority}`)}</option>
+                    ))}
+                </select>
+                <select defaultValue="" onChange={handleSelectChange('category')} className="input-field batch-select" disabled={disabled} aria-label={t('batch.action.category')}>
+                    <option value="">{t('batch.categoryPlaceholder')}</option>
+                    <option value="none">{t('category.none')}</option>
+                    {categories.map(cat => (
+                        <option key={cat._id} value={cat._id}>{cat.name}</option>
+                    ))}
+                </select>
+                <span className="batch-shift">
+                    <input
+                        type="number"
+                        value={days}
+                        onChange={(e) => setDays(e.target.value)}
+                        className="input-field"
+                        aria-label={t('batch.days')}
+                        disabled={disabled}
+                    />
+                    <button
+                        type="button"
+                        onClick={() => onAction({ type: 'shift', days: Number(days) })}
+                        className="btn-secondary text-sm"
+                        disabled={disabled || !Number(days)}
+                    >
+                        {t('batch.action.shift')}
+                    </button>
+                </span>
+                <button type="button" onClick={() => onAction({ type: 'delete' })} className="btn-danger text-sm" disabled={disabled}>
+                    {t('batch.action.delete')}
+                </button>
+            </div>
+
+            {isRunning && (
+                <div className="batch-progress" role="status">
+                    <progress value={progress.done} max={progress.total || 1} />
+                    <span>{t('batch.progress', { action: t(`batch.action.${progress.type}`), done: progress.done, total: progress.total })}</span>
+                </div>
+            )}
+
+            {report && (
+                <div className={`batch-report ${report.failures.length ? 'batch-report-error' : ''}`} role="status">
+                    <p>{t(`batch.action.${report.type}`)}: {reportSummary}</p>
+                    {report.failures.length > 0 && (
+                        <ul>
+                            {report.failures.map(failure => (
+                                <li key={failure.id}>«{failure.title}»: {failure.message}</li>
+                            ))}
+                        </ul>
+                    )}
+                    <button type="button" onClick={onDismissReport} className="link-button">{t('batch.close')}</button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default BatchBar;
@@ -0,0 +1,214 @@
+import React, { useMemo, useState } from 'react';
+import { parseISO } from 'date-fns';
+import { getDueStatus } from './taskFilters';
+import { canEditInCategory, canEditTask } from './sharing';
+import { useI18n } from './i18n';
+
+// ----------------------------------------------------------------------
+// Tablero Kanban (por categoría o por prioridad)
+// ----------------------------------------------------------------------
+// Las tarjetas se mueven arrastrando con el ratón o con el teclado: Espacio
+// o Enter sobre el asa toma la tarjeta, las flechas izquierda/derecha eligen
+// la columna destino, Espacio/Enter la suelta y Escape cancela. Las tareas de
+// las listas en las que el usuario es lector no se pueden tomar, y esas
+// listas no aceptan tareas de otras columnas.
+
+const PRIORITIES = ['High', 'Medium', 'Low'];
+
+const NO_CATEGORY = '';
+
+const getColumns = (groupBy, categories, t) => {
+    if (groupBy === 'priority') return PRIORITIES.map(id => ({ id, title: t(`priority.option.${id}`) }));
+    return [
+        ...categories.map(cat => ({ id: cat._id, title: cat.name })),
+        { id: NO_CATEGORY, title: t('category.none') },
+    ];
+};
+
+const getColumnId = (groupBy, task) => (groupBy === 'priority' ? task.priority || 'Medium' : task.category || NO_CATEGORY);
+
+const toChanges = (groupBy, columnId) => (groupBy === 'priority' ? { priority: columnId } : { category: columnId || null });
+
+const BoardCard = ({ task, isReadOnly, isGrabbed, onGrab, onKeyboardMove, onOpen }) => {
+    const { t, formatDate } = useI18n();
+    const dueStatus = getDueStatus(task);
+
+    const handleKeyDown = (e) => {
+        if (e.key === ' ' || e.key === 'Enter') {
+            e.preventDefault();
+            onGrab(task);
+        } else if (isGrabbed && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+            e.preventDefault();
+            onKeyboardMove(e.key === 'ArrowLeft' ? -1 : 1);
+        } else if (isGrabbed && e.key === 'Escape') {
+            e.preventDefault();
+            onGrab(null);
+        }
+    };
+
+    return (
+        <div
+            className={`board-card ${isGrabbed ? 'board-card-grabbed' : ''} ${task.isCompleted ? 'board-card-completed' : ''}`}
+            draggable={!isReadOnly}
+            onDragStart={isReadOnly ? undefined : (e) => {
+                e.dataTransfer.setData('text/plain', task._id);
+                e.dataTransfer.effectAllowed = 'move';
+            }}
+        >
+            <button
+                type="button"
+                className="board-card-handle"
+                aria-pressed={isGrabbed}
+                aria-label={t('board.move', { title: task.title })}
+                aria-describedby="board-instructions"
+                title={isReadOnly ? t('task.item.readOnlyHint') : undefined}
+                disabled={isReadOnly}
+                onKeyDown={handleKeyDown}
+                onBlur={() => isGrabbed && onGrab(null)}
+            >
+                ⋮⋮
+            </button>
+            <div className="flex-1 min-w-0">
+                <button type="button" className="board-card-title" onClick={() => onOpen(task)} title={task.title}>
+                    {task.title}
+                </button>
+                <div className="board-card-meta">
+                    <span className={`board-priority board-priority-${(task.priority || 'Medium').toLowerCase()}`}>
+                        {t(`priority.label.${task.priority || 'Medium'}`)}
+                    </span>
+                    {task.dueDate && (
+                        <span className={dueStatus === 'overdue' ? 'board-due board-due-overdue' : 'board-due'}>
+                            {dueStatus === 'overdue'
+                                ? t('task.item.overdue')
+                                : dueStatus === 'today' ? t('task.item.today') : formatDate(parseISO(task.dueDate.split('T')[0]), 'P')}
+                        </span>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const BoardView = ({ tasks, categories, categoriesMap, onMove, onOpen }) => {
+    const { t } = useI18n();
+    const [groupBy, setGroupBy] = useState('category');
+    const [grabbed, setGrabbed] = useState(null); // { taskId, columnIndex }
+    const [dropTarget, setDropTarget] = useState(null);
+    const [announcement, setAnnouncement] = useState('');
+
+    const columns = useMemo(() => getColumns(groupBy, categories, t), [groupBy, categories, t]);
+
+    // Las tareas con una categoría que ya no existe van a "Sin Categoría".
+    const tasksByColumn = useMemo(() => {
+        const columnIds = new Set(columns.map(column => column.id));
+        return tasks.reduce((map, task) => {
+            const columnId = getColumnId(groupBy, task);
+            (map[columnIds.has(columnId) ? columnId : NO_CATEGORY] ||= []).push(task);
+            return map;
+        }, {});
+    }, [tasks, groupBy, columns]);
+
+    // Al agrupar por prioridad todas las columnas son de la misma lista.
+    const acceptsTasks = (columnId) => groupBy === 'priority' || canEditInCategory(categoriesMap[columnId]);
+
+    const moveTask = (task, columnId) => {
+        if (getColumnId(groupBy, task) === columnId || !canEditTask(task, categoriesMap)) return;
+        onMove(task, toChanges(groupBy, columnId));
+    };
+
+    const handleGrab = (task) => {
+        if (!task) {
+            if (grabbed) setAnnouncement(t('board.cancelled'));
+            setGrabbed(null);
+            return;
+        }
+
+        if (grabbed?.taskId === task._id) {
+            const column = columns[grabbed.columnIndex];
+            if (!acceptsTasks(column.id) && column.id !== getColumnId(groupBy, task)) {
+                setAnnouncement(t('board.notAllowed', { column: column.title }));
+                return;
+            }
+            moveTask(task, column.id);
+            setAnnouncement(t('board.moved', { title: task.title, column: column.title }));
+            setGrabbed(null);
+            return;
+        }
+
+        const columnIndex = columns.findIndex(column => column.id === getColumnId(groupBy, task));
+        setGrabbed({ taskId: task._id, columnIndex });
+        setAnnouncement(t('board.grabbed', { title: task.title, column: columns[columnIndex]?.title }));
+    };
+
+    const handleKeyboardMove = (step) => {
+        const columnIndex = Math.min(columns.length - 1, Math.max(0, grabbed.columnIndex + step));
+        setGrabbed({ ...grabbed, columnIndex });
+        setAnnouncement(t('board.target', { column: columns[columnIndex].title }));
+    };
+
+    const handleDrop = (e, columnId) => {
+        e.preventDefault();
+        setDropTarget(null);
+        const task = tasks.find(t => t._id === e.dataTransfer.getData('text/plain'));
+        if (task && acceptsTasks(columnId)) moveTask(task, columnId);
+    };
+
+    return (
+        <div className="board">
+            <div className="board-toolbar">
+                <span className="text-sm text-gray-500">{t('board.groupBy')}</span>
+                <div className="segmented">
+                    <button type="button" onClick={() => setGroupBy('category')} className={groupBy === 'category' ? 'segmented-active' : ''}>{t('board.group.category')}</button>
+                    <button type="button" onClick={() => setGroupBy('priority')} className={groupBy === 'priority' ? 'segmented-active' : ''}>{t('board.group.priority')}</button>
+                </div>
+            </div>
+            <p id="board-instructions" className="sr-only">
+                {t('board.instructions')}
+            </p>
+            <p className="sr-only" aria-live="assertive">{announcement}</p>
+
+            <div className="board-columns">
+                {columns.map((column, index) => {
+                    const columnTasks = tasksByColumn[column.id] || [];
+                    const isKeyboardTarget = grabbed?.columnIndex === index;
+
+                    return (
+                        <section
+                            key={column.id || 'none'}
+                            className={`board-column ${dropTarget === column.id || isKeyboardTarget ? 'board-column-drop' : ''}`}
+                            aria-label={column.title}
+                            onDragOver={(e) => {
+                                // Sin preventDefault el navegador no deja soltar.
+                                if (!acceptsTasks(column.id)) return;
+                                e.preventDefault();
+                                setDropTarget(column.id);
+                            }}
+                            onDragLeave={() => setDropTarget(prev => (prev === column.id ? null : prev))}
+                            onDrop={(e) => handleDrop(e, column.id)}
+                        >
+                            <h3 className="board-column-title">
+                                {column.title} <span className="board-column-count">{columnTasks.length}</span>
+                            </h3>
+                            <div className="board-column-cards">
+                                {columnTasks.map(task => (
+                                    <BoardCard
+                                        key={task._id}
+                                        task={task}
+                                        isReadOnly={!canEditTask(task, categoriesMap)}
+                                        isGrabbed={grabbed?.taskId === task._id}
+                                        onGrab={handleGrab}
+                                        onKeyboardMove={handleKeyboardMove}
+                                        onOpen={onOpen}
+                                    />
+                                ))}
+                                {columnTasks.length === 0 && <p className="board-column-empty">{t('board.empty')}</p>}
+                            </div>
+                        </section>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+export default BoardView;
@@ -0,0 +1,163 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+    addMonths,
+    addWeeks,
+    eachDayOfInterval,
+    endOfMonth,
+    endOfWeek,
+    format,
+    isSameMonth,
+    isToday,
+    startOfMonth,
+    startOfWeek,
+} from 'date-fns';
+import { getDueStatus } from './taskFilters';
+import { canEditTask } from './sharing';
+import { useI18n } from './i18n';
+
+// ----------------------------------------------------------------------
+// Vista de Calendario (mes / semana)
+// ----------------------------------------------------------------------
+
+// La semana empieza en lunes en todos los idiomas, como en la recurrencia.
+const WEEK_OPTIONS = { weekStartsOn: 1 };
+const DAY_KEY = 'yyyy-MM-dd';
+
+const getVisibleDays = (mode, cursor) => {
+    const start = mode === 'week' ? startOfWeek(cursor, WEEK_OPTIONS) : startOfWeek(startOfMonth(cursor), WEEK_OPTIONS);
+    const end = mode === 'week' ? endOfWeek(cursor, WEEK_OPTIONS) : endOfWeek(endOfMonth(cursor), WEEK_OPTIONS);
+    return eachDayOfInterval({ start, end });
+};
+
+const CalendarTask = ({ task, isReadOnly, onOpen }) => {
+    const dueStatus = getDueStatus(task);
+    const classes = [
+        'calendar-task',
+        `calendar-task-${(task.priority || 'Medium').toLowerCase()}`,
+        dueStatus === 'overdue' ? 'calendar-task-overdue' : '',
+        task.isCompleted ? 'calendar-task-completed' : '',
+    ].join(' ');
+
+    return (
+        <button
+            type="button"
+            draggable={!isReadOnly}
+            onDragStart={isReadOnly ? undefined : (e) => {
+                e.dataTransfer.setData('text/plain', task._id);
+                e.dataTransfer.effectAllowed = 'move';
+            }}
+            onClick={() => onOpen(task)}
+            className={classes}
+            title={task.title}
+        >
+            {task.title}
+        </button>
+    );
+};
+
+// `tasks` son las que vencen en los días visibles, que se avisan con
+// `onRangeChange({ from, to })` para pedirlas; las que no tienen fecha solo
+// se cuentan (`undatedCount`). Las tareas de las listas en las que el usuario
+// es lector no se pueden arrastrar.
+const CalendarView = ({ tasks, categoriesMap, undatedCount = 0, onRangeChange, onReschedule, onOpen }) => {
+    const { t, formatDate } = useI18n();
+    const [mode, setMode] = useState('month');
+    const [cursor, setCursor] = useState(() => new Date());
+    const [dropTarget, setDropTarget] = useState(null);
+
+    const days = useMemo(() => getVisibleDays(mode, cursor), [mode, cursor]);
+    const from = format(days[0], DAY_KEY);
+    const to = format(days[days.length - 1], DAY_KEY);
+
+    useEffect(() => {
+        onRangeChange({ from, to });
+    }, [from, to, onRangeChange]);
+
+    const tasksByDay = useMemo(() => {
+        return tasks.reduce((map, task) => {
+            if (!task.dueDate) return map;
+            const key = format(new Date(task.dueDate), DAY_KEY);
+            (map[key] ||= []).push(task);
+            return map;
+        }, {});
+    }, [tasks]);
+
+    const move = (step) => setCursor(prev => mode === 'week' ? addWeeks(prev, step) : addMonths(prev, step));
+
+    const title = mode === 'week'
+        ? `${formatDate(days[0], t('calendar.weekStart'))} – ${formatDate(days[days.length - 1], t('calendar.weekEnd'))}`
+        : formatDate(cursor, 'MMMM yyyy');
+
+    const handleDrop = (e, dayKey) => {
+        e.preventDefault();
+        setDropTarget(null);
+        const task = tasks.find(t => t._id === e.dataTransfer.getData('text/plain'));
+        if (!task || !canEditTask(task, categoriesMap)) return;
+        const currentKey = task.dueDate ? format(new Date(task.dueDate), DAY_KEY) : null;
+        if (currentKey !== dayKey) onReschedule(task, dayKey);
+    };
+
+    return (
+        <div className="calendar">
+            <div className="calendar-toolbar">
+                <div className="flex items-center space-x-2">
+                    <button type="button" onClick={() => move(-1)} className="btn-secondary text-sm" title={t('calendar.previous')} aria-label={t('calendar.previous')}>‹</button>
+                    <button type="button" onClick={() => setCursor(new Date())} className="btn-secondary text-sm">{t('calendar.today')}</button>
+                    <button type="button" onClick={() => move(1)} className="btn-secondary text-sm" title={t('calendar.next')} aria-label={t('calendar.next')}>›</button>
+                </div>
+                <h3 className="calendar-title">{title}</h3>
+                <div className="segmented">
+                    <button type="button" onClick={() => setMode('month')} className={mode === 'month' ? 'segmented-active' : ''}>{t('calendar.month')}</button>
+                    <button type="button" onClick={() => setMode('week')} className={mode === 'week' ? 'segmented-active' : ''}>{t('calendar.week')}</button>
+                </div>
+            </div>
+
+            <div className="calendar-grid">
+                {days.slice(0, 7).map(day => (
+                    <div key={`weekday-${day.getDay()}`} className="calendar-weekday">
+                        {formatDate(day, 'EEE')}
+                    </div>
+                ))}
+                {days.map(day => {
+                    const dayKey = format(day, DAY_KEY);
+                    const dayTasks = tasksByDay[dayKey] || [];
+                    const classes = [
+                        'calendar-day',
+                        mode === 'week' ? 'calendar-day-week' : '',
+                        mode === 'month' && !isSameMonth(day, cursor) ? 'calendar-day-outside' : '',
+                        isToday(day) ? 'calendar-day-today' : '',
+                        dropTarget === dayKey ? 'calendar-day-drop' : '',
+                    ].join(' ');
+
+                    return (
+                        <div
+                            key={dayKey}
+                            className={classes}
+                            onDragOver={(e) => {
+                                e.preventDefault();
+                                setDropTarget(dayKey);
+                            }}
+                            onDragLeave={() => setDropTarget(prev => (prev === dayKey ? null : prev))}
+                            onDrop={(e) => handleDrop(e, dayKey)}
+                        >
+                            <span className="calendar-day-number">{format(day, 'd')}</span>
+                            <div className="calendar-day-tasks">
+                                {dayTasks.map(task => (
+                                    <CalendarTask key={task._id} task={task} isReadOnly={!canEditTask(task, categoriesMap)} onOpen={onOpen} />
+                                ))}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+
+            {undatedCount > 0 && (
+                <p className="text-sm text-gray-500 mt-3">
+                    {t('calendar.undated', { count: undatedCount })}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default CalendarView;
@@ -0,0 +1,147 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useI18n } from './i18n';
+import { fuzzyFilter, SHORTCUTS } from './shortcuts';
+import { useFocusTrap } from './useFocusTrap';
+
+// ----------------------------------------------------------------------
+// Paleta de comandos (Ctrl+K)
+// ----------------------------------------------------------------------
+// `commands` = [{ id, label, group, run }]. App construye la lista (acciones,
+// tareas, categorías...); la paleta solo busca, navega y ejecuta.
+
+const MAX_RESULTS = 50;
+
+const CommandPalette = ({ commands, onClose }) => {
+    const { t } = useI18n();
+    const [query, setQuery] = useState('');
+    const [activeIndex, setActiveIndex] = useState(0);
+    const listRef = useRef(null);
+    const dialogRef = useRef(null);
+    useFocusTrap(dialogRef, { onEscape: onClose });
+
+    const results = useMemo(
+        () => fuzzyFilter(commands, query, command => `${command.group}: ${command.label}`).slice(0, MAX_RESULTS),
+        [commands, query]
+    );
+
+    useEffect(() => {
+        listRef.current?.querySelector('[aria-selected="true"]')?.scrollIntoView({ block: 'nearest' });
+    }, [activeIndex, results]);
+
+    const runCommand = (command) => {
+        onClose();
+        command.run();
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setActiveIndex(index => Math.min(index + 1, results.length - 1));
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActiveIndex(index => Math.max(index - 1, 0));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (results[activeIndex]) runCommand(results[activeIndex]);
+        }
+    };
+
+    return (
+        <div className="modal-overlay palette-overlay" onMouseDown={onClose}>
+            <div
+                ref={dialogRef}
+                className="palette"
+                role="dialog"
+                aria-modal="true"
+                aria-label={t('palette.label')}
+                onMouseDown={(e) => e.stopPropagation()}
+            >
+                <input
+                    type="text"
+                    value={query}
+                    onChange={(e) => {
+                        setQuery(e.target.value);
+                        setActiveIndex(0);
+                    }}
+                    onKeyDown={handleKeyDown}
+                    placeholder={t('palette.placeholder')}
+                    className="input-field palette-input"
+                    role="combobox"
+                    aria-expanded="true"
+                    aria-controls="palette-results"
+                    aria-activedescendant={results[activeIndex] ? `palette-${results[activeIndex].id}` : undefined}
+                    autoFocus
+                />
+                <ul id="palette-results" ref={listRef} className="palette-results" role="listbox">
+                    {results.length === 0 && (
+                        <li className="palette-empty">{t('palette.empty')}</li>
+                    )}
+                    {results.map((command, index) => (
+                        <li
+                            key={command.id}
+                            id={`palette-${command.id}`}
+                            role="option"
+                            aria-selected={index === activeIndex}
+                            className={`palette-option ${index === activeIndex ? 'palette-option-active' : ''}`}
+                            onMouseEnter={() => setActiveIndex(index)}
+                            onClick={() => runCommand(command)}
+                        >
+                            <span className="palette-group">{command.group}</span>
+                            <span className="palette-label">{command.label}</span>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        </div>
+    );
+};
+
+// ----------------------------------------------------------------------
+// Chuleta de atajos («?»)
+// ----------------------------------------------------------------------
+
+export const ShortcutCheatSheet = ({ onClose }) => {
+    const { t } = useI18n();
+    const dialogRef = useRef(null);
+    useFocusTrap(dialogRef, { onEscape: onClose });
+
+    return (
+        <div className="modal-overlay palette-overlay" onMouseDown={onClose}>
+            <div
+                ref={dialogRef}
+                className="modal-panel"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="shortcuts-title"
+                onMouseDown={(e) => e.stopPropagation()}
+            >
+                <h3 id="shortcuts-title" className="text-lg font-semibold mb-4 text-gray-700">{t('shortcuts.title')}</h3>
+                <table className="shortcut-table">
+                    <tbody>
+                        {SHORTCUTS.map(shortcut => (
+                            <tr key={shortcut.id}>
+                                <td>
+                                    {shortcut.keys.map((key, index) => (
+                                        <React.Fragment key={key}>
+                                            {index > 0 && ' + '}
+                                            <kbd>{key}</kbd>
+                                        </React.Fragment>
+                                    ))}
+                                </td>
+                                <td>{t(`shortcuts.${shortcut.id}`)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <p className="text-sm text-gray-500 mt-3">
+                    {t('shortcuts.hint')}
+                </p>
+                <div className="flex justify-end mt-4">
+                    <button type="button" onClick={onClose} className="btn-secondary" autoFocus>{t('shortcuts.dismiss')}</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CommandPalette;
@@ -0,0 +1,310 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { format } from 'date-fns';
+import { getErrorMessage } from './apiErrors';
+import { useOfflineApi } from './useOfflineApi';
+import { useFocusTrap } from './useFocusTrap';
+import { useI18n } from './i18n';
+import { downloadFile, EXPORT_FORMATS, parseImportFile, serializeTasks, toExportRows } from './taskTransfer';
+
+// ----------------------------------------------------------------------
+// Asistente de importación
+// ----------------------------------------------------------------------
+
+const sameName = (a, b) => a.trim().toLocaleLowerCase('es') === b.trim().toLocaleLowerCase('es');
+
+const ImportWizard = ({ fileName, parsed, categories, onClose, onImported }) => {
+    const { t } = useI18n();
+    const { tasks: apiTasks, categories: apiCategories } = useOfflineApi();
+    const [step, setStep] = useState('preview'); // preview | importing | done
+    const [included, setIncluded] = useState(() => parsed.rows.map(({ errors }) => errors.length === 0));
+    const [progress, setProgress] = useState({ done: 0, total: 0 });
+    const [report, setReport] = useState({ created: 0, errors: [] });
+
+    // Categorías del archivo que no existen en la cuenta. Para cada una se
+    // elige: 'create' (crearla), '' (sin categoría) o el id de una existente.
+    const unknownCategories = useMemo(() => {
+        const names = [];
+        parsed.rows.forEach(({ row }) => {
+            if (!row.category) return;
+            if (categories.some(cat => sameName(cat.name, row.category))) return;
+            if (!names.some(name => sameName(name, row.category))) names.push(row.category);
+        });
+        return names;
+    }, [parsed.rows, categories]);
+
+    const [categoryMapping, setCategoryMapping] = useState(() => (
+        Object.fromEntries(unknownCategories.map(name => [name, 'create']))
+    ));
+
+    const selectedCount = included.filter(Boolean).length;
+    const invalidCount = parsed.rows.filter(({ errors }) => errors.length > 0).length;
+
+    const handleImport = async () => {
+        setStep('importing');
+        const errors = [];
+        const createdTasks = [];
+        const createdCategories = [];
+        const categoryIds = {};
+
+        const selected = parsed.rows
+            .map((entry, index) => ({ ...entry, line: index + 1 }))
+            .filter((_, index) => included[index]);
+        const toCreate = unknownCategories.filter(name => categoryMapping[name] === 'create');
+        setProgress({ done: 0, total: toCreate.length + selected.length });
+
+        for (const name of toCreate) {
+            try {
+                const result = await apiCategories.create({ name });
+                createdCategories.push(result.category);
+                categoryIds[name] = result.category._id;
+            } catch (err) {
+                errors.push({ line: null, title: name, message: t('import.categoryError', { message: getErrorMessage(err, t) }) });
+            }
+            setProgress(prev => ({ ...prev, done: prev.done + 1 }));
+        }
+
+        const resolveCategory = (name) => {
+            if (!name) return undefined;
+            const existing = categories.find(cat => sameName(cat.name, name));
+            if (existing) return existing._id;
+            const mappedName = unknownCategories.find(unknown => sameName(unknown, name));
+            const choice = categoryMapping[mappedName];
+            if (choice === 'create') return categoryIds[mappedName];
+            return choice || undefined;
+        };
+
+        for (const { row, line } of selected) {
+            try {
+                const result = await apiTasks.create({
+                    title: row.title,
+                    description: row.description,
+                    dueDate: row.dueDate || undefined,
+                    dueTime: row.dueDate && row.dueTime ? row.dueTime : undefined,
+                    priority: row.priority,
+                    category: resolveCategory(row.category),
+                    isCompleted: row.isCompleted,
+                });
+                createdTasks.push(result.task);
+            } catch (err) {
+                errors.push({ line, title: row.title, message: getErrorMessage(err, t, t('import.taskError')) });
+            }
+            setProgress(prev => ({ ...prev, done: prev.done + 1 }));
+        }
+
+        onImported({ tasks: createdTasks, categories: createdCategories });
+        setReport({ created: createdTasks.length, errors });
+        setStep('done');
+    };
+
+    // Mientras se importa no se puede cerrar.
+    const dialogRef = useRef(null);
+    useFocusTrap(dialogRef, { onEscape: step === 'importing' ? null : onClose });
+
+    return (
+        <div className="modal-overlay">
+            <div ref={dialogRef} className="modal-panel modal-panel-wide" role="dialog" aria-modal="true" aria-labelledby="import-title" tabIndex={-1}>
+                <h3 id="import-title" className="text-lg font-semibold mb-3 text-gray-700">{t('import.title')}</h3>
+                <p className="text-sm text-gray-500 mb-3">
+                    {t('import.summary', { file: fileName, format: parsed.format.toUpperCase(), count: parsed.rows.length })}
+                    {invalidCount > 0 && t('import.invalidCount', { count: invalidCount })}
+                </p>
+
+                {step === 'preview' && (
+                    <>
+                        <div className="import-preview">
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th scope="col"><span className="sr-only">{t('import.include')}</span></th>
+                                        <th scope="col">#</th>
+                                        <th scope="col">{t('import.column.title')}</th>
+                                        <th scope="col">{t('import.column.date')}</th>
+                                        <th scope="col">{t('import.column.priority')}</th>
+                                        <th scope="col">{t('import.column.category')}</th>
+                                        <th scope="col">{t('import.column.status')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {parsed.rows.map(({ row, errors }, index) => (
+                                        <tr key={index} className={errors.length ? 'import-row-invalid' : ''}>
+                                            <td>
+                                                <input
+                                                    type="checkbox"
+                                                    checked={included[index]}
+                                                    disabled={errors.length > 0}
+                                                    onChange={() => setIncluded(prev => prev.map((value, i) => (i === index ? !value : value)))}
+                                                    aria-label={t('import.includeRow', { line: index + 1 })}
+                                                />
+                                            </td>
+                                            <td>{index + 1}</td>
+                                            <td>{row.title || <em>{t('import.emptyTitle')}</em>}{row.isCompleted && ' ✓'}</td>
+                                            <td>{row.dueDate}{row.dueTime && ` ${row.dueTime}`}</td>
+                                            <td>{t(`priority.label.${row.priority}`)}</td>
+                                            <td>{row.category}</td>
+                                            <td>
+                                                {errors.length
+                                                    ? errors.map(({ code, value }) => t(`import.rowError.${code}`, { value })).join(' ')
+                                                    : t('import.ok')}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        {unknownCategories.length > 0 && (
+                            <div className="import-categories">
+                                <h4 className="font-semibold text-gray-700 mb-2">{t('import.newCategories')}</h4>
+                                {unknownCategories.map(name => (
+                                    <label key={name} className="import-category-row">
+                                        <span>{name}</span>
+                                        <select
+                                            value={categoryMapping[name]}
+                                            onChange={(e) => setCategoryMapping(prev => ({ ...prev, [name]: e.target.value }))}
+                                            className="input-field"
+                                        >
+                                            <option value="create">{t('import.createCategory', { name })}</option>
+                                            <option value="">{t('category.none')}</option>
+                                            {categories.map(cat => (
+                                                <option key={cat._id} value={cat._id}>{t('import.useCategory', { name: cat.name })}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                ))}
+                            </div>
+                        )}
+
+                        <div className="flex justify-center space-x-2 pt-4">
+                            <button type="button" onClick={onClose} className="btn-secondary">{t('import.cancel')}</button>
+                            <button type="button" onClick={handleImport} className="btn-primary" disabled={selectedCount === 0}>
+                                {t('import.submit', { count: selectedCount })}
+                            </button>
+                        </div>
+                    </>
+                )}
+
+                {step === 'importing' && (
+                    <div className="import-progress" role="status">
+                        <progress value={progress.done} max={progress.total || 1} />
+                        <p className="text-sm text-gray-500">{t('import.progress', progress)}</p>
+                    </div>
+                )}
+
+                {step === 'done' && (
+                    <>
+                        <p className="font-semibold mb-2" role="status">
+                            {t('import.done', { count: report.created })}
+                            {report.errors.length > 0 && ` ${t('import.failed', { count: report.errors.length })}`}
+                        </p>
+                        {report.errors.length > 0 && (
+                            <ul className="import-errors">
+                                {report.errors.map((error, index) => (
+                                    <li key={index}>
+                                        {error.line
+                                            ? t('import.errorRow', error)
+                                            : t('import.errorCategory', error)}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                        <div className="flex justify-center pt-4">
+                            <button type="button" onClick={onClose} className="btn-primary">{t('import.close')}</button>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// ----------------------------------------------------------------------
+// Panel de Importar / Exportar
+// ----------------------------------------------------------------------
+
+// Las tareas no están cargadas: `loadTasks(scope)` las pide al exportar
+// ('all' o 'filtered'); `filteredCount` es el total de la lista filtrada.
+const ImportExportPanel = ({ filteredCount, loadTasks, categories, categoriesMap, onImported }) => {
+    const { t } = useI18n();
+    const [exportFormat, setExportFormat] = useState('json');
+    const [scope, setScope] = useState('all');
+    const [importFile, setImportFile] = useState(null); // { name, parsed }
+    const [isExporting, setIsExporting] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleExport = async () => {
+        setError('');
+        setIsExporting(true);
+        try {
+            const source = await loadTasks(scope);
+            if (source.length === 0) {
+                setError(t('transfer.nothingToExport'));
+                return;
+            }
+            const option = EXPORT_FORMATS.find(f => f.value === exportFormat);
+            const content = serializeTasks(toExportRows(source, categoriesMap), exportFormat);
+            downloadFile(content, `agenda-tareas-${format(new Date(), 'yyyy-MM-dd')}.${option.extension}`, option.mime);
+        } catch (err) {
+            setError(t('transfer.loadError', { message: getErrorMessage(err, t) }));
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setError('');
+        try {
+            const text = await file.text();
+            const parsed = parseImportFile(text, file.name);
+            if (parsed.rows.length === 0) {
+                setError(t('transfer.emptyFile'));
+                return;
+            }
+            setImportFile({ name: file.name, parsed });
+        } catch (err) {
+            setError(t('transfer.readError', { message: getErrorMessage(err, t) }));
+        }
+    };
+
+    return (
+        <div className="form-card p-4 transfer-panel">
+            <h3 className="text-lg font-semibold mb-3 text-gray-700">{t('transfer.title')}</h3>
+            <div className="transfer-row">
+                <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)} className="input-field" aria-label={t('transfer.format')}>
+                    {EXPORT_FORMATS.map(option => (
+                        <option key={option.value} value={option.value}>{t(`transfer.format.${option.value}`)}</option>
+                    ))}
+                </select>
+                <select value={scope} onChange={(e) => setScope(e.target.value)} className="input-field" aria-label={t('transfer.scope')}>
+                    <option value="all">{t('transfer.scope.all')}</option>
+                    <option value="filtered">
+                        {filteredCount === undefined ? t('transfer.scope.filtered') : t('transfer.scope.filteredCount', { count: filteredCount })}
+                    </option>
+                </select>
+                <button type="button" onClick={handleExport} className="btn-secondary text-sm" disabled={isExporting}>
+                    {isExporting ? '...' : t('transfer.export')}
+                </button>
+            </div>
+            <label className="btn-secondary text-sm transfer-import">
+                {t('transfer.import')}
+                <input type="file" accept=".json,.csv,.ics,application/json,text/csv,text/calendar" onChange={handleFileChange} className="sr-only" />
+            </label>
+            {error && <p className="text-red-600 text-sm mt-2 font-medium">{error}</p>}
+
+            {importFile && (
+                <ImportWizard
+                    fileName={importFile.name}
+                    parsed={importFile.parsed}
+                    categories={categories}
+                    onClose={() => setImportFile(null)}
+                    onImported={onImported}
+                />
+            )}
+        </div>
+    );
+};
+
+export default ImportExportPanel;
@@ -0,0 +1,64 @@
+import React, { useMemo } from 'react';
+import { parseMarkdown } from './markdown';
+
+// ----------------------------------------------------------------------
+// Texto en Markdown
+// ----------------------------------------------------------------------
+// Pinta el árbol de markdown.js con elementos de React (sin innerHTML). Los
+// encabezados empiezan en h4 porque siempre van dentro de un panel que ya
+// tiene título.
+
+const renderInline = (nodes) => nodes.map((node, index) => {
+    switch (node.type) {
+        case 'text':
+            return <React.Fragment key={index}>{node.text}</React.Fragment>;
+        case 'break':
+            return <br key={index} />;
+        case 'code':
+            return <code key={index}>{node.text}</code>;
+        case 'strong':
+            return <strong key={index}>{renderInline(node.children)}</strong>;
+        case 'em':
+            return <em key={index}>{renderInline(node.children)}</em>;
+        case 'del':
+            return <del key={index}>{renderInline(node.children)}</del>;
+        case 'link':
+            return (
+                <a key={index} href={node.href} target="_blank" rel="noopener noreferrer nofollow">
+                    {renderInline(node.children)}
+                </a>
+            );
+        default:
+            return null;
+    }
+});
+
+const renderBlocks = (blocks) => blocks.map((block, index) => {
+    switch (block.type) {
+        case 'heading': {
+            const Heading = `h${Math.min(block.level + 3, 6)}`;
+            return <Heading key={index}>{renderInline(block.children)}</Heading>;
+        }
+        case 'list': {
+            const List = block.ordered ? 'ol' : 'ul';
+            return (
+                <List key={index} start={block.ordered && block.start !== 1 ? block.start : undefined}>
+                    {block.items.map((item, itemIndex) => <li key={itemIndex}>{renderInline(item)}</li>)}
+                </List>
+            );
+        }
+        case 'quote':
+            return <blockquote key={index}>{renderBlocks(block.children)}</blockquote>;
+        case 'code':
+            return <pre key={index}><code>{block.text}</code></pre>;
+        default:
+            return <p key={index}>{renderInline(block.children)}</p>;
+    }
+});
+
+const Markdown = ({ source, className = '' }) => {
+    const blocks = useMemo(() => parseMarkdown(source), [source]);
+    return <div className={`markdown ${className}`}>{renderBlocks(blocks)}</div>;
+};
+
+export default Markdown;
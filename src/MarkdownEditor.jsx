@@ -0,0 +1,111 @@
+import React, { useLayoutEffect, useRef, useState } from 'react';
+import { Bold, Code, Italic, Link, List, ListOrdered, Quote, Strikethrough } from 'lucide-react';
+import { useI18n } from './i18n';
+import { insertLink, toggleLinePrefix, wrapSelection } from './markdown';
+import Markdown from './Markdown';
+
+// ----------------------------------------------------------------------
+// Editor de Markdown
+// ----------------------------------------------------------------------
+// Textarea con barra de formato (también Ctrl+B y Ctrl+I) y pestaña de
+// vista previa, que se pinta con el mismo Markdown.jsx que la descripción.
+// El texto se guarda tal cual en Markdown. El resto de props (aria-*,
+// placeholder...) van al textarea.
+
+const TOOLS = [
+    { id: 'bold', Icon: Bold, key: 'b', apply: (selection, t) => wrapSelection(selection, '**', '**', t('editor.sample.bold')) },
+    { id: 'italic', Icon: Italic, key: 'i', apply: (selection, t) => wrapSelection(selection, '*', '*', t('editor.sample.italic')) },
+    { id: 'strike', Icon: Strikethrough, apply: (selection, t) => wrapSelection(selection, '~~', '~~', t('editor.sample.strike')) },
+    { id: 'code', Icon: Code, apply: (selection, t) => wrapSelection(selection, '`', '`', t('editor.sample.code')) },
+    { id: 'link', Icon: Link, apply: (selection, t) => insertLink(selection, t('editor.sample.link')) },
+    { id: 'bullet', Icon: List, apply: (selection) => toggleLinePrefix(selection, 'bullet') },
+    { id: 'ordered', Icon: ListOrdered, apply: (selection) => toggleLinePrefix(selection, 'ordered') },
+    { id: 'quote', Icon: Quote, apply: (selection) => toggleLinePrefix(selection, 'quote') },
+];
+
+const MarkdownEditor = ({ id, value, onChange, disabled = false, rows = 4, className = '', ...textareaProps }) => {
+    const { t } = useI18n();
+    const [isPreview, setIsPreview] = useState(false);
+    const textareaRef = useRef(null);
+    // Selección que hay que restaurar cuando el nuevo texto llegue al textarea.
+    const pendingSelectionRef = useRef(null);
+
+    useLayoutEffect(() => {
+        const selection = pendingSelectionRef.current;
+        const textarea = textareaRef.current;
+        if (!selection || !textarea) return;
+        pendingSelectionRef.current = null;
+        textarea.focus();
+        textarea.setSelectionRange(selection.start, selection.end);
+    }, [value]);
+
+    const applyTool = (tool) => {
+        const textarea = textareaRef.current;
+        if (!textarea) return;
+        const next = tool.apply({ value, start: textarea.selectionStart, end: textarea.selectionEnd }, t);
+        pendingSelectionRef.current = next;
+        onChange(next.value);
+    };
+
+    const handleKeyDown = (e) => {
+        textareaProps.onKeyDown?.(e);
+        if (e.defaultPrevented || !(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey) return;
+        const tool = TOOLS.find(option => option.key === e.key.toLowerCase());
+        if (!tool) return;
+        e.preventDefault();
+        applyTool(tool);
+    };
+
+    return (
+        <div className={`md-editor ${className}`}>
+            <div className="md-editor-bar">
+                <div className="segmented md-editor-tabs" role="group" aria-label={t('editor.mode')}>
+                    <button type="button" onClick={() => setIsPreview(false)} className={!isPreview ? 'segmented-active' : ''} aria-pressed={!isPreview}>
+                        {t('editor.write')}
+                    </button>
+                    <button type="button" onClick={() => setIsPreview(true)} className={isPreview ? 'segmented-active' : ''} aria-pressed={isPreview}>
+                        {t('editor.preview')}
+                    </button>
+                </div>
+                {!isPreview && (
+                    <div className="md-editor-tools" role="toolbar" aria-label={t('editor.toolbar')} aria-controls={id}>
+                        {TOOLS.map(tool => (
+                            <button
+                                key={tool.id}
+                                type="button"
+                                onClick={() => applyTool(tool)}
+                                className="icon-button"
+                                title={tool.key ? `${t(`editor.tool.${tool.id}`)} (Ctrl+${tool.key.toUpperCase()})` : t(`editor.tool.${tool.id}`)}
+                                aria-label={t(`editor.tool.${tool.id}`)}
+                                disabled={disabled}
+                            >
+                                <tool.Icon size={16} aria-hidden="true" />
+                            </button>
+                        ))}
+                    </div>
+                )}
+            </div>
+            {isPreview ? (
+                <div className="md-editor-preview">
+                    {value.trim()
+                        ? <Markdown source={value} />
+                        : <p className="text-sm text-gray-500">{t('editor.empty')}</p>}
+                </div>
+            ) : (
+                <textarea
+                    {...textareaProps}
+                    id={id}
+                    ref={textareaRef}
+                    value={value}
+                    onChange={(e) => onChange(e.target.value)}
+                    onKeyDown={handleKeyDown}
+                    className="input-field md-editor-input"
+                    rows={rows}
+                    disabled={disabled}
+                />
+            )}
+        </div>
+    );
+};
+
+export default MarkdownEditor;
@@ -0,0 +1,127 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { parseISO } from 'date-fns';
+import { getErrorMessage, getFieldErrors, isCancelled } from './apiErrors';
+import { useI18n } from './i18n';
+import { useUnmountSignal } from './useApi';
+import { useOfflineApi } from './useOfflineApi';
+import { parseQuickAdd, splitByTokens } from './quickAdd';
+
+// ----------------------------------------------------------------------
+// Alta rápida
+// ----------------------------------------------------------------------
+// Una sola línea («Pagar luz mañana !alta #casa») que se interpreta con
+// quickAdd.js. Los tokens reconocidos se resaltan detrás del texto mientras
+// se escribe (una capa con el mismo texto y <mark> debajo del input
+// transparente) y se resumen en chips antes de enviar.
+
+// Ejemplos que la ayuda muestra como <code> en lugar de {priority} y {category}.
+const HELP_EXAMPLES = { '{priority}': 'quickAdd.examplePriority', '{category}': 'quickAdd.exampleCategory' };
+
+const QuickAddForm = ({ categories, onSave }) => {
+    const { t, formatDate } = useI18n();
+    const [text, setText] = useState('');
+    const [error, setError] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+    const backdropRef = useRef(null);
+
+    const { tasks } = useOfflineApi();
+    const getSignal = useUnmountSignal();
+
+    const parsed = useMemo(() => parseQuickAdd(text, { categories }), [text, categories]);
+    const categoryName = categories.find(cat => cat._id === parsed.category)?.name;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        if (!parsed.title) {
+            setError(t('quickAdd.missingTitle'));
+            return;
+        }
+
+        setIsLoading(true);
+        try {
+            const result = await tasks.create({
+                title: parsed.title,
+                priority: parsed.priority || 'Medium',
+                ...(parsed.dueDate ? { dueDate: parsed.dueDate } : {}),
+                ...(parsed.dueTime ? { dueTime: parsed.dueTime } : {}),
+                ...(parsed.category ? { category: parsed.category } : {}),
+            }, { signal: getSignal() });
+            onSave(result.task, 'created');
+            setText('');
+        } catch (err) {
+            if (isCancelled(err)) return;
+            const fieldErrors = getFieldErrors(err);
+            setError(Object.values(fieldErrors)[0] || getErrorMessage(err, t, t('quickAdd.error')));
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    // La capa resaltada sigue al scroll horizontal del input.
+    const syncScroll = (e) => {
+        if (backdropRef.current) backdropRef.current.scrollLeft = e.target.scrollLeft;
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="form-card quick-add">
+            <label htmlFor="quick-add-input" className="text-lg font-semibold mb-2 text-gray-700 block">{t('quickAdd.title')}</label>
+            <div className="quick-add-field">
+                <div ref={backdropRef} className="input-field quick-add-backdrop" aria-hidden="true">
+                    {splitByTokens(text, parsed.tokens).map((part, index) => (
+                        part.token
+                            ? <mark key={index} className={`quick-add-token quick-add-${part.token.type} ${part.token.ignored ? 'quick-add-ignored' : ''}`}>{part.text}</mark>
+                            : <span key={index}>{part.text}</span>
+                    ))}
+                </div>
+                <input
+                    id="quick-add-input"
+                    type="text"
+                    value={text}
+                    onChange={(e) => {
+                        setText(e.target.value);
+                        syncScroll(e);
+                    }}
+                    onScroll={syncScroll}
+                    onSelect={syncScroll}
+                    placeholder={t('quickAdd.placeholder')}
+                    className="input-field quick-add-input"
+                    disabled={isLoading}
+                    autoComplete="off"
+                    aria-describedby="quick-add-help quick-add-summary"
+                />
+            </div>
+            <p id="quick-add-help" className="text-xs text-gray-500 mt-1">
+                {t('quickAdd.help').split(/(\{\w+\})/).map((part, index) => (
+                    HELP_EXAMPLES[part] ? <code key={index}>{t(HELP_EXAMPLES[part])}</code> : part
+                ))}
+            </p>
+
+            <div id="quick-add-summary" className="quick-add-summary" aria-live="polite">
+                {parsed.dueDate && (
+                    <span className="quick-add-chip quick-add-date">
+                        📅 {formatDate(parseISO(parsed.dueDate), t('quickAdd.dateFormat'))}
+                        {parsed.dueTime && ` · ${parsed.dueTime}`}
+                    </span>
+                )}
+                {parsed.priority && (
+                    <span className="quick-add-chip quick-add-priority">{t(`priority.option.${parsed.priority}`)}</span>
+                )}
+                {categoryName && (
+                    <span className="quick-add-chip quick-add-category">#{categoryName}</span>
+                )}
+                {parsed.tokens.some(token => token.ignored) && (
+                    <span className="quick-add-chip quick-add-ignored">{t('quickAdd.ignored')}</span>
+                )}
+            </div>
+
+            {error && <p className="field-error" role="alert">{error}</p>}
+
+            <button type="submit" className="btn-primary w-full mt-2" disabled={isLoading || !text.trim()}>
+                {isLoading ? t('task.form.saving') : parsed.title ? t('quickAdd.addTitle', { title: parsed.title }) : t('quickAdd.add')}
+            </button>
+        </form>
+    );
+};
+
+export default QuickAddForm;
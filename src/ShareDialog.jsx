@@ -0,0 +1,173 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { getErrorMessage, getFieldErrors, isCancelled } from './apiErrors';
+import { useUnmountSignal } from './useApi';
+import { useOfflineApi } from './useOfflineApi';
+import { useFocusTrap } from './useFocusTrap';
+import { useI18n } from './i18n';
+import { canManageCategory, getDisplayName, SHARE_ROLES } from './sharing';
+import Avatar from './Avatar';
+
+// ----------------------------------------------------------------------
+// Compartir una categoría
+// ----------------------------------------------------------------------
+// El propietario invita por correo (como editor o lector), cambia roles y
+// quita miembros; el resto ve quién está y puede salir de la lista. Cada
+// cambio devuelve la categoría actualizada, que se pasa a `onChange`
+// (null si el usuario salió de la lista).
+
+const ShareDialog = ({ category, currentUser, onChange, onClose }) => {
+    const { t } = useI18n();
+    const { categories: apiCategories } = useOfflineApi();
+    const getSignal = useUnmountSignal();
+    const [members, setMembers] = useState(category.members || []);
+    const [email, setEmail] = useState('');
+    const [role, setRole] = useState('editor');
+    const [error, setError] = useState('');
+    const [emailError, setEmailError] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+    const dialogRef = useRef(null);
+    useFocusTrap(dialogRef, { onEscape: onClose });
+
+    const isOwner = canManageCategory(category);
+
+    // La lista de la categoría puede estar desfasada si otro miembro cambió algo.
+    useEffect(() => {
+        apiCategories.getMembers(category._id, { signal: getSignal() })
+            .then(result => setMembers(result.members || []))
+            .catch(err => {
+                if (!isCancelled(err)) setError(getErrorMessage(err, t, t('share.loadError')));
+            });
+    }, [apiCategories, category._id, getSignal, t]);
+
+    const run = async (action) => {
+        setIsLoading(true);
+        setError('');
+        setEmailError('');
+        try {
+            const result = await action({ signal: getSignal() });
+            const stillMember = result.category?.members?.some(m => m.user === currentUser?._id);
+            setMembers(result.category?.members || []);
+            onChange(stillMember ? result.category : null);
+            return true;
+        } catch (err) {
+            if (isCancelled(err)) return false;
+            const fieldErrors = getFieldErrors(err);
+            if (fieldErrors.email) setEmailError(fieldErrors.email);
+            else setError(getErrorMessage(err, t, t('share.saveError')));
+            return false;
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleInvite = async (e) => {
+        e.preventDefault();
+        if (!email.trim()) return;
+        const done = await run(options => apiCategories.share(category._id, { email: email.trim(), role }, options));
+        if (done) setEmail('');
+    };
+
+    const handleLeave = async () => {
+        const done = await run(options => apiCategories.removeMember(category._id, currentUser._id, options));
+        if (done) onClose();
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div ref={dialogRef} className="modal-panel" role="dialog" aria-modal="true" aria-labelledby="share-title" tabIndex={-1}>
+                <h3 id="share-title" className="text-lg font-semibold mb-3 text-gray-700">
+                    {t('share.title', { name: category.name })}
+                </h3>
+
+                <ul className="member-list" aria-label={t('share.members')}>
+                    {members.map(member => {
+                        const user = { _id: member.user, name: member.name, email: member.email };
+                        const isSelf = member.user === currentUser?._id;
+                        return (
+                            <li key={member.user} className="member-row">
+                                <Avatar user={user} />
+                                <span className="member-name">
+                                    {getDisplayName(user)}
+                                    {isSelf && ` ${t('share.you')}`}
+                                    {member.name && <span className="member-email">{member.email}</span>}
+                                </span>
+                                {isOwner && member.role !== 'owner' ? (
+                                    <>
+                                        <select
+                                            value={member.role}
+                                            onChange={(e) => run(options => apiCategories.updateMember(category._id, member.user, { role: e.target.value }, options))}
+                                            className="input-field member-role"
+                                            aria-label={t('share.roleFor', { name: getDisplayName(user) })}
+                                            disabled={isLoading}
+                                        >
+                                            {SHARE_ROLES.map(option => (
+                                                <option key={option} value={option}>{t(`share.role.${option}`)}</option>
+                                            ))}
+                                        </select>
+                                        <button
+                                            type="button"
+                                            onClick={() => run(options => apiCategories.removeMember(category._id, member.user, options))}
+                                            className="btn-secondary text-sm"
+                                            aria-label={t('share.removeNamed', { name: getDisplayName(user) })}
+                                            disabled={isLoading}
+                                        >
+                                            {t('share.remove')}
+                                        </button>
+                                    </>
+                                ) : (
+                                    <span className="member-role-label">{t(`share.role.${member.role}`)}</span>
+                                )}
+                            </li>
+                        );
+                    })}
+                </ul>
+
+                {isOwner && (
+                    <form onSubmit={handleInvite} className="share-form" aria-busy={isLoading}>
+                        <input
+                            type="email"
+                            value={email}
+                            onChange={(e) => setEmail(e.target.value)}
+                            placeholder={t('share.email')}
+                            aria-label={t('share.email')}
+                            className="input-field"
+                            disabled={isLoading}
+                            required
+                            {...(emailError ? { 'aria-invalid': true, 'aria-describedby': 'share-email-error' } : {})}
+                        />
+                        <select
+                            value={role}
+                            onChange={(e) => setRole(e.target.value)}
+                            className="input-field"
+                            aria-label={t('share.role')}
+                            disabled={isLoading}
+                        >
+                            {SHARE_ROLES.map(option => (
+                                <option key={option} value={option}>{t(`share.role.${option}`)}</option>
+                            ))}
+                        </select>
+                        <button type="submit" className="btn-primary text-sm" disabled={isLoading || !email.trim()}>
+                            {t('share.invite')}
+                        </button>
+                    </form>
+                )}
+                {emailError && <p id="share-email-error" className="field-error" role="alert">{emailError}</p>}
+                {error && <p className="text-red-600 text-sm mt-2 font-medium" role="alert">{error}</p>}
+                <p className="text-sm text-gray-500 mt-3">{t('share.rolesHint')}</p>
+
+                <div className="flex justify-end space-x-2 mt-4">
+                    {!isOwner && (
+                        <button type="button" onClick={handleLeave} className="btn-danger text-sm" disabled={isLoading}>
+                            {t('share.leave')}
+                        </button>
+                    )}
+                    <button type="button" onClick={onClose} className="btn-secondary text-sm">
+                        {t('share.close')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ShareDialog;
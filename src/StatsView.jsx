@@ -0,0 +1,209 @@
+import React, { useMemo, useState } from 'react';
+import { format } from 'date-fns';
+import {
+    formatDuration,
+    getBreakdown,
+    getCompletedSeries,
+    getCompletionTimes,
+    getOverdueRate,
+    getRange,
+    getStreaks,
+    getTasksInRange,
+    RANGE_PRESETS,
+} from './stats';
+import { useI18n } from './i18n';
+
+// ----------------------------------------------------------------------
+// Gráficos SVG
+// ----------------------------------------------------------------------
+
+const CHART_HEIGHT = 160;
+const PRIORITIES = ['High', 'Medium', 'Low'];
+
+// Barras verticales; cada barra lleva <title> para el tooltip nativo y la
+// tabla oculta da los mismos datos a los lectores de pantalla.
+const BarChart = ({ data, caption }) => {
+    const { t } = useI18n();
+    const max = Math.max(1, ...data.map(item => item.count));
+    const barWidth = 100 / Math.max(data.length, 1);
+    // Con muchas barras solo se rotulan algunas para que no se pisen.
+    const labelEvery = Math.ceil(data.length / 10);
+
+    return (
+        <figure className="stats-chart">
+            <svg viewBox={`0 0 100 ${CHART_HEIGHT}`} preserveAspectRatio="none" role="img" aria-label={caption} className="stats-bars">
+                <line x1="0" y1={CHART_HEIGHT - 0.5} x2="100" y2={CHART_HEIGHT - 0.5} className="stats-axis" />
+                {data.map((item, index) => {
+                    const height = (item.count / max) * (CHART_HEIGHT - 10);
+                    return (
+                        <rect
+                            key={item.key}
+                            x={index * barWidth + barWidth * 0.15}
+                            y={CHART_HEIGHT - height}
+                            width={barWidth * 0.7}
+                            height={height}
+                            className="stats-bar"
+                        >
+                            <title>{`${item.label}: ${item.count}`}</title>
+                        </rect>
+                    );
+                })}
+            </svg>
+            <div className="stats-bar-labels" aria-hidden="true">
+                {data.map((item, index) => (
+                    <span key={item.key} style={{ width: `${barWidth}%` }}>
+                        {index % labelEvery === 0 ? item.label : ''}
+                    </span>
+                ))}
+            </div>
+            <figcaption>{t('stats.chartMax', { caption, max })}</figcaption>
+            <table className="sr-only">
+                <caption>{caption}</caption>
+                <tbody>
+                    {data.map(item => (
+                        <tr key={item.key}><th scope="row">{item.label}</th><td>{item.count}</td></tr>
+                    ))}
+                </tbody>
+            </table>
+        </figure>
+    );
+};
+
+// Barras horizontales apiladas: completadas + pendientes.
+const BreakdownChart = ({ rows, caption }) => {
+    const { t } = useI18n();
+    const max = Math.max(1, ...rows.map(row => row.total));
+
+    return (
+        <figure className="stats-chart">
+            <figcaption>{caption}</figcaption>
+            {rows.length === 0 && <p className="text-sm text-gray-500">{t('stats.empty')}</p>}
+            <ul className="stats-breakdown">
+                {rows.map(row => (
+                    <li key={row.key}>
+                        <span className="stats-breakdown-label">{row.label}</span>
+                        <svg viewBox="0 0 100 10" preserveAspectRatio="none" className="stats-breakdown-bar" aria-hidden="true">
+                            <rect x="0" y="0" width={(row.completed / max) * 100} height="10" className="stats-bar" />
+                            <rect x={(row.completed / max) * 100} y="0" width={((row.total - row.completed) / max) * 100} height="10" className="stats-bar-pending" />
+                        </svg>
+                        <span className="stats-breakdown-value">{row.completed}/{row.total}</span>
+                    </li>
+                ))}
+            </ul>
+        </figure>
+    );
+};
+
+// ----------------------------------------------------------------------
+// Vista de estadísticas
+// ----------------------------------------------------------------------
+
+const StatsView = ({ tasks, categoriesMap }) => {
+    const { t, formatDate } = useI18n();
+    const [preset, setPreset] = useState('30d');
+    const [custom, setCustom] = useState(() => ({
+        from: format(new Date(), 'yyyy-MM-01'),
+        to: format(new Date(), 'yyyy-MM-dd'),
+    }));
+    const [unit, setUnit] = useState('day');
+
+    const stats = useMemo(() => {
+        const now = new Date();
+        const range = getRange(preset, now, custom);
+        const inRange = getTasksInRange(tasks, range);
+        const series = getCompletedSeries(tasks, range, unit).map(item => ({
+            ...item,
+            label: unit === 'week' ? t('stats.weekLabel', { date: formatDate(item.date, 'd MMM') }) : formatDate(item.date, 'd MMM'),
+        }));
+        return {
+            range,
+            series,
+            completed: series.reduce((sum, item) => sum + item.count, 0),
+            overdue: getOverdueRate(tasks, range, now),
+            times: getCompletionTimes(tasks, range),
+            streaks: getStreaks(tasks, now),
+            byCategory: getBreakdown(inRange, 'category').map(row => ({
+                ...row,
+                label: categoriesMap[row.key]?.name || t('category.none'),
+            })),
+            byPriority: getBreakdown(inRange, 'priority').map(row => ({
+                ...row,
+                label: PRIORITIES.includes(row.key) ? t(`priority.label.${row.key}`) : row.key || t('stats.noPriority'),
+            })),
+        };
+    }, [tasks, categoriesMap, preset, custom, unit, t, formatDate]);
+
+    const { overdue, times, streaks } = stats;
+
+    return (
+        <div className="stats-view">
+            <div className="stats-controls">
+                <select value={preset} onChange={(e) => setPreset(e.target.value)} className="input-field" aria-label={t('stats.range')}>
+                    {RANGE_PRESETS.map(value => (
+                        <option key={value} value={value}>{t(`stats.range.${value}`)}</option>
+                    ))}
+                </select>
+                {preset === 'custom' && (
+                    <>
+                        <input
+                            type="date"
+                            value={custom.from}
+                            max={custom.to}
+                            onChange={(e) => setCustom(prev => ({ ...prev, from: e.target.value }))}
+                            className="input-field"
+                            aria-label={t('stats.from')}
+                        />
+                        <input
+                            type="date"
+                            value={custom.to}
+                            min={custom.from}
+                            onChange={(e) => setCustom(prev => ({ ...prev, to: e.target.value }))}
+                            className="input-field"
+                            aria-label={t('stats.to')}
+                        />
+                    </>
+                )}
+                <span className="text-sm text-gray-500">
+                    {formatDate(stats.range.start, 'P')} – {formatDate(stats.range.end, 'P')}
+                </span>
+            </div>
+
+            <div className="stats-cards">
+                <div className="stats-card">
+                    <span className="stats-card-value">{stats.completed}</span>
+                    <span className="stats-card-label">{t('stats.completed')}</span>
+                </div>
+                <div className="stats-card">
+                    <span className="stats-card-value">{overdue.rate === null ? '—' : `${Math.round(overdue.rate * 100)}%`}</span>
+                    <span className="stats-card-label">{t('stats.overdueRate', { overdue: overdue.overdue, total: overdue.total })}</span>
+                </div>
+                <div className="stats-card">
+                    <span className="stats-card-value">{formatDuration(times.median, t)}</span>
+                    <span className="stats-card-label">{t('stats.completionTime', { average: formatDuration(times.average, t) })}</span>
+                </div>
+                <div className="stats-card">
+                    <span className="stats-card-value">🔥 {streaks.current}</span>
+                    <span className="stats-card-label">{t('stats.streak', { best: streaks.best })}</span>
+                </div>
+            </div>
+
+            <div className="stats-section">
+                <div className="flex justify-between items-center mb-2">
+                    <h3 className="font-semibold text-gray-700">{t('stats.completedTitle')}</h3>
+                    <div className="segmented">
+                        <button type="button" onClick={() => setUnit('day')} className={unit === 'day' ? 'segmented-active' : ''}>{t('stats.unit.day')}</button>
+                        <button type="button" onClick={() => setUnit('week')} className={unit === 'week' ? 'segmented-active' : ''}>{t('stats.unit.week')}</button>
+                    </div>
+                </div>
+                <BarChart data={stats.series} caption={t(`stats.series.${unit}`)} />
+            </div>
+
+            <div className="stats-section stats-columns">
+                <BreakdownChart rows={stats.byCategory} caption={t('stats.byCategory')} />
+                <BreakdownChart rows={stats.byPriority} caption={t('stats.byPriority')} />
+            </div>
+        </div>
+    );
+};
+
+export default StatsView;
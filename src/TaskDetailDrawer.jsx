@@ -0,0 +1,333 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { parseISO } from 'date-fns';
+import { X } from 'lucide-react';
+import { getErrorMessage, getFieldErrors, isCancelled } from './apiErrors';
+import { useUnmountSignal } from './useApi';
+import { useOfflineApi } from './useOfflineApi';
+import { useFocusTrap } from './useFocusTrap';
+import { useI18n } from './i18n';
+import { canEditTask, findAssignee, getAssignableUsers, getDisplayName } from './sharing';
+import { buildTimeline, getTaskHistory, subscribeToHistory } from './taskHistory';
+import { describeRecurrence } from './recurrence';
+import { getSubtaskProgress } from './subtasks';
+import Avatar from './Avatar';
+import Markdown from './Markdown';
+import MarkdownEditor from './MarkdownEditor';
+import AttachmentPanel from './AttachmentPanel';
+import { useAttachments } from './useAttachments';
+
+// ----------------------------------------------------------------------
+// Detalle de una tarea
+// ----------------------------------------------------------------------
+// Panel lateral que se abre desde el título de la tarea: descripción (en
+// Markdown), datos, adjuntos, comentarios y la actividad (historial de
+// cambios, ver taskHistory.js). Quien puede editar la tarea cambia aquí al formulario de
+// edición (`editForm`, que pasa App) con `onEdit`.
+
+// --- Comentarios ---
+
+const CommentThread = ({ task, currentUser, canComment }) => {
+    const { t, formatDate } = useI18n();
+    const { tasks: apiTasks } = useOfflineApi();
+    const getSignal = useUnmountSignal();
+    const [comments, setComments] = useState(null);
+    const [body, setBody] = useState('');
+    const [bodyError, setBodyError] = useState('');
+    const [error, setError] = useState('');
+    const [isSending, setIsSending] = useState(false);
+
+    useEffect(() => {
+        apiTasks.getComments(task._id, { signal: getSignal() })
+            .then(result => setComments(result.comments || []))
+            .catch(err => {
+                if (isCancelled(err)) return;
+                setComments([]);
+                setError(getErrorMessage(err, t, t('comments.loadError')));
+            });
+    }, [apiTasks, task._id, getSignal, t]);
+
+    const handleSubmit = async (e) => {
+        e?.preventDefault();
+        if (!body.trim() || isSending) return;
+        setIsSending(true);
+        setError('');
+        setBodyError('');
+        try {
+            const result = await apiTasks.addComment(task._id, { body }, { signal: getSignal() });
+            setComments(current => [...(current || []), result.comment]);
+            setBody('');
+        } catch (err) {
+            if (isCancelled(err)) return;
+            const fieldErrors = getFieldErrors(err);
+            if (fieldErrors.body) setBodyError(fieldErrors.body);
+            else setError(getErrorMessage(err, t, t('comments.saveError')));
+        } finally {
+            setIsSending(false);
+        }
+    };
+
+    const handleDelete = async (comment) => {
+        setError('');
+        try {
+            await apiTasks.deleteComment(task._id, comment._id, { signal: getSignal() });
+            setComments(current => current.filter(c => c._id !== comment._id));
+        } catch (err) {
+            if (!isCancelled(err)) setError(getErrorMessage(err, t, t('comments.deleteError')));
+        }
+    };
+
+    // Ctrl+Intro (Cmd+Intro en Mac) envía; Intro solo hace un salto de línea.
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) handleSubmit(e);
+    };
+
+    return (
+        <section aria-labelledby="task-comments-title">
+            <h4 id="task-comments-title" className="sr-only">{t('detail.comments')}</h4>
+            {comments === null ? (
+                <p className="text-sm text-gray-500">{t('comments.loading')}</p>
+            ) : comments.length === 0 ? (
+                <p className="text-sm text-gray-500">{t('comments.empty')}</p>
+            ) : (
+                <ul className="comment-list">
+                    {comments.map(comment => {
+                        const isOwn = comment.author?._id === currentUser?._id;
+                        return (
+                            <li key={comment._id} className="comment">
+                                <Avatar user={comment.author} size="sm" />
+                                <div className="comment-content">
+                                    <p className="comment-meta">
+                                        <span className="comment-author">{isOwn ? t('activity.you') : getDisplayName(comment.author) || t('activity.someone')}</span>
+                                        <time dateTime={comment.createdAt}>{formatDate(parseISO(comment.createdAt), 'Pp')}</time>
+                                        {isOwn && (
+                                            <button type="button" onClick={() => handleDelete(comment)} className="comment-delete">
+                                                {t('comments.delete')}
+                                            </button>
+                                        )}
+                                    </p>
+                                    <Markdown source={comment.body} />
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+
+            {canComment ? (
+                <form onSubmit={handleSubmit} className="comment-form" aria-busy={isSending}>
+                    <MarkdownEditor
+                        id="comment-body"
+                        value={body}
+                        onChange={setBody}
+                        onKeyDown={handleKeyDown}
+                        placeholder={t('comments.placeholder')}
+                        aria-label={t('comments.new')}
+                        rows={3}
+                        disabled={isSending}
+                        {...(bodyError ? { 'aria-invalid': true, 'aria-describedby': 'comment-body-error' } : { 'aria-describedby': 'comment-hint' })}
+                    />
+                    {bodyError && <p id="comment-body-error" className="field-error" role="alert">{bodyError}</p>}
+                    <div className="comment-form-footer">
+                        <span id="comment-hint" className="text-xs text-gray-500">{t('comments.hint')}</span>
+                        <button type="submit" className="btn-primary text-sm" disabled={isSending || !body.trim()}>
+                            {isSending ? t('comments.sending') : t('comments.send')}
+                        </button>
+                    </div>
+                </form>
+            ) : (
+                <p className="text-sm text-gray-500 mt-3">{t('comments.readOnly')}</p>
+            )}
+            {error && <p className="text-red-600 text-sm mt-2 font-medium" role="alert">{error}</p>}
+        </section>
+    );
+};
+
+// --- Actividad ---
+
+const NO_VALUE = '—';
+
+// Una línea legible por cambio (p. ej. «Prioridad: Media → Alta»).
+const describeChange = ({ field, from, to }, { t, language, formatDate, findUser, categoriesMap }) => {
+    const formatDay = (value) => (value ? formatDate(parseISO(value.split('T')[0]), 'P') : NO_VALUE);
+    const categoryName = (id) => (id ? categoriesMap[id]?.name || NO_VALUE : t('category.none'));
+    switch (field) {
+        case 'isCompleted':
+            return to ? t('activity.completed') : t('activity.reopened');
+        case 'title':
+            return t('activity.title', { from: from ?? NO_VALUE, to: to ?? NO_VALUE });
+        case 'description':
+            return to ? t('activity.description') : t('activity.descriptionRemoved');
+        case 'priority':
+            return t('activity.priority', {
+                from: from ? t(`priority.label.${from}`) : NO_VALUE,
+                to: to ? t(`priority.label.${to}`) : NO_VALUE,
+            });
+        case 'dueDate':
+            return to ? t('activity.dueDate', { from: formatDay(from), to: formatDay(to) }) : t('activity.dueDateRemoved');
+        case 'dueTime':
+            return t('activity.dueTime', { from: from ?? NO_VALUE, to: to ?? NO_VALUE });
+        case 'reminderOffset':
+            return t('activity.reminder', { to: t(`reminder.offset.${to ?? 'none'}`) });
+        case 'category':
+            return t('activity.category', { from: categoryName(from), to: categoryName(to) });
+        case 'assignee':
+            return to
+                ? t('activity.assigned', { name: getDisplayName(findUser(to)) || t('task.item.formerMember') })
+                : t('activity.unassigned');
+        case 'subtasks': {
+            const { done, total } = getSubtaskProgress(to || []);
+            return t('activity.subtasks', { done, total });
+        }
+        case 'recurrence':
+            return to ? t('activity.recurrence', { rule: describeRecurrence(to, language) }) : t('activity.recurrenceRemoved');
+        default:
+            return null;
+    }
+};
+
+const ActivityTimeline = ({ task, categoriesMap, currentUser }) => {
+    const i18n = useI18n();
+    const { t, formatDate } = i18n;
+    const [entries, setEntries] = useState(null);
+
+    // Se relee al cambiar la tarea (el historial se guarda justo antes) y
+    // cuando otro componente de esta pestaña guarda una entrada.
+    useEffect(() => {
+        let isCurrent = true;
+        const load = () => getTaskHistory(task._id)
+            .then(result => isCurrent && setEntries(result))
+            .catch(err => {
+                console.error('No se pudo leer el historial de la tarea:', err);
+                if (isCurrent) setEntries([]);
+            });
+        load();
+        const unsubscribe = subscribeToHistory(taskId => taskId === task._id && load());
+        return () => {
+            isCurrent = false;
+            unsubscribe();
+        };
+    }, [task._id, task.updatedAt]);
+
+    const users = useMemo(() => getAssignableUsers(categoriesMap[task.category], currentUser), [categoriesMap, task.category, currentUser]);
+    const findUser = (id) => users.find(user => user._id === id) || { _id: id };
+    const timeline = useMemo(() => buildTimeline(task, entries || []), [task, entries]);
+
+    if (entries === null) return <p className="text-sm text-gray-500">{t('activity.loading')}</p>;
+
+    const context = { ...i18n, findUser, categoriesMap };
+    const authorName = (id) => {
+        if (!id) return t('activity.someone');
+        if (id === currentUser?._id) return t('activity.you');
+        return getDisplayName(findUser(id)) || t('activity.someone');
+    };
+
+    return (
+        <ol className="activity-list" aria-label={t('detail.activity')}>
+            {timeline.map((entry, index) => (
+                <li key={`${entry.at}-${index}`} className="activity-entry">
+                    <p className="activity-meta">
+                        <span className="activity-author">{authorName(entry.by)}</span>
+                        <time dateTime={entry.at}>{formatDate(parseISO(entry.at), 'Pp')}</time>
+                    </p>
+                    <ul className="activity-changes">
+                        {entry.type === 'created'
+                            ? <li>{t('activity.created')}</li>
+                            : entry.changes.map(change => <li key={change.field}>{describeChange(change, context)}</li>)}
+                    </ul>
+                </li>
+            ))}
+        </ol>
+    );
+};
+
+// --- Panel ---
+
+const TaskDetailDrawer = ({ task, categoriesMap, currentUser, isEditing, editForm, onEdit, onClose }) => {
+    const { t, formatDate, language } = useI18n();
+    const [tab, setTab] = useState('comments');
+    const panelRef = useRef(null);
+    useFocusTrap(panelRef, { onEscape: onClose });
+    const attachmentState = useAttachments(task._id);
+
+    const canEdit = canEditTask(task, categoriesMap);
+    const category = categoriesMap[task.category];
+    const assignee = findAssignee(task, categoriesMap, currentUser);
+
+    return (
+        <div className="modal-overlay drawer-overlay">
+            <div ref={panelRef} className="drawer-panel" role="dialog" aria-modal="true" aria-labelledby="task-detail-title" tabIndex={-1}>
+                <div className="drawer-header">
+                    <h3 id="task-detail-title" className="drawer-title">{task.title}</h3>
+                    {canEdit && !isEditing && (
+                        <button type="button" onClick={onEdit} className="btn-secondary text-sm">
+                            {t('detail.edit')}
+                        </button>
+                    )}
+                    <button type="button" onClick={onClose} className="icon-button" aria-label={t('detail.close')} title={t('detail.close')}>
+                        <X size={18} aria-hidden="true" />
+                    </button>
+                </div>
+
+                {isEditing ? editForm : (
+                    <>
+                        {task.description
+                            ? <Markdown source={task.description} className="drawer-description" />
+                            : <p className="text-sm text-gray-500">{t('detail.noDescription')}</p>}
+
+                        <dl className="detail-list">
+                            <dt>{t('detail.status')}</dt>
+                            <dd>{task.isCompleted ? t('detail.statusDone') : t('detail.statusOpen')}</dd>
+                            <dt>{t('detail.priority')}</dt>
+                            <dd>{t(`priority.label.${task.priority || 'Medium'}`)}</dd>
+                            <dt>{t('detail.category')}</dt>
+                            <dd>{category?.name || t('category.none')}</dd>
+                            {task.dueDate && (
+                                <>
+                                    <dt>{t('detail.dueDate')}</dt>
+                                    <dd>
+                                        {formatDate(parseISO(task.dueDate.split('T')[0]), 'PPP')}
+                                        {task.dueTime && ` · ${task.dueTime}`}
+                                    </dd>
+                                </>
+                            )}
+                            {task.recurrence && (
+                                <>
+                                    <dt>{t('detail.recurrence')}</dt>
+                                    <dd>{describeRecurrence(task.recurrence, language)}</dd>
+                                </>
+                            )}
+                            {assignee && (
+                                <>
+                                    <dt>{t('detail.assignee')}</dt>
+                                    <dd>{assignee._id === currentUser?._id ? t('activity.you') : getDisplayName(assignee) || t('task.item.formerMember')}</dd>
+                                </>
+                            )}
+                        </dl>
+                    </>
+                )}
+
+                <AttachmentPanel state={attachmentState} canEdit={canEdit} idPrefix="task-detail-attachments" />
+
+                <div className="segmented drawer-tabs" role="group" aria-label={t('detail.sections')}>
+                    {['comments', 'activity'].map(option => (
+                        <button
+                            key={option}
+                            type="button"
+                            onClick={() => setTab(option)}
+                            className={tab === option ? 'segmented-active' : ''}
+                            aria-pressed={tab === option}
+                        >
+                            {t(`detail.${option}`)}
+                        </button>
+                    ))}
+                </div>
+
+                {tab === 'comments'
+                    ? <CommentThread task={task} currentUser={currentUser} canComment={canEdit} />
+                    : <ActivityTimeline task={task} categoriesMap={categoriesMap} currentUser={currentUser} />}
+            </div>
+        </div>
+    );
+};
+
+export default TaskDetailDrawer;
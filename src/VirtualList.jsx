@@ -0,0 +1,151 @@
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+
+// ----------------------------------------------------------------------
+// Lista con ventana
+// ----------------------------------------------------------------------
+// Solo se montan las filas que caen en la pantalla (más `overscan` por cada
+// lado); el resto se sustituye por relleno arriba y abajo del <ul>, así la
+// página sigue haciendo scroll como siempre. Las alturas se estiman y se
+// corrigen al medir cada fila montada (con ResizeObserver, que también
+// detecta cuando una fila se despliega).
+//
+// Con `threshold` filas o menos se montan todas, para que Tab y los lectores
+// de pantalla recorran la lista completa en el caso normal.
+//
+// `renderItem(item, index)` debe devolver un único <li> con su `key`, y
+// `getKey` debe ser estable (definida fuera del componente).
+
+// Última fila cuyo inicio queda en `position` o antes.
+const findRow = (offsets, position) => {
+    let low = 0;
+    let high = offsets.length - 2;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (offsets[middle] <= position) low = middle;
+        else high = middle - 1;
+    }
+    return Math.max(low, 0);
+};
+
+const VirtualList = ({
+    items,
+    getKey,
+    renderItem,
+    estimatedHeight = 88,
+    gap = 12,
+    overscan = 5,
+    threshold = 60,
+    scrollToKey,
+    onEndReached,
+    ...listProps
+}) => {
+    const listRef = useRef(null);
+    const sentinelRef = useRef(null);
+    const [heights, setHeights] = useState(() => new Map());
+    const [viewport, setViewport] = useState(() => ({ top: 0, bottom: window.innerHeight }));
+    const isWindowed = items.length > threshold;
+
+    // offsets[i] = distancia desde el principio de la lista hasta la fila i;
+    // el último valor es la altura total.
+    const offsets = useMemo(() => {
+        const result = [0];
+        items.forEach((item, index) => {
+            result.push(result[index] + (heights.get(getKey(item)) ?? estimatedHeight) + gap);
+        });
+        return result;
+    }, [items, getKey, heights, estimatedHeight, gap]);
+
+    const start = isWindowed ? Math.max(findRow(offsets, viewport.top) - overscan, 0) : 0;
+    const end = isWindowed ? Math.min(findRow(offsets, viewport.bottom) + overscan + 1, items.length) : items.length;
+
+    // La parte visible de la lista, en coordenadas de la propia lista.
+    useLayoutEffect(() => {
+        if (!isWindowed) return undefined;
+        let frame = null;
+        const update = () => {
+            frame = null;
+            const { top } = listRef.current.getBoundingClientRect();
+            setViewport(prev => (prev.top === -top && prev.bottom === window.innerHeight - top
+                ? prev
+                : { top: -top, bottom: window.innerHeight - top }));
+        };
+        const schedule = () => {
+            if (frame === null) frame = requestAnimationFrame(update);
+        };
+        update();
+        window.addEventListener('scroll', schedule, { passive: true });
+        window.addEventListener('resize', schedule);
+        return () => {
+            if (frame !== null) cancelAnimationFrame(frame);
+            window.removeEventListener('scroll', schedule);
+            window.removeEventListener('resize', schedule);
+        };
+    }, [isWindowed, items.length]);
+
+    // Mide las filas montadas.
+    useEffect(() => {
+        if (!isWindowed || typeof ResizeObserver === 'undefined') return undefined;
+        const keys = new Map();
+        Array.from(listRef.current.children).forEach((row, index) => {
+            if (items[start + index]) keys.set(row, getKey(items[start + index]));
+        });
+        const observer = new ResizeObserver(entries => {
+            setHeights(prev => {
+                let next = null;
+                entries.forEach(entry => {
+                    const key = keys.get(entry.target);
+                    const height = entry.borderBoxSize?.[0]?.blockSize ?? entry.target.offsetHeight;
+                    if (key === undefined || !height || prev.get(key) === height) return;
+                    next = next || new Map(prev);
+                    next.set(key, height);
+                });
+                return next || prev;
+            });
+        });
+        keys.forEach((key, row) => observer.observe(row));
+        return () => observer.disconnect();
+    }, [isWindowed, items, start, end, getKey]);
+
+    // Lleva la página hasta `scrollToKey` cuando cambia, aunque la fila no
+    // esté montada; si ya lo está, se encarga la propia fila.
+    const scrolledKeyRef = useRef(scrollToKey);
+    useEffect(() => {
+        if (scrollToKey === scrolledKeyRef.current) return;
+        scrolledKeyRef.current = scrollToKey;
+        if (!isWindowed || scrollToKey == null) return;
+        const index = items.findIndex(item => getKey(item) === scrollToKey);
+        if (index === -1 || (index >= start && index < end)) return;
+        const { top } = listRef.current.getBoundingClientRect();
+        window.scrollTo({ top: window.scrollY + top + offsets[index] - window.innerHeight / 2 });
+    }, [scrollToKey, isWindowed, items, getKey, start, end, offsets]);
+
+    // Scroll infinito: avisa cuando el final de la lista se acerca a la pantalla.
+    const onEndReachedRef = useRef(onEndReached);
+    useEffect(() => {
+        onEndReachedRef.current = onEndReached;
+    });
+    const hasEndHandler = !!onEndReached;
+    useEffect(() => {
+        if (!hasEndHandler || typeof IntersectionObserver === 'undefined') return undefined;
+        const observer = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) onEndReachedRef.current?.();
+        }, { rootMargin: '400px 0px' });
+        observer.observe(sentinelRef.current);
+        return () => observer.disconnect();
+    }, [hasEndHandler]);
+
+    const style = isWindowed
+        ? { paddingTop: offsets[start], paddingBottom: offsets[items.length] - offsets[end] }
+        : undefined;
+
+    return (
+        <>
+            <ul ref={listRef} style={style} {...listProps}>
+                {items.slice(start, end).map((item, index) => renderItem(item, start + index))}
+            </ul>
+            {hasEndHandler && <div ref={sentinelRef} aria-hidden="true" />}
+        </>
+    );
+};
+
+export default VirtualList;
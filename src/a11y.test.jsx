@@ -0,0 +1,134 @@
+// @vitest-environment jsdom
+import React from 'react';
+import axe from 'axe-core';
+import { cleanup, render } from '@testing-library/react';
+import { afterAll, afterEach, beforeAll, describe, expect, it } from 'vitest';
+import { AuthForm, CategoryManager, TaskForm, TaskItem } from './App';
+import TaskDetailDrawer from './TaskDetailDrawer';
+import { I18nProvider } from './i18n';
+import { session } from './session';
+import { ApiProvider } from './useApi';
+
+// Revisión automática con axe-core de los formularios y de la tarea en la
+// lista. jsdom no calcula estilos, así que el contraste de color queda fuera.
+
+// Con sesión, las peticiones llegan al transporte y no responden nunca: se
+// comprueba el estado inicial y se cancelan al desmontar.
+const pendingTransport = (url, { signal } = {}) => new Promise((resolve, reject) => {
+    signal?.addEventListener('abort', () => reject(new DOMException('Cancelada', 'AbortError')), { once: true });
+});
+
+const renderWithProviders = (ui) => render(
+    <I18nProvider>
+        <ApiProvider transport={pendingTransport} retries={0}>
+            {ui}
+        </ApiProvider>
+    </I18nProvider>
+);
+
+const expectNoViolations = async (container) => {
+    const { violations } = await axe.run(container, { rules: { 'color-contrast': { enabled: false } } });
+    expect(violations.map(({ id, nodes }) => `${id}: ${nodes.map(node => node.target.join(' ')).join(', ')}`)).toEqual([]);
+};
+
+const noop = () => {};
+
+const currentUser = { _id: 'u1', name: 'Ana', email: 'ana@example.com' };
+
+const categories = [
+    { _id: 'c1', name: 'Casa', color: 'blue', taskCount: 1 },
+    {
+        _id: 'c2',
+        name: 'Trabajo',
+        role: 'editor',
+        members: [
+            { user: 'u2', name: 'Luis', email: 'luis@example.com', role: 'owner' },
+            { user: 'u1', name: 'Ana', email: 'ana@example.com', role: 'editor' },
+        ],
+    },
+];
+const categoriesMap = Object.fromEntries(categories.map(cat => [cat._id, cat]));
+
+const task = {
+    _id: 't1',
+    title: 'Pagar luz',
+    description: 'Antes del **viernes**',
+    priority: 'High',
+    dueDate: '2025-03-14',
+    dueTime: '10:00',
+    category: 'c1',
+    isCompleted: false,
+    subtasks: [{ id: 's1', title: 'Buscar la factura', isCompleted: true }],
+    recurrence: { frequency: 'weekly', interval: 1, weekdays: [5], until: '2025-06-30' },
+};
+
+beforeAll(() => session.setTokens({ token: 'token-de-prueba' }));
+afterEach(cleanup);
+afterAll(() => session.clear());
+
+describe('accesibilidad (axe)', () => {
+    it('AuthForm', async () => {
+        const { container } = renderWithProviders(<AuthForm onAuthSuccess={noop} />);
+        await expectNoViolations(container);
+    });
+
+    it('TaskForm', async () => {
+        const { container } = renderWithProviders(
+            <TaskForm categories={categories} currentUser={currentUser} onSave={noop} onCancel={noop} />
+        );
+        await expectNoViolations(container);
+    });
+
+    it('CategoryManager', async () => {
+        const { container } = renderWithProviders(
+            <CategoryManager
+                categories={categories}
+                currentUser={currentUser}
+                onCountTasks={noop}
+                onCategorySave={noop}
+                onCategoryUpdate={noop}
+                onCategoryDelete={noop}
+                onCategoryShared={noop}
+            />
+        );
+        await expectNoViolations(container);
+    });
+
+    it('TaskItem', async () => {
+        const { container } = renderWithProviders(
+            <ul>
+                <TaskItem
+                    task={task}
+                    categoriesMap={categoriesMap}
+                    currentUser={currentUser}
+                    onToggleComplete={noop}
+                    onToggleSubtask={noop}
+                    onOpen={noop}
+                    onDelete={noop}
+                    isSelecting={false}
+                    isSelected={false}
+                    onSelect={noop}
+                    isFocused={false}
+                />
+            </ul>
+        );
+        await expectNoViolations(container);
+    });
+
+    it('el panel de detalle al editar', async () => {
+        const { container } = renderWithProviders(
+            <TaskDetailDrawer
+                task={task}
+                categoriesMap={categoriesMap}
+                currentUser={currentUser}
+                isEditing
+                onEdit={noop}
+                onClose={noop}
+                editForm={
+                    <TaskForm taskToEdit={task} categories={categories} currentUser={currentUser} onSave={noop} onCancel={noop} />
+                }
+            />
+        );
+        await expectNoViolations(container);
+    });
+});
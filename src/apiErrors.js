@@ -0,0 +1,138 @@
+// ----------------------------------------------------------------------
+// Errores de la API
+// ----------------------------------------------------------------------
+// useApi convierte cualquier fallo en una de estas clases, así la UI puede
+// distinguir sin mirar el texto del mensaje:
+//   NetworkError    no hubo respuesta (sin red, DNS, CORS...)
+//   TimeoutError    el servidor no respondió a tiempo
+//   CancelledError  la petición se abortó (p. ej. el componente se desmontó)
+//   ValidationError 400/422, con `fieldErrors` por campo
+//   AuthError       401/403 (ForbiddenError si es 403: sesión válida pero
+//                   sin permiso, p. ej. un lector de una lista compartida)
+//   ServerError     5xx
+// Cualquier otro estado HTTP llega como ApiError.
+//
+// Sin mensaje propio (del servidor o de quien lo lanza), el error lleva
+// `messageKey`, la clave del catálogo con la que la UI lo muestra en el idioma
+// elegido (ver getErrorMessage); el texto en español queda para la consola.
+
+export class ApiError extends Error {
+    constructor(message, { status = null, body = null, cause, messageKey = null } = {}) {
+        super(message, { cause });
+        this.name = 'ApiError';
+        this.status = status;
+        this.body = body;
+        this.messageKey = messageKey;
+    }
+}
+
+export class NetworkError extends ApiError {
+    constructor(message, options) {
+        super(message || 'No se pudo conectar con el servidor. Revisa tu conexión.', { ...options, messageKey: message ? null : 'errors.api.network' });
+        this.name = 'NetworkError';
+    }
+}
+
+export class TimeoutError extends ApiError {
+    constructor(message, options) {
+        super(message || 'El servidor tardó demasiado en responder. Inténtalo de nuevo.', { ...options, messageKey: message ? null : 'errors.api.timeout' });
+        this.name = 'TimeoutError';
+    }
+}
+
+export class CancelledError extends ApiError {
+    constructor(message, options) {
+        super(message || 'Petición cancelada.', { ...options, messageKey: message ? null : 'errors.api.cancelled' });
+        this.name = 'CancelledError';
+    }
+}
+
+export class ValidationError extends ApiError {
+    constructor(message, { fieldErrors = {}, ...options } = {}) {
+        super(message, options);
+        this.name = 'ValidationError';
+        this.fieldErrors = fieldErrors;
+    }
+}
+
+export class AuthError extends ApiError {
+    constructor(message, options) {
+        super(message || 'Sesión expirada o no autorizada. Por favor, inicia sesión de nuevo.', { ...options, messageKey: message ? null : 'errors.api.auth' });
+        this.name = 'AuthError';
+    }
+}
+
+export class ForbiddenError extends AuthError {
+    constructor(message, options) {
+        super(message || 'No tienes permiso para hacer esto.', { ...options, messageKey: message ? null : 'errors.api.forbidden' });
+        this.name = 'ForbiddenError';
+    }
+}
+
+export class ServerError extends ApiError {
+    constructor(message, options) {
+        super(message || 'Error del servidor. Inténtalo más tarde.', { ...options, messageKey: message ? null : 'errors.api.server' });
+        this.name = 'ServerError';
+    }
+}
+
+export const isCancelled = (error) => error instanceof CancelledError;
+
+// Solo se reintentan los fallos transitorios; sin conexión no tiene sentido.
+export const isRetryable = (error) => {
+    if (error instanceof NetworkError) return typeof navigator === 'undefined' || navigator.onLine;
+    return error instanceof TimeoutError || error instanceof ServerError;
+};
+
+// Texto para la UI: el del catálogo si el error no trae mensaje propio, el
+// mensaje si lo trae y, si no, `fallback`.
+export const getErrorMessage = (error, t, fallback) => (
+    error?.messageKey ? t(error.messageKey) : error?.message || fallback
+);
+
+export const getFieldErrors = (error) => (error instanceof ValidationError ? error.fieldErrors : {});
+
+// Acepta los formatos habituales de Express:
+//   { errors: { title: 'mensaje' } }
+//   { errors: { title: { message: 'mensaje' } } }          (Mongoose)
+//   { errors: [{ path | param | field: 'title', msg | message: 'mensaje' }] } (express-validator)
+export const extractFieldErrors = (body) => {
+    const errors = body?.errors;
+    if (!errors || typeof errors !== 'object') return {};
+
+    if (Array.isArray(errors)) {
+        return errors.reduce((acc, item) => {
+            const field = item?.path || item?.param || item?.field;
+            const message = item?.msg || item?.message;
+            if (field && message && !acc[field]) acc[field] = message;
+            return acc;
+        }, {});
+    }
+
+    return Object.entries(errors).reduce((acc, [field, value]) => {
+        const message = typeof value === 'string' ? value : value?.message;
+        if (message) acc[field] = message;
+        return acc;
+    }, {});
+};
+
+// Construye el error tipado a partir de una respuesta HTTP no exitosa.
+export const errorFromResponse = async (response) => {
+    let body = null;
+    try {
+        body = await response.json();
+    } catch {
+        // Respuesta sin cuerpo JSON.
+    }
+
+    const { status } = response;
+    const fieldErrors = extractFieldErrors(body);
+    const message = body?.message || body?.error || Object.values(fieldErrors)[0] || `Error HTTP ${status}`;
+    const options = { status, body };
+
+    if (status === 400 || status === 422) return new ValidationError(message, { ...options, fieldErrors });
+    if (status === 403) return new ForbiddenError(body?.message || body?.error || undefined, options);
+    if (status === 401) return new AuthError(body?.message || body?.error || undefined, options);
+    if (status >= 500) return new ServerError(body?.message || body?.error || undefined, options);
+    return new ApiError(message, options);
+};
@@ -0,0 +1,78 @@
+// ----------------------------------------------------------------------
+// Adjuntos de las tareas
+// ----------------------------------------------------------------------
+// Límites y tipos permitidos. Se comprueban antes de subir (para avisar sin
+// gastar la subida) y otra vez en el backend en memoria y en
+// scripts/attachments-server.mjs, que responden 413 o 415 como haría un
+// servidor real. Sin dependencias para que Node lo pueda importar tal cual.
+//
+// Un adjunto: { _id, name, type, size, createdAt, uploadedBy }.
+
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024; // 10 MB
+export const MAX_ATTACHMENTS_PER_TASK = 20;
+
+// SVG no: puede llevar scripts y se mostraría como imagen.
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// Tipo por extensión, para los archivos en los que el navegador no lo da
+// (p. ej. .md) o lo da genérico.
+const TYPES_BY_EXTENSION = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    pdf: 'application/pdf',
+    txt: 'text/plain',
+    md: 'text/markdown',
+    csv: 'text/csv',
+    json: 'application/json',
+    zip: 'application/zip',
+    doc: 'application/msword',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xls: 'application/vnd.ms-excel',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ppt: 'application/vnd.ms-powerpoint',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    odt: 'application/vnd.oasis.opendocument.text',
+    ods: 'application/vnd.oasis.opendocument.spreadsheet',
+};
+
+export const ALLOWED_ATTACHMENT_TYPES = [...new Set(Object.values(TYPES_BY_EXTENSION))];
+
+// Para el atributo `accept` del selector de archivos.
+export const ATTACHMENT_ACCEPT = Object.keys(TYPES_BY_EXTENSION).map(extension => `.${extension}`).join(',');
+
+const GENERIC_TYPES = ['', 'application/octet-stream'];
+
+export const getAttachmentType = ({ name = '', type = '' }) => {
+    if (!GENERIC_TYPES.includes(type)) return type;
+    const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    return TYPES_BY_EXTENSION[extension] || type || 'application/octet-stream';
+};
+
+export const isImageType = (type) => IMAGE_TYPES.includes(type);
+
+// Motivo por el que no se puede subir `file` ('empty' | 'size' | 'type' |
+// 'count'), o null si se puede. `count` son los adjuntos que ya tiene.
+export const validateAttachment = (file, { count = 0 } = {}) => {
+    if (!file.size) return 'empty';
+    if (file.size > MAX_ATTACHMENT_SIZE) return 'size';
+    if (!ALLOWED_ATTACHMENT_TYPES.includes(getAttachmentType(file))) return 'type';
+    if (count >= MAX_ATTACHMENTS_PER_TASK) return 'count';
+    return null;
+};
+
+const SIZE_UNITS = ['B', 'KB', 'MB', 'GB'];
+
+// «532 B», «1,4 MB»... con el separador decimal del idioma.
+export const formatFileSize = (bytes, locale = 'es') => {
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < SIZE_UNITS.length - 1) {
+        value /= 1024;
+        unit += 1;
+    }
+    const digits = unit === 0 || value >= 10 ? 0 : 1;
+    return `${value.toLocaleString(locale, { maximumFractionDigits: digits })} ${SIZE_UNITS[unit]}`;
+};
@@ -0,0 +1,51 @@
+import { addDays, format, isValid, parseISO } from 'date-fns';
+
+// ----------------------------------------------------------------------
+// Operaciones en lote
+// ----------------------------------------------------------------------
+
+// Pocas peticiones a la vez: el backend de Render es modesto y así el
+// progreso avanza de forma visible.
+export const BATCH_CONCURRENCY = 4;
+
+// Ejecuta `worker(item)` sobre todos los elementos con como mucho `limit`
+// en paralelo. Nunca rechaza: devuelve un resultado por elemento, en el mismo
+// orden, con `ok` y `value` o `error`.
+export const runWithConcurrency = async (items, worker, { limit = BATCH_CONCURRENCY, onProgress } = {}) => {
+    const results = new Array(items.length);
+    let next = 0;
+    let done = 0;
+
+    const runNext = async () => {
+        while (next < items.length) {
+            const index = next++;
+            const item = items[index];
+            try {
+                results[index] = { item, ok: true, value: await worker(item) };
+            } catch (error) {
+                results[index] = { item, ok: false, error };
+            }
+            done += 1;
+            onProgress?.(done, items.length);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+    return results;
+};
+
+// Ids entre `anchorId` y `targetId` (ambos incluidos) según el orden visible.
+export const getRangeIds = (orderedIds, anchorId, targetId) => {
+    const from = orderedIds.indexOf(anchorId);
+    const to = orderedIds.indexOf(targetId);
+    if (from === -1 || to === -1) return [targetId];
+    return orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+};
+
+// Fecha de vencimiento desplazada `days` días ('yyyy-MM-dd'); null si la
+// tarea no tiene fecha.
+export const shiftDueDate = (task, days) => {
+    if (!task.dueDate) return null;
+    const date = parseISO(task.dueDate.split('T')[0]);
+    return isValid(date) ? format(addDays(date, days), 'yyyy-MM-dd') : null;
+};
@@ -0,0 +1,55 @@
+import { BookOpen, Briefcase, Code, Dumbbell, GraduationCap, Heart, House, Music, Plane, ShoppingCart, Star, Tag, Users, Wallet } from 'lucide-react';
+
+// ----------------------------------------------------------------------
+// Colores e iconos de categoría
+// ----------------------------------------------------------------------
+// La categoría guarda solo las claves (`color: 'green'`, `icon: 'house'`);
+// los tonos concretos viven aquí para poder ajustarlos sin migrar datos.
+// Cada par fondo/texto cumple contraste AA. Los nombres que ve el usuario
+// están en los catálogos (category.color.<value>, category.icon.<value>).
+
+export const CATEGORY_COLORS = [
+    { value: 'indigo', background: '#eef2ff', text: '#3730a3' },
+    { value: 'green', background: '#dcfce7', text: '#166534' },
+    { value: 'amber', background: '#fef3c7', text: '#92400e' },
+    { value: 'rose', background: '#ffe4e6', text: '#9f1239' },
+    { value: 'sky', background: '#e0f2fe', text: '#075985' },
+    { value: 'violet', background: '#ede9fe', text: '#5b21b6' },
+    { value: 'teal', background: '#ccfbf1', text: '#115e59' },
+    { value: 'gray', background: '#f3f4f6', text: '#374151' },
+];
+
+export const CATEGORY_ICONS = [
+    { value: 'tag', Icon: Tag },
+    { value: 'briefcase', Icon: Briefcase },
+    { value: 'house', Icon: House },
+    { value: 'shopping-cart', Icon: ShoppingCart },
+    { value: 'heart', Icon: Heart },
+    { value: 'book-open', Icon: BookOpen },
+    { value: 'graduation-cap', Icon: GraduationCap },
+    { value: 'dumbbell', Icon: Dumbbell },
+    { value: 'plane', Icon: Plane },
+    { value: 'users', Icon: Users },
+    { value: 'wallet', Icon: Wallet },
+    { value: 'code', Icon: Code },
+    { value: 'music', Icon: Music },
+    { value: 'star', Icon: Star },
+];
+
+// Las categorías creadas antes de tener color/icono usan los primeros.
+export const getCategoryColor = (category) => (
+    CATEGORY_COLORS.find(color => color.value === category?.color) || CATEGORY_COLORS[0]
+);
+
+export const getCategoryIcon = (category) => (
+    (CATEGORY_ICONS.find(icon => icon.value === category?.icon) || CATEGORY_ICONS[0]).Icon
+);
+
+// Color menos usado, para que las categorías nuevas se distingan.
+export const pickNextColor = (categories) => {
+    const usage = Object.fromEntries(CATEGORY_COLORS.map(color => [color.value, 0]));
+    categories.forEach(category => {
+        if (category.color in usage) usage[category.color] += 1;
+    });
+    return CATEGORY_COLORS.reduce((best, color) => (usage[color.value] < usage[best.value] ? color : best)).value;
+};
@@ -0,0 +1,100 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { format as formatDate } from 'date-fns';
+import { enUS, es as esLocale } from 'date-fns/locale';
+import es from './locales/es.json';
+import en from './locales/en.json';
+
+// ----------------------------------------------------------------------
+// Traducciones
+// ----------------------------------------------------------------------
+// Un catálogo JSON por idioma en src/locales, con claves planas
+// («task.form.title»). Los valores son cadenas con `{param}` o, para los
+// plurales, un objeto con las categorías de Intl.PluralRules
+// ({ "one": "...", "other": "..." }) que se elige con `params.count`.
+// Para añadir un idioma: copiar es.json, traducirlo y registrarlo en
+// LANGUAGES; `npm run i18n:check` lista las claves que falten.
+
+export const LANGUAGES = [
+    { value: 'es', label: 'Español', messages: es, dateLocale: esLocale },
+    { value: 'en', label: 'English', messages: en, dateLocale: enUS },
+];
+
+export const DEFAULT_LANGUAGE = 'es';
+const STORAGE_KEY = 'language';
+
+const getLanguage = (value) => LANGUAGES.find(language => language.value === value)
+    || LANGUAGES.find(language => language.value === DEFAULT_LANGUAGE);
+
+const pluralRules = {};
+const selectPlural = (language, count) => {
+    pluralRules[language] = pluralRules[language] || new Intl.PluralRules(language);
+    return pluralRules[language].select(count);
+};
+
+const interpolate = (text, params) => text.replace(/\{(\w+)\}/g, (match, name) => (
+    params[name] === undefined ? match : String(params[name])
+));
+
+// Busca la clave en el idioma pedido y, si falta, en el de por defecto; si
+// tampoco está, devuelve la clave para que se vea qué falta traducir.
+export const translate = (language, key, params = {}) => {
+    const message = getLanguage(language).messages[key] ?? getLanguage(DEFAULT_LANGUAGE).messages[key];
+    if (message === undefined) return key;
+    if (typeof message === 'string') return interpolate(message, params);
+    const form = message[selectPlural(language, params.count ?? 0)] ?? message.other;
+    return interpolate(form, params);
+};
+
+export const getDateLocale = (language) => getLanguage(language).dateLocale;
+
+// Idioma guardado o, la primera vez, el del navegador si está soportado.
+const detectLanguage = () => {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored && LANGUAGES.some(language => language.value === stored)) return stored;
+    const preferred = (navigator.languages || [navigator.language])
+        .map(tag => tag?.split('-')[0])
+        .find(code => LANGUAGES.some(language => language.value === code));
+    return preferred || DEFAULT_LANGUAGE;
+};
+
+// ----------------------------------------------------------------------
+// Proveedor y hook
+// ----------------------------------------------------------------------
+
+const I18nContext = createContext({
+    language: DEFAULT_LANGUAGE,
+    setLanguage: () => {},
+    t: (key, params) => translate(DEFAULT_LANGUAGE, key, params),
+    dateLocale: getDateLocale(DEFAULT_LANGUAGE),
+    formatDate: (date, pattern) => formatDate(date, pattern, { locale: getDateLocale(DEFAULT_LANGUAGE) }),
+});
+
+export const I18nProvider = ({ children }) => {
+    const [language, setLanguage] = useState(detectLanguage);
+
+    useEffect(() => {
+        localStorage.setItem(STORAGE_KEY, language);
+        document.documentElement.lang = language;
+    }, [language]);
+
+    const t = useCallback((key, params) => translate(language, key, params), [language]);
+
+    const value = useMemo(() => {
+        const dateLocale = getDateLocale(language);
+        return {
+            language,
+            setLanguage,
+            t,
+            dateLocale,
+            formatDate: (date, pattern) => formatDate(date, pattern, { locale: dateLocale }),
+        };
+    }, [language, t]);
+
+    return (
+        <I18nContext.Provider value={value}>
+            {children}
+        </I18nContext.Provider>
+    );
+};
+
+export const useI18n = () => useContext(I18nContext);
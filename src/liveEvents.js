@@ -0,0 +1,170 @@
+// ----------------------------------------------------------------------
+// Eventos de cambios en directo
+// ----------------------------------------------------------------------
+// Los cambios de tareas y categorías llegan como eventos con la misma forma
+// desde el servidor (GET /api/events, Server-Sent Events) y desde otras
+// pestañas (BroadcastChannel):
+//
+//   { type: 'task.created' | 'task.updated', task }
+//   { type: 'task.deleted', id }
+//   { type: 'category.created' | 'category.updated', category }
+//   { type: 'category.deleted', id }
+//
+// Aquí está la mezcla con el estado y la lectura del flujo; la conexión y
+// la reconexión, en useLiveUpdates.js.
+
+export const LIVE_EVENT_TYPES = [
+    'task.created', 'task.updated', 'task.deleted',
+    'category.created', 'category.updated', 'category.deleted',
+];
+
+// --- Mezcla con el estado ---
+
+// Añade tareas delante de la lista sustituyendo las que ya estuvieran: el
+// evento de una tarea creada aquí puede llegar antes que la respuesta.
+export const prependTasks = (tasks, added) => {
+    const ids = new Set(added.map(task => task._id));
+    return [...added, ...tasks.filter(task => !ids.has(task._id))];
+};
+
+export const appendCategories = (categories, added) => {
+    const ids = new Set(added.map(category => category._id));
+    return [...categories.filter(category => !ids.has(category._id)), ...added];
+};
+
+// Un evento no pisa una versión más reciente (por `updatedAt`) ni una tarea
+// que se está guardando aquí: la respuesta de ese guardado manda.
+const isStale = (current, incoming) => current.isUpdating
+    || (!!current.updatedAt && !!incoming.updatedAt && incoming.updatedAt < current.updatedAt);
+
+// Devuelve la misma lista si el evento no la cambia. Al desaparecer una
+// categoría (borrada o porque el usuario ya no es miembro) también se van
+// sus tareas que no creó `userId`, que ya no puede ver.
+export const applyTaskEvent = (tasks, event, { userId } = {}) => {
+    switch (event.type) {
+        case 'task.created':
+        case 'task.updated': {
+            const index = tasks.findIndex(task => task._id === event.task._id);
+            if (index === -1) return [event.task, ...tasks];
+            if (isStale(tasks[index], event.task)) return tasks;
+            const next = [...tasks];
+            next[index] = event.task;
+            return next;
+        }
+        case 'task.deleted':
+            return tasks.some(task => task._id === event.id) ? tasks.filter(task => task._id !== event.id) : tasks;
+        case 'category.deleted':
+            return tasks.some(task => task.category === event.id && task.user !== userId)
+                ? tasks.filter(task => task.category !== event.id || task.user === userId)
+                : tasks;
+        default:
+            return tasks;
+    }
+};
+
+export const applyCategoryEvent = (categories, event) => {
+    switch (event.type) {
+        case 'category.created':
+        case 'category.updated': {
+            const index = categories.findIndex(category => category._id === event.category._id);
+            if (index === -1) return [...categories, event.category];
+            const next = [...categories];
+            next[index] = event.category;
+            return next;
+        }
+        case 'category.deleted':
+            return categories.some(category => category._id === event.id)
+                ? categories.filter(category => category._id !== event.id)
+                : categories;
+        default:
+            return categories;
+    }
+};
+
+// --- Otras pestañas ---
+// BroadcastChannel no entrega un mensaje al mismo objeto que lo envía, así
+// que con un canal por pestaña no llegan los propios. Sin soporte (Node,
+// navegadores antiguos) no hace nada.
+
+const TAB_CHANNEL_NAME = 'agenda-live';
+let tabChannel = null;
+
+const getTabChannel = () => {
+    if (!tabChannel && typeof BroadcastChannel !== 'undefined') tabChannel = new BroadcastChannel(TAB_CHANNEL_NAME);
+    return tabChannel;
+};
+
+export const broadcastToTabs = (event) => {
+    try {
+        getTabChannel()?.postMessage(event);
+    } catch (err) {
+        console.error('No se pudo avisar a las otras pestañas:', err);
+    }
+};
+
+export const subscribeToTabs = (listener) => {
+    const channel = getTabChannel();
+    if (!channel) return () => {};
+    const handleMessage = (e) => listener(e.data);
+    channel.addEventListener('message', handleMessage);
+    return () => channel.removeEventListener('message', handleMessage);
+};
+
+// --- Server-Sent Events ---
+// Formato text/event-stream: bloques de líneas `campo: valor` separados por
+// una línea en blanco; las líneas que empiezan por «:» son comentarios (el
+// servidor los manda como latido). Se lee con fetch en lugar de EventSource
+// porque EventSource no permite enviar la cabecera Authorization.
+
+export const createEventStreamParser = (onMessage) => {
+    let buffer = '';
+    let message = { id: null, event: 'message', data: [], retry: null };
+
+    const dispatch = () => {
+        if (message.data.length || message.retry !== null || message.id !== null) {
+            onMessage({ ...message, data: message.data.join('\n') });
+        }
+        message = { id: null, event: 'message', data: [], retry: null };
+    };
+
+    const processLine = (line) => {
+        if (line === '') return dispatch();
+        if (line.startsWith(':')) return undefined;
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+        if (field === 'data') message.data.push(value);
+        else if (field === 'event') message.event = value;
+        else if (field === 'id' && !value.includes('\0')) message.id = value;
+        else if (field === 'retry' && /^\d+$/.test(value)) message.retry = Number(value);
+        return undefined;
+    };
+
+    return (chunk) => {
+        buffer += chunk;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(line => processLine(line.replace(/\r$/, '')));
+    };
+};
+
+// Lee el cuerpo de `response` hasta que el servidor cierre o se aborte
+// `signal`. `onChunk` se llama con cada trozo recibido (latidos incluidos).
+export const readEventStream = async (response, { onMessage, onChunk, signal }) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const parse = createEventStreamParser(onMessage);
+    const cancel = () => reader.cancel().catch(() => {});
+    if (signal?.aborted) return cancel();
+    signal?.addEventListener('abort', cancel, { once: true });
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done || signal?.aborted) return undefined;
+            onChunk?.();
+            parse(decoder.decode(value, { stream: true }));
+        }
+    } finally {
+        signal?.removeEventListener('abort', cancel);
+    }
+};
@@ -0,0 +1,133 @@
+import { describe, expect, it, vi } from 'vitest';
+import { applyTaskEvent, createEventStreamParser, readEventStream } from './liveEvents';
+
+// Pasa `chunks` por el parser y devuelve los mensajes que salieron.
+const parseChunks = (chunks) => {
+    const messages = [];
+    const parse = createEventStreamParser(message => messages.push(message));
+    chunks.forEach(parse);
+    return messages;
+};
+
+const message = (fields) => ({ id: null, event: 'message', data: '', retry: null, ...fields });
+
+describe('createEventStreamParser', () => {
+    it.each([
+        ['un evento simple', ['data: hola\n\n'], [message({ data: 'hola' })]],
+        ['varias líneas data: se unen con saltos', ['data: uno\ndata: dos\n\n'], [message({ data: 'uno\ndos' })]],
+        ['con tipo e id', ['event: task.updated\nid: 42\ndata: {}\n\n'], [message({ event: 'task.updated', id: '42', data: '{}' })]],
+        ['retry sin datos también se entrega', ['retry: 5000\n\n'], [message({ retry: 5000 })]],
+        ['un retry que no es número se ignora', ['retry: pronto\ndata: x\n\n'], [message({ data: 'x' })]],
+        ['un id con NUL se ignora', ['id: a\0b\ndata: x\n\n'], [message({ data: 'x' })]],
+        ['los comentarios (latidos) no generan mensajes', [': ping\n\n'], []],
+        ['un comentario entre campos no corta el evento', ['data: a\n: ping\ndata: b\n\n'], [message({ data: 'a\nb' })]],
+        ['finales de línea CRLF', ['data: hola\r\n\r\n'], [message({ data: 'hola' })]],
+        ['solo se quita el primer espacio tras los dos puntos', ['data:  dos espacios\ndata:sin\n\n'], [message({ data: ' dos espacios\nsin' })]],
+        ['un campo sin dos puntos va con valor vacío', ['data\n\n'], [message({ data: '' })]],
+        ['los campos desconocidos se ignoran', ['foo: bar\ndata: x\n\n'], [message({ data: 'x' })]],
+        ['un bloque vacío no genera mensaje', ['\n\n'], []],
+        ['trozos partidos a mitad de línea', ['da', 'ta: ho', 'la\n', '\n'], [message({ data: 'hola' })]],
+        ['varios eventos en un trozo', ['data: a\n\ndata: b\n\n'], [message({ data: 'a' }), message({ data: 'b' })]],
+        ['sin la línea en blanco final no se entrega', ['data: a\n'], []],
+    ])('%s', (_, chunks, expected) => {
+        expect(parseChunks(chunks)).toEqual(expected);
+    });
+
+    it('cada evento empieza sin los campos del anterior', () => {
+        expect(parseChunks(['event: task.deleted\nid: 1\ndata: a\n\ndata: b\n\n'])).toEqual([
+            message({ event: 'task.deleted', id: '1', data: 'a' }),
+            message({ data: 'b' }),
+        ]);
+    });
+});
+
+describe('readEventStream', () => {
+    // Respuesta cuyo cuerpo entrega `chunks` (bytes) uno a uno.
+    const streamResponse = (chunks) => new Response(new ReadableStream({
+        start(controller) {
+            chunks.forEach(chunk => controller.enqueue(chunk));
+            controller.close();
+        },
+    }));
+
+    it('une los caracteres multibyte partidos entre trozos', async () => {
+        const bytes = new TextEncoder().encode('data: «Pagar luz»\n\n');
+        // «data: » ocupa 6 bytes: el corte cae entre los dos bytes de «.
+        const onMessage = vi.fn();
+        const onChunk = vi.fn();
+
+        await readEventStream(streamResponse([bytes.slice(0, 7), bytes.slice(7)]), { onMessage, onChunk });
+
+        expect(onMessage).toHaveBeenCalledWith(message({ data: '«Pagar luz»' }));
+        expect(onChunk).toHaveBeenCalledTimes(2);
+    });
+
+    it('con la señal ya abortada no lee nada', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        const onMessage = vi.fn();
+
+        await readEventStream(streamResponse([new TextEncoder().encode('data: a\n\n')]), { onMessage, signal: controller.signal });
+
+        expect(onMessage).not.toHaveBeenCalled();
+    });
+});
+
+describe('applyTaskEvent', () => {
+    const tasks = [
+        { _id: 't1', title: 'Pagar luz', category: 'c1', user: 'u1', updatedAt: '2025-03-10T10:00:00.000Z' },
+        { _id: 't2', title: 'Regar', category: 'c2', user: 'u2', updatedAt: '2025-03-10T10:00:00.000Z' },
+        { _id: 't3', title: 'Llamar', category: 'c2', user: 'u1', updatedAt: '2025-03-10T10:00:00.000Z' },
+    ];
+    const newer = '2025-03-11T10:00:00.000Z';
+    const older = '2025-03-09T10:00:00.000Z';
+
+    it.each([
+        [
+            'una tarea nueva va delante',
+            { type: 'task.created', task: { _id: 't4', title: 'Nueva' } },
+            ['t4', 't1', 't2', 't3'],
+        ],
+        [
+            'una creada que ya estaba se sustituye en su sitio',
+            { type: 'task.created', task: { ...tasks[1], title: 'Regar plantas', updatedAt: newer } },
+            ['t1', 't2', 't3'],
+        ],
+        [
+            'una actualización de una tarea que no estaba la añade',
+            { type: 'task.updated', task: { _id: 't9', title: 'De otra página' } },
+            ['t9', 't1', 't2', 't3'],
+        ],
+        [
+            'un borrado la quita',
+            { type: 'task.deleted', id: 't2' },
+            ['t1', 't3'],
+        ],
+        [
+            'al borrar una categoría se van las tareas de otros usuarios',
+            { type: 'category.deleted', id: 'c2' },
+            ['t1', 't3'],
+        ],
+    ])('%s', (_, event, expectedIds) => {
+        expect(applyTaskEvent(tasks, event, { userId: 'u1' }).map(task => task._id)).toEqual(expectedIds);
+    });
+
+    it('una actualización más reciente sustituye a la tarea', () => {
+        const result = applyTaskEvent(tasks, { type: 'task.updated', task: { ...tasks[0], title: 'Pagar la luz', updatedAt: newer } });
+        expect(result[0].title).toBe('Pagar la luz');
+    });
+
+    it.each([
+        ['un evento de categoría que no toca tareas', { type: 'category.created', category: { _id: 'c3' } }],
+        ['el borrado de una tarea que no está', { type: 'task.deleted', id: 'nada' }],
+        ['borrar una categoría sin tareas ajenas', { type: 'category.deleted', id: 'c1' }],
+        ['una versión más antigua que la cargada', { type: 'task.updated', task: { ...tasks[0], title: 'Antigua', updatedAt: older } }],
+    ])('devuelve la misma lista si el evento no la cambia: %s', (_, event) => {
+        expect(applyTaskEvent(tasks, event, { userId: 'u1' })).toBe(tasks);
+    });
+
+    it('no pisa una tarea que se está guardando aquí', () => {
+        const saving = [{ ...tasks[0], isUpdating: true }];
+        expect(applyTaskEvent(saving, { type: 'task.updated', task: { ...tasks[0], updatedAt: newer } })).toBe(saving);
+    });
+});
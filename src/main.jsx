@@ -1,11 +1,31 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import App from './App.jsx'
+import { ApiProvider } from './useApi'
+import { createMemoryBackend } from './memoryBackend'
+import { generateTasks } from './sampleTasks'
+import { I18nProvider } from './i18n'
+import { applyTheme, readThemeSettings } from './theme'
 import './index.css'
 
+// Con VITE_API_MOCK=true la app funciona contra el backend en memoria
+// (usuario demo@agenda.local / demo), útil para demos sin servidor.
+// VITE_MOCK_TASKS=10000 le da ese número de tareas de ejemplo.
+const memoryBackend = import.meta.env.VITE_API_MOCK === 'true'
+  ? createMemoryBackend({
+    users: [{ _id: 'demo', name: 'Demo', email: 'demo@agenda.local', password: 'demo' }],
+    tasks: generateTasks(Number(import.meta.env.VITE_MOCK_TASKS) || 0, { user: 'demo' }),
+  })
+  : null
+
+applyTheme(readThemeSettings())
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <I18nProvider>
+      <ApiProvider transport={memoryBackend?.transport}>
+        <App />
+      </ApiProvider>
+    </I18nProvider>
   </StrictMode>,
 )
@@ -0,0 +1,267 @@
+// ----------------------------------------------------------------------
+// Markdown
+// ----------------------------------------------------------------------
+// Subconjunto de Markdown para comentarios y descripciones: párrafos (los
+// saltos de línea se respetan), encabezados, listas con viñetas o
+// numeradas, citas, bloques de código ```, **negrita**, *cursiva*,
+// ~~tachado~~, `código`, [enlaces](https://...) y direcciones sueltas.
+//
+// `parseMarkdown` devuelve un árbol de nodos que Markdown.jsx convierte en
+// elementos de React; nunca se inserta HTML, así que el texto no puede
+// colar etiquetas ni scripts. Los enlaces solo pueden ser http(s) o mailto.
+//
+// Bloques: { type: 'paragraph' | 'heading', children, level? },
+//          { type: 'list', ordered, start, items: [children] },
+//          { type: 'quote', children: bloques }, { type: 'code', text }
+// En línea: { type: 'text' | 'code', text }, { type: 'break' },
+//           { type: 'strong' | 'em' | 'del', children }, { type: 'link', href, children }
+
+const FENCE = /^\s*```/;
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const BULLET = /^\s*[-*+]\s+(.*)$/;
+const ORDERED = /^\s*(\d{1,9})[.)]\s+(.*)$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+// Línea que continúa el elemento de lista anterior.
+const CONTINUATION = /^\s{2,}\S/;
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// La URL si se puede enlazar sin riesgo; null si no (javascript:, data:,
+// rutas relativas...).
+export const safeUrl = (href) => {
+    try {
+        const url = new URL(href);
+        return SAFE_PROTOCOLS.includes(url.protocol) ? url.href : null;
+    } catch {
+        return null;
+    }
+};
+
+// --- En línea ---
+
+// Con la bandera `y` cada expresión solo prueba en `lastIndex`.
+const INLINE_RULES = [
+    { type: 'escape', regex: /\\([\\`*_~[\]()#>!.+-])/y },
+    { type: 'code', regex: /(`+)([\s\S]*?[^`])\1(?!`)/y },
+    { type: 'strong', regex: /\*\*(?=\S)([\s\S]*?\S)\*\*/y },
+    { type: 'strong', regex: /__(?=\S)([\s\S]*?\S)__(?!\w)/y, wordStart: true },
+    { type: 'em', regex: /\*(?=[^\s*])([\s\S]*?[^\s*])\*/y },
+    { type: 'em', regex: /_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/y, wordStart: true },
+    { type: 'del', regex: /~~(?=\S)([\s\S]*?\S)~~/y },
+    { type: 'link', regex: /\[([^\]\n]+)\]\(\s*([^)\s]+)\s*\)/y },
+    { type: 'autolink', regex: /(?:https?:\/\/|mailto:)[^\s<]*[^\s<.,:;"')\]!?]/y, wordStart: true },
+    { type: 'break', regex: /\n/y },
+];
+
+const TRIGGERS = new Set(['\\', '`', '*', '_', '~', '[', 'h', 'm', '\n']);
+
+const matchRule = (text, index) => {
+    const isWordStart = index === 0 || !/\w/.test(text[index - 1]);
+    for (const rule of INLINE_RULES) {
+        if (rule.wordStart && !isWordStart) continue;
+        rule.regex.lastIndex = index;
+        const match = rule.regex.exec(text);
+        if (match) return { rule, match };
+    }
+    return null;
+};
+
+const toInlineNode = ({ type }, match) => {
+    switch (type) {
+        case 'escape':
+            return { type: 'text', text: match[1] };
+        case 'code':
+            return { type: 'code', text: match[2].replace(/^ (.*) $/, '$1') };
+        case 'link': {
+            const href = safeUrl(match[2]);
+            const children = parseInline(match[1]);
+            return href ? { type: 'link', href, children } : { type: 'text', text: match[0] };
+        }
+        case 'autolink': {
+            const href = safeUrl(match[0]);
+            return href ? { type: 'link', href, children: [{ type: 'text', text: match[0] }] } : { type: 'text', text: match[0] };
+        }
+        case 'break':
+            return { type: 'break' };
+        default:
+            return { type, children: parseInline(match[1]) };
+    }
+};
+
+export const parseInline = (text) => {
+    const nodes = [];
+    let buffer = '';
+    const pushText = (value) => {
+        const last = nodes[nodes.length - 1];
+        if (last?.type === 'text') last.text += value;
+        else nodes.push({ type: 'text', text: value });
+    };
+
+    let index = 0;
+    while (index < text.length) {
+        const found = TRIGGERS.has(text[index]) ? matchRule(text, index) : null;
+        if (!found) {
+            buffer += text[index];
+            index += 1;
+            continue;
+        }
+        if (buffer) pushText(buffer);
+        buffer = '';
+        const node = toInlineNode(found.rule, found.match);
+        if (node.type === 'text') pushText(node.text);
+        else nodes.push(node);
+        index += found.match[0].length;
+    }
+    if (buffer) pushText(buffer);
+    return nodes;
+};
+
+// --- Bloques ---
+
+const isListItem = (line) => BULLET.test(line) || ORDERED.test(line);
+
+const isBlockStart = (line) => FENCE.test(line) || HEADING.test(line) || QUOTE.test(line) || isListItem(line);
+
+const parseBlocks = (lines) => {
+    const blocks = [];
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        if (!line.trim()) {
+            i += 1;
+            continue;
+        }
+
+        if (FENCE.test(line)) {
+            const code = [];
+            i += 1;
+            while (i < lines.length && !FENCE.test(lines[i])) code.push(lines[i++]);
+            i += 1; // la valla de cierre (si falta, el bloque llega al final)
+            blocks.push({ type: 'code', text: code.join('\n') });
+            continue;
+        }
+
+        const heading = HEADING.exec(line);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2].trim()) });
+            i += 1;
+            continue;
+        }
+
+        if (QUOTE.test(line)) {
+            const inner = [];
+            while (i < lines.length && QUOTE.test(lines[i])) inner.push(QUOTE.exec(lines[i++])[1]);
+            blocks.push({ type: 'quote', children: parseBlocks(inner) });
+            continue;
+        }
+
+        if (isListItem(line)) {
+            const ordered = !BULLET.test(line);
+            const pattern = ordered ? ORDERED : BULLET;
+            const start = ordered ? Number(ORDERED.exec(line)[1]) : 1;
+            const items = [];
+            while (i < lines.length && pattern.test(lines[i])) {
+                const match = pattern.exec(lines[i++]);
+                let text = ordered ? match[2] : match[1];
+                while (i < lines.length && CONTINUATION.test(lines[i]) && !isListItem(lines[i])) {
+                    text += `\n${lines[i++].trim()}`;
+                }
+                items.push(parseInline(text));
+            }
+            blocks.push({ type: 'list', ordered, start, items });
+            continue;
+        }
+
+        const paragraph = [line];
+        i += 1;
+        while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i])) paragraph.push(lines[i++]);
+        blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+    }
+    return blocks;
+};
+
+export const parseMarkdown = (source = '') => parseBlocks(source.replace(/\r\n?/g, '\n').split('\n'));
+
+// --- Texto plano ---
+
+const inlineToText = (nodes) => nodes.map(node => {
+    if (node.type === 'break') return ' ';
+    if (node.children) return inlineToText(node.children);
+    return node.text;
+}).join('');
+
+const blocksToText = (blocks) => blocks.map(block => {
+    switch (block.type) {
+        case 'code':
+            return block.text;
+        case 'quote':
+            return blocksToText(block.children);
+        case 'list':
+            return block.items.map(inlineToText).join(' · ');
+        default:
+            return inlineToText(block.children);
+    }
+}).join(' ');
+
+// Texto sin marcas, en una línea (para vistas previas como la de la lista).
+export const markdownToText = (source = '') => blocksToText(parseMarkdown(source)).replace(/\s+/g, ' ').trim();
+
+// --- Edición ---
+// Formatos de la barra del editor (MarkdownEditor.jsx). Reciben el texto y
+// la selección del textarea ({ value, start, end }) y devuelven lo mismo
+// con el formato aplicado, o quitado si ya lo tenía.
+
+// Envuelve la selección con `before` y `after`. Sin selección se inserta
+// `placeholder` seleccionado para escribir encima.
+export const wrapSelection = ({ value, start, end }, before, after = before, placeholder = '') => {
+    const selected = value.slice(start, end);
+    if (value.slice(start - before.length, start) === before && value.slice(end, end + after.length) === after) {
+        return {
+            value: value.slice(0, start - before.length) + selected + value.slice(end + after.length),
+            start: start - before.length,
+            end: end - before.length,
+        };
+    }
+    const text = selected || placeholder;
+    return {
+        value: value.slice(0, start) + before + text + after + value.slice(end),
+        start: start + before.length,
+        end: start + before.length + text.length,
+    };
+};
+
+// [selección](https://) con el cursor al final de la URL.
+export const insertLink = ({ value, start, end }, placeholder = '') => {
+    const text = value.slice(start, end) || placeholder;
+    const link = `[${text}](https://)`;
+    const cursor = start + link.length - 1;
+    return { value: value.slice(0, start) + link + value.slice(end), start: cursor, end: cursor };
+};
+
+const LINE_FORMATS = {
+    bullet: { pattern: /^\s*[-*+]\s+/, prefix: () => '- ' },
+    ordered: { pattern: /^\s*\d{1,9}[.)]\s+/, prefix: (index) => `${index + 1}. ` },
+    quote: { pattern: /^\s*>\s?/, prefix: () => '> ' },
+};
+
+// Quita la marca de lista de una línea (al pasar de viñetas a numerada o al revés).
+const stripListMarker = (line) => line.replace(LINE_FORMATS.bullet.pattern, '').replace(LINE_FORMATS.ordered.pattern, '');
+
+// Convierte en lista (o cita) las líneas que toca la selección.
+export const toggleLinePrefix = ({ value, start, end }, format) => {
+    const { pattern, prefix } = LINE_FORMATS[format];
+    const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+    // Una selección que acaba justo tras un salto de línea no incluye la siguiente.
+    const lastChar = end > start && value[end - 1] === '\n' ? end - 1 : end;
+    const nextBreak = value.indexOf('\n', lastChar);
+    const lineEnd = nextBreak === -1 ? value.length : nextBreak;
+    const lines = value.slice(lineStart, lineEnd).split('\n');
+    const isFormatted = lines.every(line => pattern.test(line));
+    const block = lines
+        .map((line, index) => {
+            if (isFormatted) return line.replace(pattern, '');
+            return prefix(index) + (format === 'quote' ? line : stripListMarker(line));
+        })
+        .join('\n');
+    return { value: value.slice(0, lineStart) + block + value.slice(lineEnd), start: lineStart, end: lineStart + block.length };
+};
@@ -0,0 +1,591 @@
+// ----------------------------------------------------------------------
+// Backend falso en memoria
+// ----------------------------------------------------------------------
+// Implementa las mismas rutas que agenda-backend (/api/auth, /api/tasks,
+// /api/categories), más el flujo de cambios en directo (/api/events) y los
+// adjuntos (/api/tasks/:id/attachments), y se
+// conecta a <ApiProvider transport={...}> en lugar de fetch. Sirve para
+// pruebas y para demos sin conexión (VITE_API_MOCK=true); para probar con
+// varios navegadores, scripts/mock-server.mjs lo sirve por HTTP.
+
+import { applyFilters, filtersFromApiQuery } from './taskFilters';
+import { getAttachmentType, MAX_ATTACHMENT_SIZE, MAX_ATTACHMENTS_PER_TASK, validateAttachment } from './attachments';
+
+const jsonResponse = (status, body) => {
+    if (status === 204) return new Response(null, { status });
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' },
+    });
+};
+
+const CATEGORY_FIELDS = ['name', 'color', 'icon'];
+const MAX_PAGE_SIZE = 500;
+const TASK_FIELDS = ['title', 'description', 'dueDate', 'priority', 'category', 'isCompleted', 'dueTime', 'reminderOffset', 'recurrence', 'subtasks', 'completeWithSubtasks', 'completedAt', 'assignee'];
+const SHARE_ROLES = ['editor', 'viewer'];
+const MAX_COMMENT_LENGTH = 5000;
+// Eventos que se guardan para reenviar a quien reconecta con `lastEventId`.
+const EVENT_LOG_SIZE = 500;
+const HEARTBEAT_MS = 15000;
+
+const encodeBase64Url = (value) => {
+    const bytes = new TextEncoder().encode(JSON.stringify(value));
+    return btoa(String.fromCharCode(...bytes)).replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+};
+
+const decodeBase64Url = (value) => {
+    const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+    return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+};
+
+// Mismo formato que las validaciones de Mongoose en agenda-backend.
+const validationError = (errors) => jsonResponse(400, {
+    message: Object.values(errors)[0],
+    errors: Object.fromEntries(Object.entries(errors).map(([field, message]) => [field, { message }])),
+});
+
+const validateTask = (body, isNew) => {
+    const errors = {};
+    if ((isNew || body.title !== undefined) && !body.title?.trim()) errors.title = 'El título es obligatorio.';
+    if (body.priority && !['Low', 'Medium', 'High'].includes(body.priority)) errors.priority = 'Prioridad no válida.';
+    if (body.dueDate && Number.isNaN(new Date(body.dueDate).getTime())) errors.dueDate = 'Fecha no válida.';
+    if (body.dueTime && !/^([01]\d|2[0-3]):[0-5]\d$/.test(body.dueTime)) errors.dueTime = 'Hora no válida (HH:mm).';
+    return Object.keys(errors).length ? errors : null;
+};
+
+const pick = (data, fields) => fields.reduce((acc, field) => {
+    if (data[field] !== undefined) acc[field] = data[field];
+    return acc;
+}, {});
+
+// Los tokens tienen forma de JWT (sin firma) con `exp` a `tokenTtl` segundos,
+// y login/register devuelven además un refresh token para /api/auth/refresh.
+export const createMemoryBackend = ({ users = [], tasks = [], categories = [], delay = 0, tokenTtl = 3600 } = {}) => {
+    const db = {
+        users: users.map(u => ({ ...u })),
+        tasks: tasks.map(t => ({ ...t })),
+        categories: categories.map(c => ({ ...c })),
+        comments: [],
+        attachments: [],
+    };
+    let nextId = 1;
+    const newId = () => `mem${Date.now().toString(16)}${(nextId++).toString(16).padStart(4, '0')}`;
+    const now = () => new Date().toISOString();
+    const refreshTokens = new Map(); // refresh token -> _id del usuario
+
+    const issueTokens = (user) => {
+        const payload = { sub: user._id, email: user.email, exp: Math.floor(Date.now() / 1000) + tokenTtl };
+        const refreshToken = `memory-refresh-${newId()}`;
+        refreshTokens.set(refreshToken, user._id);
+        return {
+            token: `${encodeBase64Url({ alg: 'none', typ: 'JWT' })}.${encodeBase64Url(payload)}.memory`,
+            refreshToken,
+        };
+    };
+
+    const userFromRequest = (headers = {}) => {
+        const match = /^Bearer [^.]+\.([^.]+)\.memory$/.exec(headers['Authorization'] || '');
+        if (!match) return null;
+        try {
+            const { sub, exp } = decodeBase64Url(match[1]);
+            if (exp * 1000 <= Date.now()) return null;
+            return db.users.find(u => u._id === sub) || null;
+        } catch {
+            return null;
+        }
+    };
+
+    // --- Listas compartidas ---
+    // Cada categoría guarda a quién se compartió en `sharedWith` ([{ user,
+    // role }]); las respuestas llevan en su lugar `role` (el de quien pide) y
+    // `members` con nombre y correo, propietario incluido.
+
+    const findCategory = (id) => (id ? db.categories.find(c => c._id === id) : null);
+
+    const roleIn = (category, userId) => {
+        if (!category) return null;
+        if (category.user === userId) return 'owner';
+        return category.sharedWith?.find(m => m.user === userId)?.role || null;
+    };
+
+    // Las tareas de una lista compartida siguen el rol en la lista; el resto
+    // solo las ve quien las creó.
+    const taskRole = (task, userId) => roleIn(findCategory(task.category), userId) || (task.user === userId ? 'owner' : null);
+
+    const toMember = (userId, role) => {
+        const member = db.users.find(u => u._id === userId);
+        return { user: userId, name: member?.name || '', email: member?.email || '', role };
+    };
+
+    const toComment = ({ _id, body, user: authorId, createdAt }) => {
+        const { name = '', email = '' } = db.users.find(u => u._id === authorId) || {};
+        return { _id, body, author: { _id: authorId, name, email }, createdAt };
+    };
+
+    const toAttachment = ({ _id, name, type, size, user: uploadedBy, createdAt }) => ({ _id, name, type, size, uploadedBy, createdAt });
+
+    const categoryFor = (category, userId) => {
+        const { sharedWith = [], ...rest } = category;
+        return {
+            ...rest,
+            role: roleIn(category, userId),
+            members: [toMember(category.user, 'owner'), ...sharedWith.map(m => toMember(m.user, m.role))],
+        };
+    };
+
+    // Comprueba que se puede guardar `task` (ya con los cambios) en su lista
+    // y que el asignado es miembro de ella; devuelve la respuesta de error o null.
+    const checkTaskWrite = (task, userId) => {
+        const category = findCategory(task.category);
+        if (category) {
+            const role = roleIn(category, userId);
+            if (!role) return validationError({ category: 'Categoría no válida.' });
+            if (role === 'viewer') return jsonResponse(403, { message: 'Solo tienes permiso de lectura en esta lista.' });
+        }
+        if (task.assignee) {
+            const isMember = category ? !!roleIn(category, task.assignee) : task.assignee === userId;
+            if (!isMember) return validationError({ assignee: 'La persona asignada no es miembro de la lista.' });
+        }
+        return null;
+    };
+
+    // --- Eventos en directo ---
+    // Cada cambio se apunta en `eventLog` con un id creciente, los usuarios
+    // que pueden verlo (`audience`) y una función que da los datos para cada
+    // uno (las categorías llevan el rol de quien las recibe). Un cambio de
+    // permisos se traduce en altas y bajas: quien deja de ver una tarea
+    // recibe `task.deleted` y quien empieza a verla, `task.created`.
+
+    const eventLog = [];
+    const subscribers = new Set();
+    let lastEventId = 0;
+
+    const publish = (type, audience, payload) => {
+        if (!audience.size) return;
+        const event = { id: ++lastEventId, type, audience, payload };
+        eventLog.push(event);
+        if (eventLog.length > EVENT_LOG_SIZE) eventLog.shift();
+        subscribers.forEach(subscriber => subscriber(event));
+    };
+
+    const categoryAudience = (category) => new Set(category
+        ? [category.user, ...(category.sharedWith || []).map(m => m.user)]
+        : []);
+
+    const taskAudience = (task) => (task
+        ? new Set([task.user, ...categoryAudience(findCategory(task.category))])
+        : new Set());
+
+    const difference = (a, b) => new Set([...a].filter(userId => !b.has(userId)));
+    const intersection = (a, b) => new Set([...a].filter(userId => b.has(userId)));
+
+    // `before`: quién veía la tarea antes del cambio; `task`: cómo quedó
+    // (null si se borró).
+    const publishTask = (id, before, task) => {
+        const after = taskAudience(task);
+        const snapshot = task && { ...task };
+        publish('task.created', difference(after, before), () => ({ task: snapshot }));
+        publish('task.updated', intersection(after, before), () => ({ task: snapshot }));
+        publish('task.deleted', difference(before, after), () => ({ id }));
+    };
+
+    // Aplica `change` a la categoría `id` y avisa del cambio y de las tareas
+    // de la lista que alguien empieza a ver o deja de ver.
+    const changeCategory = (id, change) => {
+        const before = categoryAudience(findCategory(id));
+        const tasks = db.tasks.filter(t => t.category === id).map(task => [task, taskAudience(task)]);
+        change();
+        const category = findCategory(id);
+        const after = categoryAudience(category);
+        const snapshot = category && { ...category };
+        publish('category.created', difference(after, before), (userId) => ({ category: categoryFor(snapshot, userId) }));
+        publish('category.updated', intersection(after, before), (userId) => ({ category: categoryFor(snapshot, userId) }));
+        publish('category.deleted', difference(before, after), () => ({ id }));
+        tasks.forEach(([task, seenBy]) => {
+            const seenAfter = taskAudience(task);
+            publish('task.created', difference(seenAfter, seenBy), () => ({ task: { ...task } }));
+            publish('task.deleted', difference(seenBy, seenAfter), () => ({ id: task._id }));
+        });
+    };
+
+    const formatEvent = (event, userId) => `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.payload(userId))}\n\n`;
+
+    // Sin `lastEventId` empieza con `ready` (para saber el id actual); con él
+    // reenvía lo perdido, o `reset` si ya no está en el registro (o el
+    // servidor se reinició y los ids no cuadran).
+    const openEventStream = (userId, lastId) => {
+        const encoder = new TextEncoder();
+        let cleanup = () => {};
+        const stream = new ReadableStream({
+            start(controller) {
+                const write = (text) => controller.enqueue(encoder.encode(text));
+                const deliver = (event) => {
+                    if (event.audience.has(userId)) write(formatEvent(event, userId));
+                };
+                write('retry: 2000\n\n');
+                if (lastId === null) {
+                    write(`id: ${lastEventId}\nevent: ready\ndata: {}\n\n`);
+                } else {
+                    const oldest = eventLog[0]?.id ?? lastEventId + 1;
+                    if (Number.isInteger(lastId) && lastId <= lastEventId && lastId >= oldest - 1) {
+                        eventLog.filter(event => event.id > lastId).forEach(deliver);
+                    } else {
+                        write(`id: ${lastEventId}\nevent: reset\ndata: {}\n\n`);
+                    }
+                }
+                subscribers.add(deliver);
+                const heartbeat = setInterval(() => write(': ping\n\n'), HEARTBEAT_MS);
+                cleanup = () => {
+                    clearInterval(heartbeat);
+                    subscribers.delete(deliver);
+                };
+            },
+            cancel() {
+                cleanup();
+            },
+        });
+        return new Response(stream, {
+            status: 200,
+            headers: { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' },
+        });
+    };
+
+    const normalizeTask = (data) => {
+        const fields = pick(data, TASK_FIELDS);
+        if (fields.dueDate) fields.dueDate = new Date(fields.dueDate).toISOString();
+        return fields;
+    };
+
+    const routes = [
+        ['POST', /^\/api\/auth\/register$/, ({ body }) => {
+            const errors = {};
+            if (!body?.email) errors.email = 'El correo es obligatorio.';
+            if (!body?.password) errors.password = 'La contraseña es obligatoria.';
+            if (body?.email && db.users.some(u => u.email === body.email)) errors.email = 'Ya existe una cuenta con este correo.';
+            if (Object.keys(errors).length) return validationError(errors);
+            const user = { _id: newId(), name: body.name || '', email: body.email, password: body.password };
+            db.users.push(user);
+            return jsonResponse(201, { message: 'Usuario registrado.', ...issueTokens(user) });
+        }, false],
+        ['POST', /^\/api\/auth\/login$/, ({ body }) => {
+            const user = db.users.find(u => u.email === body?.email && u.password === body?.password);
+            if (!user) return jsonResponse(400, { message: 'Credenciales inválidas.' });
+            return jsonResponse(200, issueTokens(user));
+        }, false],
+        ['POST', /^\/api\/auth\/refresh$/, ({ body }) => {
+            const user = db.users.find(u => u._id === refreshTokens.get(body?.refreshToken));
+            if (!user) return jsonResponse(401, { message: 'Refresh token inválido.' });
+            refreshTokens.delete(body.refreshToken);
+            return jsonResponse(200, issueTokens(user));
+        }, false],
+
+        ['GET', /^\/api\/auth\/me$/, ({ user }) => {
+            return jsonResponse(200, { user: { _id: user._id, name: user.name || '', email: user.email } });
+        }],
+
+        ['GET', /^\/api\/events$/, ({ user, query }) => {
+            const lastId = query.get('lastEventId');
+            return openEventStream(user._id, lastId === null ? null : Number(lastId));
+        }],
+
+        // Sin `limit` devuelve todas, como antes. Con `limit` pagina: el
+        // cursor es la posición de la siguiente tarea en la lista filtrada y
+        // ordenada (o sin ordenar, si no se pasa ningún filtro), así que una
+        // página puede repetir u omitir alguna si la lista cambia entre
+        // peticiones.
+        ['GET', /^\/api\/tasks$/, ({ user, query }) => {
+            const own = db.tasks.filter(t => taskRole(t, user._id));
+            if (!query.has('limit')) return jsonResponse(200, { tasks: own });
+
+            const limit = Math.min(Math.max(Number.parseInt(query.get('limit'), 10) || 0, 1), MAX_PAGE_SIZE);
+            let offset = 0;
+            if (query.get('cursor')) {
+                try {
+                    offset = decodeBase64Url(query.get('cursor')).offset;
+                } catch {
+                    return jsonResponse(400, { message: 'Cursor no válido.' });
+                }
+            }
+            const isFiltered = [...query.keys()].some(key => key !== 'limit' && key !== 'cursor');
+            const matching = isFiltered ? applyFilters(own, filtersFromApiQuery(query), { userId: user._id }) : own;
+            const tasks = matching.slice(offset, offset + limit);
+            const nextOffset = offset + tasks.length;
+            return jsonResponse(200, {
+                tasks,
+                nextCursor: nextOffset < matching.length ? encodeBase64Url({ offset: nextOffset }) : null,
+                total: matching.length,
+            });
+        }],
+        ['POST', /^\/api\/tasks$/, ({ user, body }) => {
+            const errors = validateTask(body, true);
+            if (errors) return validationError(errors);
+            const task = {
+                _id: newId(),
+                priority: 'Medium',
+                isCompleted: false,
+                ...normalizeTask(body),
+                user: user._id,
+                createdAt: now(),
+                updatedAt: now(),
+            };
+            const denied = checkTaskWrite(task, user._id);
+            if (denied) return denied;
+            db.tasks.push(task);
+            publishTask(task._id, new Set(), task);
+            return jsonResponse(201, { task });
+        }],
+        ['GET', /^\/api\/tasks\/([^/]+)$/, ({ user, params: [id] }) => {
+            const task = db.tasks.find(t => t._id === id && taskRole(t, user._id));
+            if (!task) return jsonResponse(404, { message: 'Tarea no encontrada.' });
+            return jsonResponse(200, { task });
+        }],
+        ['PUT', /^\/api\/tasks\/([^/]+)$/, ({ user, body, params: [id] }) => {
+            const index = db.tasks.findIndex(t => t._id === id && taskRole(t, user._id));
+            if (index === -1) return jsonResponse(404, { message: 'Tarea no encontrada.' });
+            if (taskRole(db.tasks[index], user._id) === 'viewer') {
+                return jsonResponse(403, { message: 'Solo tienes permiso de lectura en esta lista.' });
+            }
+            const errors = validateTask(body || {}, false);
+            if (errors) return validationError(errors);
+            const task = { ...db.tasks[index], ...normalizeTask(body || {}), updatedAt: now() };
+            const denied = checkTaskWrite(task, user._id);
+            if (denied) return denied;
+            const before = taskAudience(db.tasks[index]);
+            db.tasks[index] = task;
+            publishTask(id, before, task);
+            return jsonResponse(200, { task });
+        }],
+        ['DELETE', /^\/api\/tasks\/([^/]+)$/, ({ user, params: [id] }) => {
+            const index = db.tasks.findIndex(t => t._id === id && taskRole(t, user._id));
+            if (index === -1) return jsonResponse(404, { message: 'Tarea no encontrada.' });
+            if (taskRole(db.tasks[index], user._id) === 'viewer') {
+                return jsonResponse(403, { message: 'Solo tienes permiso de lectura en esta lista.' });
+            }
+            const before = taskAudience(db.tasks[index]);
+            db.tasks.splice(index, 1);
+            db.comments = db.comments.filter(c => c.task !== id);
+            db.attachments = db.attachments.filter(a => a.task !== id);
+            publishTask(id, before, null);
+            return jsonResponse(200, { message: 'Tarea eliminada.' });
+        }],
+
+        // Comentarios: los ve quien ve la tarea; escriben el propietario y los
+        // editores; cada uno borra los suyos.
+        ['GET', /^\/api\/tasks\/([^/]+)\/comments$/, ({ user, params: [id] }) => {
+            const task = db.tasks.find(t => t._id === id && taskRole(t, user._id));
+            if (!task) return jsonResponse(404, { message: 'Tarea no encontrada.' });
+            return jsonResponse(200, { comments: db.comments.filter(c => c.task === id).map(toComment) });
+        }],
+        ['POST', /^\/api\/tasks\/([^/]+)\/comments$/, ({ user, body, params: [id] }) => {
+            const task = db.tasks.find(t => t._id === id && taskRole(t, user._id));
+            if (!task) return jsonResponse(404, { message: 'Tarea no encontrada.' });
+            if (taskRole(task, user._id) === 'viewer') {
+                return jsonResponse(403, { message: 'Solo tienes permiso de lectura en esta lista.' });
+            }
+            const text = typeof body?.body === 'string' ? body.body.trim() : '';
+            if (!text) return validationError({ body: 'El comentario no puede estar vacío.' });
+            if (text.length > MAX_COMMENT_LENGTH) {
+                return validationError({ body: `El comentario no puede pasar de ${MAX_COMMENT_LENGTH} caracteres.` });
+            }
+            const comment = { _id: newId(), task: id, user: user._id, body: text, createdAt: now() };
+            db.comments.push(comment);
+            return jsonResponse(201, { comment: toComment(comment) });
+        }],
+        ['DELETE', /^\/api\/tasks\/([^/]+)\/comments\/([^/]+)$/, ({ user, params: [id, commentId] }) => {
+            const index = db.comments.findIndex(c => c._id === commentId && c.task === id);
+            const task = db.tasks.find(t => t._id === id && taskRole(t, user._id));
+            if (!task || index === -1) return jsonResponse(404, { message: 'Comentario no encontrado.' });
+            if (db.comments[index].user !== user._id) {
+                return jsonResponse(403, { message: 'Solo puedes borrar tus comentarios.' });
+            }
+            db.comments.splice(index, 1);
+            return jsonResponse(200, { message: 'Comentario eliminado.' });
+        }],
+
+        // Adjuntos: los ve quien ve la tarea; suben y borran el propietario y
+        // los editores. El archivo llega tal cual en el cuerpo, con el nombre
+        // en X-File-Name (ver `attachments` en useApi.jsx).
+        ['GET', /^\/api\/tasks\/([^/]+)\/attachments$/, ({ user, params: [id] }) => {
+            const task = db.tasks.find(t => t._id === id && taskRole(t, user._id));
+            if (!task) return jsonResponse(404, { message: 'Tarea no encontrada.' });
+            return jsonResponse(200, { attachments: db.attachments.filter(a => a.task === id).map(toAttachment) });
+        }],
+        ['POST', /^\/api\/tasks\/([^/]+)\/attachments$/, ({ user, body, headers, params: [id] }) => {
+            const task = db.tasks.find(t => t._id === id && taskRole(t, user._id));
+            if (!task) return jsonResponse(404, { message: 'Tarea no encontrada.' });
+            if (taskRole(task, user._id) === 'viewer') {
+                return jsonResponse(403, { message: 'Solo tienes permiso de lectura en esta lista.' });
+            }
+            let name = '';
+            try {
+                name = decodeURIComponent(headers['X-File-Name'] || '').trim();
+            } catch {
+                // Nombre mal codificado: se usa el genérico.
+            }
+            const data = body instanceof Blob ? body : new Blob(body ? [body] : []);
+            const file = { name: name || 'archivo', type: getAttachmentType({ name, type: headers['Content-Type'] || '' }), size: data.size };
+            switch (validateAttachment(file, { count: db.attachments.filter(a => a.task === id).length })) {
+                case 'empty':
+                    return jsonResponse(400, { message: 'El archivo está vacío.' });
+                case 'size':
+                    return jsonResponse(413, { message: `El archivo no puede pasar de ${MAX_ATTACHMENT_SIZE / 1024 / 1024} MB.` });
+                case 'type':
+                    return jsonResponse(415, { message: 'Tipo de archivo no permitido.' });
+                case 'count':
+                    return jsonResponse(400, { message: `Una tarea no puede tener más de ${MAX_ATTACHMENTS_PER_TASK} adjuntos.` });
+                default:
+                    break;
+            }
+            const attachment = { _id: newId(), task: id, user: user._id, ...file, data: new Blob([data], { type: file.type }), createdAt: now() };
+            db.attachments.push(attachment);
+            return jsonResponse(201, { attachment: toAttachment(attachment) });
+        }],
+        ['GET', /^\/api\/tasks\/([^/]+)\/attachments\/([^/]+)$/, ({ user, params: [id, attachmentId] }) => {
+            const task = db.tasks.find(t => t._id === id && taskRole(t, user._id));
+            const attachment = task && db.attachments.find(a => a._id === attachmentId && a.task === id);
+            if (!attachment) return jsonResponse(404, { message: 'Adjunto no encontrado.' });
+            return new Response(attachment.data, {
+                status: 200,
+                headers: {
+                    'Content-Type': attachment.type,
+                    'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+                },
+            });
+        }],
+        ['DELETE', /^\/api\/tasks\/([^/]+)\/attachments\/([^/]+)$/, ({ user, params: [id, attachmentId] }) => {
+            const task = db.tasks.find(t => t._id === id && taskRole(t, user._id));
+            const index = task ? db.attachments.findIndex(a => a._id === attachmentId && a.task === id) : -1;
+            if (index === -1) return jsonResponse(404, { message: 'Adjunto no encontrado.' });
+            if (taskRole(task, user._id) === 'viewer') {
+                return jsonResponse(403, { message: 'Solo tienes permiso de lectura en esta lista.' });
+            }
+            db.attachments.splice(index, 1);
+            return jsonResponse(200, { message: 'Adjunto eliminado.' });
+        }],
+
+        // Cada categoría lleva `taskCount`, las tareas suyas que ve quien
+        // pide, para no tener que cargarlas todas para contarlas.
+        ['GET', /^\/api\/categories$/, ({ user }) => {
+            const visible = db.categories.filter(c => roleIn(c, user._id));
+            return jsonResponse(200, {
+                categories: visible.map(c => ({
+                    ...categoryFor(c, user._id),
+                    taskCount: db.tasks.filter(t => t.category === c._id && taskRole(t, user._id)).length,
+                })),
+            });
+        }],
+        ['POST', /^\/api\/categories$/, ({ user, body }) => {
+            if (!body?.name?.trim()) return validationError({ name: 'El nombre es obligatorio.' });
+            const category = { _id: newId(), ...pick(body, CATEGORY_FIELDS), name: body.name.trim(), user: user._id };
+            changeCategory(category._id, () => db.categories.push(category));
+            return jsonResponse(201, { category: categoryFor(category, user._id) });
+        }],
+        ['PUT', /^\/api\/categories\/([^/]+)$/, ({ user, body, params: [id] }) => {
+            const index = db.categories.findIndex(c => c._id === id && roleIn(c, user._id));
+            if (index === -1) return jsonResponse(404, { message: 'Categoría no encontrada.' });
+            if (roleIn(db.categories[index], user._id) !== 'owner') {
+                return jsonResponse(403, { message: 'Solo quien creó la lista puede cambiarla.' });
+            }
+            if (body?.name !== undefined && !body.name.trim()) return validationError({ name: 'El nombre es obligatorio.' });
+            const changes = pick(body || {}, CATEGORY_FIELDS);
+            if (changes.name) changes.name = changes.name.trim();
+            const category = { ...db.categories[index], ...changes };
+            changeCategory(id, () => {
+                db.categories[index] = category;
+            });
+            return jsonResponse(200, { category: categoryFor(category, user._id) });
+        }],
+        ['DELETE', /^\/api\/categories\/([^/]+)$/, ({ user, params: [id] }) => {
+            const index = db.categories.findIndex(c => c._id === id && roleIn(c, user._id));
+            if (index === -1) return jsonResponse(404, { message: 'Categoría no encontrada.' });
+            if (roleIn(db.categories[index], user._id) !== 'owner') {
+                return jsonResponse(403, { message: 'Solo quien creó la lista puede borrarla.' });
+            }
+            changeCategory(id, () => db.categories.splice(index, 1));
+            return jsonResponse(200, { message: 'Categoría eliminada.' });
+        }],
+
+        ['GET', /^\/api\/categories\/([^/]+)\/members$/, ({ user, params: [id] }) => {
+            const category = findCategory(id);
+            if (!roleIn(category, user._id)) return jsonResponse(404, { message: 'Categoría no encontrada.' });
+            return jsonResponse(200, { members: categoryFor(category, user._id).members });
+        }],
+        ['POST', /^\/api\/categories\/([^/]+)\/members$/, ({ user, body, params: [id] }) => {
+            const category = findCategory(id);
+            const role = roleIn(category, user._id);
+            if (!role) return jsonResponse(404, { message: 'Categoría no encontrada.' });
+            if (role !== 'owner') return jsonResponse(403, { message: 'Solo quien creó la lista puede compartirla.' });
+            const invited = db.users.find(u => u.email === body?.email?.trim());
+            if (!invited) return validationError({ email: 'No hay ningún usuario registrado con ese correo.' });
+            if (roleIn(category, invited._id)) return validationError({ email: 'Esa persona ya es miembro de la lista.' });
+            if (!SHARE_ROLES.includes(body?.role)) return validationError({ role: 'Rol no válido.' });
+            changeCategory(id, () => {
+                category.sharedWith = [...(category.sharedWith || []), { user: invited._id, role: body.role }];
+            });
+            return jsonResponse(201, { category: categoryFor(category, user._id) });
+        }],
+        ['PUT', /^\/api\/categories\/([^/]+)\/members\/([^/]+)$/, ({ user, body, params: [id, memberId] }) => {
+            const category = findCategory(id);
+            const role = roleIn(category, user._id);
+            if (!role) return jsonResponse(404, { message: 'Categoría no encontrada.' });
+            if (role !== 'owner') return jsonResponse(403, { message: 'Solo quien creó la lista puede cambiar los roles.' });
+            if (!category.sharedWith?.some(m => m.user === memberId)) return jsonResponse(404, { message: 'Miembro no encontrado.' });
+            if (!SHARE_ROLES.includes(body?.role)) return validationError({ role: 'Rol no válido.' });
+            changeCategory(id, () => {
+                category.sharedWith = category.sharedWith.map(m => (m.user === memberId ? { ...m, role: body.role } : m));
+            });
+            return jsonResponse(200, { category: categoryFor(category, user._id) });
+        }],
+        // El propietario quita a cualquiera; los demás solo pueden salir ellos.
+        ['DELETE', /^\/api\/categories\/([^/]+)\/members\/([^/]+)$/, ({ user, params: [id, memberId] }) => {
+            const category = findCategory(id);
+            const role = roleIn(category, user._id);
+            if (!role) return jsonResponse(404, { message: 'Categoría no encontrada.' });
+            if (role !== 'owner' && memberId !== user._id) {
+                return jsonResponse(403, { message: 'Solo quien creó la lista puede quitar miembros.' });
+            }
+            if (!category.sharedWith?.some(m => m.user === memberId)) return jsonResponse(404, { message: 'Miembro no encontrado.' });
+            changeCategory(id, () => {
+                category.sharedWith = category.sharedWith.filter(m => m.user !== memberId);
+            });
+            return jsonResponse(200, { category: categoryFor(category, user._id) });
+        }],
+    ];
+
+    // Como fetch, rechaza con AbortError si se aborta `config.signal`.
+    const waitDelay = (signal) => new Promise((resolve, reject) => {
+        const abort = () => reject(new DOMException('La petición se abortó.', 'AbortError'));
+        if (signal?.aborted) return abort();
+        const timer = setTimeout(resolve, delay);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            abort();
+        }, { once: true });
+    });
+
+    const transport = async (url, config = {}) => {
+        await waitDelay(config.signal);
+
+        const method = (config.method || 'GET').toUpperCase();
+        const { pathname, searchParams } = new URL(url, 'http://memory.local');
+        // Los adjuntos llegan como Blob (en el navegador) o como bytes
+        // (scripts/mock-server.mjs); lo demás, como JSON.
+        const body = typeof config.body === 'string' ? JSON.parse(config.body) : config.body ?? null;
+        // Aquí la subida es instantánea: el progreso salta al final.
+        if (config.onUploadProgress && body?.size !== undefined) config.onUploadProgress({ loaded: body.size, total: body.size });
+
+        for (const [routeMethod, pattern, handler, isAuth = true] of routes) {
+            const match = routeMethod === method && pattern.exec(pathname);
+            if (!match) continue;
+
+            const user = userFromRequest(config.headers);
+            if (isAuth && !user) return jsonResponse(401, { message: 'Token inválido.' });
+
+            return handler({ user, body, headers: config.headers || {}, params: match.slice(1), query: searchParams });
+        }
+
+        return jsonResponse(404, { message: `Ruta no encontrada: ${method} ${pathname}` });
+    };
+
+    return { transport, db };
+};
@@ -0,0 +1,317 @@
+import { ApiError, NetworkError, TimeoutError } from './apiErrors';
+
+// ----------------------------------------------------------------------
+// Almacén local persistente (IndexedDB)
+// ----------------------------------------------------------------------
+// Guarda una copia de las tareas y categorías para poder mostrarlas sin
+// conexión, la cola de mutaciones pendientes ("outbox") que se reenvían
+// al servidor al reconectar y el historial de cambios de cada tarea (ver
+// taskHistory.js). Si IndexedDB no está disponible (modo privado
+// de algunos navegadores, pruebas en Node) se usa un almacén en memoria.
+
+const DB_NAME = 'agenda-offline';
+const DB_VERSION = 2;
+
+export const STORES = {
+    tasks: 'tasks',
+    categories: 'categories',
+    outbox: 'outbox',
+    history: 'history',
+};
+
+// Clave de cada almacén; la del outbox se genera sola.
+const KEY_PATHS = {
+    [STORES.tasks]: '_id',
+    [STORES.categories]: '_id',
+    [STORES.outbox]: 'seq',
+    [STORES.history]: 'taskId',
+};
+
+const createMemoryStore = () => {
+    const stores = Object.fromEntries(Object.values(STORES).map(name => [name, new Map()]));
+    let seq = 0;
+
+    return {
+        getAll: async (name) => [...stores[name].values()],
+        get: async (name, key) => stores[name].get(key),
+        put: async (name, item) => {
+            if (name === STORES.outbox && item.seq === undefined) item = { ...item, seq: ++seq };
+            const key = item[KEY_PATHS[name]];
+            stores[name].set(key, item);
+            return key;
+        },
+        replaceAll: async (name, items) => {
+            stores[name].clear();
+            items.forEach(item => stores[name].set(item[KEY_PATHS[name]], item));
+        },
+        remove: async (name, key) => { stores[name].delete(key); },
+        batch: async (operations) => {
+            operations.forEach(({ store, put, remove }) => {
+                if (put) stores[store].set(put[KEY_PATHS[store]], put);
+                else stores[store].delete(remove);
+            });
+        },
+        clear: async () => { Object.values(stores).forEach(store => store.clear()); },
+    };
+};
+
+const createIndexedDbStore = () => {
+    let dbPromise = null;
+
+    const openDb = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                // Se crean los almacenes que falten (la versión 1 no tenía el
+                // historial).
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    Object.values(STORES)
+                        .filter(name => !db.objectStoreNames.contains(name))
+                        .forEach(name => db.createObjectStore(name, {
+                            keyPath: KEY_PATHS[name],
+                            autoIncrement: name === STORES.outbox,
+                        }));
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    };
+
+    const run = async (names, mode, operation) => {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(names, mode);
+            const request = operation(tx);
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    };
+
+    return {
+        getAll: (name) => run(name, 'readonly', tx => tx.objectStore(name).getAll()),
+        get: (name, key) => run(name, 'readonly', tx => tx.objectStore(name).get(key)),
+        put: (name, item) => run(name, 'readwrite', tx => tx.objectStore(name).put(item)),
+        replaceAll: (name, items) => run(name, 'readwrite', tx => {
+            const store = tx.objectStore(name);
+            store.clear();
+            items.forEach(item => store.put(item));
+        }),
+        remove: (name, key) => run(name, 'readwrite', tx => tx.objectStore(name).delete(key)),
+        // Varias escrituras en una sola transacción: o se aplican todas o
+        // ninguna. Cada operación es { store, put: item } o { store, remove: key }.
+        batch: (operations) => {
+            const names = [...new Set(operations.map(operation => operation.store))];
+            return run(names, 'readwrite', tx => {
+                operations.forEach(({ store, put, remove }) => {
+                    if (put) tx.objectStore(store).put(put);
+                    else tx.objectStore(store).delete(remove);
+                });
+            });
+        },
+        clear: () => run(Object.values(STORES), 'readwrite', tx => {
+            Object.values(STORES).forEach(name => tx.objectStore(name).clear());
+        }),
+    };
+};
+
+export const offlineStore = typeof indexedDB === 'undefined' ? createMemoryStore() : createIndexedDbStore();
+
+// ----------------------------------------------------------------------
+// Cola de mutaciones (outbox)
+// ----------------------------------------------------------------------
+
+// Cada entrada: { seq, type, targetId, data, baseUpdatedAt, queuedAt }.
+// type ∈ 'task.create' | 'task.update' | 'task.delete' | 'category.create' | 'category.delete'
+export const enqueueMutation = (mutation) => offlineStore.put(STORES.outbox, {
+    ...mutation,
+    queuedAt: new Date().toISOString(),
+});
+
+export const getOutbox = async () => {
+    const entries = await offlineStore.getAll(STORES.outbox);
+    return entries.sort((a, b) => a.seq - b.seq);
+};
+
+// Descarta todo lo pendiente sobre un elemento creado sin conexión que se
+// elimina antes de llegar al servidor.
+export const dropMutationsFor = async (targetId) => {
+    const entries = await getOutbox();
+    await Promise.all(entries
+        .filter(entry => entry.targetId === targetId)
+        .map(entry => offlineStore.remove(STORES.outbox, entry.seq)));
+};
+
+export const LOCAL_ID_PREFIX = 'local-';
+
+export const createLocalId = () => `${LOCAL_ID_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+export const isLocalId = (id) => typeof id === 'string' && id.startsWith(LOCAL_ID_PREFIX);
+
+// useApi convierte la falta de respuesta en NetworkError (fetch rechaza con
+// TypeError, que también se acepta por si la API se usa sin useApi). Los
+// demás ApiError (HTTP, timeout, cancelación) no cuentan como "sin red".
+export const isNetworkError = (error) => {
+    if (error instanceof NetworkError || error instanceof TypeError) return true;
+    if (error instanceof ApiError) return false;
+    return typeof navigator !== 'undefined' && !navigator.onLine;
+};
+
+// El servidor ganó el conflicto si su versión cambió después de la versión
+// sobre la que se hizo la edición local.
+export const isServerNewer = (serverItem, mutation) => {
+    if (!serverItem?.updatedAt || !mutation.baseUpdatedAt) return false;
+    return new Date(serverItem.updatedAt).getTime() > new Date(mutation.baseUpdatedAt).getTime();
+};
+
+// ----------------------------------------------------------------------
+// Sincronización
+// ----------------------------------------------------------------------
+
+// Tras crear en el servidor algo hecho sin conexión, cambia su id local por
+// el definitivo en lo que queda de la cola, en la caché (y en las tareas de
+// una categoría nueva) y en el historial, en la misma transacción que quita
+// la creación de la cola. Así, si la sincronización se corta después, las
+// mutaciones pendientes ya no apuntan a un id que el servidor no conoce.
+const commitCreated = async (mutation, storeName, serverItem) => {
+    const localId = mutation.targetId;
+    const swapId = (id) => (id === localId ? serverItem._id : id);
+    const pending = (await getOutbox()).filter(entry => entry.seq !== mutation.seq);
+    const operations = pending
+        .filter(entry => entry.targetId === localId || entry.data?.category === localId)
+        .map(entry => ({
+            store: STORES.outbox,
+            put: {
+                ...entry,
+                targetId: swapId(entry.targetId),
+                ...(entry.data?.category && { data: { ...entry.data, category: swapId(entry.data.category) } }),
+            },
+        }));
+
+    // Si quedan cambios suyos en la cola, la caché conserva la versión local.
+    const cached = await offlineStore.get(storeName, localId);
+    const stillPending = pending.some(entry => entry.targetId === localId);
+    operations.push(
+        { store: storeName, remove: localId },
+        { store: storeName, put: stillPending && cached ? { ...cached, _id: serverItem._id } : serverItem },
+    );
+
+    if (storeName === STORES.categories) {
+        const tasks = await offlineStore.getAll(STORES.tasks);
+        tasks
+            .filter(task => task.category === localId)
+            .forEach(task => operations.push({ store: STORES.tasks, put: { ...task, category: serverItem._id } }));
+    } else {
+        const history = await offlineStore.get(STORES.history, localId);
+        if (history) {
+            operations.push(
+                { store: STORES.history, remove: localId },
+                { store: STORES.history, put: { ...history, taskId: serverItem._id } },
+            );
+        }
+    }
+
+    operations.push({ store: STORES.outbox, remove: mutation.seq });
+    await offlineStore.batch(operations);
+};
+
+// Versión actual de una tarea en el servidor para comprobar conflictos, o
+// null si ya no existe o el backend no permite pedirla sola (entonces la
+// mutación se envía sin comprobar y el servidor decide).
+const fetchServerTask = async (api, id) => {
+    try {
+        return (await api.tasks.get(id)).task;
+    } catch (error) {
+        if (error.status === 404 || error.status === 405) return null;
+        throw error;
+    }
+};
+
+// Reenvía la cola en orden a través de la API. Se detiene en el primer error
+// de red o timeout (lo pendiente se reintenta en la próxima reconexión); los
+// errores del servidor descartan la mutación y se informan en `failed`. Para
+// los conflictos se pide solo la tarea afectada, no la lista entera (que con
+// paginación no la traería).
+export const flushOutbox = async (api) => {
+    const queue = await getOutbox();
+    const result = { synced: 0, conflicts: [], failed: [] };
+    if (queue.length === 0) return result;
+
+    // La cola se leyó al principio: los ids creados en esta pasada se
+    // traducen aquí (commitCreated ya los cambió en la cola guardada).
+    const idMap = {};
+    const resolveId = (id) => idMap[id] || id;
+
+    for (const mutation of queue) {
+        const id = resolveId(mutation.targetId);
+        const data = mutation.data?.category
+            ? { ...mutation.data, category: resolveId(mutation.data.category) }
+            : mutation.data;
+
+        try {
+            switch (mutation.type) {
+                case 'task.create': {
+                    const created = await api.tasks.create(data);
+                    idMap[mutation.targetId] = created.task._id;
+                    await commitCreated(mutation, STORES.tasks, created.task);
+                    result.synced += 1;
+                    continue;
+                }
+                case 'task.update': {
+                    const serverTask = mutation.baseUpdatedAt ? await fetchServerTask(api, id) : null;
+                    if (isServerNewer(serverTask, mutation)) {
+                        result.conflicts.push({ mutation, serverTask });
+                        break;
+                    }
+                    await api.tasks.update(id, data);
+                    result.synced += 1;
+                    break;
+                }
+                case 'task.delete': {
+                    const serverTask = mutation.baseUpdatedAt ? await fetchServerTask(api, id) : null;
+                    if (isServerNewer(serverTask, mutation)) {
+                        result.conflicts.push({ mutation, serverTask });
+                        break;
+                    }
+                    try {
+                        await api.tasks.delete(id);
+                    } catch (error) {
+                        // Ya no existía: no queda nada que borrar.
+                        if (error.status === 404) break;
+                        throw error;
+                    }
+                    result.synced += 1;
+                    break;
+                }
+                case 'category.create': {
+                    const created = await api.categories.create(data);
+                    idMap[mutation.targetId] = created.category._id;
+                    await commitCreated(mutation, STORES.categories, created.category);
+                    result.synced += 1;
+                    continue;
+                }
+                case 'category.update':
+                    await api.categories.update(id, data);
+                    result.synced += 1;
+                    break;
+                case 'category.delete':
+                    await api.categories.delete(id);
+                    result.synced += 1;
+                    break;
+                default:
+                    break;
+            }
+        } catch (error) {
+            // Un timeout tampoco descarta la mutación: se reintenta después.
+            if (isNetworkError(error) || error instanceof TimeoutError) break;
+            result.failed.push({ mutation, error });
+        }
+
+        await offlineStore.remove(STORES.outbox, mutation.seq);
+    }
+
+    return result;
+};
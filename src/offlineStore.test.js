@@ -0,0 +1,128 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { ApiError, NetworkError } from './apiErrors';
+import { enqueueMutation, flushOutbox, getOutbox, offlineStore, STORES } from './offlineStore';
+
+// En Node no hay IndexedDB: estas pruebas usan el almacén en memoria.
+
+// API falsa con las funciones que usa flushOutbox, sobre las tareas de
+// `server`; cada una se puede sustituir en la prueba.
+const createApi = (server = new Map()) => ({
+    tasks: {
+        get: vi.fn(async (id) => {
+            if (!server.has(id)) throw new ApiError('Tarea no encontrada.', { status: 404 });
+            return { task: server.get(id) };
+        }),
+        create: vi.fn(async (data) => {
+            const task = { ...data, _id: 'srv-task' };
+            server.set(task._id, task);
+            return { task };
+        }),
+        update: vi.fn(async (id, data) => ({ task: { ...server.get(id), ...data, _id: id } })),
+        delete: vi.fn(async (id) => {
+            if (!server.delete(id)) throw new ApiError('Tarea no encontrada.', { status: 404 });
+            return {};
+        }),
+    },
+    categories: {
+        create: vi.fn(async (data) => ({ category: { ...data, _id: 'srv-cat' } })),
+        update: vi.fn(async (id, data) => ({ category: { ...data, _id: id } })),
+        delete: vi.fn(async () => ({})),
+    },
+});
+
+beforeEach(() => offlineStore.clear());
+
+describe('flushOutbox', () => {
+    it('envía la cola en orden con los ids del servidor', async () => {
+        await enqueueMutation({ type: 'category.create', targetId: 'local-c', data: { name: 'Casa' } });
+        await enqueueMutation({ type: 'task.create', targetId: 'local-t', data: { title: 'Luz', category: 'local-c' } });
+        await enqueueMutation({ type: 'task.update', targetId: 'local-t', data: { title: 'Pagar luz' } });
+        const api = createApi();
+
+        const result = await flushOutbox(api);
+
+        expect(result).toEqual({ synced: 3, conflicts: [], failed: [] });
+        expect(api.tasks.create).toHaveBeenCalledWith({ title: 'Luz', category: 'srv-cat' });
+        expect(api.tasks.update).toHaveBeenCalledWith('srv-task', { title: 'Pagar luz' });
+        expect(await getOutbox()).toEqual([]);
+    });
+
+    it('si se corta la red tras una creación, lo pendiente ya lleva el id del servidor', async () => {
+        await offlineStore.put(STORES.tasks, { _id: 'local-t', title: 'Pagar luz', pendingSync: true });
+        await offlineStore.put(STORES.history, { taskId: 'local-t', entries: [{ type: 'created' }] });
+        await enqueueMutation({ type: 'task.create', targetId: 'local-t', data: { title: 'Luz' } });
+        await enqueueMutation({ type: 'task.update', targetId: 'local-t', data: { title: 'Pagar luz' } });
+        await enqueueMutation({ type: 'task.delete', targetId: 'local-t' });
+        const api = createApi();
+        api.tasks.update.mockRejectedValueOnce(new NetworkError());
+
+        expect(await flushOutbox(api)).toEqual({ synced: 1, conflicts: [], failed: [] });
+
+        const pending = await getOutbox();
+        expect(pending.map(entry => [entry.type, entry.targetId])).toEqual([
+            ['task.update', 'srv-task'],
+            ['task.delete', 'srv-task'],
+        ]);
+        expect(await offlineStore.get(STORES.tasks, 'local-t')).toBeUndefined();
+        expect(await offlineStore.get(STORES.tasks, 'srv-task')).toEqual({ _id: 'srv-task', title: 'Pagar luz', pendingSync: true });
+        expect(await offlineStore.get(STORES.history, 'srv-task')).toEqual({ taskId: 'srv-task', entries: [{ type: 'created' }] });
+
+        // La siguiente pasada no vuelve a crearla y usa el id definitivo.
+        await flushOutbox(api);
+        expect(api.tasks.create).toHaveBeenCalledTimes(1);
+        expect(api.tasks.update).toHaveBeenLastCalledWith('srv-task', { title: 'Pagar luz' });
+        expect(api.tasks.delete).toHaveBeenCalledWith('srv-task');
+        expect(await getOutbox()).toEqual([]);
+    });
+
+    it('las tareas de una categoría creada sin conexión pasan al id del servidor', async () => {
+        await offlineStore.put(STORES.categories, { _id: 'local-c', name: 'Casa', pendingSync: true });
+        await offlineStore.put(STORES.tasks, { _id: 't1', title: 'Regar', category: 'local-c' });
+        await enqueueMutation({ type: 'category.create', targetId: 'local-c', data: { name: 'Casa' } });
+        await enqueueMutation({ type: 'task.update', targetId: 't1', data: { category: 'local-c' } });
+        const api = createApi();
+        api.tasks.update.mockRejectedValueOnce(new NetworkError());
+
+        await flushOutbox(api);
+
+        expect(await offlineStore.get(STORES.categories, 'srv-cat')).toEqual({ name: 'Casa', _id: 'srv-cat' });
+        expect(await offlineStore.get(STORES.tasks, 't1')).toEqual({ _id: 't1', title: 'Regar', category: 'srv-cat' });
+        expect((await getOutbox())[0].data).toEqual({ category: 'srv-cat' });
+    });
+
+    it('comprueba los conflictos con la tarea afectada, esté o no en la primera página', async () => {
+        const server = new Map([
+            ['t1', { _id: 't1', title: 'Sin cambios', updatedAt: '2025-01-01T00:00:00.000Z' }],
+            ['t2', { _id: 't2', title: 'Cambiada por otro', updatedAt: '2025-01-03T00:00:00.000Z' }],
+        ]);
+        await enqueueMutation({ type: 'task.delete', targetId: 't1', baseUpdatedAt: '2025-01-01T00:00:00.000Z' });
+        await enqueueMutation({ type: 'task.delete', targetId: 't2', baseUpdatedAt: '2025-01-02T00:00:00.000Z' });
+        const api = createApi(server);
+
+        const result = await flushOutbox(api);
+
+        expect(api.tasks.get.mock.calls.map(([id]) => id)).toEqual(['t1', 't2']);
+        expect(api.tasks.delete).toHaveBeenCalledTimes(1);
+        expect(api.tasks.delete).toHaveBeenCalledWith('t1');
+        expect(result.synced).toBe(1);
+        expect(result.conflicts).toEqual([expect.objectContaining({ serverTask: server.get('t2') })]);
+    });
+
+    it('un borrado de una tarea que ya no existe se da por hecho', async () => {
+        await enqueueMutation({ type: 'task.delete', targetId: 'gone', baseUpdatedAt: '2025-01-01T00:00:00.000Z' });
+        const api = createApi();
+
+        expect(await flushOutbox(api)).toEqual({ synced: 0, conflicts: [], failed: [] });
+        expect(api.tasks.delete).toHaveBeenCalledWith('gone');
+        expect(await getOutbox()).toEqual([]);
+    });
+
+    it('sin poder pedir la tarea sola, envía la mutación sin comprobar', async () => {
+        await enqueueMutation({ type: 'task.update', targetId: 't1', data: { title: 'Nuevo' }, baseUpdatedAt: '2025-01-01T00:00:00.000Z' });
+        const api = createApi();
+        api.tasks.get.mockRejectedValueOnce(new ApiError('Método no permitido.', { status: 405 }));
+
+        expect(await flushOutbox(api)).toEqual({ synced: 1, conflicts: [], failed: [] });
+        expect(api.tasks.update).toHaveBeenCalledWith('t1', { title: 'Nuevo' });
+    });
+});
@@ -0,0 +1,237 @@
+import { addDays, addWeeks, format, isBefore, isValid, nextMonday, startOfDay } from 'date-fns';
+
+// ----------------------------------------------------------------------
+// Alta rápida en lenguaje natural
+// ----------------------------------------------------------------------
+// parseQuickAdd('Pagar luz mañana !alta #casa', { categories }) devuelve
+// { title, dueDate, dueTime, priority, category, tokens }. Entiende frases en
+// español y en inglés; cada token reconocido lleva su posición en el texto
+// original ({ start, end }) para poder resaltarlo mientras se escribe.
+// Función pura: `today` se recibe como parámetro.
+
+// Límites de palabra que sí respetan tildes y eñes (\b solo conoce ASCII).
+const START = '(?<![\\p{L}\\d])';
+const END = '(?![\\p{L}\\d])';
+
+const normalize = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+const PRIORITIES = {
+    alta: 'High', high: 'High', 3: 'High',
+    media: 'Medium', medium: 'Medium', normal: 'Medium', 2: 'Medium',
+    baja: 'Low', low: 'Low', 1: 'Low',
+};
+
+// getDay(): 0 = domingo.
+const WEEKDAYS = {
+    domingo: 0, lunes: 1, martes: 2, miercoles: 3, jueves: 4, viernes: 5, sabado: 6,
+    sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6,
+};
+
+const MONTHS = {
+    enero: 0, febrero: 1, marzo: 2, abril: 3, mayo: 4, junio: 5, julio: 6, agosto: 7,
+    septiembre: 8, setiembre: 8, octubre: 9, noviembre: 10, diciembre: 11,
+    january: 0, february: 1, march: 2, april: 3, may: 4, june: 5, july: 6, august: 7,
+    september: 8, october: 9, november: 10, december: 11,
+    ene: 0, feb: 1, mar: 2, abr: 3, jun: 5, jul: 6, ago: 7, sep: 8, sept: 8, oct: 9, nov: 10, dic: 11,
+    jan: 0, apr: 3, aug: 7, dec: 11,
+};
+
+const WEEKDAY_PATTERN = 'lunes|martes|mi[eé]rcoles|jueves|viernes|s[aá]bado|domingo|monday|tuesday|wednesday|thursday|friday|saturday|sunday';
+const MONTH_PATTERN = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+
+const toDateKey = (date) => format(date, 'yyyy-MM-dd');
+
+// Fecha del día/mes dado; si ya pasó este año (y no se indicó año), el que viene.
+const buildDate = (day, month, year, today) => {
+    const fullYear = year === undefined ? today.getFullYear() : (year < 100 ? 2000 + year : year);
+    let date = new Date(fullYear, month, day);
+    if (!isValid(date) || date.getMonth() !== month) return null;
+    if (year === undefined && isBefore(date, startOfDay(today))) date = new Date(fullYear + 1, month, day);
+    return date;
+};
+
+// Próximo día de la semana estrictamente posterior a hoy.
+const nextWeekday = (weekday, today) => {
+    const diff = (weekday - today.getDay() + 7) % 7 || 7;
+    return addDays(startOfDay(today), diff);
+};
+
+const toTime = (hours, minutes = 0, meridiem) => {
+    let h = hours;
+    if (meridiem) {
+        if (h < 1 || h > 12) return null;
+        if (meridiem === 'pm' && h < 12) h += 12;
+        if (meridiem === 'am' && h === 12) h = 0;
+    }
+    if (h > 23 || minutes > 59) return null;
+    return `${String(h).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+// Cada regla: tipo, expresión y `resolve(match, ctx)` que devuelve el valor
+// (o null si el texto coincide pero no es válido, p. ej. 31/02).
+const RULES = [
+    {
+        type: 'priority',
+        pattern: `(?<!\\S)!(alta|high|media|medium|normal|baja|low|[123])${END}`,
+        resolve: (m) => PRIORITIES[normalize(m[1])],
+    },
+    {
+        type: 'category',
+        pattern: '(?<!\\S)#([\\p{L}\\d_-]+)',
+        resolve: (m, { categories }) => {
+            // «#mi-casa» o «#mi_casa» encuentran la categoría «Mi casa».
+            const wanted = normalize(m[1]).replace(/[-_]/g, ' ');
+            const match = categories.find(cat => normalize(cat.name) === wanted)
+                || categories.find(cat => normalize(cat.name).startsWith(wanted));
+            return match ? match._id : null;
+        },
+    },
+    {
+        type: 'date',
+        pattern: `${START}(?:pasado\\s+ma[ñn]ana|day\\s+after\\s+tomorrow)${END}`,
+        resolve: (m, { today }) => addDays(startOfDay(today), 2),
+    },
+    {
+        type: 'date',
+        pattern: `${START}(?:hoy|today|tonight|esta\\s+noche)${END}`,
+        resolve: (m, { today }) => startOfDay(today),
+    },
+    {
+        type: 'date',
+        pattern: `${START}(?:ma[ñn]ana|tomorrow)${END}`,
+        resolve: (m, { today }) => addDays(startOfDay(today), 1),
+    },
+    {
+        type: 'date',
+        pattern: `${START}(?:en|in)\\s+(\\d{1,3})\\s+(d[ií]as?|semanas?|days?|weeks?)${END}`,
+        resolve: (m, { today }) => {
+            const amount = Number(m[1]);
+            return /^(semana|week)/.test(normalize(m[2]))
+                ? addWeeks(startOfDay(today), amount)
+                : addDays(startOfDay(today), amount);
+        },
+    },
+    {
+        type: 'date',
+        pattern: `${START}(?:(?:la\\s+)?pr[oó]xima\\s+semana|(?:la\\s+)?semana\\s+que\\s+viene|next\\s+week)${END}`,
+        resolve: (m, { today }) => nextMonday(today),
+    },
+    {
+        type: 'date',
+        pattern: `${START}(?:(?:el|este|on|this|next)\\s+)?(?:pr[oó]ximo\\s+)?(${WEEKDAY_PATTERN})${END}`,
+        resolve: (m, { today }) => nextWeekday(WEEKDAYS[normalize(m[1])], today),
+    },
+    {
+        type: 'date',
+        pattern: `${START}(\\d{4})-(\\d{2})-(\\d{2})${END}`,
+        resolve: (m, { today }) => buildDate(Number(m[3]), Number(m[2]) - 1, Number(m[1]), today),
+    },
+    {
+        // Formato español: día/mes[/año].
+        type: 'date',
+        pattern: `${START}(?:(?:el|on)\\s+)?(\\d{1,2})/(\\d{1,2})(?:/(\\d{2}|\\d{4}))?${END}`,
+        resolve: (m, { today }) => buildDate(Number(m[1]), Number(m[2]) - 1, m[3] === undefined ? undefined : Number(m[3]), today),
+    },
+    {
+        // «15 de marzo», «15 marzo», «15 mar».
+        type: 'date',
+        pattern: `${START}(?:(?:el|on)\\s+)?(\\d{1,2})\\s+(?:de\\s+)?(${MONTH_PATTERN})\\.?(?:\\s+(?:de\\s+)?(\\d{4}))?${END}`,
+        resolve: (m, { today }) => buildDate(Number(m[1]), MONTHS[normalize(m[2])], m[3] === undefined ? undefined : Number(m[3]), today),
+    },
+    {
+        // «March 15», «on mar 15th».
+        type: 'date',
+        pattern: `${START}(?:on\\s+)?(${MONTH_PATTERN})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?${END}`,
+        resolve: (m, { today }) => buildDate(Number(m[2]), MONTHS[normalize(m[1])], m[3] === undefined ? undefined : Number(m[3]), today),
+    },
+    {
+        type: 'time',
+        pattern: `${START}(?:(?:a\\s+las|a\\s+la|at)\\s+)?(\\d{1,2}):(\\d{2})\\s*(am|pm|h)?${END}`,
+        resolve: (m) => toTime(Number(m[1]), Number(m[2]), m[3] && m[3].toLowerCase() !== 'h' ? m[3].toLowerCase() : undefined),
+    },
+    {
+        // Hora sin minutos: solo con «a las»/«at» o con am/pm/h, para no
+        // confundirla con otros números del título.
+        type: 'time',
+        pattern: `${START}(?:(?:a\\s+las|a\\s+la|at)\\s+(\\d{1,2})(?:\\s*(am|pm|h))?|(\\d{1,2})\\s*(am|pm|h))${END}`,
+        resolve: (m) => {
+            const hours = Number(m[1] ?? m[3]);
+            const suffix = (m[2] ?? m[4])?.toLowerCase();
+            return toTime(hours, 0, suffix && suffix !== 'h' ? suffix : undefined);
+        },
+    },
+];
+
+const COMPILED_RULES = RULES.map(rule => ({ ...rule, regex: new RegExp(rule.pattern, 'giu') }));
+
+// Todas las coincidencias de todas las reglas, sin solapes: gana la más larga
+// y, a igual longitud, la regla que aparece antes.
+const findMatches = (text, context) => {
+    const candidates = [];
+    COMPILED_RULES.forEach((rule, ruleIndex) => {
+        for (const match of text.matchAll(rule.regex)) {
+            candidates.push({
+                type: rule.type,
+                start: match.index,
+                end: match.index + match[0].length,
+                text: match[0],
+                value: rule.resolve(match, context),
+                ruleIndex,
+            });
+        }
+    });
+
+    candidates.sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.ruleIndex - b.ruleIndex);
+    const accepted = [];
+    candidates.forEach(candidate => {
+        const overlaps = accepted.some(other => candidate.start < other.end && other.start < candidate.end);
+        if (!overlaps) accepted.push(candidate);
+    });
+    return accepted.sort((a, b) => a.start - b.start);
+};
+
+export const parseQuickAdd = (text, { categories = [], today = new Date() } = {}) => {
+    const result = { title: '', dueDate: null, dueTime: null, priority: null, category: null, tokens: [] };
+    const consumed = [];
+
+    findMatches(text, { categories, today }).forEach(match => {
+        const key = match.type === 'date' ? 'dueDate' : match.type === 'time' ? 'dueTime' : match.type;
+        // Solo cuenta el primero de cada tipo; los que no se entienden
+        // (categoría inexistente, 31/02...) o se repiten se quedan en el
+        // título y se marcan como ignorados.
+        const ignored = match.value === null || match.value === undefined || result[key] !== null;
+        if (!ignored) {
+            result[key] = match.type === 'date' ? toDateKey(match.value) : match.value;
+            consumed.push(match);
+        }
+        result.tokens.push({ type: match.type, start: match.start, end: match.end, text: match.text, ignored });
+    });
+
+    // Una hora sin fecha se entiende para hoy.
+    if (result.dueTime && !result.dueDate) result.dueDate = toDateKey(today);
+
+    let title = '';
+    let position = 0;
+    consumed.forEach(match => {
+        title += `${text.slice(position, match.start)} `;
+        position = match.end;
+    });
+    title += text.slice(position);
+    result.title = title.replace(/\s+/g, ' ').trim();
+
+    return result;
+};
+
+// Trozos del texto para resaltarlo: [{ text, token }] donde `token` es null
+// en el texto normal.
+export const splitByTokens = (text, tokens) => {
+    const parts = [];
+    let position = 0;
+    tokens.forEach(token => {
+        if (token.start > position) parts.push({ text: text.slice(position, token.start), token: null });
+        parts.push({ text: text.slice(token.start, token.end), token });
+        position = token.end;
+    });
+    if (position < text.length) parts.push({ text: text.slice(position), token: null });
+    return parts;
+};
@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import { parseQuickAdd, splitByTokens } from './quickAdd';
+
+// Miércoles 12 de marzo de 2025, 9:00: todas las fechas relativas salen de aquí.
+const today = new Date(2025, 2, 12, 9, 0);
+
+const categories = [
+    { _id: 'c-casa', name: 'Casa' },
+    { _id: 'c-mi-casa', name: 'Mi casa' },
+    { _id: 'c-trabajo', name: 'Trabajo' },
+    { _id: 'c-facturacion', name: 'Facturación' },
+];
+
+const parse = (text) => parseQuickAdd(text, { categories, today });
+
+const EMPTY = { dueDate: null, dueTime: null, priority: null, category: null };
+
+describe('parseQuickAdd', () => {
+    it.each([
+        // Ejemplos de la petición.
+        ['Pagar luz mañana !alta #casa', { title: 'Pagar luz', dueDate: '2025-03-13', priority: 'High', category: 'c-casa' }],
+        ['reunión el viernes 10:00', { title: 'reunión', dueDate: '2025-03-14', dueTime: '10:00' }],
+        // Español.
+        ['Dentista pasado mañana a las 9', { title: 'Dentista', dueDate: '2025-03-14', dueTime: '09:00' }],
+        ['Informe la próxima semana !media', { title: 'Informe', dueDate: '2025-03-17', priority: 'Medium' }],
+        ['Renovar DNI en 3 días', { title: 'Renovar DNI', dueDate: '2025-03-15' }],
+        ['Cumple de Ana el 15 de abril', { title: 'Cumple de Ana', dueDate: '2025-04-15' }],
+        ['Seguro 5/01', { title: 'Seguro', dueDate: '2026-01-05' }],
+        ['Cena hoy a las 21:30h', { title: 'Cena', dueDate: '2025-03-12', dueTime: '21:30' }],
+        ['Llamar al banco el miércoles', { title: 'Llamar al banco', dueDate: '2025-03-19' }],
+        // Inglés.
+        ['call mom tomorrow at 5pm', { title: 'call mom', dueDate: '2025-03-13', dueTime: '17:00' }],
+        ['buy milk next friday !high', { title: 'buy milk', dueDate: '2025-03-14', priority: 'High' }],
+        ['dentist March 15th at 9am', { title: 'dentist', dueDate: '2025-03-15', dueTime: '09:00' }],
+        ['renew passport in 2 weeks !low', { title: 'renew passport', dueDate: '2025-03-26', priority: 'Low' }],
+        ['report next week', { title: 'report', dueDate: '2025-03-17' }],
+        ['standup 12am', { title: 'standup', dueDate: '2025-03-12', dueTime: '00:00' }],
+        ['deploy 2025-04-01', { title: 'deploy', dueDate: '2025-04-01' }],
+        // Categorías por nombre.
+        ['Regar plantas #mi-casa', { title: 'Regar plantas', category: 'c-mi-casa' }],
+        ['Enviar informe #trab', { title: 'Enviar informe', category: 'c-trabajo' }],
+        ['Cobrar #FACTURACION', { title: 'Cobrar', category: 'c-facturacion' }],
+        // Lo que no se entiende se queda en el título.
+        ['Reservar hotel #viaje', { title: 'Reservar hotel #viaje' }],
+        ['Revisar 31/02', { title: 'Revisar 31/02' }],
+        ['Comprar 3 manzanas', { title: 'Comprar 3 manzanas' }],
+        ['Mañanita tranquila', { title: 'Mañanita tranquila' }],
+        ['Tarea !alta !baja', { title: 'Tarea !baja', priority: 'High' }],
+    ])('«%s»', (text, expected) => {
+        expect(parse(text)).toMatchObject({ ...EMPTY, ...expected });
+    });
+
+    it('marca como ignoradas las etiquetas #desconocidas', () => {
+        expect(parse('Reservar hotel #viaje').tokens).toEqual([
+            { type: 'category', start: 15, end: 21, text: '#viaje', ignored: true },
+        ]);
+    });
+
+    it('devuelve la posición de cada token en el texto original', () => {
+        expect(parse('Pagar luz mañana !alta #casa').tokens).toEqual([
+            { type: 'date', start: 10, end: 16, text: 'mañana', ignored: false },
+            { type: 'priority', start: 17, end: 22, text: '!alta', ignored: false },
+            { type: 'category', start: 23, end: 28, text: '#casa', ignored: false },
+        ]);
+    });
+
+    it('sin categorías ninguna etiqueta se reconoce', () => {
+        expect(parseQuickAdd('Pagar luz #casa', { today })).toMatchObject({ title: 'Pagar luz #casa', category: null });
+    });
+});
+
+describe('splitByTokens', () => {
+    it('intercala el texto normal con los tokens', () => {
+        const text = 'Pagar luz mañana !alta';
+        const { tokens } = parse(text);
+        expect(splitByTokens(text, tokens).map(part => [part.text, part.token?.type ?? null])).toEqual([
+            ['Pagar luz ', null],
+            ['mañana', 'date'],
+            [' ', null],
+            ['!alta', 'priority'],
+        ]);
+    });
+});
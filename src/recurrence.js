@@ -0,0 +1,152 @@
+import {
+    addDays,
+    addMonths,
+    addWeeks,
+    format,
+    getDaysInMonth,
+    isAfter,
+    isValid,
+    parseISO,
+    setDate,
+    startOfDay,
+    startOfMonth,
+    startOfWeek,
+} from 'date-fns';
+import { DEFAULT_LANGUAGE, getDateLocale, translate } from './i18n';
+
+// ----------------------------------------------------------------------
+// Reglas de recurrencia
+// ----------------------------------------------------------------------
+// Una regla se guarda en `task.recurrence`:
+//   {
+//     frequency: 'daily' | 'weekly' | 'monthly',
+//     interval: 1,            // cada N días/semanas/meses
+//     weekdays: [1, 3],       // solo weekly; 0 = domingo ... 6 = sábado
+//     monthDay: 31,           // solo monthly; se ajusta al último día si el mes es más corto
+//     until: 'yyyy-mm-dd',    // opcional, última fecha posible
+//     count: 10,              // opcional, número total de repeticiones
+//     occurrence: 1,          // número de esta repetición (1 = la primera)
+//     hasNext: false,         // true cuando ya se generó la siguiente
+//   }
+
+// Los textos de cada frecuencia están en los catálogos
+// (recurrence.frequency.*, recurrence.unit.*).
+export const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Orden de lunes a domingo, como el calendario.
+export const WEEKDAYS = [1, 2, 3, 4, 5, 6, 0];
+
+// Nombre del día de la semana en el idioma dado; `pattern` de date-fns
+// ('EEEEE' inicial, 'EEE' abreviado). El 7 de enero de 2024 fue domingo.
+export const formatWeekday = (weekday, pattern, language = DEFAULT_LANGUAGE) => (
+    format(new Date(2024, 0, 7 + weekday), pattern, { locale: getDateLocale(language) })
+);
+
+const WEEK_OPTIONS = { weekStartsOn: 1 };
+
+// Lunes = 0 ... domingo = 6, para comparar días dentro de una semana que empieza en lunes.
+const weekdayIndex = (day) => (day + 6) % 7;
+
+const toDay = (value) => {
+    if (!value) return null;
+    const date = value instanceof Date ? value : parseISO(value.split('T')[0]);
+    return isValid(date) ? startOfDay(date) : null;
+};
+
+export const createDefaultRule = (baseDate = new Date()) => ({
+    frequency: 'weekly',
+    interval: 1,
+    weekdays: [baseDate.getDay()],
+    monthDay: baseDate.getDate(),
+    occurrence: 1,
+});
+
+const nextDaily = (rule, from) => addDays(from, rule.interval);
+
+const nextWeekly = (rule, from) => {
+    const weekdays = (rule.weekdays?.length ? rule.weekdays : [from.getDay()])
+        .map(weekdayIndex)
+        .sort((a, b) => a - b);
+    const current = weekdayIndex(from.getDay());
+
+    const laterThisWeek = weekdays.find(index => index > current);
+    if (laterThisWeek !== undefined) return addDays(from, laterThisWeek - current);
+
+    const nextWeekStart = addWeeks(startOfWeek(from, WEEK_OPTIONS), rule.interval);
+    return addDays(nextWeekStart, weekdays[0]);
+};
+
+// El día del mes sale de la regla y no de la fecha anterior, para que un
+// "día 31" pase por el 28 de febrero y vuelva al 31 de marzo.
+const nextMonthly = (rule, from) => {
+    const monthDay = rule.monthDay || from.getDate();
+    const targetMonth = addMonths(startOfMonth(from), rule.interval);
+    return setDate(targetMonth, Math.min(monthDay, getDaysInMonth(targetMonth)));
+};
+
+const NEXT_BY_FREQUENCY = {
+    daily: nextDaily,
+    weekly: nextWeekly,
+    monthly: nextMonthly,
+};
+
+// Siguiente fecha después de `from` según la regla, o null si la regla ya
+// terminó (por fecha límite o por número de repeticiones).
+export const getNextOccurrence = (rule, from) => {
+    const next = NEXT_BY_FREQUENCY[rule?.frequency];
+    const fromDay = toDay(from);
+    if (!next || !fromDay) return null;
+
+    if (rule.count && (rule.occurrence || 1) >= rule.count) return null;
+
+    const normalized = { ...rule, interval: Math.max(1, Number(rule.interval) || 1) };
+    const date = next(normalized, fromDay);
+
+    const until = toDay(rule.until);
+    if (until && isAfter(date, until)) return null;
+
+    return date;
+};
+
+// Datos de la siguiente tarea de la serie, o null si no corresponde crearla.
+// Si la tarea no tenía fecha se toma `today` como referencia.
+export const buildNextOccurrence = (task, today = new Date()) => {
+    const rule = task.recurrence;
+    if (!rule || rule.hasNext) return null;
+
+    const nextDate = getNextOccurrence(rule, task.dueDate || today);
+    if (!nextDate) return null;
+
+    return {
+        title: task.title,
+        priority: task.priority,
+        ...(task.description ? { description: task.description } : {}),
+        ...(task.category ? { category: task.category } : {}),
+        ...(task.subtasks?.length ? { subtasks: task.subtasks.map(subtask => ({ ...subtask, isCompleted: false })) } : {}),
+        ...(task.completeWithSubtasks ? { completeWithSubtasks: true } : {}),
+        ...(task.dueTime ? { dueTime: task.dueTime } : {}),
+        ...(task.reminderOffset !== undefined && task.reminderOffset !== null ? { reminderOffset: task.reminderOffset } : {}),
+        dueDate: format(nextDate, 'yyyy-MM-dd'),
+        recurrence: { ...rule, occurrence: (rule.occurrence || 1) + 1, hasNext: false },
+    };
+};
+
+export const describeRecurrence = (rule, language = DEFAULT_LANGUAGE) => {
+    if (!FREQUENCIES.includes(rule?.frequency)) return '';
+    const t = (key, params) => translate(language, key, params);
+
+    const interval = Math.max(1, Number(rule.interval) || 1);
+    let text = t(`recurrence.everyN.${rule.frequency}`, { count: interval });
+
+    if (rule.frequency === 'weekly' && rule.weekdays?.length) {
+        const names = WEEKDAYS.filter(day => rule.weekdays.includes(day)).map(day => formatWeekday(day, 'EEE', language));
+        text += ` (${names.join(', ')})`;
+    }
+    if (rule.frequency === 'monthly' && rule.monthDay) {
+        text += ` ${t('recurrence.monthDay', { day: rule.monthDay })}`;
+    }
+    if (rule.count) text += ` · ${rule.occurrence || 1}/${rule.count}`;
+    if (rule.until) text += ` · ${t('recurrence.until', { date: format(toDay(rule.until), 'P', { locale: getDateLocale(language) }) })}`;
+
+    return text;
+};
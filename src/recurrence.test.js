@@ -0,0 +1,155 @@
+import { describe, expect, it } from 'vitest';
+import { format } from 'date-fns';
+import { buildNextOccurrence, getNextOccurrence } from './recurrence';
+
+// Siguiente fecha como 'yyyy-mm-dd' (o null), para comparar sin horas.
+const next = (rule, from) => {
+    const date = getNextOccurrence(rule, from);
+    return date && format(date, 'yyyy-MM-dd');
+};
+
+describe('getNextOccurrence', () => {
+    describe('mensual y fin de mes', () => {
+        it.each([
+            ['2025-01-31', '2025-02-28'],
+            ['2024-01-31', '2024-02-29'],
+            ['2025-02-28', '2025-03-31'],
+            ['2025-03-31', '2025-04-30'],
+            ['2025-12-31', '2026-01-31'],
+        ])('el día 31 desde %s pasa a %s', (from, expected) => {
+            expect(next({ frequency: 'monthly', interval: 1, monthDay: 31 }, from)).toBe(expected);
+        });
+
+        it('el 29 de febrero existe en años bisiestos', () => {
+            expect(next({ frequency: 'monthly', interval: 1, monthDay: 29 }, '2024-01-29')).toBe('2024-02-29');
+        });
+
+        it('el 29 de febrero pasa al 28 en años no bisiestos', () => {
+            expect(next({ frequency: 'monthly', interval: 1, monthDay: 29 }, '2025-01-29')).toBe('2025-02-28');
+        });
+
+        it('cada 12 meses desde un 29 de febrero cae en el 28 y vuelve al 29 el siguiente bisiesto', () => {
+            const rule = { frequency: 'monthly', interval: 12, monthDay: 29 };
+            expect(next(rule, '2024-02-29')).toBe('2025-02-28');
+            expect(next(rule, '2027-02-28')).toBe('2028-02-29');
+        });
+
+        it('sin monthDay usa el día de la fecha de partida', () => {
+            expect(next({ frequency: 'monthly', interval: 2 }, '2025-01-15')).toBe('2025-03-15');
+        });
+    });
+
+    describe('diaria', () => {
+        it.each([
+            ['2024-02-28', '2024-02-29'],
+            ['2023-02-28', '2023-03-01'],
+            ['2025-12-31', '2026-01-01'],
+        ])('desde %s pasa a %s', (from, expected) => {
+            expect(next({ frequency: 'daily', interval: 1 }, from)).toBe(expected);
+        });
+
+        it('respeta el intervalo y acepta fechas con hora', () => {
+            expect(next({ frequency: 'daily', interval: 3 }, '2025-01-30T10:00:00.000Z')).toBe('2025-02-02');
+        });
+    });
+
+    describe('semanal', () => {
+        // Lunes y viernes, cada dos semanas.
+        const rule = { frequency: 'weekly', interval: 2, weekdays: [1, 5] };
+
+        it('pasa al siguiente día marcado de la misma semana', () => {
+            expect(next(rule, '2025-01-06')).toBe('2025-01-10');
+        });
+
+        it('al acabar la semana salta el intervalo desde el lunes', () => {
+            expect(next(rule, '2025-01-10')).toBe('2025-01-20');
+        });
+
+        it('el domingo es el último día de la semana', () => {
+            expect(next({ frequency: 'weekly', interval: 1, weekdays: [0] }, '2025-01-12')).toBe('2025-01-19');
+            expect(next({ frequency: 'weekly', interval: 3, weekdays: [0, 1] }, '2025-01-12')).toBe('2025-01-27');
+        });
+
+        it('cruza el cambio de año', () => {
+            expect(next({ frequency: 'weekly', interval: 1, weekdays: [3] }, '2025-12-31')).toBe('2026-01-07');
+        });
+
+        it('sin días marcados repite el día de la semana de partida', () => {
+            expect(next({ frequency: 'weekly', interval: 2, weekdays: [] }, '2025-01-08')).toBe('2025-01-22');
+        });
+    });
+
+    describe('fin de la serie', () => {
+        it('se detiene al llegar a `count` repeticiones', () => {
+            const rule = { frequency: 'daily', interval: 1, count: 3 };
+            expect(next({ ...rule, occurrence: 2 }, '2025-01-01')).toBe('2025-01-02');
+            expect(next({ ...rule, occurrence: 3 }, '2025-01-01')).toBeNull();
+        });
+
+        it('`until` es la última fecha posible, incluida', () => {
+            const rule = { frequency: 'daily', interval: 1, until: '2025-01-15' };
+            expect(next(rule, '2025-01-14')).toBe('2025-01-15');
+            expect(next(rule, '2025-01-15')).toBeNull();
+        });
+
+        it('`until` corta aunque la fecha se haya ajustado a fin de mes', () => {
+            expect(next({ frequency: 'monthly', interval: 1, monthDay: 31, until: '2025-02-27' }, '2025-01-31')).toBeNull();
+        });
+    });
+
+    it('devuelve null con una frecuencia o una fecha no válidas', () => {
+        expect(next({ frequency: 'yearly', interval: 1 }, '2025-01-01')).toBeNull();
+        expect(next({ frequency: 'daily', interval: 1 }, 'no es una fecha')).toBeNull();
+        expect(next(null, '2025-01-01')).toBeNull();
+    });
+
+    it('trata un intervalo vacío o no válido como 1', () => {
+        expect(next({ frequency: 'daily', interval: 0 }, '2025-01-01')).toBe('2025-01-02');
+        expect(next({ frequency: 'daily', interval: 'x' }, '2025-01-01')).toBe('2025-01-02');
+    });
+});
+
+describe('buildNextOccurrence', () => {
+    const task = {
+        _id: 't1',
+        title: 'Pagar alquiler',
+        priority: 'high',
+        isCompleted: true,
+        category: 'c1',
+        dueDate: '2025-01-31T00:00:00.000Z',
+        subtasks: [{ id: 's1', title: 'Transferencia', isCompleted: true }],
+        recurrence: { frequency: 'monthly', interval: 1, monthDay: 31, occurrence: 1 },
+    };
+
+    it('crea la siguiente tarea de la serie ajustada a fin de mes', () => {
+        expect(buildNextOccurrence(task)).toEqual({
+            title: 'Pagar alquiler',
+            priority: 'high',
+            category: 'c1',
+            subtasks: [{ id: 's1', title: 'Transferencia', isCompleted: false }],
+            dueDate: '2025-02-28',
+            recurrence: { frequency: 'monthly', interval: 1, monthDay: 31, occurrence: 2, hasNext: false },
+        });
+    });
+
+    it('no repite una serie que ya tiene la siguiente tarea', () => {
+        expect(buildNextOccurrence({ ...task, recurrence: { ...task.recurrence, hasNext: true } })).toBeNull();
+    });
+
+    it('no crea más tareas al llegar a `count`', () => {
+        expect(buildNextOccurrence({ ...task, recurrence: { ...task.recurrence, count: 2, occurrence: 2 } })).toBeNull();
+    });
+
+    it('no crea tareas después de `until`', () => {
+        expect(buildNextOccurrence({ ...task, recurrence: { ...task.recurrence, until: '2025-02-15' } })).toBeNull();
+    });
+
+    it('sin fecha toma `today` como referencia', () => {
+        const undated = { title: 'Regar', priority: 'low', recurrence: { frequency: 'weekly', interval: 1, weekdays: [1] } };
+        expect(buildNextOccurrence(undated, new Date(2025, 0, 8)).dueDate).toBe('2025-01-13');
+    });
+
+    it('no hace nada sin regla', () => {
+        expect(buildNextOccurrence({ title: 'Suelta', priority: 'low' })).toBeNull();
+    });
+});
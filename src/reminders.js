@@ -0,0 +1,192 @@
+import { useCallback, useEffect, useState } from 'react';
+import { addDays, endOfDay, format, isValid, parseISO, subMinutes } from 'date-fns';
+import { DEFAULT_LANGUAGE, getDateLocale, translate, useI18n } from './i18n';
+
+// ----------------------------------------------------------------------
+// Recordatorios
+// ----------------------------------------------------------------------
+// Cada tarea puede tener `dueTime` ('HH:mm') y `reminderOffset` (minutos
+// antes del vencimiento). El programador revisa las tareas cada 30 s y
+// muestra las notificaciones a través del service worker (public/sw.js), así
+// siguen apareciendo con la pestaña en segundo plano y al pulsarlas se enfoca
+// la app. Con la pestaña cerrada no hay recordatorios: no tenemos push.
+
+// Minutos de antelación ('' = sin recordatorio); los textos están en los
+// catálogos (reminder.offset.*).
+export const REMINDER_OPTIONS = ['', 0, 15, 60, 1440];
+
+const SETTINGS_KEY = 'reminderSettings';
+const FIRED_KEY = 'remindersFired';
+const CHECK_INTERVAL_MS = 30 * 1000;
+// Recordatorios que se perdieron (app cerrada) solo se muestran si no pasó
+// más de este tiempo, para no lanzar una ráfaga al abrir la app.
+const MISSED_WINDOW_MS = 12 * 60 * 60 * 1000;
+const MAX_FIRED_KEYS = 200;
+
+export const DEFAULT_REMINDER_SETTINGS = {
+    enabled: false,
+    overdueAlerts: true,
+};
+
+// Sin hora, la tarea vence al final del día.
+export const getDueDateTime = (task) => {
+    if (!task.dueDate) return null;
+    const day = parseISO(task.dueDate.split('T')[0]);
+    if (!isValid(day)) return null;
+    if (!task.dueTime) return endOfDay(day);
+
+    const [hours, minutes] = task.dueTime.split(':').map(Number);
+    const due = new Date(day);
+    due.setHours(hours || 0, minutes || 0, 0, 0);
+    return due;
+};
+
+export const getReminderTime = (task) => {
+    if (task.reminderOffset === undefined || task.reminderOffset === null || task.reminderOffset === '') return null;
+    const due = getDueDateTime(task);
+    return due ? subMinutes(due, Number(task.reminderOffset)) : null;
+};
+
+// Parámetros de GET /api/tasks con las únicas tareas que pueden avisar hoy:
+// las pendientes que vencen desde ayer (avisos perdidos, MISSED_WINDOW_MS)
+// hasta pasado mañana (la mayor antelación es un día).
+export const getReminderQuery = (today = new Date()) => ({
+    from: format(addDays(today, -1), 'yyyy-MM-dd'),
+    to: format(addDays(today, 2), 'yyyy-MM-dd'),
+    status: 'pending',
+});
+
+// ----------------------------------------------------------------------
+// Preferencias y permiso
+// ----------------------------------------------------------------------
+
+const readSettings = () => {
+    try {
+        return { ...DEFAULT_REMINDER_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+    } catch {
+        return DEFAULT_REMINDER_SETTINGS;
+    }
+};
+
+export const isNotificationSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+export const useReminderSettings = () => {
+    const [settings, setSettings] = useState(readSettings);
+    const [permission, setPermission] = useState(() => (isNotificationSupported() ? Notification.permission : 'unsupported'));
+
+    useEffect(() => {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    }, [settings]);
+
+    const requestPermission = useCallback(async () => {
+        if (!isNotificationSupported()) return 'unsupported';
+        const result = await Notification.requestPermission();
+        setPermission(result);
+        return result;
+    }, []);
+
+    return { settings, setSettings, permission, requestPermission };
+};
+
+// ----------------------------------------------------------------------
+// Service worker y notificaciones
+// ----------------------------------------------------------------------
+
+let registrationPromise = null;
+
+const getRegistration = () => {
+    if (!('serviceWorker' in navigator)) return Promise.resolve(null);
+    if (!registrationPromise) {
+        registrationPromise = navigator.serviceWorker
+            .register(`${import.meta.env.BASE_URL}sw.js`)
+            .then(() => navigator.serviceWorker.ready)
+            .catch((err) => {
+                console.error('No se pudo registrar el service worker:', err);
+                return null;
+            });
+    }
+    return registrationPromise;
+};
+
+const showNotification = async (title, options) => {
+    const registration = await getRegistration();
+    if (registration) {
+        await registration.showNotification(title, options);
+    } else {
+        new Notification(title, options);
+    }
+};
+
+const readFired = () => {
+    try {
+        return JSON.parse(localStorage.getItem(FIRED_KEY)) || [];
+    } catch {
+        return [];
+    }
+};
+
+const markFired = (key) => {
+    const fired = [...readFired(), key].slice(-MAX_FIRED_KEYS);
+    localStorage.setItem(FIRED_KEY, JSON.stringify(fired));
+};
+
+// Notificaciones que tocan en `now`: recordatorios previos y avisos de
+// vencida, con los textos en `language`.
+export const getDueNotifications = (tasks, settings, now = new Date(), fired = [], language = DEFAULT_LANGUAGE) => {
+    const t = (key, params) => translate(language, key, params);
+    const formatTime = (date) => format(date, 'p', { locale: getDateLocale(language) });
+    const notifications = [];
+    const isDue = (date) => date && date <= now && now - date < MISSED_WINDOW_MS;
+
+    tasks.forEach(task => {
+        if (task.isCompleted) return;
+
+        const reminderAt = getReminderTime(task);
+        const reminderKey = reminderAt && `${task._id}:reminder:${reminderAt.toISOString()}`;
+        if (isDue(reminderAt) && !fired.includes(reminderKey)) {
+            const due = getDueDateTime(task);
+            notifications.push({
+                key: reminderKey,
+                title: t('reminders.notify.title', { title: task.title }),
+                body: task.dueTime ? t('reminders.notify.dueAt', { time: formatTime(due) }) : t('reminders.notify.dueToday'),
+            });
+        }
+
+        if (!settings.overdueAlerts) return;
+        const due = getDueDateTime(task);
+        const overdueKey = due && `${task._id}:overdue:${due.toISOString()}`;
+        if (isDue(due) && !fired.includes(overdueKey)) {
+            notifications.push({
+                key: overdueKey,
+                title: t('reminders.notify.overdueTitle', { title: task.title }),
+                body: t('reminders.notify.overdueBody'),
+            });
+        }
+    });
+
+    return notifications;
+};
+
+export const useReminderScheduler = (tasks, settings, permission) => {
+    const { language } = useI18n();
+    const isActive = settings.enabled && permission === 'granted';
+
+    useEffect(() => {
+        if (!isActive) return undefined;
+
+        getRegistration();
+
+        const check = () => {
+            getDueNotifications(tasks, settings, new Date(), readFired(), language).forEach(({ key, title, body }) => {
+                markFired(key);
+                showNotification(title, { body, tag: key, icon: '/vite.svg' }).catch(err => {
+                    console.error('Error al mostrar la notificación:', err);
+                });
+            });
+        };
+
+        check();
+        const intervalId = setInterval(check, CHECK_INTERVAL_MS);
+        return () => clearInterval(intervalId);
+    }, [tasks, settings, isActive, language]);
+};
@@ -0,0 +1,50 @@
+// ----------------------------------------------------------------------
+// Tareas de ejemplo
+// ----------------------------------------------------------------------
+// Genera `count` tareas variadas (fechas, prioridades, categorías, texto)
+// para el benchmark (scripts/bench-tasks.mjs) y para probar cuentas grandes
+// con el backend en memoria (VITE_MOCK_TASKS=10000). Con la misma `seed`
+// siempre salen las mismas.
+
+const WORDS = [
+    'revisar', 'enviar', 'preparar', 'llamar', 'comprar', 'pagar', 'informe', 'factura',
+    'reunión', 'presupuesto', 'cliente', 'proveedor', 'médico', 'viaje', 'correo', 'contrato',
+];
+
+const PRIORITIES = ['Low', 'Medium', 'High'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Generador pseudoaleatorio pequeño (mulberry32), suficiente para datos de prueba.
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+export const generateTasks = (count, { user, categories = [], seed = 1, today = new Date() } = {}) => {
+    const random = createRandom(seed);
+    const pick = (list) => list[Math.floor(random() * list.length)];
+    const sentence = (length) => Array.from({ length }, () => pick(WORDS)).join(' ');
+
+    return Array.from({ length: count }, (_, index) => {
+        const createdAt = new Date(today.getTime() - Math.floor(random() * 365) * DAY_MS).toISOString();
+        const hasDueDate = random() < 0.7;
+        return {
+            _id: `sample${String(index).padStart(6, '0')}`,
+            title: `${sentence(3)} #${index + 1}`,
+            description: random() < 0.4 ? sentence(8) : '',
+            dueDate: hasDueDate ? new Date(today.getTime() + Math.floor(random() * 120 - 30) * DAY_MS).toISOString() : null,
+            priority: pick(PRIORITIES),
+            category: categories.length && random() < 0.8 ? pick(categories)._id : null,
+            isCompleted: random() < 0.3,
+            user,
+            createdAt,
+            updatedAt: createdAt,
+        };
+    });
+};
@@ -0,0 +1,204 @@
+import { useEffect, useState } from 'react';
+
+// ----------------------------------------------------------------------
+// Sesión
+// ----------------------------------------------------------------------
+// Guarda el JWT (y el refresh token si el backend lo entrega) y coordina su
+// renovación. Cuando una petición recibe 401, useApi llama a `renewSession`:
+// primero se intenta el refresh y, si no hay o falla, se pide al usuario que
+// vuelva a iniciar sesión en un modal. Las peticiones que fallaron esperan a
+// que termine y se reintentan con el token nuevo, sin recargar la página.
+
+const TOKEN_KEY = 'token';
+const REFRESH_KEY = 'refreshToken';
+
+// Margen antes de la caducidad en el que se avisa al usuario.
+export const EXPIRY_WARNING_MS = 5 * 60 * 1000;
+
+// Con `messageKey`, como los errores de apiErrors.js (ver getErrorMessage).
+export class SessionClosedError extends Error {
+    constructor(message) {
+        super(message || 'Sesión cerrada. Inicia sesión de nuevo.');
+        this.name = 'SessionClosedError';
+        this.messageKey = message ? null : 'errors.session.closed';
+    }
+}
+
+// --- JWT ---
+
+const decodeBase64Url = (value) => {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+// Payload del JWT sin verificar la firma (eso es cosa del servidor); null si
+// el token no tiene formato JWT.
+export const decodeToken = (token) => {
+    const [, payload] = (token || '').split('.');
+    if (!payload) return null;
+    try {
+        return JSON.parse(decodeBase64Url(payload));
+    } catch {
+        return null;
+    }
+};
+
+// Id del usuario del token: según el backend va en `sub`, `id` o `_id`.
+export const getTokenUserId = (token) => {
+    const payload = decodeToken(token);
+    return payload?.sub || payload?.id || payload?._id || null;
+};
+
+export const getTokenExpiry = (token) => {
+    const exp = decodeToken(token)?.exp;
+    return typeof exp === 'number' ? new Date(exp * 1000) : null;
+};
+
+// Un token sin `exp` (o que no es JWT) se considera vigente hasta que el
+// servidor diga lo contrario.
+export const isTokenExpired = (token, now = new Date()) => {
+    const expiry = getTokenExpiry(token);
+    return !!expiry && expiry <= now;
+};
+
+// --- Estado compartido ---
+
+let reauthRequest = null; // { promise, resolve, reject }
+let renewPromise = null;
+const listeners = new Set();
+
+const notify = () => listeners.forEach(listener => listener());
+
+export const session = {
+    getToken: () => localStorage.getItem(TOKEN_KEY),
+    getRefreshToken: () => localStorage.getItem(REFRESH_KEY),
+
+    // Acepta la respuesta de login/register/refresh tal cual.
+    setTokens: ({ token, refreshToken }) => {
+        localStorage.setItem(TOKEN_KEY, token);
+        if (refreshToken) localStorage.setItem(REFRESH_KEY, refreshToken);
+        notify();
+    },
+
+    clear: () => {
+        localStorage.removeItem(TOKEN_KEY);
+        localStorage.removeItem(REFRESH_KEY);
+        if (reauthRequest) {
+            reauthRequest.reject(new SessionClosedError());
+            reauthRequest = null;
+        }
+        notify();
+    },
+
+    // Hay sesión si el token sigue vigente o si se puede renovar.
+    isActive: () => {
+        const token = session.getToken();
+        return !!token && (!isTokenExpired(token) || !!session.getRefreshToken());
+    },
+
+    isReauthPending: () => !!reauthRequest,
+
+    subscribe: (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    },
+};
+
+// Abre el modal de inicio de sesión. Las llamadas concurrentes comparten la
+// misma espera; se resuelve con el token nuevo en `completeReauth`.
+export const requestReauth = () => {
+    if (!reauthRequest) {
+        let resolve;
+        let reject;
+        const promise = new Promise((res, rej) => {
+            resolve = res;
+            reject = rej;
+        });
+        reauthRequest = { promise, resolve, reject };
+        notify();
+    }
+    return reauthRequest.promise;
+};
+
+export const completeReauth = (result) => {
+    session.setTokens(result);
+    if (reauthRequest) {
+        reauthRequest.resolve(result.token);
+        reauthRequest = null;
+    }
+    notify();
+};
+
+// `refresh(refreshToken)` es la llamada al endpoint del backend; si no hay
+// refresh token o el backend lo rechaza se recurre al modal.
+export const renewSession = (refresh) => {
+    if (!renewPromise) {
+        renewPromise = (async () => {
+            const refreshToken = session.getRefreshToken();
+            if (refreshToken && refresh) {
+                try {
+                    const result = await refresh(refreshToken);
+                    if (result?.token) {
+                        session.setTokens(result);
+                        return result.token;
+                    }
+                } catch (err) {
+                    console.error('No se pudo renovar la sesión:', err);
+                }
+                localStorage.removeItem(REFRESH_KEY);
+            }
+            return requestReauth();
+        })().finally(() => {
+            renewPromise = null;
+        });
+    }
+    return renewPromise;
+};
+
+// --- Hook para la UI ---
+
+const readSnapshot = () => {
+    const token = session.getToken();
+    return {
+        token,
+        expiresAt: getTokenExpiry(token),
+        canRefresh: !!session.getRefreshToken(),
+        isReauthPending: session.isReauthPending(),
+    };
+};
+
+export const useSession = () => {
+    const [snapshot, setSnapshot] = useState(readSnapshot);
+
+    useEffect(() => {
+        const update = () => setSnapshot(readSnapshot());
+        // Otra pestaña pudo iniciar o cerrar sesión.
+        const handleStorage = (e) => {
+            if (e.key === TOKEN_KEY || e.key === REFRESH_KEY) update();
+        };
+        window.addEventListener('storage', handleStorage);
+        const unsubscribe = session.subscribe(update);
+        return () => {
+            unsubscribe();
+            window.removeEventListener('storage', handleStorage);
+        };
+    }, []);
+
+    return snapshot;
+};
+
+// Milisegundos que le quedan al token, recalculado cada 30 s; null si no
+// tiene caducidad. La hora solo cambia desde el intervalo: tras renovar, el
+// primer valor puede llevar hasta 30 s de retraso, de sobra para el aviso.
+export const useTimeLeft = (expiresAt) => {
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        if (!expiresAt) return undefined;
+        const intervalId = setInterval(() => setNow(Date.now()), 30 * 1000);
+        return () => clearInterval(intervalId);
+    }, [expiresAt]);
+
+    return expiresAt ? expiresAt.getTime() - now : null;
+};
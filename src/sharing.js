@@ -0,0 +1,58 @@
+import { CATEGORY_COLORS } from './categoryStyles';
+
+// ----------------------------------------------------------------------
+// Listas compartidas
+// ----------------------------------------------------------------------
+// Una categoría se puede compartir por correo con otros usuarios
+// registrados. El backend añade a cada categoría `role` (el del usuario de
+// la sesión: 'owner' | 'editor' | 'viewer') y `members` ([{ user, name,
+// email, role }], con el propietario incluido). Un backend sin listas
+// compartidas no manda `role`: todo es del usuario y se puede editar.
+
+// Roles que se pueden dar al invitar (el de propietario no se cede).
+export const SHARE_ROLES = ['editor', 'viewer'];
+
+export const getCategoryRole = (category) => category?.role || 'owner';
+
+export const canManageCategory = (category) => getCategoryRole(category) === 'owner';
+
+// Los lectores ven las tareas de la lista pero no las crean, editan ni borran.
+export const canEditInCategory = (category) => getCategoryRole(category) !== 'viewer';
+
+export const canEditTask = (task, categoriesMap) => canEditInCategory(categoriesMap[task.category]);
+
+export const isSharedCategory = (category) => (category?.members?.length || 0) > 1;
+
+// Usuarios a los que se puede asignar una tarea de `category`: sus miembros
+// o, si no está compartida, solo el de la sesión.
+export const getAssignableUsers = (category, currentUser) => {
+    const users = (category?.members || []).map(({ user, name, email }) => ({ _id: user, name, email }));
+    if (currentUser && !users.some(user => user._id === currentUser._id)) users.unshift(currentUser);
+    return users;
+};
+
+// Datos del asignado para mostrarlo; si ya no es miembro de la lista solo se
+// conoce su id.
+export const findAssignee = (task, categoriesMap, currentUser) => {
+    if (!task.assignee) return null;
+    if (currentUser?._id === task.assignee) return currentUser;
+    const member = categoriesMap[task.category]?.members?.find(m => m.user === task.assignee);
+    return member ? { _id: member.user, name: member.name, email: member.email } : { _id: task.assignee };
+};
+
+export const getDisplayName = (user) => user?.name || user?.email || '';
+
+// Iniciales del nombre (o de la parte local del correo) para el avatar.
+export const getInitials = (user) => {
+    const source = user?.name?.trim() || user?.email?.split('@')[0] || '?';
+    const words = source.split(/[\s._-]+/).filter(Boolean);
+    const letters = words.length > 1 ? words[0][0] + words[1][0] : source.slice(0, 2);
+    return letters.toLocaleUpperCase();
+};
+
+// Cada usuario tiene siempre el mismo color (de la paleta de categorías,
+// que ya cumple contraste AA).
+export const getAvatarColor = (userId = '') => {
+    const hash = [...userId].reduce((total, char) => (total * 31 + char.charCodeAt(0)) >>> 0, 0);
+    return CATEGORY_COLORS[hash % CATEGORY_COLORS.length];
+};
@@ -0,0 +1,91 @@
+import { useEffect, useLayoutEffect, useRef } from 'react';
+
+// ----------------------------------------------------------------------
+// Atajos de teclado
+// ----------------------------------------------------------------------
+
+// Lista para la chuleta de atajos («?»); la descripción de cada uno es
+// `shortcuts.<id>` en los catálogos. Los que tienen `global` funcionan
+// también con el foco en un campo de texto.
+export const SHORTCUTS = [
+    { id: 'palette', keys: ['Ctrl', 'K'], global: true },
+    { id: 'help', keys: ['?'] },
+    { id: 'newTask', keys: ['n'] },
+    { id: 'next', keys: ['j'] },
+    { id: 'previous', keys: ['k'] },
+    { id: 'toggle', keys: ['x'] },
+    { id: 'edit', keys: ['e'] },
+    { id: 'undo', keys: ['Ctrl', 'Z'] },
+    { id: 'redo', keys: ['Ctrl', 'Shift', 'Z'] },
+    { id: 'close', keys: ['Esc'] },
+];
+
+export const isEditableTarget = (target) => (
+    target instanceof HTMLElement
+    && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+);
+
+// Registra atajos de una sola tecla: `bindings` = { j: fn, x: fn, ... }.
+// Se ignoran con modificadores (salvo Mayús para «?»), dentro de campos de
+// texto y mientras `enabled` sea false (p. ej. con un modal abierto). Los
+// handlers se leen de una ref para no re-suscribir en cada render; la ref se
+// actualiza tras cada render, no durante.
+export const useKeyBindings = (bindings, enabled = true) => {
+    const bindingsRef = useRef(bindings);
+    useLayoutEffect(() => {
+        bindingsRef.current = bindings;
+    });
+
+    useEffect(() => {
+        if (!enabled) return undefined;
+        const handleKeyDown = (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented || isEditableTarget(e.target)) return;
+            const handler = bindingsRef.current[e.key];
+            if (!handler) return;
+            e.preventDefault();
+            handler(e);
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [enabled]);
+};
+
+// ----------------------------------------------------------------------
+// Búsqueda difusa
+// ----------------------------------------------------------------------
+
+// Minúsculas y sin tildes, para que «categoria» encuentre «Categoría».
+const normalize = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Puntuación de `query` como subsecuencia de `text`, o null si no aparece.
+// Premia letras consecutivas y las que empiezan palabra.
+export const fuzzyScore = (query, text) => {
+    const q = normalize(query.trim());
+    if (!q) return 0;
+    const t = normalize(text);
+
+    let score = 0;
+    let position = -1;
+    let streak = 0;
+    for (const char of q) {
+        if (char === ' ') {
+            streak = 0;
+            continue;
+        }
+        const found = t.indexOf(char, position + 1);
+        if (found === -1) return null;
+        streak = found === position + 1 ? streak + 1 : 0;
+        score += 1 + streak * 2;
+        if (found === 0 || /[\s:«(-]/.test(t[found - 1])) score += 3;
+        position = found;
+    }
+    // A igualdad, mejor los textos cortos.
+    return score - t.length * 0.01;
+};
+
+// Filtra y ordena por puntuación; con la búsqueda vacía conserva el orden.
+export const fuzzyFilter = (items, query, getText) => items
+    .map((item, index) => ({ item, index, score: fuzzyScore(query, getText(item)) }))
+    .filter(entry => entry.score !== null)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(entry => entry.item);
@@ -0,0 +1,188 @@
+import {
+    differenceInMinutes,
+    eachDayOfInterval,
+    eachWeekOfInterval,
+    endOfDay,
+    endOfMonth,
+    endOfWeek,
+    format,
+    isValid,
+    isWithinInterval,
+    parseISO,
+    startOfDay,
+    startOfMonth,
+    subDays,
+} from 'date-fns';
+import { PRIORITY_RANK } from './taskFilters';
+
+// ----------------------------------------------------------------------
+// Estadísticas de productividad
+// ----------------------------------------------------------------------
+// Todo se calcula en el cliente a partir del estado `tasks`. La fecha de
+// completado es `completedAt` (la guarda la app al completar); las tareas
+// completadas antes de existir ese campo usan `updatedAt` como aproximación.
+
+const WEEK_OPTIONS = { weekStartsOn: 1 };
+
+// Los textos están en los catálogos (stats.range.*).
+export const RANGE_PRESETS = ['7d', '30d', '90d', 'month', 'custom'];
+
+const toDate = (value) => {
+    if (!value) return null;
+    const date = value instanceof Date ? value : parseISO(value);
+    return isValid(date) ? date : null;
+};
+
+// { start, end } del rango elegido. `custom` = { from, to } en 'yyyy-MM-dd'.
+export const getRange = (preset, today = new Date(), custom = {}) => {
+    const end = endOfDay(today);
+    switch (preset) {
+        case '30d': return { start: startOfDay(subDays(today, 29)), end };
+        case '90d': return { start: startOfDay(subDays(today, 89)), end };
+        case 'month': return { start: startOfMonth(today), end: endOfMonth(today) };
+        case 'custom': {
+            const from = toDate(custom.from);
+            const to = toDate(custom.to);
+            if (!from || !to || from > to) return { start: startOfDay(subDays(today, 6)), end };
+            return { start: startOfDay(from), end: endOfDay(to) };
+        }
+        default: return { start: startOfDay(subDays(today, 6)), end };
+    }
+};
+
+export const getCompletionDate = (task) => {
+    if (!task.isCompleted) return null;
+    return toDate(task.completedAt) || toDate(task.updatedAt);
+};
+
+const inRange = (date, range) => !!date && isWithinInterval(date, range);
+
+// Fin del día de vencimiento (las tareas sin hora vencen a medianoche).
+const getDueEnd = (task) => {
+    const day = toDate(task.dueDate?.split('T')[0]);
+    return day ? endOfDay(day) : null;
+};
+
+// ----------------------------------------------------------------------
+// Métricas
+// ----------------------------------------------------------------------
+
+// Completadas por día o por semana dentro del rango: [{ key, date, count }],
+// con `date` el primer día del periodo.
+export const getCompletedSeries = (tasks, range, unit = 'day') => {
+    const buckets = unit === 'week'
+        ? eachWeekOfInterval(range, WEEK_OPTIONS)
+        : eachDayOfInterval(range);
+    const keyOf = (date) => format(unit === 'week' ? endOfWeek(date, WEEK_OPTIONS) : date, 'yyyy-MM-dd');
+
+    const counts = {};
+    tasks.forEach(task => {
+        const completedAt = getCompletionDate(task);
+        if (!inRange(completedAt, range)) return;
+        const key = keyOf(completedAt);
+        counts[key] = (counts[key] || 0) + 1;
+    });
+
+    return buckets.map(date => {
+        const key = keyOf(date);
+        return { key, date, count: counts[key] || 0 };
+    });
+};
+
+// De las tareas que vencían dentro del rango (y ya pasaron), cuántas no se
+// completaron a tiempo.
+export const getOverdueRate = (tasks, range, now = new Date()) => {
+    let total = 0;
+    let overdue = 0;
+    tasks.forEach(task => {
+        const dueEnd = getDueEnd(task);
+        if (!inRange(dueEnd, range) || dueEnd > now) return;
+        total += 1;
+        const completedAt = getCompletionDate(task);
+        if (!completedAt || completedAt > dueEnd) overdue += 1;
+    });
+    return { total, overdue, rate: total ? overdue / total : null };
+};
+
+// Minutos desde la creación hasta completarla, de las completadas en el rango.
+export const getCompletionTimes = (tasks, range) => {
+    const minutes = tasks
+        .map(task => {
+            const completedAt = getCompletionDate(task);
+            const createdAt = toDate(task.createdAt);
+            if (!inRange(completedAt, range) || !createdAt) return null;
+            return Math.max(0, differenceInMinutes(completedAt, createdAt));
+        })
+        .filter(value => value !== null)
+        .sort((a, b) => a - b);
+
+    if (minutes.length === 0) return { count: 0, average: null, median: null };
+    const middle = Math.floor(minutes.length / 2);
+    return {
+        count: minutes.length,
+        average: minutes.reduce((sum, value) => sum + value, 0) / minutes.length,
+        median: minutes.length % 2 ? minutes[middle] : (minutes[middle - 1] + minutes[middle]) / 2,
+    };
+};
+
+// Tareas "del rango": creadas, con vencimiento o completadas dentro de él.
+export const getTasksInRange = (tasks, range) => tasks.filter(task => (
+    inRange(toDate(task.createdAt), range)
+    || inRange(getDueEnd(task), range)
+    || inRange(getCompletionDate(task), range)
+));
+
+// Reparto por categoría o prioridad: [{ key, total, completed }], de mayor a
+// menor. Las tareas sin categoría van en la clave ''.
+export const getBreakdown = (tasks, field) => {
+    const groups = {};
+    tasks.forEach(task => {
+        const key = task[field] || '';
+        groups[key] = groups[key] || { key, total: 0, completed: 0 };
+        groups[key].total += 1;
+        if (task.isCompleted) groups[key].completed += 1;
+    });
+    const order = field === 'priority'
+        ? (a, b) => (PRIORITY_RANK[b.key] || 0) - (PRIORITY_RANK[a.key] || 0)
+        : (a, b) => b.total - a.total;
+    return Object.values(groups).sort(order);
+};
+
+// Racha: días seguidos con al menos una tarea completada. La actual cuenta
+// hasta hoy, o hasta ayer si hoy todavía no se completó ninguna.
+export const getStreaks = (tasks, today = new Date()) => {
+    const days = new Set(
+        tasks
+            .map(getCompletionDate)
+            .filter(Boolean)
+            .map(date => format(date, 'yyyy-MM-dd'))
+    );
+    const key = (date) => format(date, 'yyyy-MM-dd');
+
+    let cursor = days.has(key(today)) ? today : subDays(today, 1);
+    let current = 0;
+    while (days.has(key(cursor))) {
+        current += 1;
+        cursor = subDays(cursor, 1);
+    }
+
+    let best = 0;
+    let run = 0;
+    let previous = null;
+    [...days].sort().forEach(day => {
+        const date = parseISO(day);
+        run = previous && key(subDays(date, 1)) === key(previous) ? run + 1 : 1;
+        best = Math.max(best, run);
+        previous = date;
+    });
+
+    return { current, best };
+};
+
+export const formatDuration = (minutes, t) => {
+    if (minutes === null || minutes === undefined) return '—';
+    if (minutes < 60) return t('stats.duration.minutes', { value: Math.round(minutes) });
+    if (minutes < 60 * 24) return t('stats.duration.hours', { value: (minutes / 60).toFixed(1) });
+    const days = (minutes / (60 * 24)).toFixed(1);
+    return t('stats.duration.days', { value: days, count: Number(days) });
+};
@@ -0,0 +1,33 @@
+// ----------------------------------------------------------------------
+// Subtareas (checklist ordenada dentro de una tarea)
+// ----------------------------------------------------------------------
+// Se guardan en `task.subtasks` como [{ id, title, isCompleted }] y viajan
+// en el mismo payload de tasks.update. Si el backend asigna `_id` a cada
+// subtarea se respeta y se usa como clave.
+
+export const getSubtaskKey = (subtask) => subtask._id || subtask.id;
+
+export const createSubtask = (title) => ({
+    id: `sub-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    title: title.trim(),
+    isCompleted: false,
+});
+
+export const getSubtaskProgress = (subtasks = []) => ({
+    done: subtasks.filter(subtask => subtask.isCompleted).length,
+    total: subtasks.length,
+});
+
+export const toggleSubtask = (subtasks, key) => subtasks.map(subtask => (
+    getSubtaskKey(subtask) === key ? { ...subtask, isCompleted: !subtask.isCompleted } : subtask
+));
+
+export const moveSubtask = (subtasks, index, step) => {
+    const target = index + step;
+    if (target < 0 || target >= subtasks.length) return subtasks;
+    const next = [...subtasks];
+    [next[index], next[target]] = [next[target], next[index]];
+    return next;
+};
+
+export const areAllSubtasksDone = (subtasks = []) => subtasks.length > 0 && subtasks.every(subtask => subtask.isCompleted);
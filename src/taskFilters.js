@@ -0,0 +1,241 @@
+import { useEffect, useState } from 'react';
+import { endOfDay, isAfter, isBefore, isValid, parseISO, startOfDay } from 'date-fns';
+
+// ----------------------------------------------------------------------
+// Estado de vencimiento
+// ----------------------------------------------------------------------
+
+// Compara solo el día (sin hora). Devuelve 'overdue', 'today', 'upcoming' o
+// null si la tarea no tiene fecha o ya está completada.
+export const getDueStatus = (task, today = new Date()) => {
+    if (!task.dueDate || task.isCompleted) return null;
+
+    const now = startOfDay(today);
+    const dueDate = startOfDay(new Date(task.dueDate));
+
+    if (dueDate < now) return 'overdue';
+    if (dueDate.getTime() === now.getTime()) return 'today';
+    return 'upcoming';
+};
+
+// ----------------------------------------------------------------------
+// Filtros y orden
+// ----------------------------------------------------------------------
+
+export const PRIORITY_RANK = { High: 3, Medium: 2, Low: 1 };
+
+// Los textos están en los catálogos (filters.sort.*).
+export const SORT_OPTIONS = ['dueDate', 'priority', 'title', 'createdAt'];
+
+export const VIEWS = ['list', 'calendar', 'board', 'stats'];
+
+export const DEFAULT_FILTERS = {
+    q: '',
+    category: '',
+    priority: '',
+    due: '',
+    from: '',
+    to: '',
+    assignee: '',
+    sort: 'dueDate',
+    dir: 'asc',
+    showCompleted: false,
+    view: 'list',
+};
+
+// Nombre de cada filtro en la query string (?q=...&cat=...). La vista
+// activa (lista/calendario) viaja con los filtros para poder compartirla.
+const QUERY_KEYS = {
+    q: 'q',
+    category: 'cat',
+    priority: 'prio',
+    due: 'due',
+    from: 'from',
+    to: 'to',
+    assignee: 'assignee',
+    sort: 'sort',
+    dir: 'dir',
+    showCompleted: 'done',
+    view: 'view',
+};
+
+export const parseFilters = (search) => {
+    const params = new URLSearchParams(search);
+    const filters = { ...DEFAULT_FILTERS };
+
+    Object.entries(QUERY_KEYS).forEach(([key, param]) => {
+        if (!params.has(param)) return;
+        const value = params.get(param);
+        filters[key] = typeof DEFAULT_FILTERS[key] === 'boolean' ? value === '1' : value;
+    });
+
+    if (!SORT_OPTIONS.includes(filters.sort)) filters.sort = DEFAULT_FILTERS.sort;
+    if (filters.dir !== 'desc') filters.dir = 'asc';
+    if (!VIEWS.includes(filters.view)) filters.view = DEFAULT_FILTERS.view;
+
+    return filters;
+};
+
+// Solo se serializan los valores distintos del predeterminado para que las
+// URLs compartidas sean cortas.
+export const serializeFilters = (filters) => {
+    const params = new URLSearchParams();
+
+    Object.entries(QUERY_KEYS).forEach(([key, param]) => {
+        const value = filters[key];
+        if (value === DEFAULT_FILTERS[key]) return;
+        params.set(param, typeof value === 'boolean' ? (value ? '1' : '0') : value);
+    });
+
+    return params.toString();
+};
+
+export const hasActiveFilters = (filters) => ['q', 'category', 'priority', 'due', 'from', 'to', 'assignee']
+    .some(key => filters[key] !== DEFAULT_FILTERS[key]);
+
+const parseDay = (value) => {
+    const date = value ? parseISO(value) : null;
+    return date && isValid(date) ? date : null;
+};
+
+const normalizeText = (text) => (text || '')
+    .toLocaleLowerCase('es')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+
+const compareNumbers = (a, b) => {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+};
+
+const titleCollator = new Intl.Collator('es', { sensitivity: 'base' });
+
+// La clave de cada orden se calcula una vez por tarea y no en cada
+// comparación: con miles de tareas, crear fechas o llamar a localeCompare
+// dentro de sort era lo que más tardaba.
+const SORTERS = {
+    dueDate: { key: task => (task.dueDate ? new Date(task.dueDate).getTime() : Infinity), compare: compareNumbers },
+    priority: { key: task => -(PRIORITY_RANK[task.priority] || 0), compare: compareNumbers },
+    title: { key: task => task.title || '', compare: titleCollator.compare },
+    createdAt: { key: task => -new Date(task.createdAt || 0).getTime(), compare: compareNumbers },
+};
+
+// Devuelve una función que dice si una tarea pasa los filtros; así el texto
+// y las fechas se preparan una sola vez para toda la lista. `userId` es el
+// usuario de la sesión, para el filtro «asignadas a mí» (assignee: 'me').
+export const createTaskMatcher = (filters, { today = new Date(), userId = null } = {}) => {
+    const query = normalizeText(filters.q.trim());
+    const from = parseDay(filters.from);
+    const to = parseDay(filters.to);
+
+    return (task) => {
+        if (!filters.showCompleted && task.isCompleted) return false;
+        if (query
+            && !normalizeText(task.title).includes(query)
+            && !normalizeText(task.description).includes(query)) return false;
+        if (filters.category === 'none' ? !!task.category : filters.category && task.category !== filters.category) return false;
+        if (filters.priority && task.priority !== filters.priority) return false;
+        if (filters.assignee === 'me' && (!userId || task.assignee !== userId)) return false;
+        if (filters.due === 'none' ? !!task.dueDate : filters.due && getDueStatus(task, today) !== filters.due) return false;
+        if (from || to) {
+            if (!task.dueDate) return false;
+            const dueDate = new Date(task.dueDate);
+            if (from && isBefore(dueDate, startOfDay(from))) return false;
+            if (to && isAfter(dueDate, endOfDay(to))) return false;
+        }
+        return true;
+    };
+};
+
+export const sortTasks = (tasks, filters) => {
+    const sorter = SORTERS[filters.sort] || SORTERS.dueDate;
+    const direction = filters.dir === 'desc' ? -1 : 1;
+
+    return tasks
+        .map(task => ({ task, key: sorter.key(task) }))
+        .sort((a, b) => {
+            if (a.task.isCompleted !== b.task.isCompleted) {
+                return a.task.isCompleted ? 1 : -1;
+            }
+            return sorter.compare(a.key, b.key) * direction;
+        })
+        .map(entry => entry.task);
+};
+
+export const applyFilters = (tasks, filters, context) => (
+    sortTasks(tasks.filter(createTaskMatcher(filters, context)), filters)
+);
+
+// ----------------------------------------------------------------------
+// Filtros en la API
+// ----------------------------------------------------------------------
+// GET /api/tasks acepta los mismos filtros como parámetros, más `limit` y
+// `cursor` para paginar:
+//   ?limit=100&cursor=...&q=...&category=...&priority=High&due=overdue
+//    &from=2025-01-01&to=2025-01-31&assignee=me&sort=dueDate&dir=asc
+//    &status=pending
+// y responde { tasks, nextCursor, total }. Un backend que no pagina ignora
+// los parámetros y devuelve { tasks } sin `nextCursor`: en ese caso se
+// filtra aquí con applyFilters.
+
+const API_FILTERS = ['q', 'category', 'priority', 'due', 'from', 'to', 'assignee', 'sort', 'dir'];
+
+export const toApiQuery = (filters) => {
+    const query = {};
+    API_FILTERS.forEach(key => {
+        const value = key === 'q' ? filters.q.trim() : filters[key];
+        if (value) query[key] = value;
+    });
+    query.status = filters.showCompleted ? 'all' : 'pending';
+    return query;
+};
+
+// Lo contrario, para el backend en memoria. Sin `status` se devuelven
+// todas las tareas, como en la carga completa.
+export const filtersFromApiQuery = (params) => {
+    const filters = { ...DEFAULT_FILTERS, showCompleted: params.get('status') !== 'pending' };
+    API_FILTERS.forEach(key => {
+        if (params.has(key)) filters[key] = params.get(key);
+    });
+    if (!SORT_OPTIONS.includes(filters.sort)) filters.sort = DEFAULT_FILTERS.sort;
+    if (filters.dir !== 'desc') filters.dir = 'asc';
+    return filters;
+};
+
+// Los filtros limitados a las tareas que vencen entre `from` y `to`
+// ('yyyy-mm-dd'), p. ej. los días visibles del calendario. Si los filtros
+// ya tienen fechas, se queda la intersección.
+export const toRangeQuery = (filters, { from, to }) => {
+    const query = toApiQuery(filters);
+    return {
+        ...query,
+        from: query.from && query.from > from ? query.from : from,
+        to: query.to && query.to < to ? query.to : to,
+    };
+};
+
+// ----------------------------------------------------------------------
+// Sincronización con la URL
+// ----------------------------------------------------------------------
+
+// Mantiene los filtros en la query string (con replaceState, para no llenar
+// el historial) y los recupera al navegar atrás/adelante.
+export const useUrlFilters = () => {
+    const [filters, setFilters] = useState(() => parseFilters(window.location.search));
+
+    useEffect(() => {
+        const query = serializeFilters(filters);
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+            window.history.replaceState(null, '', url);
+        }
+    }, [filters]);
+
+    useEffect(() => {
+        const handlePopState = () => setFilters(parseFilters(window.location.search));
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
+
+    return [filters, setFilters];
+};
@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_FILTERS, toRangeQuery } from './taskFilters';
+
+const MARCH = { from: '2025-02-24', to: '2025-04-06' };
+
+describe('toRangeQuery', () => {
+    it('limita los filtros a los días visibles', () => {
+        expect(toRangeQuery({ ...DEFAULT_FILTERS, priority: 'High' }, MARCH)).toEqual({
+            priority: 'High',
+            sort: 'dueDate',
+            dir: 'asc',
+            status: 'pending',
+            from: '2025-02-24',
+            to: '2025-04-06',
+        });
+    });
+
+    it('se queda con la intersección si los filtros ya tienen fechas', () => {
+        const query = toRangeQuery({ ...DEFAULT_FILTERS, from: '2025-03-10', to: '2025-05-01' }, MARCH);
+        expect([query.from, query.to]).toEqual(['2025-03-10', '2025-04-06']);
+    });
+
+    it('unas fechas fuera del rango no amplían la consulta', () => {
+        const query = toRangeQuery({ ...DEFAULT_FILTERS, from: '2025-01-01', to: '2025-02-01' }, MARCH);
+        expect([query.from, query.to]).toEqual(['2025-02-24', '2025-02-01']);
+    });
+});
@@ -0,0 +1,121 @@
+import { offlineStore, STORES } from './offlineStore';
+
+// ----------------------------------------------------------------------
+// Historial de cambios de las tareas
+// ----------------------------------------------------------------------
+// El backend solo guarda la última versión de cada tarea, así que el
+// historial se saca comparando versiones: la que había en la caché antes de
+// `tasks.update` con la que devuelve el servidor (useOfflineApi.js), y la de
+// la caché con la que llega en directo de otro usuario (useLiveUpdates.js).
+// Se guarda en IndexedDB, por lo que cada dispositivo ve los cambios que
+// presenció; lo anterior se completa con `createdAt` y `completedAt`.
+//
+// Cada entrada: { type: 'created' | 'updated', at, by, version, changes }
+// con changes = [{ field, from, to }] y `by` el _id del autor (null si no se
+// sabe, como en los cambios que llegan en directo).
+
+// Campos que se comparan; `updatedAt`, `completedAt` y los de la interfaz
+// (isUpdating, pendingSync) no cuentan como cambios.
+export const HISTORY_FIELDS = [
+    'title', 'description', 'isCompleted', 'priority', 'dueDate', 'dueTime', 'reminderOffset',
+    'category', 'assignee', 'subtasks', 'recurrence',
+];
+
+// Entradas que se guardan por tarea (las más antiguas se descartan).
+const MAX_ENTRIES = 100;
+
+// '' y null equivalen a no tener valor.
+const normalize = (value) => (value === '' || value === null || value === undefined ? null : value);
+
+const isSameValue = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+export const diffTask = (before, after) => HISTORY_FIELDS
+    .filter(field => !isSameValue(before?.[field], after?.[field]))
+    .map(field => ({ field, from: normalize(before?.[field]), to: normalize(after?.[field]) }));
+
+// --- Almacenamiento ---
+
+const listeners = new Set();
+
+// Las escrituras se encadenan para que dos cambios seguidos de la misma
+// tarea no se pisen al leer y reescribir su registro.
+let pendingWrite = Promise.resolve();
+
+const appendEntry = async (taskId, entry) => {
+    const record = await offlineStore.get(STORES.history, taskId);
+    const entries = record?.entries || [];
+    // El mismo cambio puede llegar dos veces (la respuesta propia y su eco en
+    // directo): se queda una, con autor si alguna lo tiene.
+    const index = entry.version ? entries.findIndex(e => e.version === entry.version && e.type === entry.type) : -1;
+    if (index !== -1) {
+        if (entries[index].by || !entry.by) return false;
+        entries[index] = entry;
+    } else {
+        entries.push(entry);
+    }
+    await offlineStore.put(STORES.history, { taskId, entries: entries.slice(-MAX_ENTRIES) });
+    return true;
+};
+
+const record = (taskId, entry) => {
+    pendingWrite = pendingWrite
+        .then(() => appendEntry(taskId, entry))
+        .then(changed => {
+            if (changed) listeners.forEach(listener => listener(taskId));
+        })
+        .catch(err => console.error('No se pudo guardar el historial de la tarea:', err));
+    return pendingWrite;
+};
+
+export const recordTaskCreated = (task, { by = null } = {}) => record(task._id, {
+    type: 'created',
+    at: task.createdAt || new Date().toISOString(),
+    by,
+    version: task.updatedAt || task.createdAt,
+    changes: [],
+});
+
+// No guarda nada si no cambió ningún campo del historial.
+export const recordTaskUpdate = (before, after, { by = null } = {}) => {
+    const changes = diffTask(before, after);
+    if (!before || changes.length === 0) return Promise.resolve();
+    return record(after._id, {
+        type: 'updated',
+        at: after.updatedAt || new Date().toISOString(),
+        by,
+        version: after.updatedAt,
+        changes,
+    });
+};
+
+export const getTaskHistory = async (taskId) => (await offlineStore.get(STORES.history, taskId))?.entries || [];
+
+export const removeTaskHistory = (taskId) => {
+    pendingWrite = pendingWrite
+        .then(() => offlineStore.remove(STORES.history, taskId))
+        .catch(err => console.error('No se pudo borrar el historial de la tarea:', err));
+    return pendingWrite;
+};
+
+// `listener(taskId)` tras cada cambio guardado en esta pestaña.
+export const subscribeToHistory = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+// --- Línea de tiempo ---
+
+// Entradas de la más reciente a la más antigua. Si la tarea es anterior al
+// historial (o se creó en otro dispositivo) se añaden su creación y, si está
+// completada, cuándo se completó.
+export const buildTimeline = (task, entries) => {
+    const timeline = [...entries];
+    if (!timeline.some(entry => entry.type === 'created') && task.createdAt) {
+        timeline.push({ type: 'created', at: task.createdAt, by: task.user ?? null, changes: [] });
+    }
+    const hasCompletion = timeline.some(entry => entry.changes.some(change => change.field === 'isCompleted' && change.to));
+    if (task.isCompleted && task.completedAt && !hasCompletion) {
+        timeline.push({ type: 'updated', at: task.completedAt, by: null, changes: [{ field: 'isCompleted', from: null, to: true }] });
+    }
+    return timeline.sort((a, b) => (a.at < b.at ? 1 : a.at > b.at ? -1 : 0));
+};
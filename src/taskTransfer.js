@@ -0,0 +1,320 @@
+import { format, isValid, parseISO } from 'date-fns';
+
+// ----------------------------------------------------------------------
+// Importación / exportación de tareas (JSON, CSV, iCalendar)
+// ----------------------------------------------------------------------
+// Todas las funciones trabajan con "filas" planas, con la categoría por
+// nombre (no por id) para que el archivo se pueda llevar a otra cuenta:
+//   { title, description, dueDate: 'yyyy-mm-dd', dueTime: 'HH:mm',
+//     priority: 'Low' | 'Medium' | 'High', category: 'Casa', isCompleted }
+
+// Los nombres están en los catálogos (transfer.format.*).
+export const EXPORT_FORMATS = [
+    { value: 'json', extension: 'json', mime: 'application/json' },
+    { value: 'csv', extension: 'csv', mime: 'text/csv' },
+    { value: 'ics-todo', extension: 'ics', mime: 'text/calendar' },
+    { value: 'ics-event', extension: 'ics', mime: 'text/calendar' },
+];
+
+const FIELDS = ['title', 'description', 'dueDate', 'dueTime', 'priority', 'category', 'isCompleted'];
+
+const PRIORITY_ALIASES = {
+    low: 'Low', baja: 'Low',
+    medium: 'Medium', media: 'Medium', normal: 'Medium',
+    high: 'High', alta: 'High',
+};
+
+// iCalendar: 1-4 alta, 5 media, 6-9 baja (RFC 5545, 3.8.1.9).
+const PRIORITY_TO_ICS = { High: 1, Medium: 5, Low: 9 };
+const priorityFromIcs = (value) => {
+    const number = Number(value);
+    if (!number) return 'Medium';
+    if (number <= 4) return 'High';
+    if (number === 5) return 'Medium';
+    return 'Low';
+};
+
+export const toExportRows = (tasks, categoriesMap) => tasks.map(task => ({
+    title: task.title || '',
+    description: task.description || '',
+    dueDate: task.dueDate ? task.dueDate.split('T')[0] : '',
+    dueTime: task.dueTime || '',
+    priority: task.priority || 'Medium',
+    category: categoriesMap[task.category]?.name || '',
+    isCompleted: !!task.isCompleted,
+}));
+
+// ----------------------------------------------------------------------
+// Exportación
+// ----------------------------------------------------------------------
+
+const toJson = (rows) => JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), tasks: rows }, null, 2);
+
+const csvEscape = (value) => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => [
+    FIELDS.join(','),
+    ...rows.map(row => FIELDS.map(field => csvEscape(row[field])).join(',')),
+].join('\r\n');
+
+const icsEscape = (text) => String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Las líneas de más de 75 octetos se parten con CRLF + espacio.
+const foldLine = (line) => {
+    const bytes = new TextEncoder().encode(line);
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const size = new TextEncoder().encode(char).length;
+        if (currentBytes + size > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const icsDate = (row) => row.dueDate.replace(/-/g, '');
+const icsDateTime = (row) => `${icsDate(row)}T${row.dueTime.replace(':', '')}00`;
+
+const toIcs = (rows, component) => {
+    const stamp = format(new Date(), "yyyyMMdd'T'HHmmss");
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Agenda de Tareas//ES', 'CALSCALE:GREGORIAN'];
+
+    rows.forEach((row, index) => {
+        if (component === 'VEVENT' && !row.dueDate) return;
+
+        lines.push(`BEGIN:${component}`);
+        lines.push(`UID:${stamp}-${index}@agenda-tareas`);
+        lines.push(`DTSTAMP:${stamp}`);
+        lines.push(`SUMMARY:${icsEscape(row.title)}`);
+        if (row.description) lines.push(`DESCRIPTION:${icsEscape(row.description)}`);
+        if (row.category) lines.push(`CATEGORIES:${icsEscape(row.category)}`);
+        lines.push(`PRIORITY:${PRIORITY_TO_ICS[row.priority] || 5}`);
+
+        if (row.dueDate) {
+            const value = row.dueTime ? icsDateTime(row) : `;VALUE=DATE:${icsDate(row)}`;
+            const prop = row.dueTime ? `:${value}` : value;
+            if (component === 'VTODO') {
+                lines.push(`DUE${prop}`);
+            } else {
+                lines.push(`DTSTART${prop}`);
+            }
+        }
+
+        if (component === 'VTODO') {
+            lines.push(`STATUS:${row.isCompleted ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+        }
+        lines.push(`END:${component}`);
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n');
+};
+
+export const serializeTasks = (rows, formatValue) => {
+    switch (formatValue) {
+        case 'json': return toJson(rows);
+        case 'csv': return toCsv(rows);
+        case 'ics-todo': return toIcs(rows, 'VTODO');
+        case 'ics-event': return toIcs(rows, 'VEVENT');
+        default: throw new Error(`Formato de exportación desconocido: ${formatValue}`);
+    }
+};
+
+export const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+export const downloadFile = (content, filename, mime) => {
+    downloadBlob(new Blob([content], { type: `${mime};charset=utf-8` }), filename);
+};
+
+// ----------------------------------------------------------------------
+// Importación
+// ----------------------------------------------------------------------
+
+// CSV según RFC 4180: comillas dobles, comillas escapadas ("") y saltos de
+// línea dentro de campos entre comillas. Acepta también ";" como separador
+// (lo que exporta Excel con configuración regional española).
+export const parseCsv = (text) => {
+    const headerLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || record.length) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const [header = [], ...rows] = records.filter(r => r.some(value => value.trim() !== ''));
+    const keys = header.map(name => name.trim());
+    return rows.map(values => keys.reduce((row, key, index) => {
+        row[key] = values[index] ?? '';
+        return row;
+    }, {}));
+};
+
+const icsUnescape = (text) => text
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+
+const parseIcsDate = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2}))?/.exec(value);
+    if (!match) return { dueDate: '', dueTime: '' };
+    const [, year, month, day, hours, minutes] = match;
+    return { dueDate: `${year}-${month}-${day}`, dueTime: hours ? `${hours}:${minutes}` : '' };
+};
+
+export const parseIcs = (text) => {
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const rows = [];
+    let current = null;
+
+    lines.forEach(line => {
+        if (/^BEGIN:(VTODO|VEVENT)$/i.test(line)) {
+            current = { isCompleted: false };
+            return;
+        }
+        if (/^END:(VTODO|VEVENT)$/i.test(line)) {
+            if (current) rows.push(current);
+            current = null;
+            return;
+        }
+        if (!current) return;
+
+        const separator = line.indexOf(':');
+        if (separator === -1) return;
+        const name = line.slice(0, separator).split(';')[0].toUpperCase();
+        const value = line.slice(separator + 1);
+
+        switch (name) {
+            case 'SUMMARY': current.title = icsUnescape(value); break;
+            case 'DESCRIPTION': current.description = icsUnescape(value); break;
+            case 'CATEGORIES': current.category = icsUnescape(value.split(/(?<!\\),/)[0]); break;
+            case 'PRIORITY': current.priority = priorityFromIcs(value); break;
+            case 'STATUS': current.isCompleted = value.toUpperCase() === 'COMPLETED'; break;
+            case 'DUE':
+            case 'DTSTART':
+                if (!current.dueDate) Object.assign(current, parseIcsDate(value));
+                break;
+            default:
+                break;
+        }
+    });
+
+    return rows;
+};
+
+const parseJson = (text) => {
+    const data = JSON.parse(text);
+    const rows = Array.isArray(data) ? data : data.tasks;
+    if (!Array.isArray(rows)) throw new Error('El JSON no contiene una lista de tareas.');
+    return rows;
+};
+
+export const detectFormat = (filename = '', text = '') => {
+    const extension = filename.split('.').pop().toLowerCase();
+    if (extension === 'json') return 'json';
+    if (extension === 'csv') return 'csv';
+    if (extension === 'ics' || extension === 'ical') return 'ics';
+    const trimmed = text.trimStart();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) return 'json';
+    if (/^BEGIN:VCALENDAR/i.test(trimmed)) return 'ics';
+    return 'csv';
+};
+
+const normalizeBoolean = (value) => value === true || /^(true|1|s[ií]|yes|x)$/i.test(String(value ?? '').trim());
+
+const normalizeDate = (value) => {
+    if (!value) return '';
+    const text = String(value).trim();
+    const iso = parseISO(text.split('T')[0]);
+    if (isValid(iso)) return format(iso, 'yyyy-MM-dd');
+    const local = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text); // dd/mm/aaaa
+    if (local) return `${local[3]}-${local[2].padStart(2, '0')}-${local[1].padStart(2, '0')}`;
+    return text;
+};
+
+// Normaliza una fila leída de cualquier formato y devuelve sus errores como
+// { code, value }; los textos están en los catálogos (import.rowError.*).
+export const normalizeRow = (raw) => {
+    const priorityText = String(raw.priority ?? '').trim().toLowerCase();
+    const row = {
+        title: String(raw.title ?? raw.titulo ?? raw['título'] ?? '').trim(),
+        description: String(raw.description ?? raw.descripcion ?? raw['descripción'] ?? '').trim(),
+        dueDate: normalizeDate(raw.dueDate ?? raw.fecha),
+        dueTime: String(raw.dueTime ?? raw.hora ?? '').trim(),
+        priority: PRIORITY_ALIASES[priorityText] || (priorityText ? null : 'Medium'),
+        category: String(raw.category ?? raw.categoria ?? raw['categoría'] ?? '').trim(),
+        isCompleted: normalizeBoolean(raw.isCompleted ?? raw.completada),
+    };
+
+    const errors = [];
+    if (!row.title) errors.push({ code: 'title' });
+    if (row.dueDate && !/^\d{4}-\d{2}-\d{2}$/.test(row.dueDate)) errors.push({ code: 'date', value: row.dueDate });
+    if (row.dueTime && !/^\d{2}:\d{2}$/.test(row.dueTime)) errors.push({ code: 'time', value: row.dueTime });
+    if (!row.priority) {
+        errors.push({ code: 'priority', value: raw.priority });
+        row.priority = 'Medium';
+    }
+
+    return { row, errors };
+};
+
+export const parseImportFile = (rawText, filename) => {
+    const text = rawText.replace(/^\uFEFF/, '');
+    const formatValue = detectFormat(filename, text);
+    const rawRows = formatValue === 'json' ? parseJson(text) : formatValue === 'ics' ? parseIcs(text) : parseCsv(text);
+    return { format: formatValue, rows: rawRows.map(normalizeRow) };
+};
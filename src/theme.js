@@ -0,0 +1,70 @@
+import { useEffect, useState } from 'react';
+
+// ----------------------------------------------------------------------
+// Tema y color de acento
+// ----------------------------------------------------------------------
+// Los colores viven en index.css como variables; aquí solo se decide qué
+// juego aplicar poniendo `data-theme` ('light' | 'dark') y `data-accent` en
+// <html>. Con el modo 'system' se sigue la preferencia del sistema y se
+// actualiza al cambiarla.
+
+export const THEME_MODES = ['light', 'dark', 'system'];
+
+// Cada acento tiene sus tonos (claro y oscuro) en index.css.
+export const ACCENTS = ['indigo', 'blue', 'teal', 'violet', 'rose', 'amber'];
+
+const SETTINGS_KEY = 'themeSettings';
+
+export const DEFAULT_THEME_SETTINGS = {
+    mode: 'system',
+    accent: 'indigo',
+};
+
+const darkQuery = () => window.matchMedia?.('(prefers-color-scheme: dark)');
+
+export const readThemeSettings = () => {
+    try {
+        const stored = { ...DEFAULT_THEME_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+        if (!THEME_MODES.includes(stored.mode)) stored.mode = DEFAULT_THEME_SETTINGS.mode;
+        if (!ACCENTS.includes(stored.accent)) stored.accent = DEFAULT_THEME_SETTINGS.accent;
+        return stored;
+    } catch {
+        return DEFAULT_THEME_SETTINGS;
+    }
+};
+
+export const resolveThemeMode = (mode) => {
+    if (mode !== 'system') return mode;
+    return darkQuery()?.matches ? 'dark' : 'light';
+};
+
+// Se llama también desde main.jsx antes del primer render, para que la
+// página no parpadee en claro al abrirla con el tema oscuro.
+export const applyTheme = ({ mode, accent }) => {
+    const root = document.documentElement;
+    const theme = resolveThemeMode(mode);
+    root.dataset.theme = theme;
+    root.dataset.accent = accent;
+    root.style.colorScheme = theme;
+};
+
+// El botón de la cabecera pasa por los modos en orden.
+export const getNextThemeMode = (mode) => THEME_MODES[(THEME_MODES.indexOf(mode) + 1) % THEME_MODES.length];
+
+export const useThemeSettings = () => {
+    const [settings, setSettings] = useState(readThemeSettings);
+
+    useEffect(() => {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+        applyTheme(settings);
+
+        if (settings.mode !== 'system') return undefined;
+        const query = darkQuery();
+        if (!query) return undefined;
+        const handleChange = () => applyTheme(settings);
+        query.addEventListener('change', handleChange);
+        return () => query.removeEventListener('change', handleChange);
+    }, [settings]);
+
+    return { settings, setSettings };
+};
@@ -0,0 +1,343 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef } from 'react';
+import { isTokenExpired, renewSession, session } from './session';
+import { AuthError, CancelledError, errorFromResponse, isCancelled, isRetryable, NetworkError, TimeoutError } from './apiErrors';
+import { getAttachmentType } from './attachments';
+
+// URL del backend. Se configura con VITE_API_URL (ver .env.example); si no
+// está definida se usa el despliegue de Render.
+export const API_BASE_URL = (import.meta.env.VITE_API_URL || 'https://agenda-backend-n0wt.onrender.com').replace(/\/+$/, '');
+
+// Servidor de los adjuntos (VITE_ATTACHMENTS_URL): por defecto el mismo
+// backend, pero puede ser otro, p. ej. scripts/attachments-server.mjs si el
+// backend no los admite.
+export const ATTACHMENTS_BASE_URL = (import.meta.env.VITE_ATTACHMENTS_URL || API_BASE_URL).replace(/\/+$/, '');
+
+// Tiempo máximo de espera por intento (VITE_API_TIMEOUT, en ms). El backend
+// de Render tarda en despertar, así que el valor por defecto es generoso.
+export const DEFAULT_TIMEOUT_MS = Number(import.meta.env.VITE_API_TIMEOUT) || 20000;
+
+// Los GET se reintentan ante fallos transitorios con espera exponencial:
+// retryDelay, 2 × retryDelay, 4 × retryDelay...
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 500;
+
+// Una subida puede tardar bastante más que una petición normal.
+const UPLOAD_TIMEOUT_MS = 5 * 60 * 1000;
+
+// fetch no informa del progreso de subida: si se pide con
+// `config.onUploadProgress({ loaded, total })` se envía con XMLHttpRequest y
+// se devuelve igualmente una Response.
+const xhrTransport = (url, { method = 'GET', headers = {}, body = null, signal, onUploadProgress }) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(new DOMException('Aborted', 'AbortError'));
+        return;
+    }
+    const xhr = new XMLHttpRequest();
+    xhr.open(method, url);
+    xhr.responseType = 'blob';
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    xhr.upload.onprogress = (e) => {
+        if (e.lengthComputable) onUploadProgress({ loaded: e.loaded, total: e.total });
+    };
+    const abort = () => xhr.abort();
+    xhr.onloadend = () => signal?.removeEventListener('abort', abort);
+    xhr.onload = () => {
+        const responseHeaders = new Headers();
+        xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).forEach(line => {
+            const colon = line.indexOf(':');
+            if (colon > 0) responseHeaders.append(line.slice(0, colon).trim(), line.slice(colon + 1).trim());
+        });
+        const hasBody = ![204, 205, 304].includes(xhr.status);
+        resolve(new Response(hasBody ? xhr.response : null, { status: xhr.status, statusText: xhr.statusText, headers: responseHeaders }));
+    };
+    xhr.onerror = () => reject(new TypeError('Network request failed'));
+    xhr.onabort = () => reject(new DOMException('Aborted', 'AbortError'));
+    signal?.addEventListener('abort', abort, { once: true });
+    xhr.send(body);
+});
+
+// Transporte por defecto: cualquier función con la firma de fetch(url, config)
+// que devuelva una Response sirve como adaptador (ver memoryBackend.js). Debe
+// respetar `config.signal`; `config.onUploadProgress` es opcional (si no lo
+// usa, el progreso salta al final).
+const fetchTransport = (url, config) => (config.onUploadProgress ? xhrTransport(url, config) : fetch(url, config));
+
+const ApiContext = createContext({
+    baseUrl: API_BASE_URL,
+    attachmentsUrl: ATTACHMENTS_BASE_URL,
+    transport: fetchTransport,
+    timeout: DEFAULT_TIMEOUT_MS,
+    retries: DEFAULT_RETRIES,
+    retryDelay: DEFAULT_RETRY_DELAY_MS,
+});
+
+// ----------------------------------------------------------------------
+// Proveedor de configuración de la API
+// ----------------------------------------------------------------------
+
+export const ApiProvider = ({
+    baseUrl = API_BASE_URL,
+    attachmentsUrl = ATTACHMENTS_BASE_URL,
+    transport = fetchTransport,
+    timeout = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_RETRIES,
+    retryDelay = DEFAULT_RETRY_DELAY_MS,
+    children,
+}) => {
+    const value = useMemo(
+        () => ({ baseUrl, attachmentsUrl, transport, timeout, retries, retryDelay }),
+        [baseUrl, attachmentsUrl, transport, timeout, retries, retryDelay]
+    );
+
+    return (
+        <ApiContext.Provider value={value}>
+            {children}
+        </ApiContext.Provider>
+    );
+};
+
+// Espera cancelable entre reintentos.
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(new CancelledError());
+        return;
+    }
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    function onAbort() {
+        clearTimeout(timer);
+        reject(new CancelledError());
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// ----------------------------------------------------------------------
+// Cancelación al desmontar
+// ----------------------------------------------------------------------
+// Devuelve una función que da la señal del componente; se aborta al
+// desmontarlo, así las peticiones en curso no resuelven sobre un componente
+// que ya no existe. Se pasa como `{ signal: getSignal() }` a los métodos.
+
+export const useUnmountSignal = () => {
+    const controllerRef = useRef(null);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        controllerRef.current = controller;
+        return () => controller.abort();
+    }, []);
+
+    return useCallback(() => controllerRef.current?.signal, []);
+};
+
+// ----------------------------------------------------------------------
+// Hook Personalizado para la API
+// ----------------------------------------------------------------------
+// Todos los métodos aceptan un último argumento opcional
+// `{ signal, timeout, retries }` y rechazan con las clases de apiErrors.js.
+
+export const useApi = () => {
+    const { baseUrl, attachmentsUrl, transport, timeout: defaultTimeout, retries: defaultRetries, retryDelay } = useContext(ApiContext);
+
+    // Envía una vez con su propio límite de tiempo; traduce los rechazos del
+    // transporte (sin respuesta) a NetworkError, TimeoutError o CancelledError.
+    const send = useCallback(async (url, config, { signal, timeout = defaultTimeout } = {}) => {
+        if (signal?.aborted) throw new CancelledError();
+
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const abort = () => controller.abort();
+        signal?.addEventListener('abort', abort, { once: true });
+
+        try {
+            return await transport(url, { ...config, signal: controller.signal });
+        } catch (err) {
+            if (timedOut) throw new TimeoutError(undefined, { cause: err });
+            if (signal?.aborted) throw new CancelledError(undefined, { cause: err });
+            throw new NetworkError(undefined, { cause: err });
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', abort);
+        }
+    }, [transport, defaultTimeout]);
+
+    // Llamada directa al endpoint de refresh (sin pasar por `request` para no
+    // entrar en bucle si también devuelve 401).
+    const refresh = useCallback(async (refreshToken) => {
+        const response = await send(`${baseUrl}/api/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken }),
+        });
+        if (!response.ok) throw await errorFromResponse(response);
+        return response.json();
+    }, [baseUrl, send]);
+
+    // Envía con el token de la sesión y devuelve la Response tal cual. Las
+    // rutas que empiezan por «/» van al backend; las de los adjuntos llegan
+    // ya con la URL completa de su servidor.
+    const sendAuthorized = useCallback(async (endpoint, config, isAuth, options) => {
+        const url = endpoint.startsWith('/') ? `${baseUrl}${endpoint}` : endpoint;
+        const sendWithToken = (token) => {
+            const headers = { ...config.headers };
+            if (token) headers['Authorization'] = `Bearer ${token}`;
+            return send(url, { ...config, headers }, options);
+        };
+
+        let token = null;
+        if (isAuth) {
+            token = session.getToken();
+            if (!token) throw new AuthError(undefined, { status: 401 });
+            // Si ya sabemos que caducó, se renueva antes de enviar.
+            if (isTokenExpired(token)) token = await renewSession(refresh);
+        }
+
+        const response = await sendWithToken(token);
+
+        // 401: se renueva la sesión (refresh o modal de login) y se
+        // reintenta una vez. Si otra petición ya la renovó mientras tanto,
+        // basta con reintentar. Un 401 en login/register es un error normal.
+        if (response.status === 401 && isAuth) {
+            const current = session.getToken();
+            token = current && current !== token ? current : await renewSession(refresh);
+            return sendWithToken(token);
+        }
+        return response;
+    }, [baseUrl, send, refresh]);
+
+    const request = useCallback(async (endpoint, method = 'GET', data = null, isAuth = true, options = {}) => {
+        const { signal, retries = method === 'GET' ? defaultRetries : 0 } = options;
+
+        const config = {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+            },
+        };
+
+        if (data) {
+            config.body = JSON.stringify(data);
+        }
+
+        const attempt = async () => {
+            const response = await sendAuthorized(endpoint, config, isAuth, options);
+
+            if (response.status === 204) {
+                return {};
+            }
+
+            if (!response.ok) {
+                throw await errorFromResponse(response);
+            }
+
+            return response.json();
+        };
+
+        for (let attemptNumber = 0; ; attemptNumber++) {
+            try {
+                return await attempt();
+            } catch (error) {
+                if (attemptNumber < retries && isRetryable(error)) {
+                    await wait(retryDelay * 2 ** attemptNumber, signal);
+                    continue;
+                }
+                if (!isCancelled(error)) console.error("API Request Error:", error);
+                throw error;
+            }
+        }
+    }, [sendAuthorized, defaultRetries, retryDelay]);
+
+    const auth = useMemo(() => ({
+        login: (credentials, options) => request('/api/auth/login', 'POST', credentials, false, options),
+        register: (data, options) => request('/api/auth/register', 'POST', data, false, options),
+        // Usuario de la sesión: { user: { _id, name, email } }.
+        me: (options) => request('/api/auth/me', 'GET', null, true, options),
+        refresh,
+    }), [request, refresh]);
+
+    const tasks = useMemo(() => ({
+        getAll: (options) => request('/api/tasks', 'GET', null, true, options),
+        get: (id, options) => request(`/api/tasks/${id}`, 'GET', null, true, options),
+        // `query`: { limit, cursor, ...toApiQuery(filters) } (ver taskFilters.js).
+        getPage: (query, options) => request(`/api/tasks?${new URLSearchParams(query)}`, 'GET', null, true, options),
+        create: (taskData, options) => request('/api/tasks', 'POST', taskData, true, options),
+        update: (id, taskData, options) => request(`/api/tasks/${id}`, 'PUT', taskData, true, options),
+        delete: (id, options) => request(`/api/tasks/${id}`, 'DELETE', null, true, options),
+        // Comentarios (en Markdown): { _id, body, author: { _id, name, email },
+        // createdAt }, del más antiguo al más reciente. Los lectores de una
+        // lista compartida pueden leerlos pero no escribir.
+        getComments: (id, options) => request(`/api/tasks/${id}/comments`, 'GET', null, true, options),
+        addComment: (id, { body }, options) => request(`/api/tasks/${id}/comments`, 'POST', { body }, true, options),
+        deleteComment: (id, commentId, options) => request(`/api/tasks/${id}/comments/${commentId}`, 'DELETE', null, true, options),
+    }), [request]);
+
+    const categories = useMemo(() => ({
+        getAll: (options) => request('/api/categories', 'GET', null, true, options),
+        create: (categoryData, options) => request('/api/categories', 'POST', categoryData, true, options),
+        update: (id, categoryData, options) => request(`/api/categories/${id}`, 'PUT', categoryData, true, options),
+        delete: (id, options) => request(`/api/categories/${id}`, 'DELETE', null, true, options),
+        // Miembros de una categoría compartida: { user, name, email, role }
+        // con role 'owner' | 'editor' | 'viewer'. Solo el propietario puede
+        // invitar o cambiar roles; cualquiera puede quitarse a sí mismo.
+        getMembers: (id, options) => request(`/api/categories/${id}/members`, 'GET', null, true, options),
+        share: (id, { email, role }, options) => request(`/api/categories/${id}/members`, 'POST', { email, role }, true, options),
+        updateMember: (id, userId, { role }, options) => request(`/api/categories/${id}/members/${userId}`, 'PUT', { role }, true, options),
+        removeMember: (id, userId, options) => request(`/api/categories/${id}/members/${userId}`, 'DELETE', null, true, options),
+    }), [request]);
+
+    const events = useMemo(() => ({
+        // Abre el flujo de cambios en directo (text/event-stream, ver
+        // useLiveUpdates.js) y devuelve la Response para leer su cuerpo. Con
+        // `lastEventId` el servidor reenvía primero lo que se perdió desde
+        // ese evento. Sin límite de tiempo una vez abierto; se cierra con
+        // `signal`.
+        open: async ({ lastEventId, signal } = {}) => {
+            const query = lastEventId ? `?${new URLSearchParams({ lastEventId })}` : '';
+            const config = { method: 'GET', headers: { Accept: 'text/event-stream' } };
+            const response = await sendAuthorized(`/api/events${query}`, config, true, { signal });
+            if (!response.ok) throw await errorFromResponse(response);
+            return response;
+        },
+    }), [sendAuthorized]);
+
+    const attachments = useMemo(() => {
+        const endpoint = (taskId, attachmentId) => `${attachmentsUrl}/api/tasks/${taskId}/attachments${attachmentId ? `/${attachmentId}` : ''}`;
+        return {
+            // { attachments: [{ _id, name, type, size, createdAt, uploadedBy }] }
+            list: (taskId, options) => request(endpoint(taskId), 'GET', null, true, options),
+            // El archivo va tal cual en el cuerpo (sin multipart), con su tipo
+            // en Content-Type y el nombre en X-File-Name. `onProgress`
+            // recibe { loaded, total } en bytes. Devuelve { attachment }.
+            upload: async (taskId, file, { onProgress, timeout = UPLOAD_TIMEOUT_MS, ...options } = {}) => {
+                const config = {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': getAttachmentType(file),
+                        'X-File-Name': encodeURIComponent(file.name),
+                    },
+                    body: file,
+                    onUploadProgress: onProgress,
+                };
+                const response = await sendAuthorized(endpoint(taskId), config, true, { ...options, timeout });
+                if (!response.ok) throw await errorFromResponse(response);
+                return response.json();
+            },
+            // El contenido como Blob (las miniaturas y las descargas necesitan
+            // el token, así que no sirve un <img src> directo).
+            download: async (taskId, attachmentId, options) => {
+                const response = await sendAuthorized(endpoint(taskId, attachmentId), { method: 'GET', headers: {} }, true, options);
+                if (!response.ok) throw await errorFromResponse(response);
+                return response.blob();
+            },
+            delete: (taskId, attachmentId, options) => request(endpoint(taskId, attachmentId), 'DELETE', null, true, options),
+        };
+    }, [attachmentsUrl, request, sendAuthorized]);
+
+    return { auth, tasks, categories, events, attachments };
+};
@@ -0,0 +1,200 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useApi, useUnmountSignal } from './useApi';
+import { getErrorMessage, isCancelled } from './apiErrors';
+import { useI18n } from './i18n';
+import { downloadBlob } from './taskTransfer';
+import { isLocalId } from './offlineStore';
+import { formatFileSize, getAttachmentType, isImageType, MAX_ATTACHMENT_SIZE, MAX_ATTACHMENTS_PER_TASK, validateAttachment } from './attachments';
+
+// ----------------------------------------------------------------------
+// Adjuntos de una tarea
+// ----------------------------------------------------------------------
+// Carga los adjuntos de `taskId` con sus miniaturas y gestiona las subidas:
+// cada archivo se valida (tamaño, tipo y número) antes de enviarlo y va
+// mostrando su progreso. Sin `taskId` (tarea aún sin crear) los archivos
+// quedan preparados y se suben con `uploadStaged(id)` cuando ya existe.
+// Necesitan conexión (no pasan por la cola sin conexión), así que una tarea
+// creada sin conexión no admite adjuntos hasta sincronizarse. Las subidas en
+// curso se cancelan al desmontar.
+//
+// Subida: { key, file, name, type, size, previewUrl, progress (0-1), taskId,
+//           status: 'staged' | 'uploading' | 'error', error, canRetry }
+
+let nextUploadKey = 1;
+
+export const useAttachments = (taskId) => {
+    const { t, language } = useI18n();
+    const { attachments: apiAttachments } = useApi();
+    const getSignal = useUnmountSignal();
+    const isSynced = !!taskId && !isLocalId(taskId);
+    // null mientras se carga la lista.
+    const [attachments, setAttachments] = useState(isSynced ? null : []);
+    const [uploads, setUploads] = useState([]);
+    // _id del adjunto -> URL local de su imagen.
+    const [thumbnails, setThumbnails] = useState({});
+    const [error, setError] = useState('');
+    const uploadsRef = useRef(uploads);
+    // Todas las URL locales creadas, para liberarlas al desmontar.
+    const objectUrlsRef = useRef(new Set());
+
+    useEffect(() => {
+        uploadsRef.current = uploads;
+    });
+
+    useEffect(() => {
+        const objectUrls = objectUrlsRef.current;
+        return () => objectUrls.forEach(url => URL.revokeObjectURL(url));
+    }, []);
+
+    const createObjectUrl = (blob) => {
+        const url = URL.createObjectURL(blob);
+        objectUrlsRef.current.add(url);
+        return url;
+    };
+
+    const revokeObjectUrl = (url) => {
+        if (!url) return;
+        URL.revokeObjectURL(url);
+        objectUrlsRef.current.delete(url);
+    };
+
+    // Las miniaturas se piden de una en una para no saturar la conexión.
+    const loadThumbnails = useCallback(async (list) => {
+        for (const attachment of list.filter(a => isImageType(a.type))) {
+            try {
+                const blob = await apiAttachments.download(taskId, attachment._id, { signal: getSignal() });
+                const url = URL.createObjectURL(blob);
+                objectUrlsRef.current.add(url);
+                setThumbnails(current => ({ ...current, [attachment._id]: url }));
+            } catch (err) {
+                if (isCancelled(err)) return;
+                // Sin miniatura se muestra el icono del tipo de archivo.
+            }
+        }
+    }, [apiAttachments, taskId, getSignal]);
+
+    useEffect(() => {
+        if (!isSynced) return;
+        apiAttachments.list(taskId, { signal: getSignal() })
+            .then(result => {
+                setAttachments(result.attachments || []);
+                loadThumbnails(result.attachments || []);
+            })
+            .catch(err => {
+                if (isCancelled(err)) return;
+                setAttachments([]);
+                setError(getErrorMessage(err, t, t('attachments.loadError')));
+            });
+    }, [apiAttachments, taskId, isSynced, getSignal, loadThumbnails, t]);
+
+    const updateUpload = (key, changes) => {
+        setUploads(current => current.map(upload => (upload.key === key ? { ...upload, ...changes } : upload)));
+    };
+
+    const startUpload = async (upload, targetId) => {
+        updateUpload(upload.key, { status: 'uploading', progress: 0, error: null, taskId: targetId });
+        try {
+            const { attachment } = await apiAttachments.upload(targetId, upload.file, {
+                signal: getSignal(),
+                onProgress: ({ loaded, total }) => updateUpload(upload.key, { progress: total ? loaded / total : 0 }),
+            });
+            setUploads(current => current.filter(u => u.key !== upload.key));
+            if (targetId !== taskId) {
+                revokeObjectUrl(upload.previewUrl);
+                return;
+            }
+            // La previsualización local pasa a ser la miniatura del adjunto.
+            if (upload.previewUrl) setThumbnails(current => ({ ...current, [attachment._id]: upload.previewUrl }));
+            setAttachments(current => [...(current || []), attachment]);
+        } catch (err) {
+            if (isCancelled(err)) return;
+            updateUpload(upload.key, { status: 'error', error: getErrorMessage(err, t, t('attachments.uploadError')), canRetry: true });
+        }
+    };
+
+    // Motivo de validateAttachment u 'offline' (tarea sin sincronizar).
+    const describeProblem = (problem) => t(`attachments.invalid.${problem}`, {
+        size: formatFileSize(MAX_ATTACHMENT_SIZE, language),
+        count: MAX_ATTACHMENTS_PER_TASK,
+    });
+
+    // Valida y sube (o prepara) los archivos soltados o elegidos.
+    const addFiles = (files) => {
+        let count = (attachments?.length || 0) + uploads.filter(upload => upload.status !== 'error').length;
+        const added = Array.from(files).map(file => {
+            const problem = taskId && !isSynced ? 'offline' : validateAttachment(file, { count });
+            if (!problem) count += 1;
+            const type = getAttachmentType(file);
+            return {
+                key: nextUploadKey++,
+                file,
+                name: file.name,
+                type,
+                size: file.size,
+                previewUrl: !problem && isImageType(type) ? createObjectUrl(file) : null,
+                progress: 0,
+                status: problem ? 'error' : taskId ? 'uploading' : 'staged',
+                error: problem ? describeProblem(problem) : null,
+                canRetry: false,
+            };
+        });
+        setUploads(current => [...current, ...added]);
+        if (taskId) added.filter(upload => upload.status === 'uploading').forEach(upload => startUpload(upload, taskId));
+    };
+
+    // Sube los archivos preparados a la tarea recién creada `newTaskId`; los
+    // que no pasaron la validación se descartan.
+    const uploadStaged = (newTaskId) => {
+        const current = uploadsRef.current;
+        current.filter(upload => upload.status === 'error').forEach(upload => revokeObjectUrl(upload.previewUrl));
+        const kept = current.filter(upload => upload.status !== 'error');
+        if (isLocalId(newTaskId)) {
+            const error = describeProblem('offline');
+            setUploads(kept.map(upload => (upload.status === 'staged' ? { ...upload, status: 'error', error } : upload)));
+            return;
+        }
+        setUploads(kept);
+        kept.filter(upload => upload.status === 'staged').forEach(upload => startUpload(upload, newTaskId));
+    };
+
+    const retryUpload = (upload) => startUpload(upload, upload.taskId);
+
+    const dismissUpload = (upload) => {
+        revokeObjectUrl(upload.previewUrl);
+        setUploads(current => current.filter(u => u.key !== upload.key));
+    };
+
+    const removeAttachment = async (attachment) => {
+        setError('');
+        try {
+            await apiAttachments.delete(taskId, attachment._id, { signal: getSignal() });
+            setAttachments(current => current.filter(a => a._id !== attachment._id));
+            revokeObjectUrl(thumbnails[attachment._id]);
+        } catch (err) {
+            if (!isCancelled(err)) setError(getErrorMessage(err, t, t('attachments.deleteError')));
+        }
+    };
+
+    const downloadAttachment = async (attachment) => {
+        setError('');
+        try {
+            const blob = await apiAttachments.download(taskId, attachment._id, { signal: getSignal() });
+            downloadBlob(blob, attachment.name);
+        } catch (err) {
+            if (!isCancelled(err)) setError(getErrorMessage(err, t, t('attachments.downloadError')));
+        }
+    };
+
+    return {
+        attachments,
+        uploads,
+        thumbnails,
+        error,
+        addFiles,
+        uploadStaged,
+        retryUpload,
+        dismissUpload,
+        removeAttachment,
+        downloadAttachment,
+    };
+};
@@ -0,0 +1,76 @@
+import { useEffect, useRef, useState } from 'react';
+
+// ----------------------------------------------------------------------
+// Foco dentro de un diálogo modal
+// ----------------------------------------------------------------------
+// Mientras el diálogo está montado, Tab y Mayús+Tab no salen de él, Escape
+// llama a `onEscape` y, al cerrarse, el foco vuelve al elemento que lo tenía
+// antes de abrirlo. Si ningún hijo usa autoFocus, se enfoca el primero.
+
+const FOCUSABLE = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])',
+].join(',');
+
+export const getFocusable = (container) => (
+    Array.from(container.querySelectorAll(FOCUSABLE)).filter(element => element.getClientRects().length > 0)
+);
+
+// Al cerrar, el foco solo vuelve si nadie lo ha llevado a otro sitio (p. ej.
+// un comando de la paleta que enfoca un campo).
+const restoreFocus = (previous) => {
+    const active = document.activeElement;
+    if (!active || active === document.body) previous?.focus?.();
+};
+
+export const useFocusTrap = (containerRef, { onEscape } = {}) => {
+    // Se toma en el primer render, antes de que autoFocus mueva el foco.
+    const [previous] = useState(() => document.activeElement);
+    const onEscapeRef = useRef(onEscape);
+    useEffect(() => {
+        onEscapeRef.current = onEscape;
+    });
+
+    useEffect(() => {
+        const container = containerRef.current;
+        if (!container) return undefined;
+
+        if (!container.contains(document.activeElement)) {
+            (getFocusable(container)[0] || container).focus();
+        }
+
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape' && onEscapeRef.current) {
+                e.preventDefault();
+                e.stopPropagation();
+                onEscapeRef.current();
+                return;
+            }
+            if (e.key !== 'Tab') return;
+            const focusable = getFocusable(container);
+            if (focusable.length === 0) {
+                e.preventDefault();
+                return;
+            }
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (e.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        };
+
+        container.addEventListener('keydown', handleKeyDown);
+        return () => {
+            container.removeEventListener('keydown', handleKeyDown);
+            restoreFocus(previous);
+        };
+    }, [containerRef, previous]);
+};
@@ -0,0 +1,196 @@
+import { useEffect, useRef, useState } from 'react';
+import { useApi } from './useApi';
+import { ApiError, AuthError, isCancelled } from './apiErrors';
+import { SessionClosedError } from './session';
+import { LIVE_EVENT_TYPES, readEventStream, subscribeToTabs } from './liveEvents';
+import { offlineStore, STORES } from './offlineStore';
+import { recordTaskCreated, recordTaskUpdate, removeTaskHistory } from './taskHistory';
+
+// ----------------------------------------------------------------------
+// Actualizaciones en directo
+// ----------------------------------------------------------------------
+// Escucha los cambios de otras pestañas (siempre) y los del servidor en
+// GET /api/events, y llama a `onEvent` con cada uno (ver liveEvents.js).
+//
+// Si la conexión se corta se reintenta con espera exponencial (de 1 s a
+// 30 s, con algo de azar para que no reconecten todos a la vez; el campo
+// `retry` del servidor cambia la base) y se pide lo perdido desde el último
+// `id` recibido. Si el servidor ya no lo tiene responde con un evento
+// `reset` y se llama a `onResync` para recargarlo todo. Sin red se espera a
+// que vuelva; si el backend no tiene el endpoint (404) solo quedan las
+// otras pestañas.
+//
+// Estado: 'off' | 'connecting' | 'live' | 'reconnecting' | 'offline' | 'unsupported'.
+
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+// El servidor manda un latido cada 15 s; sin noticias en este tiempo se da
+// la conexión por muerta (un proxy pudo cortarla sin avisar).
+const IDLE_TIMEOUT_MS = 45000;
+
+const UNSUPPORTED_STATUSES = [404, 405, 501];
+
+class UnsupportedStreamError extends Error {}
+
+// Los eventos del servidor también se guardan en la caché sin conexión y en
+// el historial de la tarea (comparando con la versión de la caché, antes de
+// sustituirla); los de otras pestañas ya los guardó la pestaña que hizo el
+// cambio. No se sabe quién hizo el cambio.
+const cacheEvent = async (event) => {
+    switch (event.type) {
+        case 'task.created':
+            await recordTaskCreated(event.task);
+            return offlineStore.put(STORES.tasks, event.task);
+        case 'task.updated':
+            await recordTaskUpdate(await offlineStore.get(STORES.tasks, event.task._id), event.task);
+            return offlineStore.put(STORES.tasks, event.task);
+        case 'task.deleted':
+            await removeTaskHistory(event.id);
+            return offlineStore.remove(STORES.tasks, event.id);
+        case 'category.created':
+        case 'category.updated':
+            return offlineStore.put(STORES.categories, event.category);
+        case 'category.deleted':
+            return offlineStore.remove(STORES.categories, event.id);
+        default:
+            return undefined;
+    }
+};
+
+const waitForOnline = (signal) => new Promise(resolve => {
+    const done = () => {
+        window.removeEventListener('online', done);
+        signal.removeEventListener('abort', done);
+        resolve();
+    };
+    window.addEventListener('online', done);
+    signal.addEventListener('abort', done);
+});
+
+const waitOrOnline = (ms, signal) => new Promise(resolve => {
+    const done = () => {
+        clearTimeout(timer);
+        window.removeEventListener('online', done);
+        signal.removeEventListener('abort', done);
+        resolve();
+    };
+    const timer = setTimeout(done, ms);
+    window.addEventListener('online', done);
+    signal.addEventListener('abort', done);
+});
+
+export const useLiveUpdates = ({ enabled, onEvent, onResync }) => {
+    const { events: apiEvents } = useApi();
+    const [status, setStatus] = useState('off');
+    const handlersRef = useRef({ onEvent, onResync });
+
+    useEffect(() => {
+        handlersRef.current = { onEvent, onResync };
+    });
+
+    useEffect(() => {
+        if (!enabled) return undefined;
+        return subscribeToTabs(event => {
+            if (LIVE_EVENT_TYPES.includes(event?.type)) handlersRef.current.onEvent(event);
+        });
+    }, [enabled]);
+
+    useEffect(() => {
+        if (!enabled) {
+            setStatus('off');
+            return undefined;
+        }
+        const controller = new AbortController();
+        const { signal } = controller;
+        let lastEventId = null;
+        let retryBase = RECONNECT_BASE_MS;
+        // En orden: cada evento se compara con la caché que dejó el anterior.
+        let caching = Promise.resolve();
+
+        const handleMessage = ({ id, event: type, data, retry }) => {
+            if (retry !== null) retryBase = retry;
+            if (id !== null) lastEventId = id;
+            if (type === 'reset') {
+                handlersRef.current.onResync();
+                return;
+            }
+            if (!LIVE_EVENT_TYPES.includes(type)) return;
+            let event;
+            try {
+                event = { type, ...JSON.parse(data) };
+            } catch (err) {
+                console.error('Evento en directo no válido:', err);
+                return;
+            }
+            handlersRef.current.onEvent(event);
+            caching = caching
+                .then(() => cacheEvent(event))
+                .catch(err => console.error('No se pudo guardar el cambio en la caché:', err));
+        };
+
+        // Una conexión: vuelve cuando el servidor la cierra o deja de dar
+        // señales; lanza si no se pudo abrir.
+        const connect = async ({ resync }) => {
+            const streamController = new AbortController();
+            const stop = () => streamController.abort();
+            signal.addEventListener('abort', stop, { once: true });
+            let idleTimer = null;
+            const resetIdleTimer = () => {
+                clearTimeout(idleTimer);
+                idleTimer = setTimeout(stop, IDLE_TIMEOUT_MS);
+            };
+            try {
+                const response = await apiEvents.open({ lastEventId, signal: streamController.signal });
+                if (!response.headers.get('Content-Type')?.includes('text/event-stream')) {
+                    response.body?.cancel().catch(() => {});
+                    throw new UnsupportedStreamError();
+                }
+                setStatus('live');
+                if (resync) handlersRef.current.onResync();
+                resetIdleTimer();
+                await readEventStream(response, { onMessage: handleMessage, onChunk: resetIdleTimer, signal: streamController.signal });
+            } finally {
+                clearTimeout(idleTimer);
+                signal.removeEventListener('abort', stop);
+            }
+        };
+
+        const run = async () => {
+            setStatus('connecting');
+            for (let failures = 0; !signal.aborted;) {
+                if (!navigator.onLine) {
+                    setStatus('offline');
+                    await waitForOnline(signal);
+                    continue;
+                }
+                // Si nunca se llegó a recibir un id no hay desde dónde pedir
+                // lo perdido: se recarga todo al volver a conectar.
+                try {
+                    await connect({ resync: failures > 0 && lastEventId === null });
+                    failures = 0;
+                } catch (err) {
+                    if (signal.aborted || isCancelled(err)) return;
+                    if (err instanceof UnsupportedStreamError || (err instanceof ApiError && UNSUPPORTED_STATUSES.includes(err.status))) {
+                        setStatus('unsupported');
+                        return;
+                    }
+                    // Sesión cerrada: la app vuelve al inicio de sesión.
+                    if (err instanceof SessionClosedError || err instanceof AuthError) {
+                        setStatus('off');
+                        return;
+                    }
+                    failures++;
+                }
+                if (signal.aborted) return;
+                setStatus('reconnecting');
+                const delay = Math.min(RECONNECT_MAX_MS, retryBase * 2 ** Math.max(failures - 1, 0));
+                await waitOrOnline(delay * (0.5 + Math.random() / 2), signal);
+            }
+        };
+
+        run();
+        return () => controller.abort();
+    }, [enabled, apiEvents]);
+
+    return { status };
+};
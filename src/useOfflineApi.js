@@ -0,0 +1,300 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useApi } from './useApi';
+import { TimeoutError } from './apiErrors';
+import { applyFilters, filtersFromApiQuery } from './taskFilters';
+import { broadcastToTabs } from './liveEvents';
+import { recordTaskCreated, recordTaskUpdate, removeTaskHistory } from './taskHistory';
+import { getTokenUserId, session } from './session';
+import {
+    offlineStore,
+    STORES,
+    enqueueMutation,
+    dropMutationsFor,
+    flushOutbox,
+    createLocalId,
+    isLocalId,
+    isNetworkError,
+} from './offlineStore';
+
+// ----------------------------------------------------------------------
+// Estado de la conexión
+// ----------------------------------------------------------------------
+
+export const useOnlineStatus = () => {
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+    useEffect(() => {
+        const goOnline = () => setIsOnline(true);
+        const goOffline = () => setIsOnline(false);
+        window.addEventListener('online', goOnline);
+        window.addEventListener('offline', goOffline);
+        return () => {
+            window.removeEventListener('online', goOnline);
+            window.removeEventListener('offline', goOffline);
+        };
+    }, []);
+
+    return isOnline;
+};
+
+// ----------------------------------------------------------------------
+// API con soporte sin conexión
+// ----------------------------------------------------------------------
+// Misma interfaz que `tasks` y `categories` de useApi. Si la red falla, la
+// mutación se guarda en la cola local y se devuelve el elemento con
+// `pendingSync: true` para que la UI lo muestre como pendiente. Cada
+// escritura, aplicada o encolada, se avisa a las otras pestañas (ver
+// liveEvents.js) para que la muestren sin recargar, y los cambios de tareas
+// quedan en su historial (ver taskHistory.js).
+
+// Las lecturas también caen a la caché si el servidor no responde a tiempo;
+// las escrituras no se encolan en ese caso porque pudieron aplicarse.
+const canReadFromCache = (error) => isNetworkError(error) || error instanceof TimeoutError;
+
+const DEFAULT_PAGE_SIZE = 200;
+
+const findCached = (storeName, id) => offlineStore.get(storeName, id);
+
+// Las tareas que se consultan se guardan en la caché para tenerlas sin
+// conexión. Una lista completa la reemplaza, salvo lo pendiente de enviar.
+const cacheTasks = (tasks) => offlineStore.batch(tasks.map(task => ({ store: STORES.tasks, put: task })));
+
+const replaceCachedTasks = async (tasks) => {
+    const pending = (await offlineStore.getAll(STORES.tasks)).filter(task => task.pendingSync);
+    await offlineStore.replaceAll(STORES.tasks, [...tasks, ...pending]);
+};
+
+// Filtra como lo haría el servidor con los mismos parámetros.
+const filterByQuery = (tasks, query) => applyFilters(
+    tasks,
+    filtersFromApiQuery(new URLSearchParams(query)),
+    { userId: getTokenUserId(session.getToken()) }
+);
+
+const toSharingEvent = ({ category }) => {
+    if (!category) return null;
+    return category.role ? { type: 'category.updated', category } : { type: 'category.deleted', id: category._id };
+};
+
+// Envuelve una escritura para avisar a las otras pestañas con el evento que
+// `toEvent(result, ...args)` construye a partir de su resultado.
+const broadcasting = (write, toEvent) => async (...args) => {
+    const result = await write(...args);
+    const event = toEvent(result, ...args);
+    if (event) broadcastToTabs(event);
+    return result;
+};
+
+export const useOfflineApi = () => {
+    const { tasks: apiTasks, categories: apiCategories } = useApi();
+
+    const sync = useCallback(
+        () => flushOutbox({ tasks: apiTasks, categories: apiCategories }),
+        [apiTasks, apiCategories]
+    );
+
+    const tasks = useMemo(() => {
+        const currentAuthor = () => ({ by: getTokenUserId(session.getToken()) });
+
+        const queueUpdate = async (id, taskData) => {
+            const cached = await findCached(STORES.tasks, id);
+            const task = { ...cached, ...taskData, _id: id, pendingSync: true };
+            await enqueueMutation({
+                type: 'task.update',
+                targetId: id,
+                data: taskData,
+                baseUpdatedAt: cached?.updatedAt,
+            });
+            await offlineStore.put(STORES.tasks, task);
+            await recordTaskUpdate(cached, task, currentAuthor());
+            return { task };
+        };
+
+        return {
+            // Todas las tareas de `query` (parámetros de GET /api/tasks, ver
+            // taskFilters.js; sin ellos, la cuenta entera), por páginas de
+            // `pageSize`. `onProgress({ loaded, total })` tras cada página.
+            // Solo para lo que de verdad necesita el conjunto completo (un
+            // rango del calendario, estadísticas, exportar...): las listas
+            // piden páginas con getPage. Si la red falla a medias, se filtra
+            // la caché.
+            getAll: async ({ query = {}, pageSize = DEFAULT_PAGE_SIZE, onProgress, ...options } = {}) => {
+                try {
+                    const all = [];
+                    const ids = new Set();
+                    let cursor = null;
+                    do {
+                        const page = await apiTasks.getPage({ ...query, limit: pageSize, ...(cursor && { cursor }) }, options);
+                        // El backend no pagina: devolvió todas de una vez.
+                        if (page.nextCursor === undefined) {
+                            await replaceCachedTasks(page.tasks || []);
+                            const tasks = filterByQuery(page.tasks || [], query);
+                            onProgress?.({ loaded: tasks.length, total: tasks.length });
+                            return { tasks };
+                        }
+                        // Si la lista cambió entre páginas, una puede repetirse.
+                        all.push(...(page.tasks || []).filter(task => !ids.has(task._id)));
+                        all.forEach(task => ids.add(task._id));
+                        cursor = page.nextCursor;
+                        onProgress?.({ loaded: all.length, total: page.total ?? all.length });
+                    } while (cursor);
+                    if (Object.keys(query).length === 0) await replaceCachedTasks(all);
+                    else await cacheTasks(all);
+                    return { tasks: all };
+                } catch (err) {
+                    if (!canReadFromCache(err)) throw err;
+                    return { tasks: filterByQuery(await offlineStore.getAll(STORES.tasks), query), fromCache: true };
+                }
+            },
+            // Una página de una consulta filtrada: { tasks, nextCursor, total }.
+            // Si el backend no pagina se filtra aquí su lista completa, y sin
+            // conexión, la caché; en los dos casos llega entera, sin cursor.
+            getPage: async (query, options) => {
+                try {
+                    const page = await apiTasks.getPage(query, options);
+                    if (page.nextCursor !== undefined) {
+                        await cacheTasks(page.tasks || []);
+                        return page;
+                    }
+                    await replaceCachedTasks(page.tasks || []);
+                    const tasks = filterByQuery(page.tasks || [], query);
+                    return { tasks, nextCursor: null, total: tasks.length };
+                } catch (err) {
+                    if (!canReadFromCache(err)) throw err;
+                    const tasks = filterByQuery(await offlineStore.getAll(STORES.tasks), query);
+                    return { tasks, nextCursor: null, total: tasks.length, fromCache: true };
+                }
+            },
+            create: broadcasting(async (taskData, options) => {
+                try {
+                    const result = await apiTasks.create(taskData, options);
+                    await offlineStore.put(STORES.tasks, result.task);
+                    await recordTaskCreated(result.task, currentAuthor());
+                    return result;
+                } catch (err) {
+                    if (!isNetworkError(err)) throw err;
+                    const now = new Date().toISOString();
+                    const task = {
+                        isCompleted: false,
+                        ...taskData,
+                        _id: createLocalId(),
+                        createdAt: now,
+                        pendingSync: true,
+                    };
+                    await enqueueMutation({ type: 'task.create', targetId: task._id, data: taskData });
+                    await offlineStore.put(STORES.tasks, task);
+                    await recordTaskCreated(task, currentAuthor());
+                    return { task };
+                }
+            }, ({ task }) => ({ type: 'task.created', task })),
+            update: broadcasting(async (id, taskData, options) => {
+                if (isLocalId(id)) return queueUpdate(id, taskData);
+                const before = await findCached(STORES.tasks, id);
+                try {
+                    const result = await apiTasks.update(id, taskData, options);
+                    await offlineStore.put(STORES.tasks, result.task);
+                    await recordTaskUpdate(before, result.task, currentAuthor());
+                    return result;
+                } catch (err) {
+                    if (!isNetworkError(err)) throw err;
+                    return queueUpdate(id, taskData);
+                }
+            }, ({ task }) => ({ type: 'task.updated', task })),
+            delete: broadcasting(async (id, options) => {
+                if (isLocalId(id)) {
+                    await dropMutationsFor(id);
+                    await offlineStore.remove(STORES.tasks, id);
+                    await removeTaskHistory(id);
+                    return {};
+                }
+                try {
+                    const result = await apiTasks.delete(id, options);
+                    await offlineStore.remove(STORES.tasks, id);
+                    await removeTaskHistory(id);
+                    return result;
+                } catch (err) {
+                    if (!isNetworkError(err)) throw err;
+                    const cached = await findCached(STORES.tasks, id);
+                    await enqueueMutation({ type: 'task.delete', targetId: id, baseUpdatedAt: cached?.updatedAt });
+                    await offlineStore.remove(STORES.tasks, id);
+                    return { pendingSync: true };
+                }
+            }, (result, id) => ({ type: 'task.deleted', id })),
+            // Los comentarios necesitan conexión.
+            getComments: apiTasks.getComments,
+            addComment: apiTasks.addComment,
+            deleteComment: apiTasks.deleteComment,
+        };
+    }, [apiTasks]);
+
+    const categories = useMemo(() => ({
+        getAll: async (options) => {
+            try {
+                const result = await apiCategories.getAll(options);
+                await offlineStore.replaceAll(STORES.categories, result.categories || []);
+                return result;
+            } catch (err) {
+                if (!canReadFromCache(err)) throw err;
+                return { categories: await offlineStore.getAll(STORES.categories), fromCache: true };
+            }
+        },
+        create: broadcasting(async (categoryData, options) => {
+            try {
+                const result = await apiCategories.create(categoryData, options);
+                await offlineStore.put(STORES.categories, result.category);
+                return result;
+            } catch (err) {
+                if (!isNetworkError(err)) throw err;
+                const category = { ...categoryData, _id: createLocalId(), pendingSync: true };
+                await enqueueMutation({ type: 'category.create', targetId: category._id, data: categoryData });
+                await offlineStore.put(STORES.categories, category);
+                return { category };
+            }
+        }, ({ category }) => ({ type: 'category.created', category })),
+        update: broadcasting(async (id, categoryData, options) => {
+            const queueUpdate = async () => {
+                const cached = await findCached(STORES.categories, id);
+                const category = { ...cached, ...categoryData, _id: id, pendingSync: true };
+                await enqueueMutation({ type: 'category.update', targetId: id, data: categoryData });
+                await offlineStore.put(STORES.categories, category);
+                return { category };
+            };
+            if (isLocalId(id)) return queueUpdate();
+            try {
+                const result = await apiCategories.update(id, categoryData, options);
+                await offlineStore.put(STORES.categories, result.category);
+                return result;
+            } catch (err) {
+                if (!isNetworkError(err)) throw err;
+                return queueUpdate();
+            }
+        }, ({ category }) => ({ type: 'category.updated', category })),
+        delete: broadcasting(async (id, options) => {
+            if (isLocalId(id)) {
+                await dropMutationsFor(id);
+                await offlineStore.remove(STORES.categories, id);
+                return {};
+            }
+            try {
+                const result = await apiCategories.delete(id, options);
+                await offlineStore.remove(STORES.categories, id);
+                return result;
+            } catch (err) {
+                if (!isNetworkError(err)) throw err;
+                await enqueueMutation({ type: 'category.delete', targetId: id });
+                await offlineStore.remove(STORES.categories, id);
+                return { pendingSync: true };
+            }
+        }, (result, id) => ({ type: 'category.deleted', id })),
+        // Compartir necesita conexión: estas no se encolan. Si el usuario sale
+        // de la lista, la categoría vuelve sin `role`.
+        getMembers: apiCategories.getMembers,
+        share: broadcasting(apiCategories.share, toSharingEvent),
+        updateMember: broadcasting(apiCategories.updateMember, toSharingEvent),
+        removeMember: broadcasting(apiCategories.removeMember, toSharingEvent),
+    }), [apiCategories]);
+
+    return { tasks, categories, sync };
+};
+
+export const clearOfflineData = () => offlineStore.clear();
@@ -0,0 +1,142 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { isCancelled } from './apiErrors';
+import { createTaskMatcher, filtersFromApiQuery, sortTasks, toApiQuery } from './taskFilters';
+import { useOfflineApi } from './useOfflineApi';
+
+// ----------------------------------------------------------------------
+// Tareas consultadas al servidor
+// ----------------------------------------------------------------------
+// Ninguna vista carga la cuenta entera: cada una pide a GET /api/tasks lo
+// que muestra (ver toApiQuery en taskFilters.js). La lista y el tablero van
+// por páginas con scroll infinito (useTaskQuery); el calendario, las
+// estadísticas y los recordatorios piden de una vez todo lo que cae en su
+// consulta (useTaskCollection), y solo mientras se usan.
+//
+// Cada cambio de consulta vuelve a empezar y cancela la anterior; la
+// búsqueda por texto espera a que se deje de escribir. `version` vuelve a
+// pedir la misma consulta (p. ej. tras sincronizar o perder eventos).
+//
+// `setItems(updater)` aplica un cambio local (una edición, un evento en
+// directo...) a lo cargado: la tarea que deja de cumplir la consulta sale y
+// la que empieza a cumplirla entra en su sitio del orden.
+
+const PAGE_SIZE = 50;
+const SEARCH_DELAY = 250;
+
+const EMPTY_RESULT = { key: '', items: [], nextCursor: null, total: 0 };
+
+const useTaskPages = (query, { enabled, userId = null, version = 0, pageSize = PAGE_SIZE, loadAll = false }) => {
+    const { tasks: apiTasks } = useOfflineApi();
+    const [result, setResult] = useState(EMPTY_RESULT);
+    const [isLoading, setIsLoading] = useState(false);
+    const [progress, setProgress] = useState(null);
+    const [error, setError] = useState(null);
+    const controllerRef = useRef(null);
+
+    const queryKey = JSON.stringify(query);
+    const lastKeyRef = useRef(queryKey);
+
+    const fetchPage = useCallback(async (cursor) => {
+        controllerRef.current?.abort();
+        const controller = new AbortController();
+        controllerRef.current = controller;
+        const { signal } = controller;
+        const query = JSON.parse(queryKey);
+
+        setIsLoading(true);
+        setError(null);
+        try {
+            if (loadAll) {
+                const { tasks } = await apiTasks.getAll({
+                    query,
+                    signal,
+                    onProgress: (loaded) => !signal.aborted && setProgress(loaded),
+                });
+                if (signal.aborted) return;
+                setResult({ key: queryKey, items: tasks, nextCursor: null, total: tasks.length });
+                return;
+            }
+            const page = await apiTasks.getPage({ ...query, limit: pageSize, ...(cursor && { cursor }) }, { signal });
+            if (signal.aborted) return;
+            setResult(prev => {
+                const ids = cursor ? new Set(prev.items.map(task => task._id)) : null;
+                return {
+                    key: queryKey,
+                    // Si la lista cambió entre páginas, una tarea puede repetirse.
+                    items: cursor ? [...prev.items, ...(page.tasks || []).filter(task => !ids.has(task._id))] : page.tasks || [],
+                    nextCursor: page.nextCursor || null,
+                    total: page.total ?? 0,
+                };
+            });
+        } catch (err) {
+            if (isCancelled(err) || signal.aborted) return;
+            setError(err);
+        } finally {
+            if (controllerRef.current === controller) {
+                controllerRef.current = null;
+                setIsLoading(false);
+                setProgress(null);
+            }
+        }
+    }, [apiTasks, queryKey, pageSize, loadAll]);
+
+    useEffect(() => {
+        if (!enabled) {
+            controllerRef.current?.abort();
+            controllerRef.current = null;
+            setResult(EMPTY_RESULT);
+            setIsLoading(false);
+            setProgress(null);
+            setError(null);
+            return undefined;
+        }
+        const isSearchChange = JSON.parse(lastKeyRef.current).q !== JSON.parse(queryKey).q;
+        lastKeyRef.current = queryKey;
+        const timer = setTimeout(() => fetchPage(null), isSearchChange ? SEARCH_DELAY : 0);
+        return () => clearTimeout(timer);
+    }, [enabled, queryKey, version, fetchPage]);
+
+    useEffect(() => () => controllerRef.current?.abort(), []);
+
+    const loadMore = useCallback(() => {
+        if (!isLoading && result.nextCursor) fetchPage(result.nextCursor);
+    }, [isLoading, result.nextCursor, fetchPage]);
+
+    const reload = useCallback(() => {
+        if (enabled) fetchPage(null);
+    }, [enabled, fetchPage]);
+
+    const setItems = useCallback((updater) => {
+        setResult(prev => {
+            if (!prev.key) return prev;
+            const filters = filtersFromApiQuery(new URLSearchParams(JSON.parse(prev.key)));
+            const changed = updater(prev.items);
+            if (changed === prev.items) return prev;
+            const items = sortTasks(changed.filter(createTaskMatcher(filters, { userId })), filters);
+            return { ...prev, items, total: Math.max(prev.total + items.length - prev.items.length, items.length) };
+        });
+    }, [userId]);
+
+    return {
+        items: result.items,
+        total: result.total,
+        hasMore: !!result.nextCursor,
+        // Ya llegó la primera página de la consulta actual.
+        isLoaded: result.key === queryKey,
+        isLoading,
+        progress,
+        error,
+        loadMore,
+        reload,
+        setItems,
+    };
+};
+
+// Lista paginada con los filtros de la URL.
+export const useTaskQuery = (filters, options) => {
+    const query = useMemo(() => toApiQuery(filters), [filters]);
+    return useTaskPages(query, options);
+};
+
+// Todas las tareas de `query` (parámetros de GET /api/tasks).
+export const useTaskCollection = (query, options) => useTaskPages(query, { ...options, loadAll: true });
@@ -0,0 +1,122 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { isEditableTarget } from './shortcuts';
+
+// ----------------------------------------------------------------------
+// Historial de deshacer / rehacer
+// ----------------------------------------------------------------------
+// Cada acción es { label, undo(ctx), redo(ctx) } con funciones async que
+// llaman a la API. Al deshacer un borrado el servidor crea la tarea con otro
+// _id, así que las acciones reciben `ctx.resolveId(id)` para traducir ids
+// antiguos y `ctx.remapId(oldId, newId)` para registrar el nuevo.
+//
+// El aviso no lleva texto traducido: `content` es { message } (la etiqueta de
+// la acción, que ya viene traducida) o { key, params, error } con una clave
+// del catálogo; lo traduce quien lo pinta, en el idioma de ese momento.
+
+const DEFAULT_LIMIT = 50;
+const TOAST_MS = 6000;
+
+export const useUndoHistory = ({ limit = DEFAULT_LIMIT } = {}) => {
+    const past = useRef([]);
+    const future = useRef([]);
+    const idMap = useRef({});
+    const busy = useRef(false);
+    const toastTimer = useRef(null);
+    const [toast, setToast] = useState(null); // { content, action: 'undo' | 'redo' | null, isError }
+    const [counts, setCounts] = useState({ past: 0, future: 0 });
+
+    const syncCounts = () => setCounts({ past: past.current.length, future: future.current.length });
+
+    const showToast = useCallback((content, { action = null, isError = false } = {}) => {
+        clearTimeout(toastTimer.current);
+        setToast({ content, action, isError });
+        toastTimer.current = setTimeout(() => setToast(null), TOAST_MS);
+    }, []);
+
+    const dismissToast = useCallback(() => {
+        clearTimeout(toastTimer.current);
+        setToast(null);
+    }, []);
+
+    useEffect(() => () => clearTimeout(toastTimer.current), []);
+
+    const context = useRef({
+        resolveId: (id) => {
+            let current = id;
+            while (idMap.current[current]) current = idMap.current[current];
+            return current;
+        },
+        remapId: (oldId, newId) => {
+            if (oldId !== newId) idMap.current[oldId] = newId;
+        },
+    }).current;
+
+    const record = useCallback((action) => {
+        past.current = [...past.current, action].slice(-limit);
+        future.current = [];
+        syncCounts();
+        showToast({ message: action.label }, { action: 'undo' });
+    }, [limit, showToast]);
+
+    const run = useCallback(async (from, to, method) => {
+        if (busy.current || from.current.length === 0) return;
+        busy.current = true;
+
+        const action = from.current[from.current.length - 1];
+        from.current = from.current.slice(0, -1);
+        try {
+            await action[method](context);
+            to.current = [...to.current, action];
+            showToast(
+                { key: method === 'undo' ? 'undo.done' : 'undo.redone', params: { label: action.label } },
+                { action: method === 'undo' ? 'redo' : 'undo' }
+            );
+        } catch (err) {
+            showToast({ key: method === 'undo' ? 'undo.failed' : 'undo.redoFailed', error: err }, { isError: true });
+        } finally {
+            busy.current = false;
+            syncCounts();
+        }
+    }, [context, showToast]);
+
+    const undo = useCallback(() => run(past, future, 'undo'), [run]);
+    const redo = useCallback(() => run(future, past, 'redo'), [run]);
+
+    const clear = useCallback(() => {
+        past.current = [];
+        future.current = [];
+        idMap.current = {};
+        syncCounts();
+        dismissToast();
+    }, [dismissToast]);
+
+    // Ctrl+Z / Ctrl+Shift+Z (y Ctrl+Y). Dentro de campos de texto se deja el
+    // deshacer nativo del navegador.
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || isEditableTarget(e.target)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                redo();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [undo, redo]);
+
+    return {
+        record,
+        undo,
+        redo,
+        clear,
+        canUndo: counts.past > 0,
+        canRedo: counts.future > 0,
+        toast,
+        showToast,
+        dismissToast,
+    };
+};
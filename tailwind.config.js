@@ -3,6 +3,8 @@ module.exports = {
     "./src/**/*.{js,jsx,ts,tsx}",
     "./public/index.html",
   ],
+  // El tema oscuro se activa con data-theme en <html> (ver src/theme.js).
+  darkMode: ['selector', '[data-theme="dark"]'],
   theme: {
     extend: {
     },